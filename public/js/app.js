@@ -7,7 +7,17 @@
 class SecureFileUploadApp {
     constructor() {
         this.currentUser = null;
+        this.permissions = [];
+        this.uploadPolicy = null;
+        this.roles = [];
+        this.canAssignRoles = false;
         this.authToken = null;
+        this.refreshToken = null;
+        this.refreshPromise = null;
+        this.sessionMode = false;
+        this.csrfToken = null;
+        this.challengeToken = null;
+        this.resetToken = null;
         this.apiBaseUrl = '/api';
         this.authApiUrl = '/api/auth';
         this.currentTab = 'upload';
@@ -24,8 +34,11 @@ class SecureFileUploadApp {
 
     init() {
         this.bindEvents();
-        this.checkAuth();
+        const authChecked = this.checkAuth();
         this.setupFileIcons();
+        this.showEmailVerificationResult();
+        this.showPasswordResetForm();
+        authChecked.then(() => this.showInviteRegistration());
     }
 
     bindEvents() {
@@ -40,6 +53,58 @@ class SecureFileUploadApp {
             this.handleRegistration();
         });
 
+        // Passkey login (only offered when the browser supports WebAuthn)
+        const passkeyLoginBtn = document.getElementById('passkey-login-btn');
+        if (window.PublicKeyCredential) {
+            passkeyLoginBtn.style.display = 'block';
+        }
+        passkeyLoginBtn.addEventListener('click', () => {
+            this.handlePasskeyLogin();
+        });
+
+        // Two-factor login step and mandatory enrollment
+        document.getElementById('twofactor-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleTwoFactorVerify();
+        });
+
+        document.getElementById('enroll-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleEnrollmentConfirm();
+        });
+
+        document.getElementById('twofactor-cancel').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showLoginForm();
+        });
+
+        document.getElementById('enroll-cancel').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showLoginForm();
+        });
+
+        // Password reset
+        document.getElementById('forgot-password').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.requestPasswordReset();
+        });
+
+        document.getElementById('reset-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handlePasswordReset();
+        });
+
+        document.getElementById('reset-cancel').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.resetToken = null;
+            this.showLoginForm();
+        });
+
+        document.getElementById('resend-verification').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.resendVerificationEmail();
+        });
+
         // Auth form switching
         document.getElementById('show-register').addEventListener('click', (e) => {
             e.preventDefault();
@@ -51,11 +116,15 @@ class SecureFileUploadApp {
             this.showLoginForm();
         });
 
-        // Logout button
+        // Logout buttons
         document.getElementById('logout-btn').addEventListener('click', () => {
             this.handleLogout();
         });
 
+        document.getElementById('logout-all-btn').addEventListener('click', () => {
+            this.handleLogoutAll();
+        });
+
         // Tab navigation
         document.querySelectorAll('.tab-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -87,6 +156,50 @@ class SecureFileUploadApp {
             this.loadStats();
         });
 
+        // Account security
+        document.getElementById('enable-2fa-btn').addEventListener('click', () => {
+            this.startTwoFactorSetup();
+        });
+
+        document.getElementById('twofactor-setup-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmTwoFactorSetup();
+        });
+
+        document.getElementById('change-password-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changePassword();
+        });
+
+        document.getElementById('regenerate-recovery-codes-btn').addEventListener('click', () => {
+            this.regenerateRecoveryCodes();
+        });
+
+        document.getElementById('disable-2fa-btn').addEventListener('click', () => {
+            this.disableTwoFactor();
+        });
+
+        document.getElementById('add-passkey-btn').addEventListener('click', () => {
+            this.registerPasskey();
+        });
+
+        document.getElementById('api-key-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createApiKey();
+        });
+
+        document.getElementById('api-keys-list').addEventListener('click', (e) => {
+            const target = e.target.closest('button[data-api-key-id]');
+            if (!target) return;
+            this.revokeApiKey(target.dataset.apiKeyId);
+        });
+
+        document.getElementById('passkeys-list').addEventListener('click', (e) => {
+            const target = e.target.closest('button[data-passkey-id]');
+            if (!target) return;
+            this.removePasskey(target.dataset.passkeyId);
+        });
+
         // Admin panel
         document.getElementById('refresh-users').addEventListener('click', () => {
             this.loadUsers();
@@ -100,6 +213,48 @@ class SecureFileUploadApp {
             this.loadAdminStats();
         });
 
+        document.getElementById('refresh-audit').addEventListener('click', () => {
+            this.loadAuditTrail();
+        });
+
+        document.getElementById('refresh-invites').addEventListener('click', () => {
+            this.loadInvites();
+        });
+
+        document.getElementById('invite-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createInvite();
+        });
+
+        document.getElementById('invites-list').addEventListener('click', (e) => {
+            const target = e.target.closest('button[data-action="revoke-invite"]');
+            if (!target) return;
+
+            this.revokeInvite(target.dataset.inviteId);
+        });
+
+        document.getElementById('refresh-quarantine').addEventListener('click', () => {
+            this.loadQuarantine();
+        });
+
+        document.getElementById('quarantine-list').addEventListener('click', (e) => {
+            const target = e.target.closest('button[data-action]');
+            if (!target) return;
+
+            const { action, fileId } = target.dataset;
+            if (action === 'quarantine-details') {
+                this.showQuarantineDetails(fileId);
+            } else if (action === 'request-release') {
+                this.requestRelease(fileId);
+            } else if (action === 'approve-release') {
+                this.approveRelease(fileId);
+            } else if (action === 'withdraw-release') {
+                this.withdrawRelease(fileId);
+            } else if (action === 'purge-file') {
+                this.purgeQuarantinedFile(fileId);
+            }
+        });
+
         // User management actions - using event delegation
         document.getElementById('users-list').addEventListener('click', (e) => {
             const target = e.target.closest('button[data-action]');
@@ -114,6 +269,23 @@ class SecureFileUploadApp {
                 this.rejectUser(userId);
             } else if (action === 'suspend') {
                 this.suspendUser(userId);
+            } else if (action === 'revoke-sessions') {
+                this.revokeUserSessions(userId);
+            } else if (action === 'reset-2fa') {
+                this.resetUserTwoFactor(userId);
+            } else if (action === 'reactivate') {
+                this.reactivateUser(userId);
+            } else if (action === 'unlock') {
+                this.unlockUser(userId);
+            } else if (action === 'delete') {
+                this.deleteUser(userId);
+            }
+        });
+
+        document.getElementById('users-list').addEventListener('change', (e) => {
+            const target = e.target.closest('select[data-action="role"]');
+            if (target) {
+                this.assignRole(target.dataset.userId, target.value);
             }
         });
 
@@ -212,7 +384,7 @@ class SecureFileUploadApp {
         });
     }
 
-    checkAuth() {
+    async checkAuth() {
         const savedToken = localStorage.getItem('secureFileUploadToken');
         const savedUser = localStorage.getItem('secureFileUploadUser');
         
@@ -220,17 +392,41 @@ class SecureFileUploadApp {
             try {
                 const user = JSON.parse(savedUser);
                 this.authToken = savedToken;
+                this.refreshToken = localStorage.getItem('secureFileUploadRefreshToken');
                 this.currentUser = user;
                 this.showDashboard();
             } catch (error) {
                 this.clearAuth();
                 this.showAuth();
             }
+        } else if (savedUser) {
+            // No bearer token: the login lives in the session cookie, if it is still valid
+            await this.restoreSession();
         } else {
             this.showAuth();
         }
     }
 
+    async restoreSession() {
+        try {
+            const response = await fetch(`${this.authApiUrl}/session`, { cache: 'no-store' });
+            const result = await response.json();
+
+            if (result.success) {
+                this.storeTokens(result.data);
+                this.currentUser = result.data.user;
+                localStorage.setItem('secureFileUploadUser', JSON.stringify(this.currentUser));
+                this.showDashboard();
+                return;
+            }
+        } catch (error) {
+            console.error('Restore session error:', error);
+        }
+
+        this.clearAuth();
+        this.showAuth();
+    }
+
     async handleLogin() {
         const usernameOrEmail = document.getElementById('login-username').value.trim();
         const password = document.getElementById('login-password').value;
@@ -248,21 +444,21 @@ class SecureFileUploadApp {
                 },
                 body: JSON.stringify({
                     usernameOrEmail,
-                    password
+                    password,
+                    session: true
                 })
             });
 
             const result = await response.json();
 
-            if (result.success) {
-                this.authToken = result.data.token;
-                this.currentUser = result.data.user;
-                
-                localStorage.setItem('secureFileUploadToken', this.authToken);
-                localStorage.setItem('secureFileUploadUser', JSON.stringify(this.currentUser));
-                
-                this.showDashboard();
-                this.showToast('Login successful', 'success');
+            if (result.success && result.data.twoFactorRequired) {
+                this.challengeToken = result.data.challengeToken;
+                this.showTwoFactorForm();
+            } else if (result.success && result.data.twoFactorEnrollmentRequired) {
+                this.challengeToken = result.data.challengeToken;
+                await this.startEnrollment();
+            } else if (result.success) {
+                this.completeLogin(result.data);
             } else {
                 this.showToast(result.error, 'error');
             }
@@ -272,6 +468,193 @@ class SecureFileUploadApp {
         }
     }
 
+    async handlePasskeyLogin() {
+        if (!window.PublicKeyCredential) {
+            this.showToast('Passkeys are not supported by this browser', 'error');
+            return;
+        }
+
+        // The username is optional: without it the browser offers any passkey saved for this site
+        const usernameOrEmail = document.getElementById('login-username').value.trim();
+
+        try {
+            const optionsResponse = await fetch(`${this.authApiUrl}/webauthn/login/options`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(usernameOrEmail ? { usernameOrEmail } : {})
+            });
+            const optionsResult = await optionsResponse.json();
+            if (!optionsResult.success) {
+                this.showToast(optionsResult.error, 'error');
+                return;
+            }
+
+            const options = optionsResult.data;
+            const credential = await navigator.credentials.get({
+                publicKey: {
+                    ...options,
+                    challenge: this.base64UrlToBuffer(options.challenge),
+                    allowCredentials: (options.allowCredentials || []).map(descriptor => ({
+                        ...descriptor,
+                        id: this.base64UrlToBuffer(descriptor.id)
+                    }))
+                }
+            });
+
+            const response = await fetch(`${this.authApiUrl}/webauthn/login/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    response: {
+                        id: credential.id,
+                        rawId: this.bufferToBase64Url(credential.rawId),
+                        type: credential.type,
+                        response: {
+                            clientDataJSON: this.bufferToBase64Url(credential.response.clientDataJSON),
+                            authenticatorData: this.bufferToBase64Url(credential.response.authenticatorData),
+                            signature: this.bufferToBase64Url(credential.response.signature),
+                            userHandle: credential.response.userHandle
+                                ? this.bufferToBase64Url(credential.response.userHandle)
+                                : undefined
+                        },
+                        clientExtensionResults: credential.getClientExtensionResults()
+                    },
+                    session: true
+                })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.completeLogin(result.data);
+            } else {
+                this.showToast(result.error, 'error');
+            }
+        } catch (error) {
+            // NotAllowedError means the user cancelled or the ceremony timed out
+            if (error.name !== 'NotAllowedError') {
+                this.showToast('Passkey login failed. Please try again.', 'error');
+            }
+            console.error('Passkey login error:', error);
+        }
+    }
+
+    completeLogin(data) {
+        this.challengeToken = null;
+        this.currentUser = data.user;
+        this.storeTokens(data);
+        localStorage.setItem('secureFileUploadUser', JSON.stringify(this.currentUser));
+
+        document.getElementById('login-form').reset();
+        this.showDashboard();
+        this.showToast('Login successful', 'success');
+    }
+
+    async handleTwoFactorVerify() {
+        const value = document.getElementById('twofactor-code').value.trim();
+        if (!value) {
+            this.showToast('Please enter your authentication code', 'error');
+            return;
+        }
+
+        // Six digits is an authenticator code; anything else is treated as a recovery code
+        const factor = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+
+        try {
+            const response = await fetch(`${this.authApiUrl}/2fa/verify`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    challengeToken: this.challengeToken,
+                    ...factor,
+                    session: true
+                })
+            });
+
+            const result = await response.json();
+            document.getElementById('twofactor-code').value = '';
+
+            if (result.success) {
+                this.completeLogin(result.data);
+            } else {
+                this.showToast(result.error, 'error');
+                if (result.code === 'INVALID_CHALLENGE' || result.code === 'ACCOUNT_LOCKED') {
+                    this.showLoginForm();
+                }
+            }
+        } catch (error) {
+            this.showToast('Verification failed. Please try again.', 'error');
+            console.error('Two-factor verify error:', error);
+        }
+    }
+
+    async startEnrollment() {
+        try {
+            const response = await fetch(`${this.authApiUrl}/2fa/setup`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ challengeToken: this.challengeToken })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                document.getElementById('enroll-secret').textContent = result.data.secret;
+                document.getElementById('enroll-uri').textContent = result.data.otpauthUri;
+                this.showEnrollmentForm();
+            } else {
+                this.showToast(result.error, 'error');
+                this.showLoginForm();
+            }
+        } catch (error) {
+            this.showToast('Two-factor setup failed. Please try again.', 'error');
+            console.error('Two-factor setup error:', error);
+        }
+    }
+
+    async handleEnrollmentConfirm() {
+        const code = document.getElementById('enroll-code').value.trim();
+
+        try {
+            const response = await fetch(`${this.authApiUrl}/2fa/confirm`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    challengeToken: this.challengeToken,
+                    code,
+                    session: true
+                })
+            });
+
+            const result = await response.json();
+            document.getElementById('enroll-code').value = '';
+
+            if (result.success) {
+                this.completeLogin(result.data);
+                this.switchTab('security');
+                this.showRecoveryCodes(result.data.recoveryCodes);
+            } else {
+                this.showToast(result.error, 'error');
+                if (result.code === 'INVALID_CHALLENGE') {
+                    this.showLoginForm();
+                }
+            }
+        } catch (error) {
+            this.showToast('Two-factor setup failed. Please try again.', 'error');
+            console.error('Two-factor confirm error:', error);
+        }
+    }
+
     async handleRegistration() {
         const formData = {
             firstName: document.getElementById('reg-firstname').value.trim(),
@@ -279,7 +662,8 @@ class SecureFileUploadApp {
             username: document.getElementById('reg-username').value.trim(),
             email: document.getElementById('reg-email').value.trim(),
             password: document.getElementById('reg-password').value,
-            confirmPassword: document.getElementById('reg-confirm-password').value
+            confirmPassword: document.getElementById('reg-confirm-password').value,
+            inviteCode: document.getElementById('reg-invite-code').value.trim()
         };
 
         // Client-side validation
@@ -313,53 +697,186 @@ class SecureFileUploadApp {
         }
     }
 
-    validateRegistration(data) {
-        const errors = [];
-
-        if (!data.firstName) errors.push('First name is required');
-        if (!data.lastName) errors.push('Last name is required');
-        if (!data.username) errors.push('Username is required');
-        if (!data.email) errors.push('Email is required');
-        if (!data.password) errors.push('Password is required');
-
-        if (data.username && !/^[a-zA-Z0-9_-]{3,30}$/.test(data.username)) {
-            errors.push('Username must be 3-30 characters, alphanumeric with underscores and hyphens only');
-        }
+    async resendVerificationEmail() {
+        const email = prompt('Enter the email address you registered with:');
+        if (!email) return;
 
-        if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
-            errors.push('Valid email address is required');
-        }
+        try {
+            const response = await fetch(`${this.authApiUrl}/verify-email/resend`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email: email.trim() })
+            });
 
-        if (data.password && data.password.length < 8) {
-            errors.push('Password must be at least 8 characters long');
-        }
+            const result = await response.json();
 
-        if (data.password && !/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(data.password)) {
-            errors.push('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+            if (result.success) {
+                this.showToast(result.message, 'success');
+            } else {
+                this.showToast(result.error, 'error');
+            }
+        } catch (error) {
+            this.showToast('Failed to send verification email. Please try again.', 'error');
+            console.error('Resend verification error:', error);
         }
+    }
 
-        if (data.password !== data.confirmPassword) {
-            errors.push('Passwords do not match');
-        }
+    showEmailVerificationResult() {
+        // Set by GET /api/auth/verify-email when the emailed link is opened
+        const params = new URLSearchParams(window.location.search);
+        const outcome = params.get('emailVerification');
+        if (!outcome) return;
 
-        return {
-            isValid: errors.length === 0,
-            errors
+        const messages = {
+            verified: ['Your email address has been verified.', 'success'],
+            expired: ['This verification link has expired. Request a new one from the login page.', 'error'],
+            invalid: ['This verification link is not valid.', 'error']
         };
+        const [message, type] = messages[outcome] || messages.invalid;
+        this.showToast(message, type);
+
+        params.delete('emailVerification');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
     }
 
-    async checkUsernameAvailability() {
-        const username = document.getElementById('reg-username').value.trim();
-        if (!username || !/^[a-zA-Z0-9_-]{3,30}$/.test(username)) return;
+    async requestPasswordReset() {
+        const email = prompt('Enter the email address of your account:');
+        if (!email) return;
 
         try {
-            const response = await fetch(`${this.authApiUrl}/check-username/${encodeURIComponent(username)}`);
+            const response = await fetch(`${this.authApiUrl}/password/forgot`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ email: email.trim() })
+            });
+
             const result = await response.json();
-            
+
             if (result.success) {
-                const input = document.getElementById('reg-username');
-                if (result.available) {
-                    input.style.borderColor = 'var(--success-color)';
+                this.showToast(result.message, 'success');
+            } else {
+                this.showToast(result.error, 'error');
+            }
+        } catch (error) {
+            this.showToast('Failed to request a password reset. Please try again.', 'error');
+            console.error('Forgot password error:', error);
+        }
+    }
+
+    showPasswordResetForm() {
+        // Reset links carry the token in the fragment so it never reaches server logs
+        const match = window.location.hash.match(/^#password-reset=([A-Za-z0-9_-]+)$/);
+        if (!match) return;
+
+        this.resetToken = match[1];
+        window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+        this.showAuthCard('reset-card');
+        document.getElementById('reset-password').focus();
+    }
+
+    showInviteRegistration() {
+        // Invite links open the registration form with the code filled in
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('invite');
+        if (!code) return;
+
+        params.delete('invite');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+        if (this.currentUser) return;
+
+        this.showAuthCard('register-card');
+        document.getElementById('reg-invite-code').value = code;
+        document.getElementById('reg-firstname').focus();
+    }
+
+    async handlePasswordReset() {
+        const newPassword = document.getElementById('reset-password').value;
+        const confirmPassword = document.getElementById('reset-confirm-password').value;
+
+        if (newPassword !== confirmPassword) {
+            this.showToast('Passwords do not match', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`${this.authApiUrl}/password/reset`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: this.resetToken, newPassword })
+            });
+
+            const result = await response.json();
+            document.getElementById('reset-form').reset();
+
+            if (result.success) {
+                this.resetToken = null;
+                this.showToast(result.message, 'success');
+                this.showLoginForm();
+            } else {
+                this.showToast(result.error, 'error');
+            }
+        } catch (error) {
+            this.showToast('Password reset failed. Please try again.', 'error');
+            console.error('Password reset error:', error);
+        }
+    }
+
+    validateRegistration(data) {
+        const errors = [];
+
+        if (!data.firstName) errors.push('First name is required');
+        if (!data.lastName) errors.push('Last name is required');
+        if (!data.username) errors.push('Username is required');
+        if (!data.email) errors.push('Email is required');
+        if (!data.password) errors.push('Password is required');
+
+        if (data.username && !/^[a-zA-Z0-9_-]{3,30}$/.test(data.username)) {
+            errors.push('Username must be 3-30 characters, alphanumeric with underscores and hyphens only');
+        }
+
+        if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+            errors.push('Valid email address is required');
+        }
+
+        if (data.password && data.password.length < 8) {
+            errors.push('Password must be at least 8 characters long');
+        }
+
+        if (data.password && !/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/.test(data.password)) {
+            errors.push('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+        }
+
+        if (data.password !== data.confirmPassword) {
+            errors.push('Passwords do not match');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    async checkUsernameAvailability() {
+        const username = document.getElementById('reg-username').value.trim();
+        if (!username || !/^[a-zA-Z0-9_-]{3,30}$/.test(username)) return;
+
+        try {
+            const response = await fetch(`${this.authApiUrl}/check-username/${encodeURIComponent(username)}`);
+            const result = await response.json();
+            
+            if (result.success) {
+                const input = document.getElementById('reg-username');
+                if (result.available) {
+                    input.style.borderColor = 'var(--success-color)';
                 } else {
                     input.style.borderColor = 'var(--danger-color)';
                 }
@@ -391,13 +908,28 @@ class SecureFileUploadApp {
     }
 
     showLoginForm() {
-        document.getElementById('login-card').style.display = 'block';
-        document.getElementById('register-card').style.display = 'none';
+        this.challengeToken = null;
+        this.showAuthCard('login-card');
     }
 
     showRegistrationForm() {
-        document.getElementById('login-card').style.display = 'none';
-        document.getElementById('register-card').style.display = 'block';
+        this.showAuthCard('register-card');
+    }
+
+    showTwoFactorForm() {
+        this.showAuthCard('twofactor-card');
+        document.getElementById('twofactor-code').focus();
+    }
+
+    showEnrollmentForm() {
+        this.showAuthCard('enroll-card');
+        document.getElementById('enroll-code').focus();
+    }
+
+    showAuthCard(cardId) {
+        ['login-card', 'register-card', 'twofactor-card', 'enroll-card', 'reset-card'].forEach(id => {
+            document.getElementById(id).style.display = id === cardId ? 'block' : 'none';
+        });
     }
 
     clearRegistrationForm() {
@@ -407,47 +939,220 @@ class SecureFileUploadApp {
         });
     }
 
-    handleLogout() {
+    async handleLogout() {
+        try {
+            // Revoke the session server-side so the tokens cannot be reused
+            await this.apiRequest('/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+
         this.clearAuth();
         this.showAuth();
         this.showToast('Logged out successfully', 'success');
     }
 
+    async handleLogoutAll() {
+        if (!confirm('Sign out of all sessions on every device?')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiRequest('/auth/logout-all', { method: 'POST' });
+            if (!response.success) {
+                this.showToast(`Failed to revoke sessions: ${response.error}`, 'error');
+                return;
+            }
+        } catch (error) {
+            console.error('Logout all error:', error);
+        }
+
+        this.clearAuth();
+        this.showAuth();
+        this.showToast('All sessions have been signed out', 'success');
+    }
+
     clearAuth() {
         this.currentUser = null;
+        this.permissions = [];
+        this.uploadPolicy = null;
         this.authToken = null;
+        this.refreshToken = null;
+        this.sessionMode = false;
+        this.csrfToken = null;
         localStorage.removeItem('secureFileUploadToken');
+        localStorage.removeItem('secureFileUploadRefreshToken');
         localStorage.removeItem('secureFileUploadUser');
     }
 
+    storeTokens(tokenData) {
+        // Session logins keep their credentials in an httpOnly cookie; only the CSRF token is held here
+        if (tokenData.session) {
+            this.sessionMode = true;
+            this.csrfToken = tokenData.csrfToken;
+            this.authToken = null;
+            this.refreshToken = null;
+            localStorage.removeItem('secureFileUploadToken');
+            localStorage.removeItem('secureFileUploadRefreshToken');
+            return;
+        }
+
+        this.sessionMode = false;
+        this.csrfToken = null;
+        this.authToken = tokenData.token;
+        this.refreshToken = tokenData.refreshToken;
+        localStorage.setItem('secureFileUploadToken', this.authToken);
+        localStorage.setItem('secureFileUploadRefreshToken', this.refreshToken);
+    }
+
+    async refreshAuthToken() {
+        if (!this.refreshToken) return false;
+
+        // Share one in-flight refresh between concurrent requests (refresh tokens are single-use)
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                try {
+                    const response = await fetch(`${this.authApiUrl}/refresh`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json'
+                        },
+                        body: JSON.stringify({ refreshToken: this.refreshToken })
+                    });
+
+                    const result = await response.json();
+                    if (!result.success) return false;
+
+                    this.storeTokens(result.data);
+                    return true;
+                } catch (error) {
+                    console.error('Token refresh error:', error);
+                    return false;
+                } finally {
+                    this.refreshPromise = null;
+                }
+            })();
+        }
+
+        return this.refreshPromise;
+    }
+
+    authHeaders(method = 'GET') {
+        // In session mode the browser sends the cookie; state-changing requests must echo the CSRF token
+        if (this.sessionMode) {
+            return ['GET', 'HEAD'].includes(method.toUpperCase()) ? {} : { 'X-CSRF-Token': this.csrfToken };
+        }
+
+        return { 'Authorization': `Bearer ${this.authToken}` };
+    }
+
+    async fetchWithAuth(url, options = {}) {
+        const withAuthHeader = () => ({
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                ...this.authHeaders(options.method)
+            }
+        });
+
+        let response = await fetch(url, withAuthHeader());
+
+        // Access tokens are short-lived: refresh once and retry
+        if (response.status === 401 && await this.refreshAuthToken()) {
+            response = await fetch(url, withAuthHeader());
+        }
+
+        return response;
+    }
+
     showAuth() {
         document.getElementById('auth-section').style.display = 'flex';
         document.getElementById('dashboard-section').style.display = 'none';
         document.getElementById('current-user').textContent = 'Not logged in';
         document.getElementById('logout-btn').style.display = 'none';
+        document.getElementById('logout-all-btn').style.display = 'none';
         this.showLoginForm();
     }
 
-    showDashboard() {
+    async showDashboard() {
         document.getElementById('auth-section').style.display = 'none';
         document.getElementById('dashboard-section').style.display = 'block';
         document.getElementById('current-user').textContent = this.currentUser.username;
         document.getElementById('logout-btn').style.display = 'inline-flex';
+        document.getElementById('logout-all-btn').style.display = 'inline-flex';
+
+        await this.loadPermissions();
+        if (this.can('files:write')) {
+            await this.loadUploadPolicy();
+        }
         
-        // Show admin tab if user is admin
-        if (this.currentUser.role === 'admin') {
+        // Show admin tab to roles that can view users
+        if (this.can('users:read')) {
             document.querySelector('.admin-only').style.display = 'inline-flex';
         } else {
             document.querySelector('.admin-only').style.display = 'none';
         }
         
         // Load initial data
-        this.loadFiles();
-        this.loadStats();
+        if (this.can('files:read')) {
+            this.loadFiles();
+        }
+        if (this.can('stats:read')) {
+            this.loadStats();
+        }
         
-        if (this.currentUser.role === 'admin') {
+        if (this.can('users:read')) {
+            await this.loadRoles();
             this.loadUsers();
             this.loadAdminStats();
+            this.loadInvites();
+            this.loadAuditTrail();
+        }
+        document.getElementById('invite-form').style.display = this.can('users:invite') ? 'block' : 'none';
+
+        document.getElementById('quarantine-section').style.display = this.can('quarantine:read') ? 'block' : 'none';
+        if (this.can('quarantine:read')) {
+            this.loadQuarantine();
+        }
+    }
+
+    async loadPermissions() {
+        try {
+            const response = await this.apiRequest('/auth/me');
+
+            if (response.success) {
+                const { permissions, ...user } = response.data;
+                this.permissions = permissions || [];
+                this.currentUser = user;
+                localStorage.setItem('secureFileUploadUser', JSON.stringify(this.currentUser));
+            } else {
+                this.permissions = [];
+            }
+        } catch (error) {
+            this.permissions = [];
+            console.error('Load permissions error:', error);
+        }
+    }
+
+    can(permission) {
+        return this.permissions.includes(permission);
+    }
+
+    async loadUploadPolicy() {
+        try {
+            const response = await this.apiRequest('/policy');
+
+            if (response.success) {
+                this.uploadPolicy = response.data;
+
+                // Offer only the file types this user may upload
+                const extensions = this.uploadPolicy.classes
+                    .filter(fileClass => fileClass.allowed)
+                    .flatMap(fileClass => fileClass.extensions);
+                document.getElementById('file-input').setAttribute('accept', extensions.join(','));
+            }
+        } catch (error) {
+            console.error('Load upload policy error:', error);
         }
     }
 
@@ -467,13 +1172,183 @@ class SecureFileUploadApp {
         this.currentTab = tabName;
 
         // Load data for specific tabs
-        if (tabName === 'files') {
+        if (tabName === 'files' && this.can('files:read')) {
             this.loadFiles();
-        } else if (tabName === 'stats') {
+        } else if (tabName === 'stats' && this.can('stats:read')) {
             this.loadStats();
+        } else if (tabName === 'security') {
+            this.renderSecurity();
         } else if (tabName === 'admin') {
             this.loadUsers();
             this.loadAdminStats();
+            this.loadInvites();
+            this.loadAuditTrail();
+            if (this.can('quarantine:read')) {
+                this.loadQuarantine();
+            }
+        }
+    }
+
+    // Account Security Methods
+    renderSecurity() {
+        this.loadPasskeys();
+        this.loadApiKeys();
+
+        const enabled = !!this.currentUser.twoFactorEnabled;
+
+        document.getElementById('twofactor-status').textContent = enabled
+            ? `Two-factor authentication is enabled. ${this.currentUser.recoveryCodesRemaining || 0} recovery codes remaining.`
+            : 'Two-factor authentication is not enabled.';
+        document.getElementById('enable-2fa-btn').style.display = enabled ? 'none' : 'inline-flex';
+        document.getElementById('twofactor-manage-form').style.display = enabled ? 'block' : 'none';
+        if (enabled) {
+            document.getElementById('twofactor-setup').style.display = 'none';
+        }
+    }
+
+    updateCurrentUser(user) {
+        this.currentUser = user;
+        localStorage.setItem('secureFileUploadUser', JSON.stringify(this.currentUser));
+        this.renderSecurity();
+    }
+
+    showRecoveryCodes(codes) {
+        document.getElementById('recovery-codes-list').textContent = codes.join('\n');
+        document.getElementById('recovery-codes-panel').style.display = 'block';
+    }
+
+    async startTwoFactorSetup() {
+        try {
+            const response = await this.apiRequest('/auth/2fa/setup', { method: 'POST' });
+
+            if (response.success) {
+                document.getElementById('twofactor-secret').textContent = response.data.secret;
+                document.getElementById('twofactor-uri').textContent = response.data.otpauthUri;
+                document.getElementById('twofactor-setup').style.display = 'block';
+                document.getElementById('recovery-codes-panel').style.display = 'none';
+                document.getElementById('twofactor-setup-code').focus();
+            } else {
+                this.showToast(`Failed to start 2FA setup: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to start 2FA setup: ${error.message}`, 'error');
+            console.error('Two-factor setup error:', error);
+        }
+    }
+
+    async confirmTwoFactorSetup() {
+        const codeInput = document.getElementById('twofactor-setup-code');
+
+        try {
+            const response = await this.apiRequest('/auth/2fa/confirm', {
+                method: 'POST',
+                body: JSON.stringify({ code: codeInput.value.trim() })
+            });
+            codeInput.value = '';
+
+            if (response.success) {
+                this.updateCurrentUser(response.data.user);
+                this.showRecoveryCodes(response.data.recoveryCodes);
+                this.showToast('Two-factor authentication enabled', 'success');
+            } else {
+                this.showToast(`Failed to enable 2FA: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to enable 2FA: ${error.message}`, 'error');
+            console.error('Two-factor confirm error:', error);
+        }
+    }
+
+    async regenerateRecoveryCodes() {
+        const code = document.getElementById('twofactor-manage-code').value.trim();
+        if (!code) {
+            this.showToast('Enter a code from your authenticator app', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiRequest('/auth/2fa/recovery-codes', {
+                method: 'POST',
+                body: JSON.stringify({ code })
+            });
+            document.getElementById('twofactor-manage-form').reset();
+
+            if (response.success) {
+                this.updateCurrentUser({
+                    ...this.currentUser,
+                    recoveryCodesRemaining: response.data.recoveryCodes.length
+                });
+                this.showRecoveryCodes(response.data.recoveryCodes);
+                this.showToast('New recovery codes generated', 'success');
+            } else {
+                this.showToast(`Failed to regenerate recovery codes: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to regenerate recovery codes: ${error.message}`, 'error');
+            console.error('Regenerate recovery codes error:', error);
+        }
+    }
+
+    async disableTwoFactor() {
+        const code = document.getElementById('twofactor-manage-code').value.trim();
+        const password = document.getElementById('twofactor-manage-password').value;
+        if (!code || !password) {
+            this.showToast('Enter your current password and an authenticator or recovery code', 'error');
+            return;
+        }
+
+        if (!confirm('Disable two-factor authentication for your account?')) return;
+
+        const factor = /^\d{6}$/.test(code) ? { code } : { recoveryCode: code };
+
+        try {
+            const response = await this.apiRequest('/auth/2fa/disable', {
+                method: 'POST',
+                body: JSON.stringify({ password, ...factor })
+            });
+            document.getElementById('twofactor-manage-form').reset();
+
+            if (response.success) {
+                this.updateCurrentUser(response.data);
+                document.getElementById('recovery-codes-panel').style.display = 'none';
+                this.showToast('Two-factor authentication disabled', 'success');
+            } else {
+                this.showToast(`Failed to disable 2FA: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to disable 2FA: ${error.message}`, 'error');
+            console.error('Disable two-factor error:', error);
+        }
+    }
+
+    async changePassword() {
+        const currentPassword = document.getElementById('change-current-password').value;
+        const newPassword = document.getElementById('change-new-password').value;
+        const confirmPassword = document.getElementById('change-confirm-password').value;
+
+        if (newPassword !== confirmPassword) {
+            this.showToast('New passwords do not match', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiRequest('/auth/password/change', {
+                method: 'POST',
+                body: JSON.stringify({ currentPassword, newPassword })
+            });
+            document.getElementById('change-password-form').reset();
+
+            if (response.success) {
+                // Every earlier session was revoked; continue with the new tokens
+                this.storeTokens(response.data);
+                this.updateCurrentUser(response.data.user);
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(`Failed to change password: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to change password: ${error.message}`, 'error');
+            console.error('Change password error:', error);
         }
     }
 
@@ -511,30 +1386,35 @@ class SecureFileUploadApp {
 
         if (!validFiles.length) return;
 
-        // Upload files
-        for (const file of validFiles) {
+        // Small files go together in batch requests, so a multi-file selection costs one request per batch;
+        // larger ones go through the resumable upload, which survives dropped connections
+        const batchSize = 10; // security.max_files_per_request
+        const smallFiles = validFiles.filter(file => file.size <= 1024 * 1024);
+        for (let start = 0; start < smallFiles.length; start += batchSize) {
+            await this.uploadBatch(smallFiles.slice(start, start + batchSize));
+        }
+
+        for (const file of validFiles.filter(file => file.size > 1024 * 1024)) {
             await this.uploadFile(file);
         }
     }
 
     validateFile(file) {
-        const maxSize = 10 * 1024 * 1024; // 10MB
-        const allowedTypes = [
-            'image/png', 'image/jpeg', 'image/gif',
-            'application/pdf',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'text/plain', 'text/csv',
-            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        ];
+        // Pre-check against the upload policy; the server validates again either way
+        if (!this.uploadPolicy) {
+            return true;
+        }
 
-        if (file.size > maxSize) {
-            this.showToast(`File ${file.name} is too large (max 10MB)`, 'error');
+        const extension = file.name.includes('.') ? `.${file.name.split('.').pop().toLowerCase()}` : '';
+        const fileClass = this.uploadPolicy.classes.find(entry => entry.extensions.includes(extension));
+
+        if (!fileClass || !fileClass.allowed || (file.type && !fileClass.mimeTypes.includes(file.type))) {
+            this.showToast(`File ${file.name} has an unsupported type`, 'error');
             return false;
         }
 
-        if (!allowedTypes.includes(file.type)) {
-            this.showToast(`File ${file.name} has an unsupported type`, 'error');
+        if (file.size > fileClass.maxSize) {
+            this.showToast(`File ${file.name} is too large (max ${this.formatFileSize(fileClass.maxSize)})`, 'error');
             return false;
         }
 
@@ -542,25 +1422,13 @@ class SecureFileUploadApp {
     }
 
     async uploadFile(file) {
-        const formData = new FormData();
-        formData.append('file', file);
-        formData.append('metadata', JSON.stringify({
-            uploadedAt: new Date().toISOString(),
-            userAgent: navigator.userAgent
-        }));
-
         try {
             this.showUploadProgress(file.name, 0);
-            
-            const response = await fetch(`${this.apiBaseUrl}/upload`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.authToken}`
-                },
-                body: formData
-            });
 
-            const result = await response.json();
+            const result = await this.uploadResumable(file, {
+                uploadedAt: new Date().toISOString(),
+                userAgent: navigator.userAgent
+            });
             
             if (result.success) {
                 this.showUploadProgress(file.name, 100);
@@ -582,7 +1450,206 @@ class SecureFileUploadApp {
         }
     }
 
-    showUploadProgress(fileName, progress) {
+    async uploadBatch(files) {
+        if (files.length === 1) {
+            return this.uploadFile(files[0]);
+        }
+
+        const label = `${files.length} files`;
+        try {
+            this.showUploadProgress(label, 0);
+
+            const formData = new FormData();
+            files.forEach(file => formData.append('files', file));
+            formData.append('metadata', JSON.stringify({
+                uploadedAt: new Date().toISOString(),
+                userAgent: navigator.userAgent
+            }));
+
+            const response = await this.fetchWithAuth('/api/upload', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!result.data || !result.data.results) {
+                throw new Error(result.error || `Upload failed with status ${response.status}`);
+            }
+
+            this.showUploadProgress(label, 100);
+            result.data.results.forEach(entry => {
+                if (entry.success) {
+                    this.showUploadResult(entry.filename, { data: entry }, 'success');
+                } else {
+                    this.showUploadResult(entry.filename, entry, 'error');
+                }
+            });
+
+            const { succeeded, failed } = result.data;
+            if (failed === 0) {
+                this.showToast(`${succeeded} files uploaded successfully`, 'success');
+            } else {
+                this.showToast(`${succeeded} of ${succeeded + failed} files uploaded`, succeeded ? 'warning' : 'error');
+            }
+
+            // Soft quota limit reached: the server adds the same warning to every file after the threshold
+            const quotaWarning = result.data.results
+                .flatMap(entry => entry.warnings || [])
+                .filter(warning => warning.includes('quota'))
+                .pop();
+            if (quotaWarning) {
+                this.showToast(quotaWarning, 'warning');
+            }
+
+            if (succeeded && this.currentTab === 'files') {
+                this.loadFiles();
+            }
+        } catch (error) {
+            files.forEach(file => this.showUploadResult(file.name, { error: error.message }, 'error'));
+            this.showToast(`Upload failed: ${error.message}`, 'error');
+            console.error('Upload error:', error);
+        }
+    }
+
+    // Resumable uploads (tus 1.0)
+    // The upload URL is remembered per file, so a dropped connection, a reload or picking the same file again
+    // continues from the offset the server already has
+    resumableUploadKey(file) {
+        return `secureFileUploadResumable:${this.currentUser.id}:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    encodeUploadMetadata(values) {
+        return Object.entries(values)
+            .map(([key, value]) => {
+                const bytes = new TextEncoder().encode(String(value));
+                let binary = '';
+                bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+                return `${key} ${btoa(binary)}`;
+            })
+            .join(',');
+    }
+
+    async readUploadError(response) {
+        try {
+            const result = await response.json();
+            return { success: false, ...result };
+        } catch (error) {
+            return { success: false, error: `Upload failed with status ${response.status}` };
+        }
+    }
+
+    waitForRetry(delay) {
+        return new Promise(resolve => {
+            const retry = () => setTimeout(resolve, delay);
+
+            // Offline: wait for the connection to come back before counting down
+            if (navigator.onLine === false) {
+                window.addEventListener('online', retry, { once: true });
+            } else {
+                retry();
+            }
+        });
+    }
+
+    async uploadResumable(file, metadata = {}) {
+        const chunkSize = 1024 * 1024; // 1MB
+        const retryDelays = [1000, 3000, 5000, 10000, 20000];
+        const tusHeaders = { 'Tus-Resumable': '1.0.0' };
+        const key = this.resumableUploadKey(file);
+        let uploadUrl = localStorage.getItem(key);
+        let offset = null; // Unknown until the server reports it
+        let attempt = 0;
+
+        while (true) {
+            try {
+                if (uploadUrl && offset === null) {
+                    const head = await this.fetchWithAuth(uploadUrl, {
+                        method: 'HEAD',
+                        headers: tusHeaders,
+                        cache: 'no-store'
+                    });
+
+                    if (head.ok) {
+                        offset = parseInt(head.headers.get('Upload-Offset'), 10);
+                    } else if (head.status >= 500) {
+                        throw new Error(`Server error ${head.status}`);
+                    } else {
+                        // Expired, finished or not ours: start over
+                        localStorage.removeItem(key);
+                        uploadUrl = null;
+                    }
+                }
+
+                if (!uploadUrl) {
+                    const created = await this.fetchWithAuth(`${this.apiBaseUrl}/uploads`, {
+                        method: 'POST',
+                        headers: {
+                            ...tusHeaders,
+                            'Upload-Length': String(file.size),
+                            'Upload-Metadata': this.encodeUploadMetadata({
+                                filename: file.name,
+                                filetype: file.type,
+                                ...metadata
+                            })
+                        }
+                    });
+
+                    if (created.status >= 500) {
+                        throw new Error(`Server error ${created.status}`);
+                    }
+                    if (created.status !== 201) {
+                        return await this.readUploadError(created);
+                    }
+
+                    uploadUrl = created.headers.get('Location');
+                    localStorage.setItem(key, uploadUrl);
+                    offset = 0;
+                }
+
+                const response = await this.fetchWithAuth(uploadUrl, {
+                    method: 'PATCH',
+                    headers: {
+                        ...tusHeaders,
+                        'Upload-Offset': String(offset),
+                        'Content-Type': 'application/offset+octet-stream'
+                    },
+                    body: file.slice(offset, Math.min(offset + chunkSize, file.size))
+                });
+
+                if (response.status === 204) {
+                    offset = parseInt(response.headers.get('Upload-Offset'), 10);
+                    attempt = 0;
+
+                    const fileId = response.headers.get('Upload-File-Id');
+                    if (fileId) {
+                        localStorage.removeItem(key);
+                        return { success: true, data: { fileId, fileSize: file.size } };
+                    }
+
+                    // Hold back 100% until the server has validated the assembled file
+                    this.showUploadProgress(file.name, Math.min(Math.floor(offset / file.size * 100), 99));
+                    continue;
+                }
+
+                if (response.status === 409 || response.status === 423 || response.status >= 500) {
+                    throw new Error(`Upload interrupted (status ${response.status})`);
+                }
+
+                // Validation and rate limit failures; a rate-limited upload keeps its data for a later retry
+                if (response.status !== 429) {
+                    localStorage.removeItem(key);
+                }
+                return await this.readUploadError(response);
+
+            } catch (error) {
+                if (attempt >= retryDelays.length) {
+                    throw error;
+                }
+
+                console.warn(`Upload of ${file.name} interrupted, retrying:`, error.message);
+                await this.waitForRetry(retryDelays[attempt++]);
+                offset = null; // Ask the server how much it has before continuing
+            }
+        }
+    }
+
+    showUploadProgress(fileName, progress) {
         const progressContainer = document.getElementById('upload-progress');
         const progressFill = document.getElementById('progress-fill');
         const progressText = document.getElementById('progress-text');
@@ -693,10 +1760,11 @@ class SecureFileUploadApp {
                         ${this.formatDate(file.uploadTimestamp)} • 
                         Status: ${file.status} • 
                         Access: ${file.accessCount} times
+                        ${file.virusScanStatus !== 'clean' ? `<span class="status-badge ${file.virusScanStatus}">${file.virusScanStatus === 'pending' ? 'scanning' : file.virusScanStatus}</span>` : ''}
                     </div>
                 </div>
                 <div class="file-actions">
-                    <button class="btn btn-sm btn-primary" data-file-action="download" data-file-id="${file.id}">
+                    <button class="btn btn-sm btn-primary" data-file-action="download" data-file-id="${file.id}" ${file.virusScanStatus !== 'clean' ? 'disabled title="Available once the virus scan has passed"' : ''}>
                         📥 Download
                     </button>
                     <button class="btn btn-sm btn-secondary" data-file-action="view" data-file-id="${file.id}">
@@ -754,11 +1822,7 @@ class SecureFileUploadApp {
 
     async downloadFile(fileId) {
         try {
-            const response = await fetch(`${this.apiBaseUrl}/files/${fileId}`, {
-                headers: {
-                    'Authorization': `Bearer ${this.authToken}`
-                }
-            });
+            const response = await this.fetchWithAuth(`${this.apiBaseUrl}/files/${fileId}`);
 
             if (response.ok) {
                 const blob = await response.blob();
@@ -820,6 +1884,14 @@ class SecureFileUploadApp {
             `;
         }
 
+        const extracted = fileData.extracted || {};
+        const dimensionsHtml = extracted.width
+            ? `<div><strong>Dimensions:</strong> ${Number(extracted.width)} × ${Number(extracted.height)}</div>`
+            : '';
+        const jobsHtml = Object.entries(fileData.jobs || {}).map(([type, job]) =>
+            `<span class="status-badge ${this.escapeHtml(job.status)}">${this.escapeHtml(type.replace('_', ' '))}: ${this.escapeHtml(job.status)}</span>`
+        ).join(' ');
+
         details.innerHTML = `
             ${imagePreviewHtml}
             <div style="display: grid; gap: 1rem;">
@@ -831,6 +1903,8 @@ class SecureFileUploadApp {
                 <div><strong>Access Count:</strong> ${fileData.accessCount}</div>
                 <div><strong>Status:</strong> <span class="status-badge ${fileData.status}">${fileData.status}</span></div>
                 <div><strong>Virus Scan:</strong> <span class="status-badge ${fileData.virusScanStatus}">${fileData.virusScanStatus}</span></div>
+                ${dimensionsHtml}
+                ${jobsHtml ? `<div><strong>Processing:</strong> ${jobsHtml}</div>` : ''}
                 <div><strong>Checksum:</strong> <code style="font-size: 0.75rem; word-break: break-all;">${fileData.checksum}</code></div>
             </div>
         `;
@@ -848,9 +1922,8 @@ class SecureFileUploadApp {
         
         try {
             // Add cache-busting parameter for fresh images
-            const response = await fetch(`${this.apiBaseUrl}/files/${fileId}/preview?_t=${Date.now()}`, {
+            const response = await this.fetchWithAuth(`${this.apiBaseUrl}/files/${fileId}/preview?_t=${Date.now()}`, {
                 headers: {
-                    'Authorization': `Bearer ${this.authToken}`,
                     'Cache-Control': 'no-cache',
                     'Pragma': 'no-cache'
                 },
@@ -932,12 +2005,35 @@ class SecureFileUploadApp {
         document.getElementById('stat-total-files').textContent = stats.totalFiles || 0;
         document.getElementById('stat-active-files').textContent = stats.activeFiles || 0;
         document.getElementById('stat-storage-used').textContent = stats.storage?.totalSizeFormatted || '0 Bytes';
+        this.renderQuota(stats.quota);
         
         const statusElement = document.getElementById('stat-system-status');
         statusElement.textContent = 'Healthy';
         statusElement.className = 'stat-status healthy';
     }
 
+    renderQuota(quota) {
+        const container = document.getElementById('quota-usage');
+        container.style.display = quota ? 'block' : 'none';
+        if (!quota) return;
+
+        const meters = [
+            { key: 'storage', percent: quota.storagePercent, text: quota.maxBytes
+                ? `${this.formatFileSize(quota.usedBytes)} of ${this.formatFileSize(quota.maxBytes)}`
+                : `${this.formatFileSize(quota.usedBytes)} (unlimited)` },
+            { key: 'files', percent: quota.filesPercent, text: quota.maxFiles
+                ? `${quota.usedFiles} of ${quota.maxFiles} files`
+                : `${quota.usedFiles} files (unlimited)` }
+        ];
+
+        meters.forEach(({ key, percent, text }) => {
+            const fill = document.getElementById(`quota-${key}-fill`);
+            fill.style.width = `${percent || 0}%`;
+            fill.closest('.quota-meter').classList.toggle('warning', percent !== null && percent >= quota.warnPercent);
+            document.getElementById(`quota-${key}-text`).textContent = text;
+        });
+    }
+
     // Admin Methods
     async loadUsers() {
         const status = document.getElementById('user-status-filter').value;
@@ -990,14 +2086,17 @@ class SecureFileUploadApp {
                 <div class="user-info">
                     <div class="user-name">${this.escapeHtml(user.firstName)} ${this.escapeHtml(user.lastName)}</div>
                     <div class="user-meta">
-                        @${this.escapeHtml(user.username)} • ${this.escapeHtml(user.email)} • 
+                        @${this.escapeHtml(user.username)} • ${this.escapeHtml(user.email)}
+                        ${user.emailVerified ? '<span class="email-status verified">✓ verified</span>' : '<span class="email-status unverified">⚠ unverified</span>'} • 
                         Joined: ${this.formatDate(user.createdAt)} • 
                         Last Login: ${user.lastLogin ? this.formatDate(user.lastLogin) : 'Never'}
+                        ${user.lockedUntil ? ` • 🔒 Locked until ${this.formatDate(user.lockedUntil)}` : ''}
                     </div>
                 </div>
                 <div class="user-status ${user.status}">${user.status}</div>
+                <div class="user-role">${this.renderRoleControl(user)}</div>
                 <div class="user-actions">
-                    ${user.status === 'pending' ? `
+                    ${user.status === 'pending' && this.can('users:approve') ? `
                         <button class="btn btn-sm btn-primary" data-action="approve" data-user-id="${this.escapeHtml(user.id)}">
                             ✅ Approve
                         </button>
@@ -1006,10 +2105,482 @@ class SecureFileUploadApp {
                         </button>
                     ` : ''}
                     ${user.status === 'active' ? `
-                        <button class="btn btn-sm btn-danger" data-action="suspend" data-user-id="${this.escapeHtml(user.id)}">
-                            ⏸️ Suspend
+                        ${this.can('users:sessions') ? `
+                            <button class="btn btn-sm btn-secondary" data-action="revoke-sessions" data-user-id="${this.escapeHtml(user.id)}">
+                                🔒 Revoke Sessions
+                            </button>
+                        ` : ''}
+                        ${user.twoFactorEnabled && this.can('users:2fa') ? `
+                            <button class="btn btn-sm btn-secondary" data-action="reset-2fa" data-user-id="${this.escapeHtml(user.id)}">
+                                📱 Reset 2FA
+                            </button>
+                        ` : ''}
+                        ${this.can('users:suspend') ? `
+                            <button class="btn btn-sm btn-danger" data-action="suspend" data-user-id="${this.escapeHtml(user.id)}">
+                                ⏸️ Suspend
+                            </button>
+                        ` : ''}
+                    ` : ''}
+                    ${['suspended', 'rejected'].includes(user.status) && this.can('users:suspend') ? `
+                        <button class="btn btn-sm btn-primary" data-action="reactivate" data-user-id="${this.escapeHtml(user.id)}">
+                            ▶️ Reactivate
                         </button>
                     ` : ''}
+                    ${user.lockedUntil && this.can('users:unlock') ? `
+                        <button class="btn btn-sm btn-secondary" data-action="unlock" data-user-id="${this.escapeHtml(user.id)}">
+                            🔓 Unlock
+                        </button>
+                    ` : ''}
+                    ${this.can('users:delete') && user.id !== this.currentUser.id ? `
+                        <button class="btn btn-sm btn-danger" data-action="delete" data-user-id="${this.escapeHtml(user.id)}">
+                            🗑️ Delete
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    renderRoleControl(user) {
+        if (!this.canAssignRoles || user.id === this.currentUser.id) {
+            return `<span class="role-badge">${this.escapeHtml(user.role)}</span>`;
+        }
+
+        return `
+            <select class="role-select" data-action="role" data-user-id="${this.escapeHtml(user.id)}" aria-label="Role">
+                ${this.roles.map(role => `
+                    <option value="${this.escapeHtml(role.name)}" ${role.name === user.role ? 'selected' : ''} title="${this.escapeHtml(role.description)}">
+                        ${this.escapeHtml(role.name)}
+                    </option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    async loadRoles() {
+        try {
+            const response = await this.apiRequest('/auth/admin/roles');
+
+            if (response.success) {
+                this.roles = response.data.roles;
+                this.canAssignRoles = response.data.canAssignRoles;
+                this.renderInviteRoleOptions();
+            }
+        } catch (error) {
+            console.error('Load roles error:', error);
+        }
+    }
+
+    async assignRole(userId, role) {
+        const user = this.users.find(u => u.id === userId);
+        const reason = prompt(`Change ${user ? user.username : 'this user'}'s role to ${role}? They will be signed out of all sessions.\n\nPlease provide a reason:`);
+        if (!reason) {
+            this.renderUsersList();
+            return;
+        }
+
+        try {
+            const response = await this.apiRequest(`/auth/admin/users/${userId}/role`, {
+                method: 'POST',
+                body: JSON.stringify({ role, reason })
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(`Failed to change role: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to change role: ${error.message}`, 'error');
+            console.error('Assign role error:', error);
+        }
+
+        this.loadUsers();
+        this.loadAdminStats();
+        this.loadAuditTrail();
+    }
+
+    async reactivateUser(userId) {
+        const reason = prompt('Please provide a reason for reactivation:');
+        if (!reason) return;
+
+        await this.runAdminAction(`/auth/admin/users/${userId}/reactivate`, 'POST', { reason },
+            'User reactivated successfully', 'Failed to reactivate user');
+    }
+
+    async unlockUser(userId) {
+        const reason = prompt('Please provide a reason for unlocking this account:');
+        if (!reason) return;
+
+        await this.runAdminAction(`/auth/admin/users/${userId}/unlock`, 'POST', { reason },
+            'User unlocked successfully', 'Failed to unlock user');
+    }
+
+    async deleteUser(userId) {
+        const user = this.users.find(u => u.id === userId);
+        const username = user ? user.username : 'this user';
+
+        const reason = prompt(`Permanently delete ${username}? This cannot be undone.\n\nPlease provide a reason:`);
+        if (!reason) return;
+
+        const files = (prompt('What should happen to their files? Type reassign, archive or purge:', 'archive') || '').trim().toLowerCase();
+        if (!['reassign', 'archive', 'purge'].includes(files)) {
+            this.showToast('Deletion cancelled: choose reassign, archive or purge', 'error');
+            return;
+        }
+
+        const body = { reason, files };
+        if (files === 'reassign') {
+            const newOwner = await this.findUserByUsername(prompt('Username of the new owner:'));
+            if (!newOwner) {
+                this.showToast('Deletion cancelled: new owner not found', 'error');
+                return;
+            }
+            body.reassignTo = newOwner.id;
+        }
+
+        await this.runAdminAction(`/auth/admin/users/${userId}`, 'DELETE', body,
+            'User deleted successfully', 'Failed to delete user');
+    }
+
+    async findUserByUsername(username) {
+        if (!username) return null;
+
+        const response = await this.apiRequest('/auth/admin/users?limit=1000');
+        if (!response.success) return null;
+
+        return response.data.find(u => u.username === username.trim().toLowerCase()) || null;
+    }
+
+    async runAdminAction(url, method, body, successMessage, failureMessage) {
+        try {
+            const response = await this.apiRequest(url, {
+                method,
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showToast(successMessage, 'success');
+                this.loadUsers();
+                this.loadAdminStats();
+                this.loadAuditTrail();
+            } else {
+                this.showToast(`${failureMessage}: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`${failureMessage}: ${error.message}`, 'error');
+            console.error('Admin action error:', error);
+        }
+    }
+
+    renderInviteRoleOptions() {
+        // Roles granting more than the current admin holds are refused by the server
+        document.getElementById('invite-role').innerHTML = this.roles.map(role => `
+            <option value="${this.escapeHtml(role.name)}" ${role.name === 'user' ? 'selected' : ''} title="${this.escapeHtml(role.description)}">
+                ${this.escapeHtml(role.name)}
+            </option>
+        `).join('');
+    }
+
+    async loadInvites() {
+        try {
+            const response = await this.apiRequest('/auth/admin/invites');
+
+            if (response.success) {
+                this.renderInvites(response.data);
+            }
+        } catch (error) {
+            console.error('Load invites error:', error);
+        }
+    }
+
+    renderInvites(invites) {
+        const invitesList = document.getElementById('invites-list');
+
+        if (invites.length === 0) {
+            invitesList.innerHTML = '<p style="color: var(--text-secondary);">No invites created yet</p>';
+            return;
+        }
+
+        invitesList.innerHTML = invites.map(invite => `
+            <div class="user-item">
+                <div class="user-avatar">✉️</div>
+                <div class="user-info">
+                    <div class="user-name">
+                        ${this.escapeHtml(invite.prefix)}-…
+                        <span class="role-badge">${this.escapeHtml(invite.role)}</span>
+                    </div>
+                    <div class="user-meta">
+                        Used ${invite.uses}/${invite.maxUses} • Expires ${this.formatDate(invite.expiresAt)}
+                        • By @${this.escapeHtml(invite.createdByUsername || 'deleted user')}
+                        ${invite.note ? ` • ${this.escapeHtml(invite.note)}` : ''}
+                    </div>
+                    ${invite.redemptions.length > 0 ? `
+                        <div class="user-meta">
+                            Redeemed by ${invite.redemptions.map(r => `@${this.escapeHtml(r.username)} (${this.formatDate(r.redeemedAt)})`).join(', ')}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="user-status ${invite.status === 'active' ? 'active' : 'rejected'}">${this.escapeHtml(invite.status)}</div>
+                <div class="user-actions">
+                    ${invite.status === 'active' && this.can('users:invite') ? `
+                        <button class="btn btn-sm btn-danger" data-action="revoke-invite" data-invite-id="${this.escapeHtml(invite.id)}">
+                            Revoke
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async createInvite() {
+        const body = {
+            role: document.getElementById('invite-role').value,
+            maxUses: parseInt(document.getElementById('invite-max-uses').value, 10),
+            expiresInDays: parseInt(document.getElementById('invite-expiry').value, 10),
+            note: document.getElementById('invite-note').value.trim()
+        };
+
+        try {
+            const response = await this.apiRequest('/auth/admin/invites', {
+                method: 'POST',
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                const link = `${window.location.origin}/?invite=${encodeURIComponent(response.data.code)}`;
+                const result = document.getElementById('invite-code-result');
+                result.innerHTML = `
+                    <p><strong>${this.escapeHtml(response.data.code)}</strong></p>
+                    <p class="form-help">Invite link: ${this.escapeHtml(link)}</p>
+                    <p class="form-help">${this.escapeHtml(response.message)}</p>
+                `;
+                result.style.display = 'block';
+                document.getElementById('invite-note').value = '';
+                this.showToast('Invite created successfully', 'success');
+                this.loadInvites();
+            } else {
+                this.showToast(`Failed to create invite: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to create invite: ${error.message}`, 'error');
+            console.error('Create invite error:', error);
+        }
+    }
+
+    async revokeInvite(inviteId) {
+        if (!confirm('Revoke this invite? Accounts already created with it are not affected.')) return;
+
+        try {
+            const response = await this.apiRequest(`/auth/admin/invites/${inviteId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.loadInvites();
+            } else {
+                this.showToast(`Failed to revoke invite: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to revoke invite: ${error.message}`, 'error');
+            console.error('Revoke invite error:', error);
+        }
+    }
+
+    async loadQuarantine() {
+        try {
+            const response = await this.apiRequest('/admin/quarantine?limit=50');
+
+            if (response.success) {
+                this.renderQuarantine(response.data);
+            }
+        } catch (error) {
+            console.error('Load quarantine error:', error);
+        }
+    }
+
+    renderQuarantine(files) {
+        const quarantineList = document.getElementById('quarantine-list');
+
+        if (files.length === 0) {
+            quarantineList.innerHTML = '<p style="color: var(--text-secondary);">No files in quarantine</p>';
+            return;
+        }
+
+        const canManage = this.can('quarantine:manage');
+        const currentUserId = this.currentUser && this.currentUser.id;
+
+        quarantineList.innerHTML = files.map(file => {
+            const request = file.releaseRequest;
+            const fileId = this.escapeHtml(file.id);
+            const owner = (this.users || []).find(u => u.id === file.userId);
+
+            return `
+                <div class="user-item">
+                    <div class="user-avatar">🦠</div>
+                    <div class="user-info">
+                        <div class="user-name">
+                            ${this.escapeHtml(file.originalFilename)}
+                            <span class="status-badge ${this.escapeHtml(file.virusScanStatus)}">${this.escapeHtml(file.virusScanStatus)}</span>
+                        </div>
+                        <div class="user-meta">
+                            Owner ${owner ? `@${this.escapeHtml(owner.username)}` : this.escapeHtml(file.userId)}
+                            • ${this.formatFileSize(file.fileSize)}
+                            • Quarantined ${file.quarantineTimestamp ? this.formatDate(file.quarantineTimestamp) : 'at an unknown time'}
+                            ${file.quarantineReason ? ` • ${this.escapeHtml(file.quarantineReason)}` : ''}
+                        </div>
+                        ${request ? `
+                            <div class="user-meta">
+                                Release requested by @${this.escapeHtml(request.requestedByUsername)} (${this.formatDate(request.requestedAt)}):
+                                ${this.escapeHtml(request.justification)}
+                            </div>
+                        ` : ''}
+                    </div>
+                    <div class="user-actions">
+                        <button class="btn btn-sm btn-secondary" data-action="quarantine-details" data-file-id="${fileId}">Details</button>
+                        ${canManage && !request ? `
+                            <button class="btn btn-sm btn-primary" data-action="request-release" data-file-id="${fileId}">Request Release</button>
+                        ` : ''}
+                        ${canManage && request && request.requestedBy !== currentUserId ? `
+                            <button class="btn btn-sm btn-primary" data-action="approve-release" data-file-id="${fileId}">Approve Release</button>
+                        ` : ''}
+                        ${canManage && request ? `
+                            <button class="btn btn-sm btn-secondary" data-action="withdraw-release" data-file-id="${fileId}">
+                                ${request.requestedBy === currentUserId ? 'Withdraw' : 'Decline'}
+                            </button>
+                        ` : ''}
+                        ${canManage ? `
+                            <button class="btn btn-sm btn-danger" data-action="purge-file" data-file-id="${fileId}">Purge</button>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async showQuarantineDetails(fileId) {
+        try {
+            const response = await this.apiRequest(`/admin/quarantine/${fileId}`);
+
+            if (!response.success) {
+                this.showToast(`Failed to load file details: ${response.error}`, 'error');
+                return;
+            }
+
+            const file = response.data;
+            const modal = document.getElementById('file-modal');
+            this.currentModalFileId = null;
+            this.currentModalFileName = null;
+
+            document.getElementById('file-details').innerHTML = `
+                <div style="display: grid; gap: 1rem;">
+                    <div><strong>Filename:</strong> ${this.escapeHtml(file.originalFilename)}</div>
+                    <div><strong>Owner:</strong> ${this.escapeHtml(file.userId)}</div>
+                    <div><strong>Size:</strong> ${this.formatFileSize(file.fileSize)}</div>
+                    <div><strong>Type:</strong> ${this.escapeHtml(file.mimeType)} (${this.escapeHtml(file.fileExtension)})</div>
+                    <div><strong>Uploaded:</strong> ${this.formatDate(file.uploadTimestamp)}</div>
+                    <div><strong>Quarantine Reason:</strong> ${this.escapeHtml(file.quarantineReason || 'Not recorded')}</div>
+                    <div><strong>Virus Scan:</strong> <span class="status-badge ${this.escapeHtml(file.scan.status)}">${this.escapeHtml(file.scan.status)}</span>
+                        ${file.scan.engine ? ` via ${this.escapeHtml(file.scan.engine)}` : ''}
+                        ${file.scan.timestamp ? ` on ${this.formatDate(file.scan.timestamp)}` : ''}</div>
+                    <div><strong>Scan Details:</strong> <code style="font-size: 0.75rem; word-break: break-all;">${this.escapeHtml(file.scan.details || 'None')}</code></div>
+                    <div><strong>Same Content:</strong> ${file.sharedWith.length} other file(s)</div>
+                    <div><strong>Checksum:</strong> <code style="font-size: 0.75rem; word-break: break-all;">${this.escapeHtml(file.checksum)}</code></div>
+                    ${file.releaseHistory.length > 0 ? `
+                        <div><strong>Earlier Releases:</strong> ${file.releaseHistory.map(release =>
+                            `${this.formatDate(release.releasedAt)} by @${this.escapeHtml(release.requestedByUsername)} and @${this.escapeHtml(release.approvedByUsername)}`
+                        ).join('; ')}</div>
+                    ` : ''}
+                </div>
+            `;
+            modal.classList.add('show');
+        } catch (error) {
+            this.showToast(`Failed to load file details: ${error.message}`, 'error');
+            console.error('Quarantine details error:', error);
+        }
+    }
+
+    async requestRelease(fileId) {
+        const justification = prompt('Why is this file safe to release? Another admin must approve the release.');
+        if (!justification) return;
+
+        await this.runQuarantineAction(`/admin/quarantine/${fileId}/release`, 'POST', { justification },
+            'Release requested; waiting for a second admin', 'Failed to request release');
+    }
+
+    async approveRelease(fileId) {
+        if (!confirm('Approve this release? The file will be returned to its owner and can be downloaded again.')) return;
+
+        await this.runQuarantineAction(`/admin/quarantine/${fileId}/release/approve`, 'POST', {},
+            'File released from quarantine', 'Failed to approve release');
+    }
+
+    async withdrawRelease(fileId) {
+        const reason = prompt('Please provide a reason for withdrawing or declining this release:');
+        if (!reason) return;
+
+        await this.runQuarantineAction(`/admin/quarantine/${fileId}/release`, 'DELETE', { reason },
+            'Release request withdrawn', 'Failed to withdraw release');
+    }
+
+    async purgeQuarantinedFile(fileId) {
+        const reason = prompt('Permanently delete this file? This cannot be undone.\n\nPlease provide a reason:');
+        if (!reason) return;
+
+        await this.runQuarantineAction(`/admin/quarantine/${fileId}`, 'DELETE', { reason },
+            'File purged', 'Failed to purge file');
+    }
+
+    async runQuarantineAction(url, method, body, successMessage, failureMessage) {
+        try {
+            const response = await this.apiRequest(url, {
+                method,
+                body: JSON.stringify(body)
+            });
+
+            if (response.success) {
+                this.showToast(successMessage, 'success');
+            } else {
+                this.showToast(`${failureMessage}: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`${failureMessage}: ${error.message}`, 'error');
+            console.error('Quarantine action error:', error);
+        }
+
+        this.loadQuarantine();
+    }
+
+    async loadAuditTrail() {
+        try {
+            const response = await this.apiRequest('/auth/admin/audit?limit=20');
+
+            if (response.success) {
+                this.renderAuditTrail(response.data);
+            }
+        } catch (error) {
+            console.error('Load audit trail error:', error);
+        }
+    }
+
+    renderAuditTrail(entries) {
+        const auditList = document.getElementById('audit-list');
+
+        if (entries.length === 0) {
+            auditList.innerHTML = '<p style="color: var(--text-secondary);">No admin actions recorded yet</p>';
+            return;
+        }
+
+        auditList.innerHTML = entries.map(entry => `
+            <div class="user-item">
+                <div class="user-avatar">📜</div>
+                <div class="user-info">
+                    <div class="user-name">${this.escapeHtml(entry.action.replace(/_/g, ' '))}: @${this.escapeHtml(entry.targetUsername)}</div>
+                    <div class="user-meta">
+                        By @${this.escapeHtml(entry.actorUsername)} • ${this.formatDate(entry.timestamp)}
+                        ${entry.reason ? ` • Reason: ${this.escapeHtml(entry.reason)}` : ''}
+                    </div>
                 </div>
             </div>
         `).join('');
@@ -1058,9 +2629,19 @@ class SecureFileUploadApp {
     }
 
     async approveUser(userId) {
+        const user = this.users.find(u => u.id === userId);
+        if (user && !user.emailVerified &&
+            !confirm(`${user.email} has not been verified yet. Approve this account anyway?`)) {
+            return;
+        }
+
+        const reason = prompt('Please provide a reason for approval:');
+        if (!reason) return;
+
         try {
             const response = await this.apiRequest(`/auth/admin/users/${userId}/approve`, {
-                method: 'POST'
+                method: 'POST',
+                body: JSON.stringify({ reason })
             });
 
             if (response.success) {
@@ -1122,6 +2703,276 @@ class SecureFileUploadApp {
         }
     }
 
+    async revokeUserSessions(userId) {
+        if (!confirm('Sign this user out of all sessions?')) return;
+
+        try {
+            const response = await this.apiRequest(`/auth/admin/users/${userId}/revoke-sessions`, {
+                method: 'POST'
+            });
+
+            if (response.success) {
+                this.showToast('User sessions revoked successfully', 'success');
+            } else {
+                this.showToast(`Failed to revoke sessions: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to revoke sessions: ${error.message}`, 'error');
+            console.error('Revoke sessions error:', error);
+        }
+    }
+
+    async loadPasskeys() {
+        try {
+            const response = await this.apiRequest('/auth/webauthn/credentials');
+
+            if (response.success) {
+                this.renderPasskeys(response.data);
+            } else {
+                this.showToast('Failed to load passkeys', 'error');
+            }
+        } catch (error) {
+            console.error('Load passkeys error:', error);
+        }
+    }
+
+    renderPasskeys(passkeys) {
+        const passkeysList = document.getElementById('passkeys-list');
+        document.getElementById('add-passkey-btn').style.display = window.PublicKeyCredential ? 'inline-flex' : 'none';
+
+        if (passkeys.length === 0) {
+            passkeysList.innerHTML = '<p style="color: var(--text-secondary);">No passkeys registered</p>';
+            return;
+        }
+
+        passkeysList.innerHTML = passkeys.map(passkey => `
+            <div class="user-item">
+                <div class="user-avatar">🔑</div>
+                <div class="user-info">
+                    <div class="user-name">${this.escapeHtml(passkey.name)}</div>
+                    <div class="user-meta">
+                        Added: ${this.formatDate(passkey.createdAt)} •
+                        Last Used: ${passkey.lastUsedAt ? this.formatDate(passkey.lastUsedAt) : 'Never'}
+                    </div>
+                </div>
+                <div class="user-actions">
+                    <button class="btn btn-sm btn-danger" data-passkey-id="${this.escapeHtml(passkey.id)}">
+                        🗑️ Remove
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async registerPasskey() {
+        try {
+            const optionsResponse = await this.apiRequest('/auth/webauthn/register/options', { method: 'POST' });
+            if (!optionsResponse.success) {
+                this.showToast(`Failed to add passkey: ${optionsResponse.error}`, 'error');
+                return;
+            }
+
+            const options = optionsResponse.data;
+            const credential = await navigator.credentials.create({
+                publicKey: {
+                    ...options,
+                    challenge: this.base64UrlToBuffer(options.challenge),
+                    user: {
+                        ...options.user,
+                        id: new TextEncoder().encode(options.user.id)
+                    },
+                    excludeCredentials: (options.excludeCredentials || []).map(descriptor => ({
+                        ...descriptor,
+                        id: this.base64UrlToBuffer(descriptor.id)
+                    }))
+                }
+            });
+
+            const name = prompt('Name this passkey (e.g. "Work laptop"):');
+
+            const response = await this.apiRequest('/auth/webauthn/register/verify', {
+                method: 'POST',
+                body: JSON.stringify({
+                    name: name ? name.trim().substring(0, 50) : undefined,
+                    response: {
+                        id: credential.id,
+                        rawId: this.bufferToBase64Url(credential.rawId),
+                        type: credential.type,
+                        response: {
+                            clientDataJSON: this.bufferToBase64Url(credential.response.clientDataJSON),
+                            attestationObject: this.bufferToBase64Url(credential.response.attestationObject),
+                            transports: credential.response.getTransports ? credential.response.getTransports() : []
+                        },
+                        clientExtensionResults: credential.getClientExtensionResults()
+                    }
+                })
+            });
+
+            if (response.success) {
+                this.updateCurrentUser(response.data.user);
+                this.showToast('Passkey added successfully', 'success');
+            } else {
+                this.showToast(`Failed to add passkey: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            if (error.name !== 'NotAllowedError') {
+                this.showToast(`Failed to add passkey: ${error.message}`, 'error');
+            }
+            console.error('Register passkey error:', error);
+        }
+    }
+
+    async removePasskey(credentialId) {
+        if (!confirm('Remove this passkey? You will no longer be able to sign in with it.')) return;
+
+        try {
+            const response = await this.apiRequest(`/auth/webauthn/credentials/${encodeURIComponent(credentialId)}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                this.updateCurrentUser(response.data);
+                this.showToast('Passkey removed successfully', 'success');
+            } else {
+                this.showToast(`Failed to remove passkey: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to remove passkey: ${error.message}`, 'error');
+            console.error('Remove passkey error:', error);
+        }
+    }
+
+    async loadApiKeys() {
+        try {
+            const response = await this.apiRequest('/auth/api-keys');
+
+            if (response.success) {
+                this.renderApiKeyScopes(response.data.availableScopes);
+                this.renderApiKeys(response.data.apiKeys);
+            } else {
+                this.showToast('Failed to load API keys', 'error');
+            }
+        } catch (error) {
+            console.error('Load API keys error:', error);
+        }
+    }
+
+    renderApiKeyScopes(scopes) {
+        const container = document.getElementById('api-key-scopes');
+
+        // The server only offers scopes the user's role can grant
+        container.innerHTML = scopes
+            .map(scope => `
+                <label>
+                    <input type="checkbox" name="api-key-scope" value="${this.escapeHtml(scope)}">
+                    <code>${this.escapeHtml(scope)}</code>
+                </label>
+            `).join('');
+    }
+
+    renderApiKeys(apiKeys) {
+        const apiKeysList = document.getElementById('api-keys-list');
+
+        if (apiKeys.length === 0) {
+            apiKeysList.innerHTML = '<p style="color: var(--text-secondary);">No API keys created</p>';
+            return;
+        }
+
+        apiKeysList.innerHTML = apiKeys.map(apiKey => `
+            <div class="user-item">
+                <div class="user-avatar">🗝️</div>
+                <div class="user-info">
+                    <div class="user-name">${this.escapeHtml(apiKey.name)} <code>${this.escapeHtml(apiKey.prefix)}…</code></div>
+                    <div class="user-meta">
+                        Scopes: ${apiKey.scopes.map(scope => this.escapeHtml(scope)).join(', ')} •
+                        ${apiKey.expired ? 'Expired' : 'Expires'}: ${this.formatDate(apiKey.expiresAt)} •
+                        Last Used: ${apiKey.lastUsedAt ? `${this.formatDate(apiKey.lastUsedAt)} from ${this.escapeHtml(apiKey.lastUsedIp)}` : 'Never'}
+                    </div>
+                </div>
+                <div class="user-actions">
+                    <button class="btn btn-sm btn-danger" data-api-key-id="${this.escapeHtml(apiKey.id)}">
+                        🗑️ Revoke
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    async createApiKey() {
+        const name = document.getElementById('api-key-name').value.trim();
+        const expiresInDays = parseInt(document.getElementById('api-key-expiry').value, 10);
+        const scopes = Array.from(document.querySelectorAll('input[name="api-key-scope"]:checked'))
+            .map(input => input.value);
+
+        if (scopes.length === 0) {
+            this.showToast('Select at least one scope', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.apiRequest('/auth/api-keys', {
+                method: 'POST',
+                body: JSON.stringify({ name, scopes, expiresInDays })
+            });
+
+            if (response.success) {
+                document.getElementById('api-key-form').reset();
+                document.getElementById('api-key-value').textContent = response.data.key;
+                document.getElementById('api-key-created').style.display = 'block';
+                this.showToast(response.message, 'success');
+                this.loadApiKeys();
+            } else {
+                this.showToast(`Failed to create API key: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to create API key: ${error.message}`, 'error');
+            console.error('Create API key error:', error);
+        }
+    }
+
+    async revokeApiKey(keyId) {
+        if (!confirm('Revoke this API key? Anything using it will stop working immediately.')) return;
+
+        try {
+            const response = await this.apiRequest(`/auth/api-keys/${encodeURIComponent(keyId)}`, {
+                method: 'DELETE'
+            });
+
+            if (response.success) {
+                document.getElementById('api-key-created').style.display = 'none';
+                this.showToast('API key revoked successfully', 'success');
+                this.loadApiKeys();
+            } else {
+                this.showToast(`Failed to revoke API key: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to revoke API key: ${error.message}`, 'error');
+            console.error('Revoke API key error:', error);
+        }
+    }
+
+    async resetUserTwoFactor(userId) {
+        const reason = prompt('Please provide a reason for resetting two-factor authentication:');
+        if (!reason) return;
+
+        try {
+            const response = await this.apiRequest(`/auth/admin/users/${userId}/reset-2fa`, {
+                method: 'POST',
+                body: JSON.stringify({ reason })
+            });
+
+            if (response.success) {
+                this.showToast('Two-factor authentication reset successfully', 'success');
+                this.loadUsers();
+            } else {
+                this.showToast(`Failed to reset 2FA: ${response.error}`, 'error');
+            }
+        } catch (error) {
+            this.showToast(`Failed to reset 2FA: ${error.message}`, 'error');
+            console.error('Reset two-factor error:', error);
+        }
+    }
+
     async loadAdminStats() {
         try {
             const response = await this.apiRequest('/auth/admin/stats');
@@ -1145,6 +2996,17 @@ class SecureFileUploadApp {
     }
 
     // Utility Methods
+    base64UrlToBuffer(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0)).buffer;
+    }
+
+    bufferToBase64Url(buffer) {
+        const binary = String.fromCharCode(...new Uint8Array(buffer));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
     async apiRequest(endpoint, options = {}) {
         // Add cache-busting parameter to prevent caching
         const separator = endpoint.includes('?') ? '&' : '?';
@@ -1153,7 +3015,6 @@ class SecureFileUploadApp {
         
         const defaultOptions = {
             headers: {
-                'Authorization': `Bearer ${this.authToken}`,
                 'Content-Type': 'application/json',
                 'Cache-Control': 'no-cache',
                 'Pragma': 'no-cache'
@@ -1161,7 +3022,7 @@ class SecureFileUploadApp {
             cache: 'no-store'
         };
 
-        // Properly merge headers to ensure Authorization header is not overwritten
+        // Properly merge headers; fetchWithAuth adds the Authorization header
         const mergedOptions = {
             ...defaultOptions,
             ...options,
@@ -1171,7 +3032,7 @@ class SecureFileUploadApp {
             }
         };
 
-        const response = await fetch(url, mergedOptions);
+        const response = await this.fetchWithAuth(url, mergedOptions);
         
         if (response.status === 401) {
             this.clearAuth();
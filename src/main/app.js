@@ -2,13 +2,17 @@ const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
-const session = require('express-session');
 const path = require('path');
 
 const config = require('./config/AppConfig');
 const Logger = require('./config/Logger');
 const UploadController = require('./controllers/UploadController');
 const AuthController = require('./controllers/AuthController');
+const BrowserSessionService = require('./services/BrowserSessionService');
+const UploadPolicy = require('./validation/UploadPolicy');
+const RateLimitStore = require('./storage/RateLimitStore');
+const { getRedisClient, getKeyPrefix, closeRedis } = require('./storage/RedisConnection');
+const { prepareDatabase } = require('./repositories');
 
 /**
  * Secure File Upload Application
@@ -20,6 +24,7 @@ class SecureFileUploadApp {
     this.app = express();
     this.logger = Logger;
     this.config = config;
+    this.uploadPolicy = this.loadUploadPolicy();
     this.uploadController = new UploadController();
     this.authController = new AuthController();
     
@@ -28,6 +33,20 @@ class SecureFileUploadApp {
     this.setupErrorHandling();
   }
 
+  /**
+   * Load and validate the upload policy before anything uses it
+   * Like an invalid config.yaml, an invalid policy stops the application
+   * @returns {UploadPolicy} Validated policy
+   */
+  loadUploadPolicy() {
+    try {
+      return UploadPolicy.getInstance();
+    } catch (error) {
+      console.error('Error loading upload policy:', error.message);
+      process.exit(1);
+    }
+  }
+
   /**
    * Setup security middleware following OWASP guidelines
    */
@@ -61,6 +80,7 @@ class SecureFileUploadApp {
       credentials: this.config.get('cors.credentials'),
       methods: this.config.get('cors.methods'),
       allowedHeaders: this.config.get('cors.allowed_headers'),
+      exposedHeaders: this.config.get('cors.exposed_headers'),
       optionsSuccessStatus: 200
     };
     this.app.use(cors(corsOptions));
@@ -89,7 +109,7 @@ class SecureFileUploadApp {
         const duration = Date.now() - start;
         this.logger.getLogger().info('HTTP Request', {
           method: req.method,
-          url: req.url,
+          url: req.url.replace(/([?&]token=)[^&]*/g, '$1[REDACTED]'), // Keep emailed link tokens out of the logs
           status: res.statusCode,
           duration: `${duration}ms`,
           ip: req.ip,
@@ -122,6 +142,9 @@ class SecureFileUploadApp {
    * Setup rate limiting for different endpoints
    */
   setupRateLimiting() {
+    // Counters live in Redis when configured so limits hold across instances
+    const redisClient = getRedisClient();
+
     // General API rate limiting
     const generalLimiter = rateLimit({
       windowMs: this.config.get('security.rate_limit.window_ms'),
@@ -133,6 +156,7 @@ class SecureFileUploadApp {
       },
       standardHeaders: true,
       legacyHeaders: false,
+      store: new RateLimitStore({ client: redisClient, prefix: `${getKeyPrefix()}rl:api:` }),
       handler: (req, res) => {
         this.logger.logRateLimit(
           req.userId || req.ip,
@@ -159,6 +183,7 @@ class SecureFileUploadApp {
       },
       standardHeaders: true,
       legacyHeaders: false,
+      store: new RateLimitStore({ client: redisClient, prefix: `${getKeyPrefix()}rl:upload:` }),
       handler: (req, res) => {
         this.logger.logRateLimit(
           req.userId || req.ip,
@@ -177,25 +202,15 @@ class SecureFileUploadApp {
     // Apply rate limiting
     this.app.use('/api', generalLimiter);
     this.app.use('/api/upload', uploadLimiter);
+    this.app.post('/api/uploads', uploadLimiter); // Creating a resumable upload; its chunks are not counted
   }
 
   /**
    * Setup session management
    */
   setupSessionManagement() {
-    // In production, use Redis or database store
-    this.app.use(session({
-      secret: this.config.get('security.session_secret'),
-      resave: false,
-      saveUninitialized: false,
-      cookie: {
-        secure: this.config.isProduction(),
-        httpOnly: true,
-        maxAge: this.config.get('security.session_timeout_minutes') * 60 * 1000,
-        sameSite: 'strict'
-      },
-      name: 'secureFileUpload.sid' // Don't use default session name
-    }));
+    // Carries browser-session logins (see BrowserSessionService)
+    this.app.use(new BrowserSessionService().createSessionMiddleware());
   }
 
   /**
@@ -221,10 +236,14 @@ class SecureFileUploadApp {
         version: '1.0.0',
         endpoints: {
           upload: 'POST /api/upload',
+          resumableUpload: 'POST /api/uploads (tus 1.0)',
           download: 'GET /api/files/:fileId',
           delete: 'DELETE /api/files/:fileId',
           list: 'GET /api/files',
           metadata: 'GET /api/files/:fileId/metadata',
+          policy: 'GET /api/policy',
+          jobs: 'GET /api/admin/jobs',
+          quarantine: 'GET /api/admin/quarantine',
           health: 'GET /api/health',
           stats: 'GET /api/stats'
         },
@@ -324,9 +343,23 @@ class SecureFileUploadApp {
       const port = this.config.get('server.port');
       const host = this.config.get('server.host');
 
+      // Refuse to run without the accounts and files of a legacy JSON import that failed
+      await prepareDatabase(this.config.getDatabaseConfig());
+
+      // Revoked sessions and token generations must be known before the first token is checked
+      await this.authController.tokenService.ready();
+
       // Ensure storage directory exists
       await this.uploadController.uploadService.fileStorageManager.ensureStorageDirectory();
 
+      // Discard resumable uploads that were abandoned and temp files left by a crash
+      this.uploadController.resumableUploadService.startCleanup();
+      await this.uploadController.quarantineStorage.removeStale();
+
+      // Background jobs, including those interrupted by the last shutdown
+      await this.uploadController.uploadService.jobQueue.start();
+      await this.uploadController.uploadService.resumePendingScans();
+
       // Start server
       this.server = this.app.listen(port, host, () => {
         this.logger.getLogger().info('Server started', {
@@ -361,14 +394,18 @@ class SecureFileUploadApp {
       
       this.logger.getLogger().info('Graceful shutdown initiated', { signal });
 
+      this.uploadController.uploadService.jobQueue.stop();
+
       this.server.close(() => {
         console.log('HTTP server closed.');
         
-        // Close logger
-        this.logger.close();
-        
-        console.log('Graceful shutdown completed.');
-        process.exit(0);
+        // Close Redis, then the logger
+        closeRedis().finally(() => {
+          this.logger.close();
+
+          console.log('Graceful shutdown completed.');
+          process.exit(0);
+        });
       });
 
       // Force close after 30 seconds
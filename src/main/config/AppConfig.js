@@ -54,8 +54,8 @@ class AppConfig {
     if (process.env.MAX_FILE_SIZE_MB) {
       this.config.security.max_file_size_mb = parseInt(process.env.MAX_FILE_SIZE_MB, 10);
     }
-    if (process.env.ALLOWED_EXTENSIONS) {
-      this.config.security.allowed_extensions = process.env.ALLOWED_EXTENSIONS.split(',');
+    if (process.env.UPLOAD_POLICY_PATH) {
+      this.config.security.upload_policy = process.env.UPLOAD_POLICY_PATH;
     }
     if (process.env.STORAGE_PATH) {
       this.config.security.storage_path = process.env.STORAGE_PATH;
@@ -66,6 +66,69 @@ class AppConfig {
     if (process.env.JWT_SECRET) {
       this.config.security.jwt_secret = process.env.JWT_SECRET;
     }
+    if (process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+      this.config.security.two_factor = this.config.security.two_factor || {};
+      this.config.security.two_factor.encryption_key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    }
+    if (process.env.WEBAUTHN_RP_ID) {
+      this.config.security.webauthn = this.config.security.webauthn || {};
+      this.config.security.webauthn.rp_id = process.env.WEBAUTHN_RP_ID;
+    }
+    if (process.env.WEBAUTHN_ORIGIN) {
+      this.config.security.webauthn = this.config.security.webauthn || {};
+      this.config.security.webauthn.origin = process.env.WEBAUTHN_ORIGIN.split(',');
+    }
+    if (process.env.ENFORCE_ADMIN_2FA) {
+      this.config.security.two_factor = this.config.security.two_factor || {};
+      this.config.security.two_factor.enforce_for_admins = process.env.ENFORCE_ADMIN_2FA === 'true';
+    }
+
+    // Virus scanning configuration
+    this.config.file_processing = this.config.file_processing || {};
+    this.config.file_processing.virus_scan = this.config.file_processing.virus_scan || {};
+    if (process.env.ENABLE_VIRUS_SCAN) {
+      this.config.file_processing.enable_virus_scan = process.env.ENABLE_VIRUS_SCAN === 'true';
+    }
+    if (process.env.CLAMD_SOCKET) {
+      this.config.file_processing.virus_scan.clamd_socket = process.env.CLAMD_SOCKET;
+    }
+    if (process.env.CLAMD_HOST) {
+      this.config.file_processing.virus_scan.clamd_host = process.env.CLAMD_HOST;
+    }
+    if (process.env.CLAMD_PORT) {
+      this.config.file_processing.virus_scan.clamd_port = parseInt(process.env.CLAMD_PORT, 10);
+    }
+
+    // Mail configuration
+    this.config.mail = this.config.mail || {};
+    this.config.mail.smtp = this.config.mail.smtp || {};
+    if (process.env.MAIL_TRANSPORT) {
+      this.config.mail.transport = process.env.MAIL_TRANSPORT;
+    }
+    if (process.env.MAIL_FROM) {
+      this.config.mail.from = process.env.MAIL_FROM;
+    }
+    if (process.env.APP_BASE_URL) {
+      this.config.mail.app_base_url = process.env.APP_BASE_URL;
+    }
+    if (process.env.MAIL_OUTBOX_PATH) {
+      this.config.mail.outbox_path = process.env.MAIL_OUTBOX_PATH;
+    }
+    if (process.env.SMTP_HOST) {
+      this.config.mail.smtp.host = process.env.SMTP_HOST;
+    }
+    if (process.env.SMTP_PORT) {
+      this.config.mail.smtp.port = parseInt(process.env.SMTP_PORT, 10);
+    }
+    if (process.env.SMTP_SECURE) {
+      this.config.mail.smtp.secure = process.env.SMTP_SECURE === 'true';
+    }
+    if (process.env.SMTP_USER) {
+      this.config.mail.smtp.user = process.env.SMTP_USER;
+    }
+    if (process.env.SMTP_PASSWORD) {
+      this.config.mail.smtp.password = process.env.SMTP_PASSWORD;
+    }
 
     // Database configuration
     if (process.env.DATABASE_URL) {
@@ -75,6 +138,11 @@ class AppConfig {
       this.config.database.type = process.env.DATABASE_TYPE;
     }
 
+    // Redis configuration (setting a URL turns Redis mode on)
+    if (process.env.REDIS_URL) {
+      this.config.redis = { ...this.config.redis, enabled: true, url: process.env.REDIS_URL };
+    }
+
     // Logging configuration
     if (process.env.LOG_LEVEL) {
       this.config.logging.level = process.env.LOG_LEVEL;
@@ -101,22 +169,6 @@ class AppConfig {
       errors.push('Invalid max file size configuration');
     }
 
-    if (!Array.isArray(this.config.security.allowed_extensions) || 
-        this.config.security.allowed_extensions.length === 0) {
-      errors.push('Invalid allowed extensions configuration');
-    }
-
-    // Validate file extensions for security
-    const allowedExtensions = this.config.security.allowed_extensions;
-    const dangerousExtensions = ['.exe', '.bat', '.cmd', '.com', '.pif', '.scr', '.vbs', '.js', '.jar', '.sh'];
-    const hasDangerousExtensions = allowedExtensions.some(ext => 
-      dangerousExtensions.includes(ext.toLowerCase())
-    );
-
-    if (hasDangerousExtensions) {
-      errors.push('Configuration contains potentially dangerous file extensions');
-    }
-
     // Validate storage path
     if (!this.config.security.storage_path) {
       errors.push('Storage path not configured');
@@ -134,6 +186,51 @@ class AppConfig {
       }
     }
 
+    // Validate role permission matrix
+    const rbac = this.config.security.rbac;
+    if (rbac) {
+      const roles = rbac.roles || {};
+      if (!roles.admin) {
+        errors.push('RBAC configuration must define the admin role');
+      }
+      if (rbac.default_role && !roles[rbac.default_role]) {
+        errors.push('RBAC default role is not defined');
+      }
+      Object.entries(roles).forEach(([name, role]) => {
+        if (!role || !Array.isArray(role.permissions)) {
+          errors.push(`RBAC role ${name} must list its permissions`);
+        }
+      });
+    }
+
+    // Validate registration auto-approval rules
+    const autoApprove = (this.config.security.registration || {}).auto_approve || [];
+    if (!Array.isArray(autoApprove)) {
+      errors.push('Registration auto_approve must be a list of rules');
+    } else {
+      autoApprove.forEach(rule => {
+        if (!rule || typeof rule.domain !== 'string' || !rule.domain.trim()) {
+          errors.push('Registration auto_approve rules must name a domain');
+        } else if (rule.role && rbac && !(rbac.roles || {})[rule.role]) {
+          errors.push(`Registration auto_approve role ${rule.role} is not defined`);
+        }
+      });
+    }
+
+    // Validate persistence backend
+    const database = this.config.database || {};
+    if (!['sqlite', 'postgresql', 'json'].includes(database.type || 'sqlite')) {
+      errors.push('Invalid database type configuration');
+    }
+    if (database.type === 'postgresql' && !database.url) {
+      errors.push('PostgreSQL requires database.url or DATABASE_URL');
+    }
+
+    // Validate mail transport
+    if (!['outbox', 'smtp'].includes(this.config.mail.transport || 'outbox')) {
+      errors.push('Invalid mail transport configuration');
+    }
+
     if (errors.length > 0) {
       throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
     }
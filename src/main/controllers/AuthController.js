@@ -1,6 +1,9 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const UserService = require('../services/UserService');
+const TokenService = require('../services/TokenService');
+const BrowserSessionService = require('../services/BrowserSessionService');
+const AuthMiddleware = require('../middleware/AuthMiddleware');
 const Logger = require('../config/Logger');
 
 /**
@@ -11,6 +14,14 @@ const Logger = require('../config/Logger');
 class AuthController {
   constructor() {
     this.userService = new UserService();
+    this.tokenService = new TokenService();
+    this.browserSessionService = new BrowserSessionService();
+    this.authMiddleware = new AuthMiddleware({
+      userService: this.userService,
+      tokenService: this.tokenService,
+      browserSessionService: this.browserSessionService
+    });
+    this.authorizationService = this.userService.authorizationService;
     this.logger = Logger;
     this.router = express.Router();
     this.setupRoutes();
@@ -27,22 +38,239 @@ class AuthController {
         body('lastName').notEmpty().trim().isLength({ min: 1, max: 50 }),
         body('username').isLength({ min: 3, max: 30 }).matches(/^[a-zA-Z0-9_-]+$/),
         body('email').isEmail().normalizeEmail(),
-        body('password').isLength({ min: 8 }).matches(/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        body('password').isLength({ min: 8 }).matches(/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/),
+        body('inviteCode').optional({ checkFalsy: true }).isString().trim().isLength({ max: 32 })
       ],
       this.validateRegistrationRequest,
       this.handleRegistration.bind(this)
     );
 
+    // Email verification link (opened from the verification email)
+    this.router.get('/verify-email',
+      [
+        query('token').isJWT()
+      ],
+      this.handleVerifyEmail.bind(this)
+    );
+
+    // Request a new verification link
+    this.router.post('/verify-email/resend',
+      [
+        body('email').isEmail().normalizeEmail()
+      ],
+      this.validateEmailVerificationRequest.bind(this),
+      this.handleResendVerificationEmail.bind(this)
+    );
+
+    // Change password (requires the current password)
+    this.router.post('/password/change',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      [
+        body('currentPassword').isString().notEmpty(),
+        body('newPassword').isLength({ min: 8 }).matches(/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      ],
+      this.validatePasswordRequest.bind(this),
+      this.handleChangePassword.bind(this)
+    );
+
+    // Forgotten password: email a single-use reset link
+    this.router.post('/password/forgot',
+      [
+        body('email').isEmail().normalizeEmail()
+      ],
+      this.validatePasswordRequest.bind(this),
+      this.handleForgotPassword.bind(this)
+    );
+
+    // Set a new password with a reset token
+    this.router.post('/password/reset',
+      [
+        body('token').isString().isLength({ min: 20, max: 200 }),
+        body('newPassword').isLength({ min: 8 }).matches(/(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      ],
+      this.validatePasswordRequest.bind(this),
+      this.handleResetPassword.bind(this)
+    );
+
     // User login
     this.router.post('/login',
       [
         body('usernameOrEmail').notEmpty().trim(),
-        body('password').notEmpty()
+        body('password').notEmpty(),
+        body('session').optional().isBoolean()
       ],
       this.validateLoginRequest,
       this.handleLogin.bind(this)
     );
 
+    // Exchange a refresh token for a new token pair
+    this.router.post('/refresh',
+      [
+        body('refreshToken').isJWT()
+      ],
+      this.validateRefreshRequest.bind(this),
+      this.handleRefresh.bind(this)
+    );
+
+    // Second login step: TOTP code or recovery code
+    this.router.post('/2fa/verify',
+      [
+        body('challengeToken').isJWT(),
+        body('code').optional().matches(/^\d{6}$/),
+        body('recoveryCode').optional().isString().isLength({ min: 1, max: 20 }),
+        body('session').optional().isBoolean()
+      ],
+      this.validateTwoFactorRequest.bind(this),
+      this.handleTwoFactorVerify.bind(this)
+    );
+
+    // Start 2FA enrollment (logged in, or with an enrollment challenge token)
+    this.router.post('/2fa/setup',
+      [
+        body('challengeToken').optional().isJWT()
+      ],
+      this.validateTwoFactorRequest.bind(this),
+      this.authenticateTwoFactorEnrollment.bind(this),
+      this.requireSession.bind(this),
+      this.handleTwoFactorSetup.bind(this)
+    );
+
+    // Confirm 2FA enrollment with a first code
+    this.router.post('/2fa/confirm',
+      [
+        body('challengeToken').optional().isJWT(),
+        body('code').matches(/^\d{6}$/),
+        body('session').optional().isBoolean()
+      ],
+      this.validateTwoFactorRequest.bind(this),
+      this.authenticateTwoFactorEnrollment.bind(this),
+      this.requireSession.bind(this),
+      this.handleTwoFactorConfirm.bind(this)
+    );
+
+    // Disable 2FA
+    this.router.post('/2fa/disable',
+      [
+        body('password').notEmpty(),
+        body('code').optional().matches(/^\d{6}$/),
+        body('recoveryCode').optional().isString().isLength({ min: 1, max: 20 })
+      ],
+      this.validateTwoFactorRequest.bind(this),
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handleTwoFactorDisable.bind(this)
+    );
+
+    // Replace recovery codes
+    this.router.post('/2fa/recovery-codes',
+      [
+        body('code').matches(/^\d{6}$/)
+      ],
+      this.validateTwoFactorRequest.bind(this),
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handleRegenerateRecoveryCodes.bind(this)
+    );
+
+    // Passkey (WebAuthn) registration for the current user
+    this.router.post('/webauthn/register/options',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handlePasskeyRegistrationOptions.bind(this)
+    );
+
+    this.router.post('/webauthn/register/verify',
+      [
+        body('response').isObject(),
+        body('response.id').isString().notEmpty(),
+        body('name').optional().trim().isLength({ min: 1, max: 50 })
+      ],
+      this.validateWebAuthnRequest.bind(this),
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handlePasskeyRegistrationVerify.bind(this)
+    );
+
+    this.router.get('/webauthn/credentials',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handleListPasskeys.bind(this)
+    );
+
+    this.router.delete('/webauthn/credentials/:credentialId',
+      [
+        param('credentialId').matches(/^[A-Za-z0-9_-]+$/)
+      ],
+      this.validateWebAuthnRequest.bind(this),
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handleRemovePasskey.bind(this)
+    );
+
+    // Passkey (WebAuthn) login
+    this.router.post('/webauthn/login/options',
+      [
+        body('usernameOrEmail').optional().isString().trim()
+      ],
+      this.validateWebAuthnRequest.bind(this),
+      this.handlePasskeyLoginOptions.bind(this)
+    );
+
+    this.router.post('/webauthn/login/verify',
+      [
+        body('response').isObject(),
+        body('response.id').isString().notEmpty(),
+        body('session').optional().isBoolean()
+      ],
+      this.validateWebAuthnRequest.bind(this),
+      this.handlePasskeyLoginVerify.bind(this)
+    );
+
+    // Personal API keys (managed from an interactive session only)
+    this.router.get('/api-keys',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handleListApiKeys.bind(this)
+    );
+
+    this.router.post('/api-keys',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      [
+        body('name').isString().trim().isLength({ min: 1, max: 50 }),
+        body('scopes').isArray({ min: 1, max: 10 }),
+        body('scopes.*').isString(),
+        body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).toInt()
+      ],
+      this.validateApiKeyRequest.bind(this),
+      this.handleCreateApiKey.bind(this)
+    );
+
+    this.router.delete('/api-keys/:keyId',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      [
+        param('keyId').matches(/^[a-f0-9]{16}$/)
+      ],
+      this.validateApiKeyRequest.bind(this),
+      this.handleRevokeApiKey.bind(this)
+    );
+
+    // Logout (revoke the current session)
+    this.router.post('/logout',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handleLogout.bind(this)
+    );
+
+    // Revoke all of the current user's sessions
+    this.router.post('/logout-all',
+      this.authenticateUser.bind(this),
+      this.requireSession.bind(this),
+      this.handleLogoutAll.bind(this)
+    );
+
     // Check username availability
     this.router.get('/check-username/:username',
       this.handleCheckUsername.bind(this)
@@ -53,35 +281,193 @@ class AuthController {
       this.handleCheckEmail.bind(this)
     );
 
-    // Get current user info
+    // Get current user info (any API key may read its owner)
     this.router.get('/me',
       this.authenticateUser.bind(this),
       this.handleGetCurrentUser.bind(this)
     );
 
+    // Restore a browser session after a page load (cookie mode only)
+    this.router.get('/session',
+      this.authenticateUser.bind(this),
+      this.handleGetSession.bind(this)
+    );
+
     // Admin routes
     this.router.get('/admin/users',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:read'),
       this.handleGetAllUsers.bind(this)
     );
 
     this.router.post('/admin/users/:userId/approve',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:approve'),
+      [
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
       this.handleApproveUser.bind(this)
     );
 
     this.router.post('/admin/users/:userId/reject',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:approve'),
+      [
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
       this.handleRejectUser.bind(this)
     );
 
     this.router.post('/admin/users/:userId/suspend',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:suspend'),
+      [
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
       this.handleSuspendUser.bind(this)
     );
 
+    this.router.post('/admin/users/:userId/revoke-sessions',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:sessions'),
+      [
+        body('reason').optional().isString().trim().isLength({ max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleRevokeUserSessions.bind(this)
+    );
+
+    this.router.post('/admin/users/:userId/reset-2fa',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:2fa'),
+      this.handleResetTwoFactor.bind(this)
+    );
+
+    this.router.post('/admin/users/:userId/reactivate',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:suspend'),
+      [
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleReactivateUser.bind(this)
+    );
+
+    this.router.post('/admin/users/:userId/unlock',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:unlock'),
+      [
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleUnlockUser.bind(this)
+    );
+
+    this.router.delete('/admin/users/:userId',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:delete'),
+      [
+        body('reason').isString().trim().isLength({ min: 1, max: 500 }),
+        body('files').isIn(['reassign', 'archive', 'purge']),
+        body('reassignTo').if(body('files').equals('reassign')).isUUID()
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleDeleteUser.bind(this)
+    );
+
+    this.router.get('/admin/audit',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:read'),
+      [
+        query('userId').optional().isUUID(),
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleGetAuditTrail.bind(this)
+    );
+
+    this.router.get('/admin/invites',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:read'),
+      this.handleListInvites.bind(this)
+    );
+
+    this.router.post('/admin/invites',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:invite'),
+      [
+        body('role').optional().isString().trim().isLength({ min: 1, max: 50 }).matches(/^[a-z0-9_-]+$/),
+        body('maxUses').optional().isInt({ min: 1, max: 1000 }).toInt(),
+        body('expiresInDays').optional().isInt({ min: 1, max: 3650 }).toInt(),
+        body('note').optional().isString().trim().isLength({ max: 200 })
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleCreateInvite.bind(this)
+    );
+
+    this.router.delete('/admin/invites/:inviteId',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:invite'),
+      [
+        param('inviteId').matches(/^[a-f0-9]{16}$/)
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleRevokeInvite.bind(this)
+    );
+
+    this.router.get('/admin/roles',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:read'),
+      this.handleGetRoles.bind(this)
+    );
+
+    this.router.post('/admin/users/:userId/role',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:roles'),
+      [
+        body('role').isString().trim().isLength({ min: 1, max: 50 }).matches(/^[a-z0-9_-]+$/),
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleAssignRole.bind(this)
+    );
+
+    this.router.get('/admin/users/:userId/quota',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:read'),
+      this.handleGetUserQuota.bind(this)
+    );
+
+    this.router.put('/admin/users/:userId/quota',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:quotas'),
+      [
+        body('maxStorageMb').optional({ values: 'null' }).isFloat({ min: 0, max: 10 * 1024 * 1024 }).toFloat(),
+        body('maxFiles').optional({ values: 'null' }).isInt({ min: 0, max: 10000000 }).toInt(),
+        body().custom(value => value.maxStorageMb !== undefined || value.maxFiles !== undefined)
+          .withMessage('Set maxStorageMb, maxFiles or both'),
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleSetUserQuota.bind(this)
+    );
+
+    this.router.delete('/admin/users/:userId/quota',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:quotas'),
+      [
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminActionRequest.bind(this),
+      this.handleSetUserQuota.bind(this)
+    );
+
     this.router.get('/admin/stats',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('users:read'),
       this.handleGetUserStats.bind(this)
     );
   }
@@ -108,6 +494,93 @@ class AuthController {
     next();
   }
 
+  /**
+   * Validate email verification request
+   */
+  validateEmailVerificationRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      this.logger.logValidationFailure('email_verification_request_validation', {
+        errors: errors.array(),
+        ip: req.ip
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email verification data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
+
+  /**
+   * Validate password change/reset request
+   */
+  validatePasswordRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      this.logger.logValidationFailure('password_request_validation', {
+        // Never echo submitted passwords or reset tokens into the logs
+        errors: errors.array().map(({ path, msg }) => ({ path, msg })),
+        ip: req.ip
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password data. Passwords need at least 8 characters with upper case, lower case and a number.',
+        details: errors.array().map(({ path, msg }) => ({ path, msg })),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
+
+  /**
+   * Validate API key request
+   */
+  validateApiKeyRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      this.logger.logValidationFailure('api_key_request_validation', {
+        userId: req.userId,
+        errors: errors.array(),
+        ip: req.ip
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key data',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
+
+  /**
+   * Validate admin user management request
+   */
+  validateAdminActionRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      this.logger.logValidationFailure('admin_action_request_validation', {
+        userId: req.userId,
+        errors: errors.array(),
+        ip: req.ip
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid admin request',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    next();
+  }
+
   /**
    * Validate login request
    */
@@ -131,112 +604,1686 @@ class AuthController {
   }
 
   /**
-   * Middleware for user authentication
+   * Validate refresh request
    */
-  authenticateUser(req, res, next) {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      this.logger.logAuthEvent('failed_auth', {
-        reason: 'Missing or invalid authorization header',
+  validateRefreshRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      this.logger.logValidationFailure('refresh_request_validation', {
+        errors: errors.array(),
         ip: req.ip
-      }, false);
+      });
 
-      return res.status(401).json({
+      return res.status(400).json({
         success: false,
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
+        error: 'Invalid refresh request',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
       });
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    
-    // For now, we'll use a simple token format: userId:timestamp
-    // In production, use JWT tokens
-    try {
-      const [userId, timestamp] = token.split(':');
-      
-      if (!userId || !timestamp) {
-        throw new Error('Invalid token format');
-      }
+    next();
+  }
 
-      // Check if token is not too old (24 hours)
-      const tokenAge = Date.now() - parseInt(timestamp);
-      if (tokenAge > 24 * 60 * 60 * 1000) {
-        throw new Error('Token expired');
-      }
+  /**
+   * Validate two-factor request
+   */
+  validateTwoFactorRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      this.logger.logValidationFailure('two_factor_request_validation', {
+        errors: errors.array(),
+        ip: req.ip
+      });
 
-      const user = this.userService.getUserById(userId);
-      if (!user || !user.isActive()) {
-        throw new Error('User not found or inactive');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor request',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Validate WebAuthn request
+   */
+  validateWebAuthnRequest(req, res, next) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      this.logger.logValidationFailure('webauthn_request_validation', {
+        errors: errors.array(),
+        ip: req.ip
+      });
+
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid passkey request',
+        details: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Middleware for 2FA enrollment
+   * Accepts a normal access token, or the enrollment challenge issued at login
+   * to users who must set up 2FA before they receive any tokens
+   */
+  authenticateTwoFactorEnrollment(req, res, next) {
+    if (!req.body.challengeToken) {
+      return this.authenticateUser(req, res, next);
+    }
+
+    try {
+      const claims = this.tokenService.verifyChallengeToken(req.body.challengeToken, '2fa_enroll');
+
+      const user = this.userService.getUserById(claims.sub);
+      if (!user || !user.isActive()) {
+        throw new Error('User not found or inactive');
+      }
+
+      // The challenge only stands in for a session while enrollment is outstanding
+      if (!this.userService.isTwoFactorEnrollmentRequired(user)) {
+        throw new Error('Two-factor enrollment is not outstanding');
+      }
+
+      req.user = user.getSafeData();
+      req.userId = user.id;
+      req.enrollmentChallenge = claims;
+      next();
+
+    } catch (error) {
+      this.logger.logAuthEvent('failed_auth', {
+        reason: error.message,
+        ip: req.ip
+      }, false);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+  }
+
+  /**
+   * Middleware for user authentication
+   * Delegates to the shared AuthMiddleware, which UploadController uses as well
+   */
+  authenticateUser(req, res, next) {
+    return this.authMiddleware.authenticateUser(req, res, next);
+  }
+
+  /**
+   * Middleware: reject API keys on account-security routes
+   * Passwords, second factors, sessions and keys can only be managed from an interactive login
+   */
+  requireSession(req, res, next) {
+    if (req.apiKey) {
+      this.logger.logSecurityEvent('api_key_scope_denied', {
+        userId: req.userId,
+        keyId: req.apiKey.id,
+        requiredScope: 'session',
+        path: req.originalUrl.split('?')[0],
+        ip: req.ip
+      }, 'warn');
+
+      return res.status(403).json({
+        success: false,
+        error: 'This endpoint cannot be used with an API key',
+        code: 'SESSION_REQUIRED'
+      });
+    }
+    next();
+  }
+
+  /**
+   * Handle user registration
+   */
+  async handleRegistration(req, res) {
+    try {
+      const { username, email, password, firstName, lastName, inviteCode } = req.body;
+      const ip = req.ip;
+
+      this.logger.logAuthEvent('registration_attempt', {
+        username,
+        email,
+        ip
+      });
+
+      const result = await this.userService.registerUser({
+        username,
+        email,
+        password,
+        firstName,
+        lastName,
+        inviteCode,
+        ip
+      });
+
+      if (result.success) {
+        this.logger.logAuthEvent('registration_success', {
+          userId: result.userId,
+          username: result.username,
+          ip
+        }, true);
+
+        res.status(201).json({
+          success: true,
+          message: result.message,
+          data: {
+            userId: result.userId,
+            username: result.username,
+            status: result.status,
+            verificationEmailSent: result.verificationEmailSent
+          }
+        });
+      } else {
+        this.logger.logAuthEvent('registration_failed', {
+          username,
+          email,
+          error: result.error,
+          ip
+        }, false);
+
+        const statusCode = result.code === 'USERNAME_EXISTS' || result.code === 'EMAIL_EXISTS' ? 409 : 400;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'registration',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Registration failed',
+        code: 'REGISTRATION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle email verification link
+   * Browsers following the emailed link are redirected back to the app; API clients get JSON
+   */
+  async handleVerifyEmail(req, res) {
+    try {
+      const result = validationResult(req).isEmpty()
+        ? await this.userService.verifyEmail(req.query.token, req.ip)
+        : { success: false, error: 'Invalid verification link', code: 'INVALID_TOKEN' };
+
+      if (req.accepts(['json', 'html']) === 'html') {
+        const outcome = result.success ? 'verified' : result.code === 'TOKEN_EXPIRED' ? 'expired' : 'invalid';
+        return res.redirect(303, `/?emailVerification=${outcome}`);
+      }
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message
+        });
+      } else {
+        const statusCode = result.code === 'INVALID_TOKEN' || result.code === 'TOKEN_EXPIRED' ? 400 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'verify_email',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify email address',
+        code: 'EMAIL_VERIFICATION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle request for a new verification link
+   */
+  async handleResendVerificationEmail(req, res) {
+    try {
+      const result = await this.userService.resendVerificationEmail(req.body.email, req.ip);
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'resend_verification_email',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send verification email',
+        code: 'EMAIL_VERIFICATION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle password change
+   * All sessions are revoked; the caller gets a fresh token pair so they stay signed in
+   */
+  async handleChangePassword(req, res) {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const result = await this.userService.changePassword(req.userId, currentPassword, newPassword, req.ip);
+
+      if (result.success) {
+        const credentials = await this.issueCredentials(req, this.userService.getUserById(req.userId));
+
+        res.json({
+          success: true,
+          message: result.message,
+          data: {
+            user: result.user,
+            ...credentials
+          }
+        });
+      } else {
+        // 403 rather than 401: a wrong current password must not end the session client-side
+        const statusCode = result.code === 'INVALID_PASSWORD' ? 403 :
+                          result.code === 'ACCOUNT_LOCKED' ? 423 :
+                          result.code === 'PASSWORD_UNCHANGED' ? 400 :
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'change_password',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to change password',
+        code: 'PASSWORD_CHANGE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle forgotten password request
+   */
+  async handleForgotPassword(req, res) {
+    try {
+      const result = await this.userService.requestPasswordReset(req.body.email, req.ip);
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'forgot_password',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to request password reset',
+        code: 'PASSWORD_RESET_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle password reset with a reset token
+   */
+  async handleResetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+
+      const result = await this.userService.resetPassword(token, newPassword, req.ip);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message
+        });
+      } else {
+        const statusCode = result.code === 'INVALID_TOKEN' || result.code === 'TOKEN_EXPIRED' ? 400 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'reset_password',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset password',
+        code: 'PASSWORD_RESET_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle user login
+   */
+  async handleLogin(req, res) {
+    try {
+      const { usernameOrEmail, password } = req.body;
+      const ip = req.ip;
+
+      this.logger.logAuthEvent('login_attempt', {
+        username: usernameOrEmail,
+        ip
+      });
+
+      const result = await this.userService.authenticateUser(usernameOrEmail, password, ip);
+
+      if (result.success && (result.twoFactorRequired || result.twoFactorEnrollmentRequired)) {
+        // Password accepted; hand out a challenge token for the second step instead of a session
+        const user = this.userService.getUserById(result.user.id);
+        const purpose = result.twoFactorRequired ? '2fa_verify' : '2fa_enroll';
+
+        res.json({
+          success: true,
+          message: result.message,
+          data: {
+            twoFactorRequired: !!result.twoFactorRequired,
+            twoFactorEnrollmentRequired: !!result.twoFactorEnrollmentRequired,
+            challengeToken: this.tokenService.issueChallengeToken(user, purpose),
+            expiresIn: this.tokenService.challengeTokenTtl
+          }
+        });
+      } else if (result.success) {
+        const user = this.userService.getUserById(result.user.id);
+        const credentials = await this.issueCredentials(req, user);
+
+        this.logger.logAuthEvent('login_success', {
+          userId: result.user.id,
+          username: result.user.username,
+          session: !!credentials.session,
+          ip
+        }, true);
+
+        res.json({
+          success: true,
+          message: result.message,
+          data: {
+            user: result.user,
+            ...credentials
+          }
+        });
+      } else {
+        this.logger.logAuthEvent('login_failed', {
+          username: usernameOrEmail,
+          error: result.error,
+          ip
+        }, false);
+
+        const statusCode = result.code === 'ACCOUNT_LOCKED' ? 423 : 
+                          result.code === 'ACCOUNT_INACTIVE' || result.code === 'PASSKEY_REQUIRED' ? 403 : 401;
+
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'login',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Login failed',
+        code: 'LOGIN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Complete a login with either a browser session or a bearer token pair
+   * Session logins return only a CSRF token; the session itself stays in an httpOnly cookie
+   * @param {object} req - Express request
+   * @param {User} user - Authenticated user
+   * @returns {object} Credential fields for the response data
+   */
+  async issueCredentials(req, user) {
+    if (this.browserSessionService.isRequested(req)) {
+      return this.browserSessionService.establish(req, user);
+    }
+
+    const tokens = await this.tokenService.issueTokenPair(user);
+    return {
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      tokenType: tokens.tokenType,
+      expiresIn: tokens.expiresIn
+    };
+  }
+
+  /**
+   * Handle access token refresh
+   */
+  async handleRefresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+      const ip = req.ip;
+
+      let claims;
+      try {
+        claims = this.tokenService.verifyRefreshToken(refreshToken);
+      } catch (error) {
+        this.logger.logAuthEvent('token_refresh', {
+          reason: error.message,
+          ip
+        }, false);
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired refresh token',
+          code: 'INVALID_REFRESH_TOKEN'
+        });
+      }
+
+      const user = this.userService.getUserById(claims.sub);
+      if (!user || !user.isActive() || this.userService.isTwoFactorEnrollmentRequired(user)) {
+        await this.tokenService.revokeRefreshTokenFamily(claims.sid);
+
+        this.logger.logAuthEvent('token_refresh', {
+          userId: claims.sub,
+          reason: 'User not found, inactive or not enrolled in required 2FA',
+          ip
+        }, false);
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired refresh token',
+          code: 'INVALID_REFRESH_TOKEN'
+        });
+      }
+
+      const result = await this.tokenService.rotateRefreshToken(claims, user);
+
+      if (result.success) {
+        this.logger.logAuthEvent('token_refresh', {
+          userId: user.id,
+          ip
+        }, true);
+
+        res.json({
+          success: true,
+          data: {
+            token: result.tokens.accessToken,
+            refreshToken: result.tokens.refreshToken,
+            tokenType: result.tokens.tokenType,
+            expiresIn: result.tokens.expiresIn
+          }
+        });
+      } else {
+        this.logger.logAuthEvent('token_refresh', {
+          userId: user.id,
+          error: result.error,
+          ip
+        }, false);
+
+        res.status(401).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'token_refresh',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Token refresh failed',
+        code: 'REFRESH_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle second login step (TOTP code or recovery code)
+   */
+  async handleTwoFactorVerify(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+      const ip = req.ip;
+
+      if (!code && !recoveryCode) {
+        return res.status(400).json({
+          success: false,
+          error: 'A two-factor code or recovery code is required',
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      let claims;
+      try {
+        claims = this.tokenService.verifyChallengeToken(challengeToken, '2fa_verify');
+      } catch (error) {
+        this.logger.logAuthEvent('two_factor_verify', {
+          reason: error.message,
+          ip
+        }, false);
+
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired challenge',
+          code: 'INVALID_CHALLENGE'
+        });
+      }
+
+      const result = await this.userService.verifyTwoFactorLogin(claims.sub, { code, recoveryCode }, ip);
+
+      if (result.success) {
+        const user = this.userService.getUserById(claims.sub);
+        const credentials = await this.issueCredentials(req, user);
+
+        this.logger.logAuthEvent('login_success', {
+          userId: user.id,
+          username: user.username,
+          session: !!credentials.session,
+          ip
+        }, true);
+
+        res.json({
+          success: true,
+          message: result.message,
+          data: {
+            user: result.user,
+            ...credentials
+          }
+        });
+      } else {
+        const statusCode = result.code === 'ACCOUNT_LOCKED' ? 423 :
+                          result.code === 'ACCOUNT_INACTIVE' ? 403 :
+                          result.code === 'AUTH_ERROR' ? 500 : 401;
+
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_verify',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Two-factor verification failed',
+        code: 'TWO_FACTOR_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle start of 2FA enrollment
+   */
+  async handleTwoFactorSetup(req, res) {
+    try {
+      const result = await this.userService.beginTwoFactorSetup(req.userId);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: {
+            secret: result.secret,
+            otpauthUri: result.otpauthUri
+          }
+        });
+      } else {
+        const statusCode = result.code === 'TWO_FACTOR_ALREADY_ENABLED' ? 409 :
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_setup',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start two-factor setup',
+        code: 'TWO_FACTOR_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle confirmation of 2FA enrollment
+   * When enrolling from a login challenge, the login is completed as well
+   */
+  async handleTwoFactorConfirm(req, res) {
+    try {
+      const result = await this.userService.confirmTwoFactorSetup(req.userId, req.body.code);
+
+      if (result.success) {
+        const data = {
+          user: result.user,
+          recoveryCodes: result.recoveryCodes
+        };
+
+        if (req.enrollmentChallenge) {
+          Object.assign(data, await this.issueCredentials(req, this.userService.getUserById(req.userId)));
+
+          this.logger.logAuthEvent('login_success', {
+            userId: req.userId,
+            username: result.user.username,
+            ip: req.ip
+          }, true);
+        }
+
+        res.json({
+          success: true,
+          message: result.message,
+          data
+        });
+      } else {
+        const statusCode = result.code === 'TWO_FACTOR_ALREADY_ENABLED' ? 409 :
+                          result.code === 'USER_NOT_FOUND' ? 404 :
+                          result.code === 'TWO_FACTOR_ERROR' ? 500 : 400;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_confirm',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to enable two-factor authentication',
+        code: 'TWO_FACTOR_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle disabling 2FA
+   */
+  async handleTwoFactorDisable(req, res) {
+    try {
+      const { password, code, recoveryCode } = req.body;
+
+      const result = await this.userService.disableTwoFactor(req.userId, password, { code, recoveryCode });
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'INVALID_CREDENTIALS' || result.code === 'TWO_FACTOR_REQUIRED' ? 403 :
+                          result.code === 'TWO_FACTOR_NOT_ENABLED' ? 400 :
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_disable',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to disable two-factor authentication',
+        code: 'TWO_FACTOR_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle recovery code regeneration
+   */
+  async handleRegenerateRecoveryCodes(req, res) {
+    try {
+      const result = await this.userService.regenerateRecoveryCodes(req.userId, req.body.code);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: {
+            recoveryCodes: result.recoveryCodes
+          }
+        });
+      } else {
+        const statusCode = result.code === 'INVALID_TWO_FACTOR_CODE' ? 403 :
+                          result.code === 'TWO_FACTOR_NOT_ENABLED' ? 400 :
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'regenerate_recovery_codes',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to regenerate recovery codes',
+        code: 'TWO_FACTOR_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle passkey registration options
+   */
+  async handlePasskeyRegistrationOptions(req, res) {
+    try {
+      const result = await this.userService.beginPasskeyRegistration(req.userId);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.options
+        });
+      } else {
+        const statusCode = result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_registration_options',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start passkey registration',
+        code: 'WEBAUTHN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle passkey registration verification
+   */
+  async handlePasskeyRegistrationVerify(req, res) {
+    try {
+      const { response, name } = req.body;
+
+      const result = await this.userService.finishPasskeyRegistration(req.userId, response, name);
+
+      if (result.success) {
+        res.status(201).json({
+          success: true,
+          message: result.message,
+          data: {
+            passkey: result.passkey,
+            user: result.user
+          }
+        });
+      } else {
+        const statusCode = result.code === 'INVALID_WEBAUTHN_RESPONSE' ? 400 :
+                          result.code === 'PASSKEY_EXISTS' ? 409 :
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_registration',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register passkey',
+        code: 'WEBAUTHN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle list of the current user's passkeys
+   */
+  async handleListPasskeys(req, res) {
+    try {
+      const result = this.userService.listPasskeys(req.userId);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.passkeys
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'list_passkeys',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve passkeys',
+        code: 'WEBAUTHN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle removal of one of the current user's passkeys
+   */
+  async handleRemovePasskey(req, res) {
+    try {
+      const result = await this.userService.removePasskey(req.userId, req.params.credentialId);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'PASSKEY_NOT_FOUND' || result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'remove_passkey',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove passkey',
+        code: 'WEBAUTHN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle passkey login options
+   */
+  async handlePasskeyLoginOptions(req, res) {
+    try {
+      const result = await this.userService.beginPasskeyLogin(req.body.usernameOrEmail);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.options
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_login_options',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start passkey login',
+        code: 'WEBAUTHN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle passkey login verification
+   */
+  async handlePasskeyLoginVerify(req, res) {
+    try {
+      const ip = req.ip;
+
+      const result = await this.userService.finishPasskeyLogin(req.body.response, ip);
+
+      if (result.success) {
+        const user = this.userService.getUserById(result.user.id);
+        const credentials = await this.issueCredentials(req, user);
+
+        this.logger.logAuthEvent('login_success', {
+          userId: user.id,
+          username: user.username,
+          method: 'passkey',
+          session: !!credentials.session,
+          ip
+        }, true);
+
+        res.json({
+          success: true,
+          message: result.message,
+          data: {
+            user: result.user,
+            ...credentials
+          }
+        });
+      } else {
+        const statusCode = result.code === 'ACCOUNT_LOCKED' ? 423 :
+                          result.code === 'ACCOUNT_INACTIVE' ? 403 :
+                          result.code === 'AUTH_ERROR' ? 500 : 401;
+
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_login',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Passkey login failed',
+        code: 'WEBAUTHN_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle list API keys
+   */
+  async handleListApiKeys(req, res) {
+    try {
+      const result = this.userService.listApiKeys(req.userId);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: {
+            apiKeys: result.apiKeys,
+            availableScopes: this.userService.apiKeyService.getGrantableScopes(req.user)
+          }
+        });
+      } else {
+        res.status(404).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'list_api_keys',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list API keys',
+        code: 'API_KEY_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle create API key
+   */
+  async handleCreateApiKey(req, res) {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      const result = await this.userService.createApiKey(req.userId, { name, scopes, expiresInDays });
+
+      if (result.success) {
+        res.status(201).json({
+          success: true,
+          message: result.message,
+          data: {
+            key: result.key,
+            apiKey: result.apiKey
+          }
+        });
+      } else {
+        const statusCode = result.code === 'INVALID_SCOPES' || result.code === 'API_KEY_LIMIT' ? 400 :
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'create_api_key',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key',
+        code: 'API_KEY_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle revoke API key
+   */
+  async handleRevokeApiKey(req, res) {
+    try {
+      const result = await this.userService.revokeApiKey(req.userId, req.params.keyId);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message
+        });
+      } else {
+        const statusCode = result.code === 'API_KEY_NOT_FOUND' || result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'revoke_api_key',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key',
+        code: 'API_KEY_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle logout (revoke current session)
+   */
+  async handleLogout(req, res) {
+    try {
+      await this.tokenService.revokeSession(req.tokenClaims);
+      if (req.authMethod === 'session') {
+        await this.browserSessionService.destroy(req, res);
+      }
+
+      this.logger.logAuthEvent('logout', {
+        userId: req.userId,
+        ip: req.ip
+      }, true);
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'logout',
+        userId: req.userId,
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Logout failed',
+        code: 'LOGOUT_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle logout from all sessions
+   */
+  async handleLogoutAll(req, res) {
+    try {
+      await this.tokenService.revokeAllUserTokens(req.userId);
+      if (req.authMethod === 'session') {
+        await this.browserSessionService.destroy(req, res);
+      }
+
+      this.logger.logAuthEvent('logout_all', {
+        userId: req.userId,
+        ip: req.ip
+      }, true);
+
+      res.json({
+        success: true,
+        message: 'All sessions revoked successfully'
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'logout_all',
+        userId: req.userId,
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke sessions',
+        code: 'REVOCATION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle check username availability
+   */
+  async handleCheckUsername(req, res) {
+    try {
+      const { username } = req.params;
+
+      if (!User.isValidUsername(username)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid username format',
+          code: 'INVALID_USERNAME'
+        });
+      }
+
+      const result = this.userService.isUsernameAvailable(username);
+      res.json(result);
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'check_username',
+        username: req.params.username
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check username',
+        code: 'CHECK_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle check email availability
+   */
+  async handleCheckEmail(req, res) {
+    try {
+      const { email } = req.params;
+
+      if (!User.isValidEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid email format',
+          code: 'INVALID_EMAIL'
+        });
+      }
+
+      const result = this.userService.isEmailAvailable(email);
+      res.json(result);
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'check_email',
+        email: req.params.email
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check email',
+        code: 'CHECK_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle get browser session
+   * Hands the CSRF token back to a page that was reloaded; the token never leaves the session otherwise
+   */
+  async handleGetSession(req, res) {
+    if (req.authMethod !== 'session') {
+      return res.status(400).json({
+        success: false,
+        error: 'Request is not authenticated with a browser session',
+        code: 'NOT_A_SESSION'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: req.user,
+        session: true,
+        csrfToken: req.session.csrfToken,
+        expiresIn: this.browserSessionService.timeoutMs / 1000
+      }
+    });
+  }
+
+  /**
+   * Handle get current user
+   */
+  async handleGetCurrentUser(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          ...req.user,
+          permissions: this.authorizationService.getPermissions(req.user.role)
+        }
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'get_current_user',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get user information',
+        code: 'USER_INFO_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle get all users (admin only)
+   */
+  async handleGetAllUsers(req, res) {
+    try {
+      const { status, role, limit, offset } = req.query;
+
+      await this.userService.refreshUsers();
+      const result = this.userService.getAllUsers(req.userId, {
+        status,
+        role,
+        limit: limit ? parseInt(limit, 10) : undefined,
+        offset: offset ? parseInt(offset, 10) : undefined
+      });
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.users,
+          pagination: result.pagination
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'get_all_users',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve users',
+        code: 'RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle approve user (admin only)
+   */
+  async handleApproveUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+      
+      const result = await this.userService.approveUser(userId, req.userId, reason);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'approve_user',
+        userId: req.params.userId,
+        adminUserId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to approve user',
+        code: 'APPROVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle reject user (admin only)
+   */
+  async handleRejectUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+      
+      const result = await this.userService.rejectUser(userId, req.userId, reason);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'reject_user',
+        userId: req.params.userId,
+        adminUserId: req.userId,
+        reason: req.body.reason
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reject user',
+        code: 'REJECTION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle suspend user (admin only)
+   */
+  async handleSuspendUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+      
+      const result = await this.userService.suspendUser(userId, req.userId, reason);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'suspend_user',
+        userId: req.params.userId,
+        adminUserId: req.userId,
+        reason: req.body.reason
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to suspend user',
+        code: 'SUSPENSION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle revoke all sessions of a user (admin only)
+   */
+  async handleRevokeUserSessions(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+
+      const result = await this.userService.revokeUserSessions(userId, req.userId, reason);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 
+                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'revoke_user_sessions',
+        userId: req.params.userId,
+        adminUserId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke sessions',
+        code: 'REVOCATION_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle reset of a user's 2FA (admin only)
+   */
+  async handleResetTwoFactor(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+
+      const result = await this.userService.resetTwoFactor(userId, req.userId, reason);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
+                          result.code === 'USER_NOT_FOUND' ? 404 :
+                          result.code === 'TWO_FACTOR_NOT_ENABLED' ? 400 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'reset_two_factor',
+        userId: req.params.userId,
+        adminUserId: req.userId,
+        reason: req.body.reason
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset two-factor authentication',
+        code: 'TWO_FACTOR_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle reactivate user (requires users:suspend)
+   */
+  async handleReactivateUser(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+
+      const result = await this.userService.reactivateUser(userId, req.userId, reason);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.user
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
+                          result.code === 'USER_NOT_FOUND' ? 404 :
+                          result.code === 'INVALID_STATUS' ? 400 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
       }
 
-      req.user = user.getSafeData();
-      req.userId = userId;
-      next();
-
     } catch (error) {
-      this.logger.logAuthEvent('failed_auth', {
-        reason: error.message,
-        ip: req.ip
-      }, false);
+      this.logger.logError(error, {
+        action: 'reactivate_user',
+        userId: req.params.userId,
+        adminUserId: req.userId,
+        reason: req.body.reason
+      });
 
-      return res.status(401).json({
+      res.status(500).json({
         success: false,
-        error: 'Invalid or expired token',
-        code: 'INVALID_TOKEN'
+        error: 'Failed to reactivate user',
+        code: 'REACTIVATION_ERROR'
       });
     }
   }
 
   /**
-   * Handle user registration
+   * Handle unlock user (requires users:unlock)
    */
-  async handleRegistration(req, res) {
+  async handleUnlockUser(req, res) {
     try {
-      const { username, email, password, firstName, lastName } = req.body;
-      const ip = req.ip;
-
-      this.logger.logAuthEvent('registration_attempt', {
-        username,
-        email,
-        ip
-      });
+      const { userId } = req.params;
+      const { reason } = req.body;
 
-      const result = await this.userService.registerUser({
-        username,
-        email,
-        password,
-        firstName,
-        lastName,
-        ip
-      });
+      const result = await this.userService.unlockUser(userId, req.userId, reason);
 
       if (result.success) {
-        this.logger.logAuthEvent('registration_success', {
-          userId: result.userId,
-          username: result.username,
-          ip
-        }, true);
-
-        res.status(201).json({
+        res.json({
           success: true,
           message: result.message,
-          data: {
-            userId: result.userId,
-            username: result.username,
-            status: result.status
-          }
+          data: result.user
         });
       } else {
-        this.logger.logAuthEvent('registration_failed', {
-          username,
-          email,
-          error: result.error,
-          ip
-        }, false);
-
-        const statusCode = result.code === 'USERNAME_EXISTS' || result.code === 'EMAIL_EXISTS' ? 409 : 400;
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
+                          result.code === 'USER_NOT_FOUND' ? 404 :
+                          result.code === 'NOT_LOCKED' ? 400 : 500;
         res.status(statusCode).json({
           success: false,
           error: result.error,
@@ -246,61 +2293,43 @@ class AuthController {
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'registration',
-        ip: req.ip
+        action: 'unlock_user',
+        userId: req.params.userId,
+        adminUserId: req.userId,
+        reason: req.body.reason
       });
 
       res.status(500).json({
         success: false,
-        error: 'Registration failed',
-        code: 'REGISTRATION_ERROR'
+        error: 'Failed to unlock user',
+        code: 'UNLOCK_ERROR'
       });
     }
   }
 
   /**
-   * Handle user login
+   * Handle hard-delete user (requires users:delete)
    */
-  async handleLogin(req, res) {
+  async handleDeleteUser(req, res) {
     try {
-      const { usernameOrEmail, password } = req.body;
-      const ip = req.ip;
-
-      this.logger.logAuthEvent('login_attempt', {
-        username: usernameOrEmail,
-        ip
-      });
+      const { userId } = req.params;
+      const { reason, files, reassignTo } = req.body;
 
-      const result = await this.userService.authenticateUser(usernameOrEmail, password, ip);
+      const result = await this.userService.deleteUser(userId, req.userId, { reason, files, reassignTo });
 
       if (result.success) {
-        // Generate simple token (in production, use JWT)
-        const token = `${result.user.id}:${Date.now()}`;
-
-        this.logger.logAuthEvent('login_success', {
-          userId: result.user.id,
-          username: result.user.username,
-          ip
-        }, true);
-
         res.json({
           success: true,
           message: result.message,
           data: {
-            user: result.user,
-            token
+            deletedUserId: result.deletedUserId,
+            files: result.files
           }
         });
       } else {
-        this.logger.logAuthEvent('login_failed', {
-          username: usernameOrEmail,
-          error: result.error,
-          ip
-        }, false);
-
-        const statusCode = result.code === 'ACCOUNT_LOCKED' ? 423 : 
-                          result.code === 'ACCOUNT_INACTIVE' ? 403 : 401;
-
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
+                          result.code === 'USER_NOT_FOUND' ? 404 :
+                          result.code === 'CANNOT_DELETE_SELF' || result.code === 'INVALID_REASSIGN_TARGET' ? 400 : 500;
         res.status(statusCode).json({
           success: false,
           error: result.error,
@@ -310,128 +2339,150 @@ class AuthController {
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'login',
-        ip: req.ip
+        action: 'delete_user',
+        userId: req.params.userId,
+        adminUserId: req.userId,
+        reason: req.body.reason
       });
 
       res.status(500).json({
         success: false,
-        error: 'Login failed',
-        code: 'LOGIN_ERROR'
+        error: 'Failed to delete user',
+        code: 'DELETION_ERROR'
       });
     }
   }
 
   /**
-   * Handle check username availability
+   * Handle get admin audit trail (requires users:read)
    */
-  async handleCheckUsername(req, res) {
+  async handleGetAuditTrail(req, res) {
     try {
-      const { username } = req.params;
+      const { userId, limit } = req.query;
 
-      if (!User.isValidUsername(username)) {
-        return res.status(400).json({
+      const result = await this.userService.getAdminAuditTrail(req.userId, { userId, limit });
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.entries
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 500;
+        res.status(statusCode).json({
           success: false,
-          error: 'Invalid username format',
-          code: 'INVALID_USERNAME'
+          error: result.error,
+          code: result.code
         });
       }
 
-      const result = this.userService.isUsernameAvailable(username);
-      res.json(result);
-
     } catch (error) {
       this.logger.logError(error, {
-        action: 'check_username',
-        username: req.params.username
+        action: 'get_admin_audit_trail',
+        userId: req.userId
       });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to check username',
-        code: 'CHECK_ERROR'
+        error: 'Failed to retrieve audit trail',
+        code: 'RETRIEVAL_ERROR'
       });
     }
   }
 
   /**
-   * Handle check email availability
+   * Handle list registration invites (requires users:read)
    */
-  async handleCheckEmail(req, res) {
+  async handleListInvites(req, res) {
     try {
-      const { email } = req.params;
+      const result = this.userService.listInvites(req.userId);
 
-      if (!User.isValidEmail(email)) {
-        return res.status(400).json({
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.invites
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 500;
+        res.status(statusCode).json({
           success: false,
-          error: 'Invalid email format',
-          code: 'INVALID_EMAIL'
+          error: result.error,
+          code: result.code
         });
       }
 
-      const result = this.userService.isEmailAvailable(email);
-      res.json(result);
-
     } catch (error) {
       this.logger.logError(error, {
-        action: 'check_email',
-        email: req.params.email
+        action: 'list_invites',
+        userId: req.userId
       });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to check email',
-        code: 'CHECK_ERROR'
+        error: 'Failed to retrieve invites',
+        code: 'RETRIEVAL_ERROR'
       });
     }
   }
 
   /**
-   * Handle get current user
+   * Handle create registration invite (requires users:invite)
    */
-  async handleGetCurrentUser(req, res) {
+  async handleCreateInvite(req, res) {
     try {
-      res.json({
-        success: true,
-        data: req.user
-      });
+      const { role, maxUses, expiresInDays, note } = req.body;
+
+      const result = await this.userService.createInvite(req.userId, { role, maxUses, expiresInDays, note });
+
+      if (result.success) {
+        res.status(201).json({
+          success: true,
+          message: result.message,
+          data: {
+            code: result.code,
+            invite: result.invite
+          }
+        });
+      } else {
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
+                          result.code === 'INVALID_ROLE' ? 400 : 500;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'get_current_user',
+        action: 'create_invite',
         userId: req.userId
       });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to get user information',
-        code: 'USER_INFO_ERROR'
+        error: 'Failed to create invite',
+        code: 'INVITE_ERROR'
       });
     }
   }
 
   /**
-   * Handle get all users (admin only)
+   * Handle revoke registration invite (requires users:invite)
    */
-  async handleGetAllUsers(req, res) {
+  async handleRevokeInvite(req, res) {
     try {
-      const { status, role, limit, offset } = req.query;
-      
-      const result = this.userService.getAllUsers(req.userId, {
-        status,
-        role,
-        limit: limit ? parseInt(limit, 10) : undefined,
-        offset: offset ? parseInt(offset, 10) : undefined
-      });
+      const result = await this.userService.revokeInvite(req.userId, req.params.inviteId);
 
       if (result.success) {
         res.json({
           success: true,
-          data: result.users,
-          pagination: result.pagination
+          message: result.message,
+          data: result.invite
         });
       } else {
-        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 500;
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
+                          result.code === 'INVITE_NOT_FOUND' ? 404 : 500;
         res.status(statusCode).json({
           success: false,
           error: result.error,
@@ -441,26 +2492,55 @@ class AuthController {
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'get_all_users',
+        action: 'revoke_invite',
+        userId: req.userId,
+        inviteId: req.params.inviteId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke invite',
+        code: 'INVITE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle list roles (requires users:read)
+   */
+  async handleGetRoles(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          roles: this.authorizationService.getRoles(),
+          canAssignRoles: this.authorizationService.hasPermission(req.user, 'users:roles')
+        }
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'get_roles',
         userId: req.userId
       });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to retrieve users',
+        error: 'Failed to retrieve roles',
         code: 'RETRIEVAL_ERROR'
       });
     }
   }
 
   /**
-   * Handle approve user (admin only)
+   * Handle assign role (requires users:roles)
    */
-  async handleApproveUser(req, res) {
+  async handleAssignRole(req, res) {
     try {
       const { userId } = req.params;
-      
-      const result = await this.userService.approveUser(userId, req.userId);
+      const { role, reason } = req.body;
+
+      const result = await this.userService.assignRole(userId, req.userId, role, reason);
 
       if (result.success) {
         res.json({
@@ -469,8 +2549,9 @@ class AuthController {
           data: result.user
         });
       } else {
-        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 
-                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
+                          result.code === 'USER_NOT_FOUND' ? 404 :
+                          result.code === 'ROLE_ASSIGNMENT_ERROR' ? 500 : 400;
         res.status(statusCode).json({
           success: false,
           error: result.error,
@@ -480,38 +2561,37 @@ class AuthController {
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'approve_user',
+        action: 'assign_role',
         userId: req.params.userId,
-        adminUserId: req.userId
+        adminUserId: req.userId,
+        role: req.body.role
       });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to approve user',
-        code: 'APPROVAL_ERROR'
+        error: 'Failed to assign role',
+        code: 'ROLE_ASSIGNMENT_ERROR'
       });
     }
   }
 
   /**
-   * Handle reject user (admin only)
+   * Handle get user quota and usage (requires users:read)
    */
-  async handleRejectUser(req, res) {
+  async handleGetUserQuota(req, res) {
     try {
-      const { userId } = req.params;
-      const { reason } = req.body;
-      
-      const result = await this.userService.rejectUser(userId, req.userId, reason);
+      const result = await this.userService.getUserQuota(req.params.userId, req.userId);
 
       if (result.success) {
         res.json({
           success: true,
-          message: result.message,
-          data: result.user
+          data: {
+            quota: result.quota,
+            override: result.override
+          }
         });
       } else {
-        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 
-                          result.code === 'USER_NOT_FOUND' ? 404 : 500;
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 404;
         res.status(statusCode).json({
           success: false,
           error: result.error,
@@ -521,38 +2601,38 @@ class AuthController {
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'reject_user',
+        action: 'get_user_quota',
         userId: req.params.userId,
-        adminUserId: req.userId,
-        reason: req.body.reason
+        adminUserId: req.userId
       });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to reject user',
-        code: 'REJECTION_ERROR'
+        error: 'Failed to retrieve quota',
+        code: 'RETRIEVAL_ERROR'
       });
     }
   }
 
   /**
-   * Handle suspend user (admin only)
+   * Handle set (PUT) or clear (DELETE) a user's quota override (requires users:quotas)
    */
-  async handleSuspendUser(req, res) {
+  async handleSetUserQuota(req, res) {
     try {
       const { userId } = req.params;
-      const { reason } = req.body;
-      
-      const result = await this.userService.suspendUser(userId, req.userId, reason);
+      const { maxStorageMb, maxFiles, reason } = req.body;
+      const override = req.method === 'DELETE' ? null : { maxStorageMb, maxFiles };
+
+      const result = await this.userService.setQuotaOverride(userId, req.userId, override, reason);
 
       if (result.success) {
         res.json({
           success: true,
           message: result.message,
-          data: result.user
+          data: { quota: result.quota }
         });
       } else {
-        const statusCode = result.code === 'UNAUTHORIZED' ? 403 : 
+        const statusCode = result.code === 'UNAUTHORIZED' ? 403 :
                           result.code === 'USER_NOT_FOUND' ? 404 : 500;
         res.status(statusCode).json({
           success: false,
@@ -563,16 +2643,15 @@ class AuthController {
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'suspend_user',
+        action: 'set_user_quota',
         userId: req.params.userId,
-        adminUserId: req.userId,
-        reason: req.body.reason
+        adminUserId: req.userId
       });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to suspend user',
-        code: 'SUSPENSION_ERROR'
+        error: 'Failed to update quota',
+        code: 'QUOTA_UPDATE_ERROR'
       });
     }
   }
@@ -582,6 +2661,7 @@ class AuthController {
    */
   async handleGetUserStats(req, res) {
     try {
+      await this.userService.refreshUsers();
       const result = this.userService.getUserStats(req.userId);
 
       if (result.success) {
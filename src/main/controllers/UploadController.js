@@ -2,7 +2,15 @@ const express = require('express');
 const multer = require('multer');
 const { body, param, query, validationResult } = require('express-validator');
 const UploadService = require('../services/UploadService');
+const QuarantineReviewService = require('../services/QuarantineReviewService');
+const ResumableUploadService = require('../services/ResumableUploadService');
+const UploadBudget = require('../services/UploadBudget');
+const QuarantineStorage = require('../storage/QuarantineStorage');
+const UploadPolicy = require('../validation/UploadPolicy');
 const UserService = require('../services/UserService');
+const TokenService = require('../services/TokenService');
+const BrowserSessionService = require('../services/BrowserSessionService');
+const AuthMiddleware = require('../middleware/AuthMiddleware');
 const Logger = require('../config/Logger');
 const config = require('../config/AppConfig');
 
@@ -13,8 +21,21 @@ const config = require('../config/AppConfig');
  */
 class UploadController {
   constructor() {
+    this.uploadPolicy = UploadPolicy.getInstance();
     this.uploadService = new UploadService();
+    this.quarantineReviewService = new QuarantineReviewService(this.uploadService);
+    this.resumableUploadService = new ResumableUploadService();
+    this.quarantineStorage = new QuarantineStorage();
+    this.uploadBudget = new UploadBudget();
     this.userService = new UserService();
+    this.tokenService = new TokenService();
+    this.browserSessionService = new BrowserSessionService();
+    this.authMiddleware = new AuthMiddleware({
+      userService: this.userService,
+      tokenService: this.tokenService,
+      browserSessionService: this.browserSessionService
+    });
+    this.authorizationService = this.userService.authorizationService;
     this.logger = Logger;
     this.router = express.Router();
     this.setupMulter();
@@ -26,37 +47,79 @@ class UploadController {
    * Following OWASP guidelines for secure file upload
    */
   setupMulter() {
+    this.maxFilesPerRequest = config.get('security.max_files_per_request') || 10;
+
     // Configure multer with security settings
     this.upload = multer({
-      storage: multer.memoryStorage(), // Store in memory for validation
+      storage: this.quarantineStorage, // Stream to a quarantine file; moved into storage once validated
       limits: {
-        fileSize: config.get('security.max_file_size_mb') * 1024 * 1024, // Convert to bytes
-        files: 1, // Only one file per request
+        fileSize: this.uploadPolicy.getMaxFileSize(), // Largest file class; class limits are checked in the service
+        files: this.maxFilesPerRequest, // One "file" or up to this many "files"
         fields: 10, // Limit number of form fields
         fieldNameSize: 100, // Limit field name size
         fieldSize: 1024, // Limit field value size
-        parts: 20 // Limit number of parts
+        parts: this.maxFilesPerRequest + 20 // Limit number of parts
       },
+      // Basic file type filtering from the upload policy (full validation in the service)
       fileFilter: (req, file, cb) => {
-        // Basic file type filtering (additional validation in service)
-        const allowedMimes = [
-          'image/png',
-          'image/jpeg',
-          'image/gif',
-          'application/pdf',
-          'application/msword',
-          'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-          'text/plain',
-          'text/csv',
-          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-        ];
-
-        if (allowedMimes.includes(file.mimetype)) {
-          cb(null, true);
-        } else {
-          cb(new Error(`File type ${file.mimetype} is not allowed`), false);
+        const typeAllowed = this.uploadPolicy.isMimeTypeAllowed(file.mimetype, req.user && req.user.role);
+        if (file.fieldname !== 'files') {
+          return typeAllowed
+            ? cb(null, true)
+            : cb(new Error(`File type ${file.mimetype} is not allowed`), false);
         }
+
+        // In a batch a disallowed file is skipped and reported instead of failing the request
+        req.batchFileCount = (req.batchFileCount || 0) + 1;
+        file.batchIndex = req.batchFileCount - 1;
+        if (typeAllowed) {
+          return cb(null, true);
+        }
+
+        req.rejectedFiles = req.rejectedFiles || [];
+        req.rejectedFiles.push({
+          index: file.batchIndex,
+          filename: file.originalname,
+          success: false,
+          error: `File type ${file.mimetype} is not allowed`
+        });
+        cb(null, false);
+      }
+    }).fields([
+      { name: 'file', maxCount: 1 },
+      { name: 'files', maxCount: this.maxFilesPerRequest }
+    ]);
+  }
+
+  /**
+   * Run multer and answer its errors (too many files, file too large, ...) with 400/413
+   * instead of passing them to the global error handler
+   */
+  receiveUploads(req, res, next) {
+    this.upload(req, res, error => {
+      if (!error) {
+        return next();
       }
+
+      if (!(error instanceof multer.MulterError)) {
+        return next(error);
+      }
+
+      this.logger.logValidationFailure('multipart_rejected', {
+        userId: req.userId,
+        code: error.code,
+        field: error.field,
+        ip: req.ip
+      });
+
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Send one "file" or up to ${this.maxFilesPerRequest} "files" per request`
+          : error.message,
+        code: tooLarge ? 'FILE_TOO_LARGE' : error.code
+      });
     });
   }
 
@@ -67,14 +130,48 @@ class UploadController {
     // File upload endpoint
     this.router.post('/upload',
       this.authenticateUser.bind(this),
-      this.upload.single('file'),
+      this.authorizationService.requirePermission('files:write'),
+      this.uploadBudget.middleware(),
+      this.receiveUploads.bind(this),
+      body('atomic').optional().isIn(['true', 'false']),
       this.validateUploadRequest.bind(this),
       this.handleUpload.bind(this)
     );
 
+    // Resumable upload endpoints (tus 1.0: create, HEAD offset, PATCH chunks, terminate)
+    this.router.post('/uploads',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:write'),
+      this.requireTusResumable.bind(this),
+      this.handleCreateResumableUpload.bind(this)
+    );
+
+    this.router.head('/uploads/:uploadId',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:write'),
+      this.requireTusResumable.bind(this),
+      this.handleGetResumableUpload.bind(this)
+    );
+
+    this.router.patch('/uploads/:uploadId',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:write'),
+      this.requireTusResumable.bind(this),
+      this.uploadBudget.middleware(),
+      this.handleAppendResumableUpload.bind(this)
+    );
+
+    this.router.delete('/uploads/:uploadId',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:write'),
+      this.requireTusResumable.bind(this),
+      this.handleTerminateResumableUpload.bind(this)
+    );
+
     // File retrieval endpoint
     this.router.get('/files/:fileId',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:read'),
       this.validateFileId.bind(this),
       this.handleFileRetrieval.bind(this)
     );
@@ -82,6 +179,7 @@ class UploadController {
     // File deletion endpoint
     this.router.delete('/files/:fileId',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:delete'),
       this.validateFileId.bind(this),
       this.handleFileDeletion.bind(this)
     );
@@ -89,6 +187,7 @@ class UploadController {
     // Get user files endpoint
     this.router.get('/files',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:read'),
       this.validateGetFilesQuery.bind(this),
       this.handleGetUserFiles.bind(this)
     );
@@ -96,6 +195,7 @@ class UploadController {
     // Get file metadata endpoint
     this.router.get('/files/:fileId/metadata',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:read'),
       this.validateFileId.bind(this),
       this.handleGetFileMetadata.bind(this)
     );
@@ -103,114 +203,216 @@ class UploadController {
     // File preview endpoint (inline display for images)
     this.router.get('/files/:fileId/preview',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('files:read'),
       this.validateFileId.bind(this),
       this.handleFilePreview.bind(this)
     );
 
+    // Upload policy (read-only, so clients can check files before sending them)
+    this.router.get('/policy',
+      this.authenticateUser.bind(this),
+      this.handleGetPolicy.bind(this)
+    );
+
+    // Background jobs (admin): list, by default the dead-lettered ones, and requeue
+    this.router.get('/admin/jobs',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('jobs:read'),
+      [
+        query('status').optional().isIn(['queued', 'running', 'completed', 'failed']),
+        query('type').optional().isIn(['virus_scan', 'extract_metadata']),
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleListJobs.bind(this)
+    );
+
+    this.router.post('/admin/jobs/:jobId/requeue',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('jobs:manage'),
+      [
+        param('jobId').isUUID()
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleRequeueJob.bind(this)
+    );
+
+    // Quarantine review (admin): list, inspect, release (requested by one admin, approved by another) or purge
+    this.router.get('/admin/quarantine',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('quarantine:read'),
+      [
+        query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+        query('offset').optional().isInt({ min: 0 }).toInt()
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleListQuarantine.bind(this)
+    );
+
+    this.router.get('/admin/quarantine/:fileId',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('quarantine:read'),
+      [
+        param('fileId').isUUID()
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleGetQuarantinedFile.bind(this)
+    );
+
+    this.router.post('/admin/quarantine/:fileId/release',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('quarantine:manage'),
+      [
+        param('fileId').isUUID(),
+        body('justification').isString().trim().isLength({ min: 10, max: 1000 })
+          .withMessage('Explain in at least 10 characters why the file is safe to release')
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleQuarantineDecision.bind(this, 'requestRelease')
+    );
+
+    this.router.post('/admin/quarantine/:fileId/release/approve',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('quarantine:manage'),
+      [
+        param('fileId').isUUID()
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleQuarantineDecision.bind(this, 'approveRelease')
+    );
+
+    this.router.delete('/admin/quarantine/:fileId/release',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('quarantine:manage'),
+      [
+        param('fileId').isUUID(),
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleQuarantineDecision.bind(this, 'withdrawRelease')
+    );
+
+    this.router.delete('/admin/quarantine/:fileId',
+      this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('quarantine:manage'),
+      [
+        param('fileId').isUUID(),
+        body('reason').isString().trim().isLength({ min: 1, max: 500 })
+      ],
+      this.validateAdminRequest.bind(this),
+      this.handleQuarantineDecision.bind(this, 'purgeFile')
+    );
+
     // Health check endpoint
     this.router.get('/health',
       this.handleHealthCheck.bind(this)
     );
 
-    // Service statistics endpoint (admin only)
+    // Service statistics endpoint
     this.router.get('/stats',
       this.authenticateUser.bind(this),
+      this.authorizationService.requirePermission('stats:read'),
       this.handleGetStats.bind(this)
     );
   }
 
   /**
    * Middleware for user authentication
-   * In production, implement proper JWT or session-based authentication
+   * Delegates to the shared AuthMiddleware, which AuthController uses as well
    */
   authenticateUser(req, res, next) {
-    const authHeader = req.headers.authorization;
-
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      this.logger.logAuthEvent('failed_auth', {
-        reason: 'Missing or invalid authorization header',
-        ip: req.ip
-      }, false);
-
-      return res.status(401).json({
-        success: false,
-        error: 'Authentication required',
-        code: 'AUTH_REQUIRED'
-      });
-    }
-
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    return this.authMiddleware.authenticateUser(req, res, next);
+  }
 
-    // For now, we'll use a simple token format: userId:timestamp
-    // In production, use JWT tokens
+  /**
+   * Validate upload request
+   * Async middleware: every failure has to be answered here, Express 4 does not catch rejections
+   */
+  async validateUploadRequest(req, res, next) {
     try {
-      const [userId, timestamp] = token.split(':');
+      const uploaded = req.files || {};
+      const batch = uploaded.files || [];
+      req.file = uploaded.file && uploaded.file[0];
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty() || (req.file && (batch.length || req.rejectedFiles))) {
+        await this.removeQuarantinedFiles(req);
+        if (errors.isEmpty()) {
+          return res.status(400).json({
+            success: false,
+            error: 'Send either "file" or "files", not both',
+            code: 'VALIDATION_ERROR'
+          });
+        }
+
+        this.logger.logValidationFailure('upload_request_validation', {
+          userId: req.userId,
+          errors: errors.array(),
+          ip: req.ip
+        });
 
-      if (!userId || !timestamp) {
-        throw new Error('Invalid token format');
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid request data',
+          details: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
       }
 
-      // Check if token is not too old (24 hours)
-      const tokenAge = Date.now() - parseInt(timestamp);
-      if (tokenAge > 24 * 60 * 60 * 1000) {
-        throw new Error('Token expired');
+      if (batch.length || req.rejectedFiles) {
+        req.batchFiles = batch;
+        return next();
       }
 
-      // Validate user against UserService
-      const user = this.userService.getUserById(userId);
-      if (!user || !user.isActive()) {
-        throw new Error('User not found or inactive');
+      // Check if file was uploaded
+      if (!req.file) {
+        this.logger.logValidationFailure('no_file_uploaded', {
+          userId: req.userId,
+          ip: req.ip
+        });
+
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+          code: 'NO_FILE'
+        });
       }
 
-      req.user = user.getSafeData();
-      req.userId = userId;
       next();
 
     } catch (error) {
-      this.logger.logAuthEvent('failed_auth', {
-        reason: error.message,
+      this.logger.logError(error, {
+        userId: req.userId,
+        action: 'upload_request_validation',
         ip: req.ip
-      }, false);
+      });
 
-      return res.status(401).json({
+      res.status(500).json({
         success: false,
-        error: 'Invalid or expired token',
-        code: 'INVALID_TOKEN'
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
       });
     }
   }
 
   /**
-   * Validate upload request
+   * Validate file ID parameter
    */
-  validateUploadRequest(req, res, next) {
+  validateFileId(req, res, next) {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      this.logger.logValidationFailure('upload_request_validation', {
+      this.logger.logValidationFailure('file_id_validation', {
         userId: req.userId,
+        fileId: req.params.fileId,
         errors: errors.array(),
         ip: req.ip
       });
 
       return res.status(400).json({
         success: false,
-        error: 'Invalid request data',
+        error: 'Invalid file ID',
         details: errors.array(),
-        code: 'VALIDATION_ERROR'
-      });
-    }
-
-    // Check if file was uploaded
-    if (!req.file) {
-      this.logger.logValidationFailure('no_file_uploaded', {
-        userId: req.userId,
-        ip: req.ip
-      });
-
-      return res.status(400).json({
-        success: false,
-        error: 'No file uploaded',
-        code: 'NO_FILE'
+        code: 'INVALID_FILE_ID'
       });
     }
 
@@ -218,23 +420,22 @@ class UploadController {
   }
 
   /**
-   * Validate file ID parameter
+   * Validate get files query parameters
    */
-  validateFileId(req, res, next) {
+  validateGetFilesQuery(req, res, next) {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      this.logger.logValidationFailure('file_id_validation', {
+      this.logger.logValidationFailure('get_files_query_validation', {
         userId: req.userId,
-        fileId: req.params.fileId,
         errors: errors.array(),
         ip: req.ip
       });
 
       return res.status(400).json({
         success: false,
-        error: 'Invalid file ID',
+        error: 'Invalid query parameters',
         details: errors.array(),
-        code: 'INVALID_FILE_ID'
+        code: 'INVALID_QUERY'
       });
     }
 
@@ -242,22 +443,23 @@ class UploadController {
   }
 
   /**
-   * Validate get files query parameters
+   * Validate admin request parameters
    */
-  validateGetFilesQuery(req, res, next) {
+  validateAdminRequest(req, res, next) {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      this.logger.logValidationFailure('get_files_query_validation', {
+      this.logger.logValidationFailure('admin_request_validation', {
         userId: req.userId,
+        path: req.originalUrl.split('?')[0],
         errors: errors.array(),
         ip: req.ip
       });
 
       return res.status(400).json({
         success: false,
-        error: 'Invalid query parameters',
+        error: 'Invalid request parameters',
         details: errors.array(),
-        code: 'INVALID_QUERY'
+        code: 'VALIDATION_ERROR'
       });
     }
 
@@ -268,6 +470,10 @@ class UploadController {
    * Handle file upload
    */
   async handleUpload(req, res) {
+    if (req.batchFiles) {
+      return this.handleBatchUpload(req, res);
+    }
+
     try {
       const { file } = req;
       const { userId } = req;
@@ -281,7 +487,10 @@ class UploadController {
         ip: req.ip
       });
 
-      const result = await this.uploadService.uploadFile(file, userId, metadata);
+      const result = await this.uploadService.uploadFile(file, userId, metadata, {
+        quota: this.userService.getQuotaLimits(userId),
+        role: req.user.role
+      });
 
       if (result.success) {
         this.logger.logFileEvent('upload', {
@@ -299,7 +508,8 @@ class UploadController {
             filename: result.filename,
             fileSize: result.fileSize,
             mimeType: result.mimeType,
-            uploadTimestamp: result.uploadTimestamp
+            uploadTimestamp: result.uploadTimestamp,
+            virusScanStatus: result.virusScanStatus
           },
           warnings: result.warnings
         });
@@ -311,11 +521,14 @@ class UploadController {
           ip: req.ip
         }, false);
 
-        const statusCode = result.error.includes('Rate limit') ? 429 : 400;
+        const statusCode = result.code === 'QUOTA_EXCEEDED' ? 413 :
+                          result.error.includes('Rate limit') ? 429 : 400;
         res.status(statusCode).json({
           success: false,
           error: result.error,
           details: result.details,
+          code: result.code,
+          quota: result.quota,
           retryAfter: result.retryAfter
         });
       }
@@ -332,6 +545,424 @@ class UploadController {
         error: 'Internal server error',
         code: 'INTERNAL_ERROR'
       });
+    } finally {
+      // Rejected uploads leave their quarantine file behind; accepted ones were moved already
+      await this.removeQuarantinedFiles(req);
+    }
+  }
+
+  /**
+   * Handle a batch upload (multipart field "files")
+   * Every file gets its own result; the response is 201 when all were stored, 207 when
+   * only some were and 400 (429 when rate limited) when none were.
+   * With atomic=true nothing is stored unless every file is accepted
+   */
+  async handleBatchUpload(req, res) {
+    const { userId, batchFiles } = req;
+    const atomic = req.body.atomic === 'true';
+    const rejected = req.rejectedFiles || [];
+
+    try {
+      const metadata = req.body.metadata ? JSON.parse(req.body.metadata) : {};
+
+      this.logger.logFileEvent('batch_upload_attempt', {
+        userId,
+        fileCount: batchFiles.length + rejected.length,
+        totalSize: batchFiles.reduce((total, file) => total + file.size, 0),
+        atomic,
+        ip: req.ip
+      });
+
+      let results;
+      if (atomic && rejected.length) {
+        results = batchFiles.map(file => ({
+          filename: file.originalname,
+          success: false,
+          error: 'Not stored because another file in the batch was rejected'
+        }));
+      } else {
+        const batchResult = await this.uploadService.uploadBatch(batchFiles, userId, metadata, {
+          atomic,
+          quota: this.userService.getQuotaLimits(userId),
+          role: req.user.role
+        });
+        if (!batchResult.results) {
+          throw new Error(batchResult.details || batchResult.error);
+        }
+        results = batchResult.results;
+      }
+
+      const combined = results
+        .map((result, position) => ({
+          index: batchFiles[position].batchIndex,
+          filename: result.filename,
+          success: result.success,
+          ...(result.success
+            ? {
+              fileId: result.fileId,
+              fileSize: result.fileSize,
+              mimeType: result.mimeType,
+              uploadTimestamp: result.uploadTimestamp,
+              virusScanStatus: result.virusScanStatus,
+              warnings: result.warnings
+            }
+            : {
+              error: result.error,
+              code: result.code,
+              details: result.details,
+              retryAfter: result.retryAfter,
+              rolledBack: result.rolledBack
+            })
+        }))
+        .concat(rejected)
+        .sort((a, b) => a.index - b.index);
+
+      const succeeded = combined.filter(result => result.success).length;
+      const failed = combined.length - succeeded;
+
+      this.logger.logFileEvent('batch_upload', {
+        userId,
+        fileIds: combined.filter(result => result.success).map(result => result.fileId),
+        succeeded,
+        failed,
+        atomic,
+        ip: req.ip
+      }, failed === 0);
+
+      let statusCode = 201;
+      if (succeeded === 0) {
+        if (combined.every(result => result.error === 'Rate limit exceeded')) {
+          statusCode = 429;
+        } else if (combined.some(result => result.code === 'QUOTA_EXCEEDED')) {
+          statusCode = 413;
+        } else {
+          statusCode = 400;
+        }
+      } else if (failed > 0) {
+        statusCode = 207;
+      }
+
+      res.status(statusCode).json({
+        success: failed === 0,
+        data: {
+          atomic,
+          succeeded,
+          failed,
+          results: combined
+        }
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        userId,
+        action: 'batch_upload',
+        ip: req.ip
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        code: 'INTERNAL_ERROR'
+      });
+    } finally {
+      await this.removeQuarantinedFiles(req);
+    }
+  }
+
+  /**
+   * Delete the quarantine files of a request; files already moved into storage are gone already
+   */
+  async removeQuarantinedFiles(req) {
+    const uploaded = Object.values(req.files || {}).flat();
+    const results = await Promise.allSettled(uploaded.map(file => this.quarantineStorage.remove(file.path)));
+
+    // Only cleanup: a file left behind is removed by removeStale, so the request goes on
+    results.filter(result => result.status === 'rejected').forEach(result => {
+      this.logger.logError(result.reason, {
+        userId: req.userId,
+        action: 'quarantine_cleanup',
+        ip: req.ip
+      });
+    });
+  }
+
+  /**
+   * Require a supported Tus-Resumable header and add the tus headers to the response
+   */
+  requireTusResumable(req, res, next) {
+    res.set(this.resumableUploadService.getProtocolHeaders());
+
+    if (req.get('Tus-Resumable') !== ResumableUploadService.TUS_VERSION) {
+      return res.status(412).json({
+        success: false,
+        error: `Unsupported tus version; this server speaks ${ResumableUploadService.TUS_VERSION}`,
+        code: 'TUS_VERSION_UNSUPPORTED'
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Send the response for a failed resumable upload request
+   * Errors raised by ResumableUploadService carry their own status and code
+   */
+  sendResumableUploadError(req, res, error, action) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    this.logger.logError(error, {
+      userId: req.userId,
+      uploadId: req.params.uploadId,
+      action,
+      ip: req.ip
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+
+  /**
+   * Handle resumable upload creation
+   * The file name and type are checked now so a disallowed file is refused before any bytes are sent
+   */
+  async handleCreateResumableUpload(req, res) {
+    try {
+      const { userId } = req;
+      const lengthHeader = req.get('Upload-Length');
+      const metadata = this.resumableUploadService.parseMetadata(req.get('Upload-Metadata'));
+
+      if (req.get('Upload-Defer-Length')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload-Defer-Length is not supported',
+          code: 'INVALID_UPLOAD_LENGTH'
+        });
+      }
+
+      if (!metadata) {
+        return res.status(400).json({
+          success: false,
+          error: 'Malformed Upload-Metadata header',
+          code: 'INVALID_UPLOAD_METADATA'
+        });
+      }
+
+      if (metadata.filename) {
+        const extensionValidation = this.uploadService.fileValidator.validateFileExtension(metadata.filename, req.user.role);
+        const typeAllowed = !metadata.filetype || this.uploadPolicy.isMimeTypeAllowed(metadata.filetype, req.user.role);
+
+        if (!extensionValidation.isValid || !typeAllowed) {
+          this.logger.logValidationFailure('resumable_upload_rejected', {
+            userId,
+            filename: metadata.filename,
+            mimeType: metadata.filetype,
+            ip: req.ip
+          });
+
+          return res.status(400).json({
+            success: false,
+            error: 'File validation failed',
+            details: typeAllowed ? extensionValidation.errors : [`File type ${metadata.filetype} is not allowed`],
+            code: 'VALIDATION_ERROR'
+          });
+        }
+      }
+
+      const uploadLength = /^\d+$/.test(lengthHeader || '') ? Number(lengthHeader) : NaN;
+
+      // The limit of the file's class may be below the general one
+      const fileClass = metadata.filename && this.uploadPolicy.getClass(metadata.filename);
+      if (fileClass && uploadLength > fileClass.maxSize) {
+        return res.status(413).json({
+          success: false,
+          error: `Upload exceeds the maximum size of ${fileClass.maxSize} bytes for ${fileClass.description} files`,
+          code: 'UPLOAD_TOO_LARGE'
+        });
+      }
+
+      // Refuse an upload that cannot fit before the client sends any of it
+      if (Number.isFinite(uploadLength)) {
+        const quotaResult = await this.uploadService.checkQuota(userId, this.userService.getQuotaLimits(userId), {
+          bytes: uploadLength,
+          files: 1
+        });
+        if (!quotaResult.allowed) {
+          return res.status(413).json(quotaResult.error);
+        }
+      }
+
+      const upload = await this.resumableUploadService.createUpload({
+        userId,
+        uploadLength,
+        metadata
+      });
+
+      this.logger.logFileEvent('resumable_upload_created', {
+        userId,
+        uploadId: upload.id,
+        filename: metadata.filename,
+        fileSize: upload.uploadLength,
+        ip: req.ip
+      }, true);
+
+      res.set({
+        'Location': `${req.baseUrl}/uploads/${upload.id}`,
+        'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+      });
+      res.status(201).end();
+
+    } catch (error) {
+      this.sendResumableUploadError(req, res, error, 'resumable_upload_create');
+    }
+  }
+
+  /**
+   * Handle resumable upload offset lookup
+   */
+  async handleGetResumableUpload(req, res) {
+    try {
+      const upload = await this.resumableUploadService.getUpload(req.params.uploadId, req.userId);
+
+      if (!upload) {
+        return res.status(404).end();
+      }
+
+      res.set({
+        'Upload-Offset': String(upload.offset),
+        'Upload-Length': String(upload.uploadLength),
+        'Upload-Metadata': this.resumableUploadService.formatMetadata(upload.metadata),
+        'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+      });
+      res.status(200).end();
+
+    } catch (error) {
+      this.sendResumableUploadError(req, res, error, 'resumable_upload_head');
+    }
+  }
+
+  /**
+   * Handle a resumable upload chunk
+   * Once the last byte arrives the assembled file goes through the same pipeline as POST /upload
+   */
+  async handleAppendResumableUpload(req, res) {
+    try {
+      const { uploadId } = req.params;
+      const { userId } = req;
+      const offsetHeader = req.get('Upload-Offset');
+
+      if ((req.get('Content-Type') || '').split(';')[0].trim() !== 'application/offset+octet-stream') {
+        return res.status(415).json({
+          success: false,
+          error: 'Content-Type must be application/offset+octet-stream',
+          code: 'INVALID_CONTENT_TYPE'
+        });
+      }
+
+      if (!/^\d+$/.test(offsetHeader || '')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload-Offset must be a non-negative integer',
+          code: 'INVALID_UPLOAD_OFFSET'
+        });
+      }
+
+      // The lock covers assembly too, so a repeated final PATCH cannot store the file twice
+      await this.resumableUploadService.withLock(uploadId, async () => {
+        const upload = await this.resumableUploadService.appendChunk(uploadId, userId, Number(offsetHeader), req);
+
+        res.set({
+          'Upload-Offset': String(upload.offset),
+          'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+        });
+
+        if (!this.resumableUploadService.isComplete(upload)) {
+          return res.status(204).end();
+        }
+
+        // Upload-Metadata entries other than the file name and type are kept like the metadata field of POST /upload
+        const { filename, filetype, ...metadata } = upload.metadata;
+        const file = await this.resumableUploadService.readAssembledFile(upload);
+        const result = await this.uploadService.uploadFile(file, userId, { ...metadata, resumableUploadId: uploadId }, {
+          quota: this.userService.getQuotaLimits(userId),
+          role: req.user.role
+        });
+
+        if (result.success) {
+          await this.resumableUploadService.removeUpload(uploadId);
+
+          this.logger.logFileEvent('upload', {
+            userId,
+            fileId: result.fileId,
+            filename: result.filename,
+            fileSize: result.fileSize,
+            resumable: true,
+            ip: req.ip
+          }, true);
+
+          res.set('Upload-File-Id', result.fileId);
+          return res.status(204).end();
+        }
+
+        this.logger.logFileEvent('upload', {
+          userId,
+          filename: file.originalname,
+          error: result.error,
+          resumable: true,
+          ip: req.ip
+        }, false);
+
+        // A rate-limited or over-quota upload keeps its data so an empty PATCH can finish it later
+        const rateLimited = result.error.includes('Rate limit');
+        const overQuota = result.code === 'QUOTA_EXCEEDED';
+        if (!rateLimited && !overQuota) {
+          await this.resumableUploadService.removeUpload(uploadId);
+        }
+
+        res.status(overQuota ? 413 : rateLimited ? 429 : 400).json({
+          success: false,
+          error: result.error,
+          details: result.details,
+          code: result.code,
+          quota: result.quota,
+          retryAfter: result.retryAfter
+        });
+      });
+
+    } catch (error) {
+      this.sendResumableUploadError(req, res, error, 'resumable_upload_patch');
+    }
+  }
+
+  /**
+   * Handle resumable upload termination
+   */
+  async handleTerminateResumableUpload(req, res) {
+    try {
+      const removed = await this.resumableUploadService.terminateUpload(req.params.uploadId, req.userId);
+
+      if (!removed) {
+        return res.status(404).end();
+      }
+
+      this.logger.logFileEvent('resumable_upload_terminated', {
+        userId: req.userId,
+        uploadId: req.params.uploadId,
+        ip: req.ip
+      }, true);
+
+      res.status(204).end();
+
+    } catch (error) {
+      this.sendResumableUploadError(req, res, error, 'resumable_upload_terminate');
     }
   }
 
@@ -375,12 +1006,14 @@ class UploadController {
         }, false);
 
         const statusCode = result.error.includes('Unauthorized') ? 403 : 
-                          result.error.includes('not found') ? 404 : 400;
+                          result.error.includes('not found') ? 404 :
+                          result.code === 'SCAN_PENDING' ? 409 : 400;
 
         res.status(statusCode).json({
           success: false,
           error: result.error,
-          details: result.details
+          details: result.details,
+          code: result.code
         });
       }
 
@@ -601,12 +1234,14 @@ class UploadController {
         }, false);
 
         const statusCode = result.error.includes('Unauthorized') ? 403 : 
-                          result.error.includes('not found') ? 404 : 400;
+                          result.error.includes('not found') ? 404 :
+                          result.code === 'SCAN_PENDING' ? 409 : 400;
 
         res.status(statusCode).json({
           success: false,
           error: result.error,
-          details: result.details
+          details: result.details,
+          code: result.code
         });
       }
 
@@ -626,6 +1261,196 @@ class UploadController {
     }
   }
 
+  /**
+   * Handle upload policy request
+   * Each class is marked with whether the caller's role may upload it
+   */
+  handleGetPolicy(req, res) {
+    res.json({
+      success: true,
+      data: this.uploadPolicy.describe(req.user.role)
+    });
+  }
+
+  /**
+   * Handle list background jobs (requires jobs:read)
+   */
+  handleListJobs(req, res) {
+    const { status = 'failed', type, limit } = req.query;
+    const result = this.uploadService.listJobs({ status, type, limit });
+
+    res.json({
+      success: true,
+      data: result.jobs,
+      counts: result.counts
+    });
+  }
+
+  /**
+   * Handle requeue of a failed job (requires jobs:manage)
+   */
+  async handleRequeueJob(req, res) {
+    try {
+      const result = await this.uploadService.requeueJob(req.params.jobId, req.user);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: 'Job requeued',
+          data: result.job
+        });
+      } else {
+        const statusCode = result.code === 'JOB_NOT_FOUND' ? 404 : 409;
+        res.status(statusCode).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'requeue_job',
+        userId: req.userId,
+        jobId: req.params.jobId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to requeue job',
+        code: 'JOB_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle list quarantined files (requires quarantine:read)
+   */
+  async handleListQuarantine(req, res) {
+    try {
+      const { limit = 50, offset = 0 } = req.query;
+      const result = await this.quarantineReviewService.listFiles({ limit, offset });
+
+      res.json({
+        success: true,
+        data: result.files,
+        pagination: {
+          total: result.total,
+          limit,
+          offset
+        }
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'list_quarantine',
+        userId: req.userId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve quarantined files',
+        code: 'RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle get quarantined file details (requires quarantine:read)
+   */
+  async handleGetQuarantinedFile(req, res) {
+    try {
+      const result = await this.quarantineReviewService.getFile(req.params.fileId);
+
+      if (result.success) {
+        res.json({
+          success: true,
+          data: result.file
+        });
+      } else {
+        res.status(this.getQuarantineErrorStatus(result.code)).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'get_quarantined_file',
+        userId: req.userId,
+        fileId: req.params.fileId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve file',
+        code: 'RETRIEVAL_ERROR'
+      });
+    }
+  }
+
+  /**
+   * Handle a quarantine decision (requires quarantine:manage)
+   * @param {string} action - requestRelease, approveRelease, withdrawRelease or purgeFile
+   */
+  async handleQuarantineDecision(action, req, res) {
+    try {
+      const { fileId } = req.params;
+      const result = action === 'requestRelease'
+        ? await this.quarantineReviewService.requestRelease(fileId, req.user, req.body.justification)
+        : await this.quarantineReviewService[action](fileId, req.user, req.body.reason);
+
+      if (result.success) {
+        const { success, message, ...data } = result;
+        res.status(action === 'requestRelease' ? 202 : 200).json({
+          success: true,
+          message,
+          data
+        });
+      } else {
+        res.status(this.getQuarantineErrorStatus(result.code)).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: `quarantine_${action}`,
+        userId: req.userId,
+        fileId: req.params.fileId
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to record the quarantine decision',
+        code: 'QUARANTINE_ERROR'
+      });
+    }
+  }
+
+  /**
+   * HTTP status for a quarantine review error code
+   * @param {string} code - Error code
+   * @returns {number} Status code
+   */
+  getQuarantineErrorStatus(code) {
+    switch (code) {
+      case 'FILE_NOT_FOUND':
+        return 404;
+      case 'FOUR_EYES_REQUIRED':
+        return 403;
+      case 'NOT_QUARANTINED':
+      case 'RELEASE_ALREADY_REQUESTED':
+      case 'NO_RELEASE_REQUEST':
+        return 409;
+      default:
+        return 500;
+    }
+  }
+
   /**
    * Handle health check
    */
@@ -667,7 +1492,10 @@ class UploadController {
       if (result.success) {
         res.json({
           success: true,
-          data: result.stats
+          data: {
+            ...result.stats,
+            quota: await this.userService.getQuotaReport(userId)
+          }
         });
       } else {
         res.status(500).json({
@@ -0,0 +1,63 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * OutboxTransport - File-Based Mail Transport
+ * Writes each message to a JSON file instead of sending it
+ * Used for development, offline runs and tests
+ */
+class OutboxTransport {
+  constructor(outboxPath = path.join(process.cwd(), 'data', 'outbox')) {
+    this.outboxPath = outboxPath;
+  }
+
+  /**
+   * Write a message to the outbox
+   * @param {object} message - Message with from, to, subject, text and html
+   * @returns {object} Delivery info
+   */
+  async send(message) {
+    const messageId = uuidv4();
+    const record = {
+      messageId,
+      ...message,
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.mkdir(this.outboxPath, { recursive: true });
+    await fs.writeFile(
+      path.join(this.outboxPath, `${Date.now()}-${messageId}.json`),
+      JSON.stringify(record, null, 2),
+      { mode: 0o600 } // Messages contain single-use links
+    );
+
+    return { messageId };
+  }
+
+  /**
+   * Read messages from the outbox, oldest first
+   * @returns {Array} Stored messages
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.outboxPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const messages = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      const data = await fs.readFile(path.join(this.outboxPath, file), 'utf8');
+      messages.push(JSON.parse(data));
+    }
+
+    return messages;
+  }
+}
+
+module.exports = OutboxTransport;
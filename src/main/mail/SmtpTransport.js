@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SmtpTransport - SMTP Mail Transport
+ * Delivers messages through an SMTP relay
+ * Following OWASP Transport Layer Security guidelines (TLS required unless explicitly disabled)
+ */
+class SmtpTransport {
+  constructor(options = {}) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host || 'localhost',
+      port: options.port || 587,
+      secure: options.secure === true, // true for implicit TLS (465), false for STARTTLS
+      requireTLS: options.require_tls !== false,
+      auth: options.user
+        ? { user: options.user, pass: options.password }
+        : undefined
+    });
+  }
+
+  /**
+   * Send a message
+   * @param {object} message - Message with from, to, subject, text and html
+   * @returns {object} Delivery info
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
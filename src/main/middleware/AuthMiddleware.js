@@ -0,0 +1,129 @@
+const Logger = require('../config/Logger');
+
+/**
+ * AuthMiddleware - Request Authentication
+ * Shared by every controller so bearer token, API key and browser session checks live in one place
+ * Following OWASP Authentication and Session Management guidelines
+ */
+class AuthMiddleware {
+  /**
+   * @param {object} services - The controller's services
+   * @param {UserService} services.userService - Looks up users and API keys
+   * @param {TokenService} services.tokenService - Verifies access tokens
+   * @param {BrowserSessionService} services.browserSessionService - Authenticates session cookies
+   */
+  constructor({ userService, tokenService, browserSessionService }) {
+    this.userService = userService;
+    this.tokenService = tokenService;
+    this.browserSessionService = browserSessionService;
+    this.logger = Logger;
+  }
+
+  /**
+   * Middleware for user authentication
+   * Accepts signed JWT access tokens, personal API keys and browser session cookies
+   */
+  authenticateUser(req, res, next) {
+    const authHeader = req.headers.authorization;
+
+    // Browser UI in cookie mode; an explicit Authorization header always wins
+    if (!authHeader && this.browserSessionService.hasSession(req)) {
+      return this.browserSessionService.authenticate(req, res, next);
+    }
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      this.logger.logAuthEvent('failed_auth', {
+        reason: 'Missing or invalid authorization header',
+        ip: req.ip
+      }, false);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+
+    if (this.userService.apiKeyService.isApiKey(token)) {
+      return this.authenticateApiKey(token, req, res, next);
+    }
+
+    try {
+      // Verify signature, expiry, issuer/audience and token type
+      const claims = this.tokenService.verifyAccessToken(token);
+
+      // Role and status claims must still match the stored user
+      const user = this.userService.getUserById(claims.sub);
+      this.tokenService.assertClaimsMatchUser(claims, user);
+
+      req.user = user.getSafeData();
+      req.userId = user.id;
+      req.tokenClaims = claims;
+      req.apiKey = null;
+      req.authMethod = 'bearer';
+      next();
+
+    } catch (error) {
+      this.logger.logAuthEvent('failed_auth', {
+        reason: error.message,
+        ip: req.ip
+      }, false);
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token',
+        code: 'INVALID_TOKEN'
+      });
+    }
+  }
+
+  /**
+   * Authenticate a request carrying a personal API key
+   * Called from the synchronous authenticateUser, so a failing lookup must answer here
+   */
+  async authenticateApiKey(key, req, res, next) {
+    let result;
+    try {
+      result = await this.userService.authenticateApiKey(key, req.ip);
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'api_key_authentication',
+        ip: req.ip
+      });
+
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication failed',
+        code: 'AUTH_ERROR'
+      });
+    }
+
+    if (!result.success) {
+      this.logger.logAuthEvent('failed_auth', {
+        reason: result.reason || result.error,
+        method: 'api_key',
+        ip: req.ip
+      }, false);
+
+      return res.status(401).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    req.user = result.user.getSafeData();
+    req.userId = result.user.id;
+    req.tokenClaims = null;
+    req.apiKey = {
+      id: result.apiKey.id,
+      scopes: result.apiKey.scopes
+    };
+    req.authMethod = 'api_key';
+    next();
+  }
+}
+
+module.exports = AuthMiddleware;
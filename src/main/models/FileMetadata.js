@@ -19,7 +19,7 @@ class FileMetadata {
     this.uploadTimestamp = data.uploadTimestamp || new Date().toISOString();
     this.lastAccessed = data.lastAccessed || null;
     this.accessCount = data.accessCount || 0;
-    this.status = data.status || 'active'; // active, deleted, quarantined
+    this.status = data.status || 'active'; // active, deleted, quarantined, archived
     this.checksum = data.checksum || '';
     this.virusScanStatus = data.virusScanStatus || 'pending'; // pending, clean, infected, error
     this.virusScanTimestamp = data.virusScanTimestamp || null;
@@ -136,7 +136,7 @@ class FileMetadata {
     }
 
     // Validate status
-    const validStatuses = ['active', 'deleted', 'quarantined'];
+    const validStatuses = ['active', 'deleted', 'quarantined', 'archived'];
     if (!validStatuses.includes(this.status)) {
       errors.push('Invalid file status');
     }
@@ -183,6 +183,52 @@ class FileMetadata {
     this.metadata.quarantineTimestamp = new Date().toISOString();
   }
 
+  /**
+   * Return a quarantined file to its owner after review
+   * The quarantine details and earlier scan verdict are kept in metadata.releaseHistory
+   * @param {object} release - Who requested and approved the release, and why
+   */
+  releaseFromQuarantine(release) {
+    this.metadata.releaseHistory = [
+      ...(this.metadata.releaseHistory || []),
+      {
+        ...release,
+        quarantineReason: this.metadata.quarantineReason,
+        quarantineTimestamp: this.metadata.quarantineTimestamp,
+        virusScanStatus: this.virusScanStatus,
+        virusScanDetails: this.metadata.virusScanDetails
+      }
+    ];
+    delete this.metadata.quarantineReason;
+    delete this.metadata.quarantineTimestamp;
+
+    this.status = 'active';
+    this.updateVirusScan('clean', 'Released from quarantine after review');
+  }
+
+  /**
+   * Mark file as archived
+   * Archived files stay in storage but are no longer served to anyone
+   * @param {string} reason - Reason for archiving
+   */
+  markArchived(reason) {
+    this.status = 'archived';
+    this.metadata.archiveReason = reason;
+    this.metadata.archiveTimestamp = new Date().toISOString();
+  }
+
+  /**
+   * Transfer ownership to another user
+   * @param {string} newUserId - New owner's user ID
+   * @param {string} reason - Reason for the transfer
+   */
+  reassign(newUserId, reason) {
+    this.metadata.previousOwnerId = this.userId;
+    this.metadata.reassignReason = reason;
+    this.metadata.reassignTimestamp = new Date().toISOString();
+    this.userId = newUserId;
+  }
+
   /**
    * Update virus scan results
    * @param {string} status - Virus scan status
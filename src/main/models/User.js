@@ -14,7 +14,7 @@ class User {
     this.passwordHash = data.passwordHash || '';
     this.firstName = data.firstName || '';
     this.lastName = data.lastName || '';
-    this.role = data.role || 'user'; // user, admin
+    this.role = data.role || 'user'; // A role from the rbac matrix in config.yaml
     this.status = data.status || 'pending'; // pending, active, suspended, rejected
     this.createdAt = data.createdAt || new Date().toISOString();
     this.updatedAt = data.updatedAt || new Date().toISOString();
@@ -22,7 +22,17 @@ class User {
     this.loginAttempts = data.loginAttempts || 0;
     this.lockedUntil = data.lockedUntil || null;
     this.emailVerified = data.emailVerified || false;
+    this.emailVerifiedAt = data.emailVerifiedAt || null;
+    this.passwordChangedAt = data.passwordChangedAt || null;
+    this.passwordResetTokenHash = data.passwordResetTokenHash || null; // SHA-256 of the emailed reset token
+    this.passwordResetExpiresAt = data.passwordResetExpiresAt || null;
     this.twoFactorEnabled = data.twoFactorEnabled || false;
+    this.twoFactorSecret = data.twoFactorSecret || null; // Encrypted TOTP secret
+    this.twoFactorPendingSecret = data.twoFactorPendingSecret || null; // Encrypted secret awaiting confirmation
+    this.twoFactorRecoveryCodes = data.twoFactorRecoveryCodes || []; // Hashed one-time recovery codes
+    this.twoFactorLastUsedStep = data.twoFactorLastUsedStep || -1; // Last accepted TOTP time step
+    this.webauthnCredentials = data.webauthnCredentials || []; // Registered passkeys (public keys only)
+    this.apiKeys = data.apiKeys || []; // Personal API keys (hashes only)
     this.metadata = data.metadata || {};
   }
 
@@ -128,6 +138,27 @@ class User {
 
     const saltRounds = 12;
     this.passwordHash = await bcrypt.hash(newPassword, saltRounds);
+    this.passwordChangedAt = new Date().toISOString();
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Store a pending password reset token (replaces any earlier one)
+   * @param {string} tokenHash - Hash of the emailed token
+   * @param {number} expiresAt - Expiry timestamp (ms)
+   */
+  setPasswordResetToken(tokenHash, expiresAt) {
+    this.passwordResetTokenHash = tokenHash;
+    this.passwordResetExpiresAt = expiresAt;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Discard the pending password reset token
+   */
+  clearPasswordResetToken() {
+    this.passwordResetTokenHash = null;
+    this.passwordResetExpiresAt = null;
     this.updatedAt = new Date().toISOString();
   }
 
@@ -154,6 +185,15 @@ class User {
     }
   }
 
+  /**
+   * Clear failed login attempts and any lock without recording a login
+   */
+  unlock() {
+    this.loginAttempts = 0;
+    this.lockedUntil = null;
+    this.updatedAt = new Date().toISOString();
+  }
+
   /**
    * Reset login attempts after successful login
    */
@@ -164,6 +204,167 @@ class User {
     this.updatedAt = new Date().toISOString();
   }
 
+  /**
+   * Enable two-factor authentication with a confirmed secret
+   * @param {string} encryptedSecret - Encrypted TOTP secret
+   * @param {Array} recoveryCodeHashes - Hashed recovery codes
+   * @param {number} usedStep - Time step of the confirmation code
+   */
+  enableTwoFactor(encryptedSecret, recoveryCodeHashes, usedStep) {
+    this.twoFactorEnabled = true;
+    this.twoFactorSecret = encryptedSecret;
+    this.twoFactorPendingSecret = null;
+    this.twoFactorRecoveryCodes = recoveryCodeHashes;
+    this.twoFactorLastUsedStep = usedStep;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Disable two-factor authentication and discard all 2FA material
+   */
+  disableTwoFactor() {
+    this.twoFactorEnabled = false;
+    this.twoFactorSecret = null;
+    this.twoFactorPendingSecret = null;
+    this.twoFactorRecoveryCodes = [];
+    this.twoFactorLastUsedStep = -1;
+    this.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Consume a recovery code if it matches one of the stored hashes
+   * @param {string} codeHash - Hash of the presented recovery code
+   * @returns {boolean} True if the code was valid and has been used up
+   */
+  consumeRecoveryCode(codeHash) {
+    const index = this.twoFactorRecoveryCodes.indexOf(codeHash);
+    if (index === -1) {
+      return false;
+    }
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    this.updatedAt = new Date().toISOString();
+    return true;
+  }
+
+  /**
+   * Register a WebAuthn credential (passkey)
+   * @param {object} credential - Verified credential record
+   * @param {string} name - Friendly name shown to the user
+   * @returns {object} Stored credential
+   */
+  addWebAuthnCredential(credential, name) {
+    if (this.getWebAuthnCredential(credential.id)) {
+      throw new Error('Passkey is already registered');
+    }
+
+    const stored = {
+      ...credential,
+      name: name || `Passkey ${this.webauthnCredentials.length + 1}`,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+
+    this.webauthnCredentials.push(stored);
+    this.updatedAt = new Date().toISOString();
+    return stored;
+  }
+
+  /**
+   * Find a registered WebAuthn credential
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {object|null} Credential record
+   */
+  getWebAuthnCredential(credentialId) {
+    return this.webauthnCredentials.find(credential => credential.id === credentialId) || null;
+  }
+
+  /**
+   * Record a successful assertion for a credential
+   * @param {string} credentialId - Base64url credential ID
+   * @param {number} counter - New signature counter
+   */
+  recordWebAuthnUse(credentialId, counter) {
+    const credential = this.getWebAuthnCredential(credentialId);
+    if (credential) {
+      credential.counter = counter;
+      credential.lastUsedAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Remove a registered WebAuthn credential
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {boolean} True if a credential was removed
+   */
+  removeWebAuthnCredential(credentialId) {
+    const count = this.webauthnCredentials.length;
+    this.webauthnCredentials = this.webauthnCredentials.filter(credential => credential.id !== credentialId);
+    this.updatedAt = new Date().toISOString();
+    return this.webauthnCredentials.length !== count;
+  }
+
+  /**
+   * Add a personal API key
+   * @param {object} apiKey - Key record (id, hash, name, scopes, expiresAt)
+   * @returns {object} Stored key record
+   */
+  addApiKey(apiKey) {
+    const stored = {
+      ...apiKey,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      lastUsedIp: null
+    };
+
+    this.apiKeys.push(stored);
+    this.updatedAt = new Date().toISOString();
+    return stored;
+  }
+
+  /**
+   * Find a personal API key
+   * @param {string} keyId - Key ID
+   * @returns {object|null} Key record
+   */
+  getApiKey(keyId) {
+    return this.apiKeys.find(apiKey => apiKey.id === keyId) || null;
+  }
+
+  /**
+   * Record a request authenticated with an API key
+   * @param {string} keyId - Key ID
+   * @param {string} ip - Client IP address
+   */
+  recordApiKeyUse(keyId, ip) {
+    const apiKey = this.getApiKey(keyId);
+    if (apiKey) {
+      apiKey.lastUsedAt = new Date().toISOString();
+      apiKey.lastUsedIp = ip;
+    }
+  }
+
+  /**
+   * Revoke a personal API key
+   * @param {string} keyId - Key ID
+   * @returns {boolean} True if a key was removed
+   */
+  removeApiKey(keyId) {
+    const count = this.apiKeys.length;
+    this.apiKeys = this.apiKeys.filter(apiKey => apiKey.id !== keyId);
+    this.updatedAt = new Date().toISOString();
+    return this.apiKeys.length !== count;
+  }
+
+  /**
+   * Mark the user's current email address as verified
+   */
+  verifyEmail() {
+    this.emailVerified = true;
+    this.emailVerifiedAt = new Date().toISOString();
+    this.updatedAt = new Date().toISOString();
+  }
+
   /**
    * Approve user account
    * @param {string} approvedBy - Admin user ID who approved
@@ -201,6 +402,46 @@ class User {
     this.metadata.suspensionReason = reason;
   }
 
+  /**
+   * Reactivate a suspended or rejected account
+   * @param {string} reactivatedBy - Admin user ID
+   * @param {string} reason - Reactivation reason
+   */
+  reactivate(reactivatedBy, reason) {
+    this.status = 'active';
+    this.updatedAt = new Date().toISOString();
+    this.metadata.reactivatedBy = reactivatedBy;
+    this.metadata.reactivatedAt = new Date().toISOString();
+    this.metadata.reactivationReason = reason;
+  }
+
+  /**
+   * Assign a new role
+   * @param {string} role - Role name
+   * @param {string} assignedBy - Admin user ID
+   */
+  assignRole(role, assignedBy) {
+    this.metadata.previousRole = this.role;
+    this.role = role;
+    this.updatedAt = new Date().toISOString();
+    this.metadata.roleAssignedBy = assignedBy;
+    this.metadata.roleAssignedAt = new Date().toISOString();
+  }
+
+  /**
+   * Set or clear the admin override of the role's storage quota
+   * @param {object|null} override - { maxStorageMb, maxFiles } (null or 0 = unlimited); null clears it
+   * @param {string} setBy - Admin user ID
+   */
+  setQuotaOverride(override, setBy) {
+    if (override) {
+      this.metadata.quotaOverride = { ...override, setBy, setAt: new Date().toISOString() };
+    } else {
+      delete this.metadata.quotaOverride;
+    }
+    this.updatedAt = new Date().toISOString();
+  }
+
   /**
    * Check if user is active
    * @returns {boolean} True if user is active
@@ -243,7 +484,13 @@ class User {
       updatedAt: this.updatedAt,
       lastLogin: this.lastLogin,
       emailVerified: this.emailVerified,
-      twoFactorEnabled: this.twoFactorEnabled
+      emailVerifiedAt: this.emailVerifiedAt,
+      passwordChangedAt: this.passwordChangedAt,
+      lockedUntil: this.isLocked() ? new Date(this.lockedUntil).toISOString() : null,
+      twoFactorEnabled: this.twoFactorEnabled,
+      recoveryCodesRemaining: this.twoFactorRecoveryCodes.length,
+      passkeyCount: this.webauthnCredentials.length,
+      apiKeyCount: this.apiKeys.length
     };
   }
 
@@ -267,7 +514,17 @@ class User {
       loginAttempts: this.loginAttempts,
       lockedUntil: this.lockedUntil,
       emailVerified: this.emailVerified,
+      emailVerifiedAt: this.emailVerifiedAt,
+      passwordChangedAt: this.passwordChangedAt,
+      passwordResetTokenHash: this.passwordResetTokenHash,
+      passwordResetExpiresAt: this.passwordResetExpiresAt,
       twoFactorEnabled: this.twoFactorEnabled,
+      twoFactorSecret: this.twoFactorSecret,
+      twoFactorPendingSecret: this.twoFactorPendingSecret,
+      twoFactorRecoveryCodes: this.twoFactorRecoveryCodes,
+      twoFactorLastUsedStep: this.twoFactorLastUsedStep,
+      webauthnCredentials: this.webauthnCredentials,
+      apiKeys: this.apiKeys,
       metadata: JSON.stringify(this.metadata)
     };
   }
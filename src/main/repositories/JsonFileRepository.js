@@ -0,0 +1,88 @@
+const JsonFileStore = require('../storage/JsonFileStore');
+const Logger = require('../config/Logger');
+const { migrateJsonDocument, createJsonDocument } = require('./jsonMigrations');
+
+/**
+ * JsonFileRepository - Flat File Repository
+ * Legacy storage: the whole collection is rewritten to one JSON file on every save
+ * Writes are atomic and coalesced, and a corrupt file is restored from the last good generation
+ * Files carry a schema version and are migrated when read (see jsonMigrations)
+ * Kept for `database.type: json` and as the source format of the SQLite importer
+ */
+class JsonFileRepository {
+  /**
+   * @param {string} persistenceFile - JSON file holding an id -> record object
+   * @param {object} codec - Record conversion
+   * @param {Function} codec.toRecord - Model instance -> plain object
+   * @param {Function} codec.toEntity - Plain object -> model instance
+   */
+  constructor(persistenceFile, { toRecord, toEntity }) {
+    this.persistenceFile = persistenceFile;
+    this.file = new JsonFileStore(persistenceFile);
+    this.toRecord = toRecord;
+    this.toEntity = toEntity;
+    this.shared = false; // The file belongs to a single app instance
+  }
+
+  /**
+   * Read the records, migrating the file first if it has an older schema version
+   * @returns {object} { records, applied } with the migration versions applied
+   */
+  async readRecords() {
+    const document = await this.file.read();
+    if (!document) {
+      return { records: {}, applied: [] };
+    }
+
+    const { records, applied } = migrateJsonDocument(document);
+    if (applied.length > 0) {
+      // The pre-migration file is kept as the previous generation
+      await this.file.write(createJsonDocument(records));
+      Logger.getLogger().info('Data file migrated', { file: this.persistenceFile, applied });
+    }
+
+    return { records, applied };
+  }
+
+  /**
+   * Bring the file up to the current schema version
+   * @returns {Array} Migration versions applied
+   */
+  async initialize() {
+    return (await this.readRecords()).applied;
+  }
+
+  /**
+   * Load every record
+   * A missing file is an empty collection
+   * @returns {Map} id -> model instance
+   */
+  async loadAll() {
+    const entities = new Map();
+    const { records } = await this.readRecords();
+
+    for (const [key, value] of Object.entries(records)) {
+      entities.set(key, this.toEntity(value));
+    }
+
+    return entities;
+  }
+
+  /**
+   * Rewrite the file with the full collection
+   * @param {Iterable} entities - Model instances
+   * @returns {object} Number of records written
+   */
+  async saveAll(entities) {
+    const records = {};
+    for (const entity of entities) {
+      records[entity.id] = this.toRecord(entity);
+    }
+
+    await this.file.write(createJsonDocument(records));
+
+    return { written: Object.keys(records).length, deleted: 0 };
+  }
+}
+
+module.exports = JsonFileRepository;
@@ -0,0 +1,266 @@
+/**
+ * SqlRepository - SQL Table Repository
+ * Persists model instances as rows of one table and rebuilds them with the model's fromDatabase hook
+ * Works on any database wrapper exposing run/get/all/exec/transaction with ? placeholders (SQLite, PostgreSQL)
+ * Only rows that changed since they were last read or written are sent to the database
+ * Following OWASP Database Security guidelines (parameterized queries, whitelisted identifiers)
+ */
+class SqlRepository {
+  /**
+   * @param {SqliteDatabase|PostgresDatabase} database - Shared database connection
+   * @param {object} table - Table definition (name, columns, indexes)
+   * @param {Function} model - Model class with toObject() and static fromDatabase()
+   * @param {object} options - Repository options
+   * @param {Function} options.prepare - Awaited after the migrations, before any query (e.g. the legacy JSON import)
+   */
+  constructor(database, table, model, { prepare = null } = {}) {
+    this.database = database;
+    this.table = table;
+    this.model = model;
+    this.prepare = prepare;
+    this.columns = new Map(table.columns.map(column => [column.name, column]));
+    this.persisted = new Map(); // id -> row as last stored, to skip unchanged rows
+    this.shared = database.shared === true; // Other app instances may write the same tables
+  }
+
+  /**
+   * Bring the database schema up to date
+   * @returns {Promise} Resolves once every migration (and the prepare hook) has run
+   */
+  async initialize() {
+    await this.database.migrate();
+    if (this.prepare) {
+      await this.prepare();
+    }
+  }
+
+  /**
+   * Convert a model instance to a table row
+   * @param {object} entity - Model instance
+   * @returns {object} Column values
+   */
+  toRow(entity) {
+    const data = entity.toObject();
+    const row = {};
+
+    for (const column of this.table.columns) {
+      const value = data[column.name];
+
+      if (value === undefined || value === null) {
+        row[column.name] = null;
+      } else if (column.type === 'boolean') {
+        row[column.name] = !!value;
+      } else if (column.type === 'json') {
+        row[column.name] = JSON.stringify(value);
+      } else {
+        row[column.name] = value;
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Convert a table row back into a model instance
+   * @param {object} row - Column values
+   * @returns {object} Model instance
+   */
+  toEntity(row) {
+    const data = { ...row };
+
+    for (const column of this.table.columns) {
+      const value = data[column.name];
+
+      if (value === null) {
+        data[column.name] = undefined; // Let the model apply its defaults
+      } else if (column.type === 'boolean') {
+        data[column.name] = value === true || value === 1; // SQLite stores 0/1
+      } else if (column.type === 'json' && typeof value === 'string') {
+        data[column.name] = JSON.parse(value); // PostgreSQL JSONB arrives parsed
+      }
+    }
+
+    return this.model.fromDatabase(data);
+  }
+
+  /**
+   * Convert rows to entities and remember them as the stored state
+   * @param {Array} rows - Table rows
+   * @returns {Map} id -> model instance
+   */
+  track(rows) {
+    const entities = new Map();
+
+    for (const row of rows) {
+      const entity = this.toEntity(row);
+      this.persisted.set(entity.id, JSON.stringify(this.toRow(entity)));
+      entities.set(entity.id, entity);
+    }
+
+    return entities;
+  }
+
+  /**
+   * Build a WHERE clause from equality criteria
+   * @param {object} criteria - Column -> value
+   * @returns {object} SQL fragment and parameters
+   */
+  buildWhere(criteria = {}) {
+    const entries = Object.entries(criteria);
+    for (const [name] of entries) {
+      if (!this.columns.has(name)) {
+        throw new Error(`Unknown column ${name} for ${this.table.name}`);
+      }
+    }
+
+    return {
+      sql: entries.length > 0 ? ` WHERE ${entries.map(([name]) => `"${name}" = ?`).join(' AND ')}` : '',
+      params: entries.map(([, value]) => value)
+    };
+  }
+
+  /**
+   * Load every row
+   * @returns {Map} id -> model instance
+   */
+  async loadAll() {
+    await this.initialize();
+    return this.track(await this.database.all(`SELECT * FROM ${this.table.name}`));
+  }
+
+  /**
+   * Re-read rows that other instances may have changed
+   * @param {object} criteria - Column -> value; omit to re-read the whole table
+   * @returns {object} Fresh entities and the IDs of previously stored rows that are gone
+   */
+  async reload(criteria = {}) {
+    await this.initialize();
+    const where = this.buildWhere(criteria);
+    const rows = await this.database.all(`SELECT * FROM ${this.table.name}${where.sql}`, where.params);
+    const entities = this.track(rows);
+
+    const removed = [];
+    for (const [id, stored] of this.persisted.entries()) {
+      const row = JSON.parse(stored);
+      const matches = Object.entries(criteria).every(([name, value]) => row[name] === value);
+      if (matches && !entities.has(id)) {
+        removed.push(id);
+        this.persisted.delete(id);
+      }
+    }
+
+    return { entities, removed };
+  }
+
+  /**
+   * Find one entity by ID
+   * @param {string} id - Entity ID
+   * @returns {object|null} Model instance
+   */
+  async findById(id) {
+    await this.initialize();
+    const row = await this.database.get(`SELECT * FROM ${this.table.name} WHERE id = ?`, [id]);
+    return row ? this.toEntity(row) : null;
+  }
+
+  /**
+   * Find entities matching every criterion, e.g. { userId, status: 'active' }
+   * @param {object} criteria - Column -> value
+   * @returns {Array} Model instances
+   */
+  async findBy(criteria) {
+    await this.initialize();
+    const where = this.buildWhere(criteria);
+    const rows = await this.database.all(`SELECT * FROM ${this.table.name}${where.sql}`, where.params);
+    return rows.map(row => this.toEntity(row));
+  }
+
+  /**
+   * Count entities matching every criterion
+   * @param {object} criteria - Column -> value
+   * @returns {number} Number of rows
+   */
+  async count(criteria) {
+    await this.initialize();
+    const where = this.buildWhere(criteria);
+    const row = await this.database.get(`SELECT COUNT(*) AS total FROM ${this.table.name}${where.sql}`, where.params);
+    return Number(row.total); // PostgreSQL returns bigint counts as strings
+  }
+
+  /**
+   * Insert or update one row inside the caller's transaction
+   * @param {object} tx - Transaction handle
+   * @param {object} row - Column values
+   */
+  async upsertRow(tx, row) {
+    const names = this.table.columns.map(column => column.name);
+    const updates = names.filter(name => name !== 'id').map(name => `"${name}" = excluded."${name}"`);
+
+    await tx.run(
+      `INSERT INTO ${this.table.name} (${names.map(name => `"${name}"`).join(', ')}) ` +
+      `VALUES (${names.map(() => '?').join(', ')}) ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}`,
+      names.map(name => row[name])
+    );
+  }
+
+  /**
+   * Insert or update one entity
+   * @param {object} entity - Model instance
+   */
+  async save(entity) {
+    await this.initialize();
+    const row = this.toRow(entity);
+
+    await this.database.transaction(tx => this.upsertRow(tx, row));
+    this.persisted.set(row.id, JSON.stringify(row));
+  }
+
+  /**
+   * Delete one entity
+   * @param {string} id - Entity ID
+   */
+  async delete(id) {
+    await this.initialize();
+    await this.database.transaction(tx => tx.run(`DELETE FROM ${this.table.name} WHERE id = ?`, [id]));
+    this.persisted.delete(id);
+  }
+
+  /**
+   * Make the table match a full in-memory collection in one transaction
+   * Unchanged rows are skipped and rows missing from the collection are deleted
+   * @param {Iterable} entities - Model instances (read when the transaction starts)
+   * @returns {object} Number of rows written and deleted
+   */
+  async saveAll(entities) {
+    await this.initialize();
+
+    const { deleted, changed } = await this.database.transaction(async tx => {
+      const rows = new Map();
+      for (const entity of entities) {
+        const row = this.toRow(entity);
+        rows.set(row.id, row);
+      }
+
+      const deleted = Array.from(this.persisted.keys()).filter(id => !rows.has(id));
+      const changed = Array.from(rows.values()).filter(row => this.persisted.get(row.id) !== JSON.stringify(row));
+
+      // Deletes first so a removed account's username or email can be reused in the same save
+      for (const id of deleted) {
+        await tx.run(`DELETE FROM ${this.table.name} WHERE id = ?`, [id]);
+      }
+      for (const row of changed) {
+        await this.upsertRow(tx, row);
+      }
+
+      return { deleted, changed };
+    });
+
+    // Only remember the new state once the transaction has committed
+    deleted.forEach(id => this.persisted.delete(id));
+    changed.forEach(row => this.persisted.set(row.id, JSON.stringify(row)));
+
+    return { written: changed.length, deleted: deleted.length };
+  }
+}
+
+module.exports = SqlRepository;
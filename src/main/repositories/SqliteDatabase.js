@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { runMigrations } = require('./migrations');
+
+const COLUMN_TYPES = {
+  text: 'TEXT',
+  integer: 'INTEGER',
+  real: 'REAL',
+  boolean: 'INTEGER', // Stored as 0/1
+  json: 'TEXT'
+};
+
+/**
+ * SqliteDatabase - SQLite Connection Wrapper
+ * Promise API over a single sqlite3 connection with serialized transactions
+ * Following OWASP Database Security guidelines (parameterized queries only)
+ */
+class SqliteDatabase {
+  constructor(filename) {
+    this.filename = filename;
+    this.db = null;
+    this.opened = null;
+    this.queue = Promise.resolve(); // Transactions run one after another on the shared connection
+    this.migrated = null;
+    this.shared = false; // A SQLite file belongs to a single app instance
+  }
+
+  /**
+   * Open the database file, creating its directory if needed
+   * @returns {Promise} Resolves once the connection is ready
+   */
+  open() {
+    if (!this.opened) {
+      this.opened = (async () => {
+        if (this.filename !== ':memory:') {
+          await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+          const db = new sqlite3.Database(this.filename, error => error ? reject(error) : resolve(db));
+        });
+
+        if (this.filename !== ':memory:') {
+          // The file holds password hashes and 2FA secrets
+          await fs.promises.chmod(this.filename, 0o600);
+        }
+
+        await this.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000;');
+      })();
+    }
+
+    return this.opened;
+  }
+
+  /**
+   * Run a statement that returns no rows
+   * @param {string} sql - SQL statement with ? placeholders
+   * @param {Array} params - Bound parameters
+   * @returns {object} Number of changed rows and last inserted row ID
+   */
+  async run(sql, params = []) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function (error) {
+        return error ? reject(error) : resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    });
+  }
+
+  /**
+   * Fetch a single row
+   * @param {string} sql - SQL query with ? placeholders
+   * @param {Array} params - Bound parameters
+   * @returns {object|undefined} First row
+   */
+  async get(sql, params = []) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (error, row) => error ? reject(error) : resolve(row));
+    });
+  }
+
+  /**
+   * Fetch all rows
+   * @param {string} sql - SQL query with ? placeholders
+   * @param {Array} params - Bound parameters
+   * @returns {Array} Rows
+   */
+  async all(sql, params = []) {
+    await this.open();
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (error, rows) => error ? reject(error) : resolve(rows));
+    });
+  }
+
+  /**
+   * Execute one or more statements without parameters
+   * @param {string} sql - SQL statements
+   */
+  async exec(sql) {
+    if (!this.db) {
+      await this.open();
+    }
+    return new Promise((resolve, reject) => {
+      this.db.exec(sql, error => error ? reject(error) : resolve());
+    });
+  }
+
+  /**
+   * Run work inside a transaction
+   * Rolled back if the work throws; transactions never overlap on the connection
+   * @param {Function} work - Async function performing the statements
+   * @returns {Promise<any>} Result of the work
+   */
+  transaction(work) {
+    const result = this.queue.then(async () => {
+      await this.open();
+      await this.exec('BEGIN IMMEDIATE');
+
+      try {
+        const value = await work(this);
+        await this.exec('COMMIT');
+        return value;
+      } catch (error) {
+        await this.exec('ROLLBACK').catch(() => {});
+        throw error;
+      }
+    });
+
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Apply pending schema migrations once per process
+   * @returns {Promise<Array>} Versions applied by this call
+   */
+  migrate() {
+    if (!this.migrated) {
+      this.migrated = this.transaction(tx => runMigrations(tx, COLUMN_TYPES));
+      this.migrated.catch(() => {
+        this.migrated = null; // Let the next caller retry
+      });
+    }
+
+    return this.migrated;
+  }
+
+  /**
+   * Close the connection
+   */
+  async close() {
+    if (!this.opened) {
+      return;
+    }
+
+    await this.opened;
+    await this.queue;
+    await new Promise((resolve, reject) => this.db.close(error => error ? reject(error) : resolve()));
+    this.db = null;
+    this.opened = null;
+    this.migrated = null;
+  }
+}
+
+module.exports = SqliteDatabase;
@@ -0,0 +1,130 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createFileMetadataRepository } = require('./index');
+const FileStorageManager = require('../storage/FileStorageManager');
+const ContentInspector = require('../validation/ContentInspector');
+const config = require('../config/AppConfig');
+
+/**
+ * Move files stored before content-addressed storage into blobs and drop the duplicates
+ * Every record that is not deleted is pointed at the blob named after its content; the old
+ * files are removed once no record uses them. Metadata is saved before anything is deleted
+ * and the blob is a hard link of the old file, so an interrupted run loses nothing; repeating
+ * it removes the old files the first run did not get to. Run it while the app is stopped:
+ * running instances keep the old names
+ * @param {object} options - Migration options
+ * @param {object} options.repository - File metadata repository
+ * @param {FileStorageManager} options.storageManager - Storage holding the files
+ * @param {boolean} options.dryRun - Report what would change without touching anything
+ * @returns {object} Records moved, files removed, bytes reclaimed and records skipped
+ */
+async function dedupeStoredFiles({ repository, storageManager, dryRun = false }) {
+  const entities = await repository.loadAll();
+  const result = { moved: 0, removedFiles: 0, reclaimedBytes: 0, skipped: [] };
+  const replaced = new Map(); // old stored filename -> { checksum, size }
+  const blobs = new Set(); // blobs this run links to
+  let linkedBytes = 0; // old files that will live on as a blob (dry run only; a real run has linked them)
+
+  for (const fileMetadata of entities.values()) {
+    if (fileMetadata.status === 'deleted') {
+      continue;
+    }
+
+    const oldPath = path.join(storageManager.storagePath, fileMetadata.storedFilename);
+    let inspection;
+    try {
+      if (!storageManager.isValidStoredFilename(fileMetadata.storedFilename)) {
+        throw new Error('Invalid stored filename');
+      }
+      inspection = await ContentInspector.inspectFile(oldPath);
+    } catch (error) {
+      result.skipped.push({ id: fileMetadata.id, reason: error.code === 'ENOENT' ? 'File is missing' : error.message });
+      continue;
+    }
+
+    // Never merge a file whose content no longer matches what was recorded at upload
+    if (fileMetadata.checksum && inspection.checksum !== fileMetadata.checksum) {
+      result.skipped.push({ id: fileMetadata.id, reason: 'Checksum mismatch' });
+      continue;
+    }
+
+    const blobFilename = storageManager.blobFilename(inspection.checksum, fileMetadata.storedFilename);
+    if (blobFilename === fileMetadata.storedFilename) {
+      continue;
+    }
+
+    const blobPath = path.join(storageManager.storagePath, blobFilename);
+    if (!blobs.has(blobFilename) && !await storageManager.fileExists(blobFilename)) {
+      if (!dryRun) {
+        await fs.link(oldPath, blobPath);
+      }
+      linkedBytes += inspection.size;
+    }
+    blobs.add(blobFilename);
+
+    replaced.set(fileMetadata.storedFilename, inspection);
+    Object.assign(fileMetadata, {
+      storedFilename: blobFilename,
+      filePath: blobPath,
+      checksum: inspection.checksum
+    });
+    result.moved++;
+  }
+
+  if (!dryRun) {
+    await repository.saveAll(entities.values());
+  }
+
+  const stillUsed = new Set(Array.from(entities.values())
+    .filter(fileMetadata => fileMetadata.status !== 'deleted')
+    .map(fileMetadata => fileMetadata.storedFilename));
+
+  // Old files of this run, plus those left behind by an interrupted one: an unreferenced file
+  // is only removed when a blob with its exact content is in use
+  let removedBytes = 0;
+  for (const entry of await fs.readdir(storageManager.storagePath)) {
+    if (stillUsed.has(entry) || entry.endsWith('.tmp') || !storageManager.isValidStoredFilename(entry)) {
+      continue;
+    }
+
+    const entryPath = path.join(storageManager.storagePath, entry);
+    const stats = await fs.stat(entryPath);
+    if (!stats.isFile()) {
+      continue;
+    }
+
+    const { checksum, size } = replaced.get(entry) || await ContentInspector.inspectFile(entryPath);
+    if (entry === storageManager.blobFilename(checksum, entry) || !stillUsed.has(storageManager.blobFilename(checksum, entry))) {
+      continue;
+    }
+
+    if (!dryRun) {
+      await fs.unlink(entryPath);
+    }
+    result.removedFiles++;
+    removedBytes += stats.nlink > 1 ? 0 : size; // A hard link of its blob frees nothing
+  }
+
+  result.reclaimedBytes = dryRun ? Math.max(0, removedBytes - linkedBytes) : removedBytes;
+  return result;
+}
+
+if (require.main === module) {
+  const databaseConfig = config.getDatabaseConfig() || {};
+  const repository = createFileMetadataRepository(databaseConfig);
+  const dryRun = process.argv.includes('--dry-run');
+
+  dedupeStoredFiles({ repository, storageManager: new FileStorageManager(), dryRun })
+    .then(result => {
+      console.log(`${dryRun ? 'Would move' : 'Moved'} ${result.moved} files into content-addressed storage`);
+      console.log(`${dryRun ? 'Would remove' : 'Removed'} ${result.removedFiles} old files, reclaiming ${result.reclaimedBytes} bytes`);
+      result.skipped.forEach(({ id, reason }) => console.warn(`Skipped file ${id}: ${reason}`));
+    })
+    .catch(error => {
+      console.error(`Deduplication failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => repository.database && repository.database.close());
+}
+
+module.exports = { dedupeStoredFiles };
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+const User = require('../models/User');
+const FileMetadata = require('../models/FileMetadata');
+const SqlRepository = require('./SqlRepository');
+const { getSqlDatabase } = require('./index');
+const { USERS_TABLE, FILE_METADATA_TABLE } = require('./schema');
+const { migrateJsonDocument } = require('./jsonMigrations');
+const config = require('../config/AppConfig');
+
+/**
+ * Read one of the legacy JSON files, migrated to the current schema in memory
+ * @param {string} file - JSON data file
+ * @returns {Array|null} [id, record] pairs, or null if the file does not exist
+ */
+async function readRecords(file) {
+  try {
+    return Object.entries(migrateJsonDocument(JSON.parse(await fs.readFile(file, 'utf8'))).records);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * One-shot import of data/users.json and data/upload_history.json into the SQL database
+ * Both files are imported in a single transaction; the JSON files are left untouched
+ * @param {object} options - Import options
+ * @param {SqliteDatabase|PostgresDatabase} options.database - Target database
+ * @param {string} options.usersFile - Legacy users file
+ * @param {string} options.historyFile - Legacy upload history file
+ * @param {boolean} options.overwrite - Merge into tables that already hold rows
+ * @returns {object} Number of users and files imported
+ */
+async function importJsonFiles({ database, usersFile, historyFile, overwrite = false }) {
+  const users = new SqlRepository(database, USERS_TABLE, User);
+  const files = new SqlRepository(database, FILE_METADATA_TABLE, FileMetadata);
+  await users.initialize();
+  await files.initialize();
+
+  if (!overwrite && (await users.count() > 0 || await files.count() > 0)) {
+    throw new Error('The database already holds users or files; rerun with --overwrite to merge the JSON files into it');
+  }
+
+  const userRecords = await readRecords(usersFile) || [];
+  const fileRecords = await readRecords(historyFile) || [];
+
+  await database.transaction(async tx => {
+    for (const [id, record] of userRecords) {
+      await users.upsertRow(tx, users.toRow(User.fromDatabase({ ...record, id: record.id || id })));
+    }
+    for (const [id, record] of fileRecords) {
+      await files.upsertRow(tx, files.toRow(FileMetadata.fromDatabase({ ...record, id: record.id || id })));
+    }
+  });
+
+  return { users: userRecords.length, files: fileRecords.length };
+}
+
+/**
+ * Import the legacy JSON files into a database that has never been used
+ * Does nothing once either table holds rows or when the JSON files hold no records, so it is
+ * safe to call on every start; an upgrade from the JSON backend keeps its accounts and files
+ * @param {object} options - See importJsonFiles (without overwrite)
+ * @returns {Promise<object|null>} Number of users and files imported, or null if nothing was
+ */
+async function importLegacyJsonFiles({ database, usersFile, historyFile }) {
+  const users = new SqlRepository(database, USERS_TABLE, User);
+  const files = new SqlRepository(database, FILE_METADATA_TABLE, FileMetadata);
+
+  try {
+    if (await users.count() > 0 || await files.count() > 0) {
+      return null;
+    }
+
+    const pending = (await readRecords(usersFile) || []).length + (await readRecords(historyFile) || []).length;
+    if (pending === 0) {
+      return null;
+    }
+
+    const result = await importJsonFiles({ database, usersFile, historyFile });
+    console.log(`Imported ${result.users} users and ${result.files} files from the legacy JSON files into the database`);
+    return result;
+  } catch (error) {
+    throw new Error(`Importing the legacy JSON files failed: ${error.message}. Fix them and run \`npm run db:import\`, or set database.type to "json"`);
+  }
+}
+
+if (require.main === module) {
+  const dataDir = path.join(process.cwd(), 'data');
+  const databaseConfig = config.getDatabaseConfig() || {};
+  const database = getSqlDatabase(databaseConfig);
+
+  importJsonFiles({
+    database,
+    usersFile: path.join(dataDir, 'users.json'),
+    historyFile: path.join(dataDir, 'upload_history.json'),
+    overwrite: process.argv.includes('--overwrite')
+  })
+    .then(result => {
+      console.log(`Imported ${result.users} users and ${result.files} files into ${database.filename || 'PostgreSQL'}`);
+      if (databaseConfig.type === 'json') {
+        console.log('Set database.type to "sqlite" in config.yaml to use the imported data');
+      }
+    })
+    .catch(error => {
+      console.error(`Import failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => database.close());
+}
+
+module.exports = { importJsonFiles, importLegacyJsonFiles };
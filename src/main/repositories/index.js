@@ -0,0 +1,143 @@
+const path = require('path');
+const User = require('../models/User');
+const FileMetadata = require('../models/FileMetadata');
+const JsonFileRepository = require('./JsonFileRepository');
+const SqliteDatabase = require('./SqliteDatabase');
+const PostgresDatabase = require('./PostgresDatabase');
+const SqlRepository = require('./SqlRepository');
+const { USERS_TABLE, FILE_METADATA_TABLE } = require('./schema');
+const config = require('../config/AppConfig');
+
+const DEFAULT_SQLITE_PATH = './data/file_metadata.db';
+const LEGACY_DATA_DIR = path.join(process.cwd(), 'data');
+
+// Repositories of one database file share its connection so transactions never overlap
+const sqliteDatabases = new Map();
+let postgresDatabase = null;
+// Database -> its one-time import of the legacy JSON files, awaited before the first read
+const legacyImports = new Map();
+
+/**
+ * Get the shared connection for a SQLite file
+ * @param {string} filename - Database file (relative paths resolve from the working directory)
+ * @returns {SqliteDatabase} Database connection
+ */
+function getSqliteDatabase(filename = DEFAULT_SQLITE_PATH) {
+  const resolved = filename === ':memory:' ? filename : path.resolve(process.cwd(), filename);
+
+  if (!sqliteDatabases.has(resolved)) {
+    sqliteDatabases.set(resolved, new SqliteDatabase(resolved));
+  }
+
+  return sqliteDatabases.get(resolved);
+}
+
+/**
+ * Get the process-wide PostgreSQL pool
+ * @param {object} databaseConfig - `database` section of config.yaml
+ * @returns {PostgresDatabase} Database pool
+ */
+function getPostgresDatabase(databaseConfig) {
+  if (!postgresDatabase) {
+    postgresDatabase = new PostgresDatabase(databaseConfig);
+  }
+
+  return postgresDatabase;
+}
+
+/**
+ * Get the SQL database selected by `database.type`
+ * @param {object} databaseConfig - `database` section of config.yaml
+ * @returns {SqliteDatabase|PostgresDatabase} Database connection
+ */
+function getSqlDatabase(databaseConfig) {
+  const type = databaseConfig.type || 'sqlite';
+
+  if (type === 'postgresql') {
+    return getPostgresDatabase(databaseConfig);
+  }
+  if (type === 'sqlite') {
+    return getSqliteDatabase(databaseConfig.path);
+  }
+
+  throw new Error(`Unknown database.type "${type}"; expected sqlite, postgresql or json`);
+}
+
+/**
+ * Carry the legacy JSON data over the first time a SQL database is used
+ * An upgrade from the JSON backend must not start with empty tables (and a fresh default
+ * admin): while both tables are empty, data/users.json and data/upload_history.json are imported
+ * Runs once per database; a failed import rejects every later use instead of starting empty
+ * @param {SqliteDatabase|PostgresDatabase} database - Target database
+ * @param {string} dataDir - Directory holding the legacy JSON files
+ * @returns {Promise<object|null>} Import counts, or null when there was nothing to import
+ */
+function importLegacyData(database, dataDir = LEGACY_DATA_DIR) {
+  if (!legacyImports.has(database)) {
+    // Required here: importJson uses getSqlDatabase from this module
+    const { importLegacyJsonFiles } = require('./importJson');
+
+    legacyImports.set(database, importLegacyJsonFiles({
+      database,
+      usersFile: path.join(dataDir, 'users.json'),
+      historyFile: path.join(dataDir, 'upload_history.json')
+    }));
+  }
+
+  return legacyImports.get(database);
+}
+
+/**
+ * Get the configured database ready before the application serves requests
+ * @param {object} databaseConfig - `database` section of config.yaml
+ * @returns {Promise} Rejects when the legacy JSON import failed
+ */
+async function prepareDatabase(databaseConfig = config.getDatabaseConfig() || {}) {
+  if (databaseConfig.type !== 'json') {
+    await importLegacyData(getSqlDatabase(databaseConfig));
+  }
+}
+
+/**
+ * Create the repository behind UserService
+ * @param {object} databaseConfig - `database` section of config.yaml
+ * @returns {SqlRepository|JsonFileRepository} User repository
+ */
+function createUserRepository(databaseConfig = config.getDatabaseConfig() || {}) {
+  if (databaseConfig.type === 'json') {
+    // Metadata is kept as an object in the file; toObject's string form must not be re-wrapped
+    return new JsonFileRepository(path.join(process.cwd(), 'data', 'users.json'), {
+      toRecord: user => ({ ...user.toObject(), metadata: user.metadata }),
+      toEntity: value => User.fromDatabase(value)
+    });
+  }
+
+  const database = getSqlDatabase(databaseConfig);
+  return new SqlRepository(database, USERS_TABLE, User, { prepare: () => importLegacyData(database) });
+}
+
+/**
+ * Create the repository behind UploadService
+ * @param {object} databaseConfig - `database` section of config.yaml
+ * @returns {SqlRepository|JsonFileRepository} File metadata repository
+ */
+function createFileMetadataRepository(databaseConfig = config.getDatabaseConfig() || {}) {
+  if (databaseConfig.type === 'json') {
+    return new JsonFileRepository(path.join(process.cwd(), 'data', 'upload_history.json'), {
+      toRecord: fileMetadata => fileMetadata,
+      toEntity: value => FileMetadata.fromDatabase(value)
+    });
+  }
+
+  const database = getSqlDatabase(databaseConfig);
+  return new SqlRepository(database, FILE_METADATA_TABLE, FileMetadata, { prepare: () => importLegacyData(database) });
+}
+
+module.exports = {
+  getSqliteDatabase,
+  getSqlDatabase,
+  importLegacyData,
+  prepareDatabase,
+  createUserRepository,
+  createFileMetadataRepository
+};
@@ -0,0 +1,67 @@
+const { decodeMetadata } = require('./migrations');
+
+/**
+ * Repair records whose metadata was JSON-encoded into itself on every save
+ * The metadata is stored as a plain object from this version on
+ * @param {object} records - id -> record
+ * @returns {object} Repaired records
+ */
+function repairNestedMetadata(records) {
+  const repaired = {};
+
+  for (const [id, record] of Object.entries(records)) {
+    repaired[id] = record.metadata === undefined ? record : { ...record, metadata: decodeMetadata(record.metadata) };
+  }
+
+  return repaired;
+}
+
+// Append new migrations with the next version; never edit one that has shipped
+// Files without a schemaVersion are the original bare id -> record layout (version 1)
+const JSON_MIGRATIONS = [
+  { version: 2, name: 'repair_nested_metadata', up: repairNestedMetadata }
+];
+
+const JSON_SCHEMA_VERSION = JSON_MIGRATIONS[JSON_MIGRATIONS.length - 1].version;
+
+/**
+ * Bring the contents of a JSON data file up to the current schema version
+ * @param {object} document - Parsed file
+ * @param {Array} migrations - Ordered migrations
+ * @returns {object} { records, applied } with the versions applied by this run
+ */
+function migrateJsonDocument(document, migrations = JSON_MIGRATIONS) {
+  const legacy = !Number.isInteger(document.schemaVersion);
+  const fromVersion = legacy ? 1 : document.schemaVersion;
+  const currentVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 1;
+
+  if (fromVersion > currentVersion) {
+    throw new Error(`Data file has schema version ${fromVersion}, newer than this release supports (${currentVersion})`);
+  }
+
+  let records = legacy ? document : document.records || {};
+  const applied = [];
+
+  for (const migration of migrations.filter(migration => migration.version > fromVersion)) {
+    records = migration.up(records);
+    applied.push(migration.version);
+  }
+
+  return { records, applied };
+}
+
+/**
+ * Wrap records in the versioned file layout
+ * @param {object} records - id -> record
+ * @returns {object} File contents
+ */
+function createJsonDocument(records) {
+  return { schemaVersion: JSON_SCHEMA_VERSION, records };
+}
+
+module.exports = {
+  JSON_MIGRATIONS,
+  JSON_SCHEMA_VERSION,
+  migrateJsonDocument,
+  createJsonDocument
+};
@@ -0,0 +1,43 @@
+const { createUserRepository, createFileMetadataRepository } = require('./index');
+const config = require('../config/AppConfig');
+
+/**
+ * Bring the configured store up to the current schema version
+ * The app does the same at startup; this runs it ahead of a deploy or after restoring a backup
+ * @param {object} databaseConfig - `database` section of config.yaml
+ * @returns {object} Migration versions applied per store
+ */
+async function migrateStores(databaseConfig = config.getDatabaseConfig() || {}) {
+  const users = createUserRepository(databaseConfig);
+  const files = createFileMetadataRepository(databaseConfig);
+
+  try {
+    // SQL repositories share one database, so the second call finds nothing left to do
+    return {
+      users: await users.initialize(),
+      files: await files.initialize()
+    };
+  } finally {
+    if (users.database) {
+      await users.database.close();
+    }
+  }
+}
+
+if (require.main === module) {
+  const databaseConfig = config.getDatabaseConfig() || {};
+
+  migrateStores(databaseConfig)
+    .then(({ users, files }) => {
+      const applied = [...new Set([...users, ...files])];
+      console.log(applied.length > 0
+        ? `Applied ${databaseConfig.type || 'sqlite'} migrations: ${applied.join(', ')}`
+        : 'Schema is up to date');
+    })
+    .catch(error => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { migrateStores };
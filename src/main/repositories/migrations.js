@@ -0,0 +1,104 @@
+const { USERS_TABLE, FILE_METADATA_TABLE } = require('./schema');
+
+/**
+ * Build the DDL for a table and its indexes
+ * @param {object} table - Table definition
+ * @param {object} columnTypes - Column type -> SQL type of the target database
+ * @returns {string} SQL statements
+ */
+function createTableStatements(table, columnTypes) {
+  const columns = table.columns.map(column =>
+    `"${column.name}" ${columnTypes[column.type]}${column.primaryKey ? ' PRIMARY KEY' : ''}${column.notNull ? ' NOT NULL' : ''}`
+  );
+  const indexes = (table.indexes || []).map(index =>
+    `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${index.name} ON ${table.name} (${index.columns.map(name => `"${name}"`).join(', ')});`
+  );
+
+  return [`CREATE TABLE IF NOT EXISTS ${table.name} (${columns.join(', ')});`, ...indexes].join('\n');
+}
+
+// Deepest nesting unwrapped; each layer doubles the escaping, so real files stay far below this
+const MAX_METADATA_DEPTH = 1000;
+
+/**
+ * Decode a metadata value that may have been JSON-encoded any number of times
+ * Older saves stringified the already-stringified metadata again on every write
+ * @param {any} value - Stored metadata
+ * @returns {object} Plain metadata object ({} if it can't be recovered)
+ */
+function decodeMetadata(value) {
+  let decoded = value;
+
+  for (let depth = 0; typeof decoded === 'string' && depth < MAX_METADATA_DEPTH; depth++) {
+    try {
+      decoded = JSON.parse(decoded);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return decoded && typeof decoded === 'object' && !Array.isArray(decoded) ? decoded : {};
+}
+
+/**
+ * Rewrite multiply-encoded metadata columns as a single JSON encoding
+ * @param {object} tx - Transaction handle
+ */
+async function repairNestedMetadata(tx) {
+  for (const table of [USERS_TABLE, FILE_METADATA_TABLE]) {
+    const rows = await tx.all(`SELECT id, metadata FROM ${table.name} WHERE metadata IS NOT NULL`);
+
+    for (const row of rows) {
+      const repaired = JSON.stringify(decodeMetadata(row.metadata));
+      if (repaired !== row.metadata) {
+        await tx.run(`UPDATE ${table.name} SET metadata = ? WHERE id = ?`, [repaired, row.id]);
+      }
+    }
+  }
+}
+
+// Append new migrations with the next version; never edit one that has shipped
+// Schema changes return DDL from `up`; data changes run their own statements in `run`
+const MIGRATIONS = [
+  { version: 1, name: 'create_users', up: columnTypes => createTableStatements(USERS_TABLE, columnTypes) },
+  { version: 2, name: 'create_file_metadata', up: columnTypes => createTableStatements(FILE_METADATA_TABLE, columnTypes) },
+  { version: 3, name: 'repair_nested_metadata', run: repairNestedMetadata }
+];
+
+/**
+ * Apply pending migrations inside the caller's transaction
+ * Applied versions are recorded in the schema_migrations table
+ * @param {object} tx - Transaction handle (exec/all/run)
+ * @param {object} columnTypes - Column type -> SQL type of the target database
+ * @param {Array} migrations - Ordered migrations
+ * @returns {Array} Versions applied by this run
+ */
+async function runMigrations(tx, columnTypes, migrations = MIGRATIONS) {
+  await tx.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, applied_at TEXT NOT NULL)');
+
+  const applied = new Set((await tx.all('SELECT version FROM schema_migrations')).map(row => Number(row.version)));
+  const pending = migrations
+    .filter(migration => !applied.has(migration.version))
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    if (migration.run) {
+      await migration.run(tx);
+    } else {
+      await tx.exec(migration.up(columnTypes));
+    }
+    await tx.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)', [
+      migration.version,
+      migration.name,
+      new Date().toISOString()
+    ]);
+  }
+
+  return pending.map(migration => migration.version);
+}
+
+module.exports = {
+  MIGRATIONS,
+  decodeMetadata,
+  runMigrations
+};
@@ -0,0 +1,76 @@
+/**
+ * Table definitions for the SQL repositories
+ * Column names match the model fields so rows can be handed to the models' fromDatabase hooks
+ * Types: text, integer, real, boolean (0/1), json (arrays and objects as JSON text)
+ */
+
+const USERS_TABLE = {
+  name: 'users',
+  columns: [
+    { name: 'id', type: 'text', primaryKey: true },
+    { name: 'username', type: 'text', notNull: true },
+    { name: 'email', type: 'text', notNull: true },
+    { name: 'passwordHash', type: 'text' },
+    { name: 'firstName', type: 'text' },
+    { name: 'lastName', type: 'text' },
+    { name: 'role', type: 'text', notNull: true },
+    { name: 'status', type: 'text', notNull: true },
+    { name: 'createdAt', type: 'text' },
+    { name: 'updatedAt', type: 'text' },
+    { name: 'lastLogin', type: 'text' },
+    { name: 'loginAttempts', type: 'integer' },
+    { name: 'lockedUntil', type: 'text' },
+    { name: 'emailVerified', type: 'boolean' },
+    { name: 'emailVerifiedAt', type: 'text' },
+    { name: 'passwordChangedAt', type: 'text' },
+    { name: 'passwordResetTokenHash', type: 'text' },
+    { name: 'passwordResetExpiresAt', type: 'text' },
+    { name: 'twoFactorEnabled', type: 'boolean' },
+    { name: 'twoFactorSecret', type: 'text' },
+    { name: 'twoFactorPendingSecret', type: 'text' },
+    { name: 'twoFactorRecoveryCodes', type: 'json' },
+    { name: 'twoFactorLastUsedStep', type: 'integer' },
+    { name: 'webauthnCredentials', type: 'json' },
+    { name: 'apiKeys', type: 'json' },
+    { name: 'metadata', type: 'text' } // Already JSON text from toObject()
+  ],
+  indexes: [
+    { name: 'idx_users_username', columns: ['username'], unique: true },
+    { name: 'idx_users_email', columns: ['email'], unique: true },
+    { name: 'idx_users_status', columns: ['status'] },
+    { name: 'idx_users_role', columns: ['role'] }
+  ]
+};
+
+const FILE_METADATA_TABLE = {
+  name: 'file_metadata',
+  columns: [
+    { name: 'id', type: 'text', primaryKey: true },
+    { name: 'userId', type: 'text' },
+    { name: 'originalFilename', type: 'text' },
+    { name: 'storedFilename', type: 'text' },
+    { name: 'filePath', type: 'text' },
+    { name: 'fileSize', type: 'integer' },
+    { name: 'mimeType', type: 'text' },
+    { name: 'fileExtension', type: 'text' },
+    { name: 'uploadTimestamp', type: 'text' },
+    { name: 'lastAccessed', type: 'text' },
+    { name: 'accessCount', type: 'integer' },
+    { name: 'status', type: 'text', notNull: true },
+    { name: 'checksum', type: 'text' },
+    { name: 'virusScanStatus', type: 'text' },
+    { name: 'virusScanTimestamp', type: 'text' },
+    { name: 'metadata', type: 'text' } // Already JSON text from toObject()
+  ],
+  indexes: [
+    { name: 'idx_file_metadata_user_id', columns: ['userId'] },
+    { name: 'idx_file_metadata_status', columns: ['status'] },
+    { name: 'idx_file_metadata_checksum', columns: ['checksum'] },
+    { name: 'idx_file_metadata_user_status', columns: ['userId', 'status'] }
+  ]
+};
+
+module.exports = {
+  USERS_TABLE,
+  FILE_METADATA_TABLE
+};
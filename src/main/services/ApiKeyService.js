@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const config = require('../config/AppConfig');
+const AuthorizationService = require('./AuthorizationService');
+
+const KEY_PREFIX = 'sfu';
+const KEY_PATTERN = /^sfu_([a-f0-9]{16})_([A-Za-z0-9_-]{43})$/;
+
+/**
+ * ApiKeyService - Personal Access Token Helpers
+ * Generates scoped API keys for automation and verifies presented keys against stored hashes
+ * Following OWASP REST Security guidelines (least privilege, keys never stored in plain text)
+ */
+class ApiKeyService {
+  constructor(authorizationService = new AuthorizationService()) {
+    this.authorizationService = authorizationService;
+    this.config = config.get('security.api_keys') || {};
+    this.defaultExpiryDays = this.config.default_expiry_days || 90;
+    this.maxExpiryDays = this.config.max_expiry_days || 365;
+    this.maxKeysPerUser = this.config.max_keys_per_user || 10;
+    this.scopes = ['files:read', 'files:write', 'files:delete', 'admin:users'];
+  }
+
+  /**
+   * Check whether a bearer credential looks like an API key rather than a JWT
+   * @param {string} credential - Bearer credential from the Authorization header
+   * @returns {boolean} True for API keys
+   */
+  isApiKey(credential) {
+    return typeof credential === 'string' && credential.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  /**
+   * Generate a new API key
+   * The plain key is returned once; only its hash is kept
+   * @returns {object} Key ID, plain key and hash
+   */
+  generateKey() {
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+    return {
+      id,
+      key,
+      hash: this.hashKey(key)
+    };
+  }
+
+  /**
+   * Split a presented key into its parts
+   * @param {string} key - Plain API key
+   * @returns {object|null} Key ID, or null if the key is malformed
+   */
+  parseKey(key) {
+    const match = KEY_PATTERN.exec(key);
+    return match ? { id: match[1] } : null;
+  }
+
+  /**
+   * Hash an API key for storage
+   * @param {string} key - Plain API key
+   * @returns {string} SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Compare a presented key with a stored hash in constant time
+   * @param {string} key - Plain API key
+   * @param {string} hash - Stored hash
+   * @returns {boolean} True if the key matches
+   */
+  matchesHash(key, hash) {
+    const presented = Buffer.from(this.hashKey(key), 'hex');
+    const stored = Buffer.from(hash, 'hex');
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+  }
+
+  /**
+   * List the scopes a user may put on their keys
+   * A key never reaches further than its owner's role
+   * @param {User} user - Key owner
+   * @returns {Array} Grantable scopes
+   */
+  getGrantableScopes(user) {
+    const grantable = this.authorizationService.getGrantableScopes(user);
+    return this.scopes.filter(scope => grantable.includes(scope));
+  }
+
+  /**
+   * Validate requested scopes for a user
+   * @param {Array} scopes - Requested scopes
+   * @param {User} user - Key owner
+   * @returns {object} Validation result
+   */
+  validateScopes(scopes, user) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return { isValid: false, error: 'At least one scope is required' };
+    }
+
+    const unknown = scopes.filter(scope => !this.scopes.includes(scope));
+    if (unknown.length > 0) {
+      return { isValid: false, error: `Unknown scopes: ${unknown.join(', ')}` };
+    }
+
+    const grantable = this.getGrantableScopes(user);
+    const denied = scopes.filter(scope => !grantable.includes(scope));
+    if (denied.length > 0) {
+      return { isValid: false, error: `Your role cannot grant scopes: ${[...new Set(denied)].join(', ')}` };
+    }
+
+    return { isValid: true, scopes: [...new Set(scopes)] };
+  }
+
+  /**
+   * Compute the expiry timestamp for a new key
+   * @param {number} expiresInDays - Requested lifetime in days
+   * @returns {string} ISO timestamp
+   */
+  getExpiry(expiresInDays = this.defaultExpiryDays) {
+    const days = Math.min(Math.max(parseInt(expiresInDays, 10) || this.defaultExpiryDays, 1), this.maxExpiryDays);
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * Check whether a stored key has expired
+   * @param {object} apiKey - Stored key record
+   * @returns {boolean} True if expired
+   */
+  isExpired(apiKey) {
+    return new Date(apiKey.expiresAt).getTime() <= Date.now();
+  }
+}
+
+module.exports = ApiKeyService;
@@ -0,0 +1,206 @@
+const config = require('../config/AppConfig');
+const Logger = require('../config/Logger');
+
+const PERMISSIONS = [
+  'files:read',
+  'files:write',
+  'files:delete',
+  'stats:read',
+  'users:read',
+  'users:approve',
+  'users:suspend',
+  'users:sessions',
+  'users:2fa',
+  'users:unlock',
+  'users:invite',
+  'users:roles',
+  'users:quotas',
+  'users:delete',
+  'jobs:read',
+  'jobs:manage',
+  'quarantine:read',
+  'quarantine:manage'
+];
+
+// API key scope that must accompany each permission; anything not listed needs admin:users
+const PERMISSION_SCOPES = {
+  'files:read': 'files:read',
+  'files:write': 'files:write',
+  'files:delete': 'files:delete',
+  'stats:read': 'files:read'
+};
+
+// Used when config.yaml has no rbac section
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full administrative access',
+    permissions: ['*']
+  },
+  user: {
+    description: 'Manages their own files',
+    permissions: ['files:*', 'stats:read']
+  }
+};
+
+/**
+ * AuthorizationService - Role-Based Access Control
+ * Resolves roles to permissions from the matrix in config.yaml and guards routes with them
+ * Following OWASP Authorization guidelines (deny by default, least privilege)
+ */
+class AuthorizationService {
+  constructor() {
+    this.config = config.get('security.rbac') || {};
+    this.roles = this.config.roles || DEFAULT_ROLES;
+    this.defaultRole = this.config.default_role || 'user';
+    this.permissions = PERMISSIONS;
+    this.logger = Logger;
+  }
+
+  /**
+   * List configured roles
+   * @returns {Array} Roles with their description and expanded permissions
+   */
+  getRoles() {
+    return Object.keys(this.roles).map(name => ({
+      name,
+      description: this.roles[name].description || '',
+      permissions: this.getPermissions(name)
+    }));
+  }
+
+  /**
+   * Check whether a role is defined in the permission matrix
+   * @param {string} role - Role name
+   * @returns {boolean} True if the role exists
+   */
+  isValidRole(role) {
+    return typeof role === 'string' && Object.prototype.hasOwnProperty.call(this.roles, role);
+  }
+
+  /**
+   * Resolve the permissions granted by a role
+   * Wildcards are expanded so callers always see concrete permission names
+   * @param {string} role - Role name
+   * @returns {Array} Granted permissions (empty for unknown roles)
+   */
+  getPermissions(role) {
+    if (!this.isValidRole(role)) {
+      return [];
+    }
+
+    const granted = this.roles[role].permissions || [];
+    return this.permissions.filter(permission => granted.some(grant =>
+      grant === '*' ||
+      grant === permission ||
+      (grant.endsWith(':*') && permission.startsWith(grant.slice(0, -1)))
+    ));
+  }
+
+  /**
+   * Check whether a user holds a permission
+   * @param {object} user - User (or safe user data) with a role
+   * @param {string} permission - Permission name
+   * @returns {boolean} True if granted
+   */
+  hasPermission(user, permission) {
+    return !!user && this.getPermissions(user.role).includes(permission);
+  }
+
+  /**
+   * Get the API key scope required alongside a permission
+   * @param {string} permission - Permission name
+   * @returns {string} Scope name
+   */
+  getScopeForPermission(permission) {
+    return PERMISSION_SCOPES[permission] || 'admin:users';
+  }
+
+  /**
+   * List the API key scopes a user may grant to their own keys
+   * A scope is grantable when the user's role holds a permission it covers
+   * @param {object} user - Key owner
+   * @returns {Array} Grantable scopes
+   */
+  getGrantableScopes(user) {
+    const scopes = this.getPermissions(user.role).map(permission => this.getScopeForPermission(permission));
+    return [...new Set(scopes)];
+  }
+
+  /**
+   * Check whether a user may assign a role
+   * Nobody can hand out permissions they do not hold themselves
+   * @param {object} assigner - User assigning the role
+   * @param {string} role - Role to assign
+   * @returns {boolean} True if allowed
+   */
+  canAssignRole(assigner, role) {
+    if (!this.isValidRole(role) || !this.hasPermission(assigner, 'users:roles')) {
+      return false;
+    }
+
+    return this.canManageUser(assigner, { role });
+  }
+
+  /**
+   * Check whether a user may manage another account
+   * Accounts holding permissions the actor lacks (e.g. admins) are off limits
+   * @param {object} actor - User performing the action
+   * @param {object} target - User being acted on
+   * @returns {boolean} True if allowed
+   */
+  canManageUser(actor, target) {
+    const held = this.getPermissions(actor.role);
+    return this.getPermissions(target.role).every(permission => held.includes(permission));
+  }
+
+  /**
+   * Middleware factory: the authenticated user's role must grant the permission
+   * Requests made with an API key must also carry the matching scope
+   * Must run after authenticateUser
+   * @param {string} permission - Required permission
+   * @returns {Function} Express middleware
+   */
+  requirePermission(permission) {
+    const scope = this.getScopeForPermission(permission);
+
+    return (req, res, next) => {
+      const path = req.originalUrl.split('?')[0];
+
+      if (!this.hasPermission(req.user, permission)) {
+        this.logger.logSecurityEvent('permission_denied', {
+          userId: req.userId,
+          role: req.user ? req.user.role : undefined,
+          requiredPermission: permission,
+          path,
+          ip: req.ip
+        }, 'warn');
+
+        return res.status(403).json({
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        });
+      }
+
+      if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+        this.logger.logSecurityEvent('api_key_scope_denied', {
+          userId: req.userId,
+          keyId: req.apiKey.id,
+          requiredScope: scope,
+          path,
+          ip: req.ip
+        }, 'warn');
+
+        return res.status(403).json({
+          success: false,
+          error: `API key is missing the required scope: ${scope}`,
+          code: 'INSUFFICIENT_SCOPE'
+        });
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = AuthorizationService;
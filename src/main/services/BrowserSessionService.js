@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const RedisStore = require('connect-redis').default;
+const TokenService = require('./TokenService');
+const UserService = require('./UserService');
+const config = require('../config/AppConfig');
+const Logger = require('../config/Logger');
+const { getRedisClient, getKeyPrefix } = require('../storage/RedisConnection');
+
+const SESSION_COOKIE_NAME = 'secureFileUpload.sid'; // Don't use default session name
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * BrowserSessionService - Cookie Session Authentication
+ * Opt-in login mode for the browser UI: credentials live in an httpOnly session cookie
+ * instead of script-readable bearer tokens, and state-changing requests need a CSRF token
+ * Following OWASP Session Management and CSRF Prevention (synchronizer token) guidelines
+ */
+class BrowserSessionService {
+  constructor() {
+    this.config = config.get('security.browser_sessions') || {};
+    this.enabled = this.config.enabled === true;
+    this.timeoutMs = (config.get('security.session_timeout_minutes') || 30) * 60 * 1000;
+    this.tokenService = new TokenService();
+    this.userService = new UserService();
+    this.logger = Logger;
+  }
+
+  /**
+   * Create the express-session middleware
+   * The cookie is only set once a browser session login succeeds
+   * Sessions are kept in Redis when configured, so any instance can serve them
+   * @returns {Function} Express middleware
+   */
+  createSessionMiddleware() {
+    const redisClient = getRedisClient();
+
+    return session({
+      store: redisClient ? new RedisStore({ client: redisClient, prefix: `${getKeyPrefix()}sess:` }) : undefined,
+      secret: config.get('security.session_secret'),
+      resave: false,
+      saveUninitialized: false,
+      rolling: true, // The timeout counts from the last request, not from login
+      cookie: {
+        secure: config.isProduction(),
+        httpOnly: true,
+        maxAge: this.timeoutMs,
+        sameSite: 'strict'
+      },
+      name: SESSION_COOKIE_NAME
+    });
+  }
+
+  /**
+   * Check whether a login should be completed with a session cookie
+   * Browser clients opt in with `"session": true`; requests already on a session stay on one
+   * @param {object} req - Express request
+   * @returns {boolean} True for session mode
+   */
+  isRequested(req) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    return req.authMethod === 'session' || (req.body && (req.body.session === true || req.body.session === 'true'));
+  }
+
+  /**
+   * Check whether a request carries a logged-in browser session
+   * @param {object} req - Express request
+   * @returns {boolean} True if the session holds a login
+   */
+  hasSession(req) {
+    return this.enabled && !!(req.session && req.session.auth);
+  }
+
+  /**
+   * Log a user in on a fresh session
+   * The session ID is regenerated to prevent session fixation
+   * @param {object} req - Express request
+   * @param {User} user - Authenticated user
+   * @returns {object} CSRF token and idle timeout for the client
+   */
+  async establish(req, user) {
+    await new Promise((resolve, reject) => req.session.regenerate(error => error ? reject(error) : resolve()));
+
+    req.session.auth = this.tokenService.issueSessionClaims(user);
+    req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+
+    await new Promise((resolve, reject) => req.session.save(error => error ? reject(error) : resolve()));
+
+    return {
+      session: true,
+      csrfToken: req.session.csrfToken,
+      expiresIn: this.timeoutMs / 1000
+    };
+  }
+
+  /**
+   * End the browser session and clear its cookie
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   */
+  async destroy(req, res) {
+    if (req.session) {
+      await new Promise((resolve, reject) => req.session.destroy(error => error ? reject(error) : resolve()));
+    }
+
+    res.clearCookie(SESSION_COOKIE_NAME, {
+      httpOnly: true,
+      secure: config.isProduction(),
+      sameSite: 'strict'
+    });
+  }
+
+  /**
+   * Check the CSRF token of a session request
+   * Safe methods are exempt; everything else must echo the token in the X-CSRF-Token header
+   * @param {object} req - Express request
+   * @returns {boolean} True if the request may proceed
+   */
+  isCsrfValid(req) {
+    if (SAFE_METHODS.includes(req.method)) {
+      return true;
+    }
+
+    const expected = req.session.csrfToken;
+    const presented = req.get(CSRF_HEADER);
+    if (!expected || !presented) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(expected);
+    const presentedBuffer = Buffer.from(presented);
+    return expectedBuffer.length === presentedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, presentedBuffer);
+  }
+
+  /**
+   * Middleware: authenticate a request from its browser session
+   * Sets the same request fields as bearer authentication
+   */
+  authenticate(req, res, next) {
+    let claims;
+    let user;
+
+    try {
+      claims = this.tokenService.verifySessionClaims(req.session.auth);
+      user = this.userService.getUserById(claims.sub);
+      this.tokenService.assertClaimsMatchUser(claims, user);
+    } catch (error) {
+      this.logger.logAuthEvent('failed_auth', {
+        reason: error.message,
+        method: 'session',
+        ip: req.ip
+      }, false);
+
+      // Forget the dead login so the cookie stops authenticating anything
+      delete req.session.auth;
+      delete req.session.csrfToken;
+
+      return res.status(401).json({
+        success: false,
+        error: 'Session expired or revoked',
+        code: 'INVALID_SESSION'
+      });
+    }
+
+    if (!this.isCsrfValid(req)) {
+      this.logger.logSecurityEvent('csrf_token_rejected', {
+        userId: user.id,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        ip: req.ip
+      }, 'warn');
+
+      return res.status(403).json({
+        success: false,
+        error: 'Missing or invalid CSRF token',
+        code: 'CSRF_TOKEN_INVALID'
+      });
+    }
+
+    req.user = user.getSafeData();
+    req.userId = user.id;
+    req.tokenClaims = claims;
+    req.apiKey = null;
+    req.authMethod = 'session';
+    next();
+  }
+}
+
+module.exports = BrowserSessionService;
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config/AppConfig');
+const JsonFileStore = require('../storage/JsonFileStore');
+
+// No 0/O or 1/I so codes survive being read aloud or retyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+/**
+ * InviteService - Registration Invite Codes
+ * Issues single-use or multi-use invite codes that activate new accounts with a preset role
+ * Following OWASP Authentication guidelines (unguessable, expiring codes stored only as hashes)
+ */
+class InviteService {
+  constructor() {
+    this.config = config.get('security.registration') || {};
+    this.defaultExpiryDays = this.config.invite_default_expiry_days || 7;
+    this.maxExpiryDays = this.config.invite_max_expiry_days || 90;
+    this.maxUsesLimit = this.config.invite_max_uses || 100;
+    this.invites = new Map(); // inviteId -> invite record
+    this.persistenceFile = path.join(process.cwd(), 'data', 'invites.json');
+    this.file = new JsonFileStore(this.persistenceFile);
+    this.loadInvites();
+  }
+
+  /**
+   * Load invites from persistent storage
+   */
+  async loadInvites() {
+    try {
+      const invites = await this.file.read() || {};
+
+      for (const [id, invite] of Object.entries(invites)) {
+        // Keep anything created or redeemed before the load completed
+        if (!this.invites.has(id)) {
+          this.invites.set(id, invite);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading invites:', error.message);
+    }
+  }
+
+  /**
+   * Save invites to persistent storage
+   */
+  async saveInvites() {
+    try {
+      await this.file.write(Object.fromEntries(this.invites));
+    } catch (error) {
+      console.error('Error saving invites:', error.message);
+    }
+  }
+
+  /**
+   * Generate a random invite code such as 7KQM-2XWD-HP4N
+   * @returns {string} Invite code
+   */
+  generateCode() {
+    const length = CODE_GROUPS * CODE_GROUP_LENGTH;
+    // 256 is a multiple of the alphabet size, so the modulo is unbiased
+    const characters = Array.from(crypto.randomBytes(length), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    const groups = [];
+
+    for (let i = 0; i < length; i += CODE_GROUP_LENGTH) {
+      groups.push(characters.slice(i, i + CODE_GROUP_LENGTH).join(''));
+    }
+
+    return groups.join('-');
+  }
+
+  /**
+   * Normalize user input so case, spaces and dashes do not matter
+   * @param {string} code - Invite code as typed
+   * @returns {string} Normalized code
+   */
+  normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  /**
+   * Hash an invite code for storage
+   * @param {string} code - Invite code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashCode(code) {
+    return crypto.createHash('sha256').update(this.normalizeCode(code)).digest('hex');
+  }
+
+  /**
+   * Create an invite
+   * The plain code is returned once; only its hash is kept
+   * @param {object} options - Invite options
+   * @param {string} options.createdBy - Admin user ID
+   * @param {string} options.role - Role given to accounts created with the code
+   * @param {number} options.maxUses - Number of accounts the code can create
+   * @param {number} options.expiresInDays - Lifetime in days
+   * @param {string} options.note - Optional note for other admins
+   * @returns {object} Invite record and plain code
+   */
+  createInvite({ createdBy, role, maxUses = 1, expiresInDays = this.defaultExpiryDays, note = '' }) {
+    const code = this.generateCode();
+    const days = Math.min(Math.max(parseInt(expiresInDays, 10) || this.defaultExpiryDays, 1), this.maxExpiryDays);
+
+    const invite = {
+      id: crypto.randomBytes(8).toString('hex'),
+      codeHash: this.hashCode(code),
+      prefix: code.slice(0, CODE_GROUP_LENGTH),
+      role,
+      maxUses: Math.min(Math.max(parseInt(maxUses, 10) || 1, 1), this.maxUsesLimit),
+      uses: 0,
+      note,
+      createdBy,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString(),
+      revokedAt: null,
+      revokedBy: null,
+      redemptions: []
+    };
+
+    this.invites.set(invite.id, invite);
+
+    return { invite, code };
+  }
+
+  /**
+   * Get the current status of an invite
+   * @param {object} invite - Invite record
+   * @returns {string} active, revoked, expired or exhausted
+   */
+  getStatus(invite) {
+    if (invite.revokedAt) {
+      return 'revoked';
+    }
+    if (new Date(invite.expiresAt).getTime() <= Date.now()) {
+      return 'expired';
+    }
+    if (invite.uses >= invite.maxUses) {
+      return 'exhausted';
+    }
+    return 'active';
+  }
+
+  /**
+   * Look up a redeemable invite by code
+   * @param {string} code - Invite code as typed
+   * @returns {object} Lookup result with the invite, or the reason it cannot be used
+   */
+  checkCode(code) {
+    const presented = Buffer.from(this.hashCode(code), 'hex');
+    const invite = Array.from(this.invites.values()).find(candidate =>
+      crypto.timingSafeEqual(presented, Buffer.from(candidate.codeHash, 'hex'))
+    );
+
+    if (!invite) {
+      return { valid: false, reason: 'Unknown invite code' };
+    }
+
+    const status = this.getStatus(invite);
+    if (status !== 'active') {
+      return { valid: false, reason: `Invite is ${status}`, invite };
+    }
+
+    return { valid: true, invite };
+  }
+
+  /**
+   * Redeem an invite for a new account
+   * Checks and counts the use in one synchronous step so concurrent registrations cannot overspend it
+   * @param {string} code - Invite code as typed
+   * @param {User} user - Account being created
+   * @returns {object} Redemption result
+   */
+  redeem(code, user) {
+    const check = this.checkCode(code);
+    if (!check.valid) {
+      return { success: false, reason: check.reason };
+    }
+
+    const { invite } = check;
+    invite.uses += 1;
+    invite.redemptions.push({
+      userId: user.id,
+      username: user.username,
+      email: user.email,
+      redeemedAt: new Date().toISOString()
+    });
+
+    return { success: true, invite };
+  }
+
+  /**
+   * Revoke an invite so it can no longer be redeemed
+   * @param {string} inviteId - Invite ID
+   * @param {string} revokedBy - Admin user ID
+   * @returns {object|null} Revoked invite, or null if not found
+   */
+  revokeInvite(inviteId, revokedBy) {
+    const invite = this.invites.get(inviteId);
+    if (!invite) {
+      return null;
+    }
+
+    if (!invite.revokedAt) {
+      invite.revokedAt = new Date().toISOString();
+      invite.revokedBy = revokedBy;
+    }
+
+    return invite;
+  }
+
+  /**
+   * List invites without their code hashes, newest first
+   * @returns {Array} Safe invite records
+   */
+  listInvites() {
+    return Array.from(this.invites.values())
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(invite => this.getSafeInvite(invite));
+  }
+
+  /**
+   * Strip the code hash from an invite record
+   * @param {object} invite - Invite record
+   * @returns {object} Safe invite data
+   */
+  getSafeInvite(invite) {
+    const { codeHash, ...safe } = invite;
+    return {
+      ...safe,
+      status: this.getStatus(invite)
+    };
+  }
+}
+
+module.exports = InviteService;
@@ -0,0 +1,397 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/AppConfig');
+const Logger = require('../config/Logger');
+const JsonFileStore = require('../storage/JsonFileStore');
+
+// Used for settings a job type does not override
+const DEFAULT_TYPE_SETTINGS = {
+  concurrency: 2,
+  max_attempts: 3,
+  backoff_seconds: 30,
+  timeout_seconds: 300
+};
+
+// setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * JobQueue - Background Job Processing
+ * Runs post-upload work (virus scans, metadata extraction) in this process so requests do not
+ * wait for it. Jobs are persisted, so queued and interrupted jobs survive a restart
+ * A failing job is retried with exponential backoff; once its attempts are used up it is
+ * dead-lettered (status "failed") and kept until an admin requeues it
+ * At most max_concurrent jobs run at once, and each type has its own concurrency limit
+ * Following OWASP Logging guidelines (failures are recorded for review, never dropped)
+ */
+class JobQueue {
+  /**
+   * @param {object} options - Overrides for the jobs configuration
+   * @param {Function} options.onUpdate - Called with a job after each state change
+   */
+  constructor(options = {}) {
+    const { onUpdate, ...overrides } = options;
+    const settings = { ...config.get('jobs'), ...overrides };
+    this.maxConcurrent = settings.max_concurrent || 4;
+    this.keepCompletedMs = (settings.keep_completed_hours !== undefined ? settings.keep_completed_hours : 24) * 60 * 60 * 1000;
+    this.defaults = { ...DEFAULT_TYPE_SETTINGS, ...settings.defaults };
+    this.typeSettings = settings.types || {};
+    this.file = new JsonFileStore(path.resolve(settings.path || './data/jobs.json'));
+    this.onUpdate = onUpdate || (() => {});
+    this.logger = Logger;
+    this.jobs = new Map(); // jobId -> job
+    this.handlers = new Map(); // type -> async function (payload, job)
+    this.running = 0;
+    this.runningByType = new Map();
+    this.started = false;
+    this.timer = null;
+  }
+
+  /**
+   * Settings of a job type (concurrency, max_attempts, backoff_seconds, timeout_seconds)
+   * @param {string} type - Job type
+   * @returns {object} Settings
+   */
+  getSettings(type) {
+    return { ...this.defaults, ...this.typeSettings[type] };
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * The handler's return value is stored as the job result; throwing fails the attempt,
+   * and an error with `permanent` set skips the remaining attempts
+   * The signal is aborted when the attempt times out: the handler must stop its work and
+   * record nothing, since a retry may already be running
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload, job, signal) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Load saved jobs, then start running them
+   */
+  async start() {
+    await this.load();
+    this.started = true;
+    this.drain();
+  }
+
+  /**
+   * Stop starting new jobs (running ones finish on their own)
+   */
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Load jobs from persistent storage
+   * Jobs that were running when the process stopped are queued again; the interrupted
+   * attempt still counts, so a job that takes the process down cannot loop forever
+   */
+  async load() {
+    try {
+      const jobs = await this.file.read() || {};
+
+      for (const [id, job] of Object.entries(jobs)) {
+        // Keep anything enqueued before the load completed
+        if (this.jobs.has(id)) {
+          continue;
+        }
+
+        if (job.status === 'running') {
+          job.lastError = 'Interrupted by a restart';
+          job.updatedAt = new Date().toISOString();
+          if (job.attempts >= job.maxAttempts) {
+            job.status = 'failed';
+            job.failedAt = job.updatedAt;
+          } else {
+            job.status = 'queued';
+            job.runAt = job.updatedAt;
+          }
+        }
+
+        this.jobs.set(id, job);
+      }
+    } catch (error) {
+      console.error('Error loading jobs:', error.message);
+    }
+  }
+
+  /**
+   * Save jobs to persistent storage, dropping completed jobs past their retention
+   */
+  async save() {
+    const cutoff = Date.now() - this.keepCompletedMs;
+    for (const [id, job] of this.jobs) {
+      if (job.status === 'completed' && Date.parse(job.completedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+
+    try {
+      await this.file.write(Object.fromEntries(this.jobs));
+    } catch (error) {
+      console.error('Error saving jobs:', error.message);
+    }
+  }
+
+  /**
+   * Add a job
+   * With a key, a job already queued or running under that key is returned instead of adding another
+   * @param {string} type - Registered job type
+   * @param {object} payload - JSON-serializable job input
+   * @param {object} options - Job options
+   * @param {string} options.key - Deduplication key, e.g. "virus_scan:<fileId>"
+   * @param {number} options.delayMs - Run no earlier than this from now
+   * @returns {Promise<object>} Job
+   */
+  async enqueue(type, payload, { key = null, delayMs = 0 } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    if (key) {
+      const existing = Array.from(this.jobs.values())
+        .find(job => job.key === key && (job.status === 'queued' || job.status === 'running'));
+      if (existing) {
+        return existing;
+      }
+    }
+
+    const now = new Date();
+    const job = {
+      id: uuidv4(),
+      type,
+      key,
+      payload,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.getSettings(type).max_attempts,
+      runAt: new Date(now.getTime() + delayMs).toISOString(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      lastError: null,
+      result: null
+    };
+
+    this.jobs.set(job.id, job);
+    await this.save();
+    await this.notify(job);
+    this.drain();
+
+    return job;
+  }
+
+  /**
+   * Start due jobs up to the concurrency limits, and wake up when the next delayed job is due
+   */
+  drain() {
+    if (!this.started) {
+      return;
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    const queued = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued' && this.handlers.has(job.type))
+      .sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt));
+
+    for (const job of queued) {
+      if (this.running >= this.maxConcurrent) {
+        return; // A finishing job drains again
+      }
+
+      const runAt = Date.parse(job.runAt);
+      if (runAt > now) {
+        this.timer = setTimeout(() => this.drain(), Math.min(runAt - now, MAX_TIMER_MS));
+        this.timer.unref();
+        return;
+      }
+
+      if ((this.runningByType.get(job.type) || 0) < this.getSettings(job.type).concurrency) {
+        this.run(job);
+      }
+    }
+  }
+
+  /**
+   * Run one attempt of a job
+   * @param {object} job - Queued job
+   * @returns {Promise<void>} Resolves when the attempt has been recorded
+   */
+  run(job) {
+    // Counted before anything async so drain() sees the slot as taken
+    this.running++;
+    this.runningByType.set(job.type, (this.runningByType.get(job.type) || 0) + 1);
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    job.updatedAt = job.startedAt;
+
+    return this.execute(job)
+      .catch(error => console.error(`Job ${job.id} could not be recorded:`, error.message))
+      .finally(() => {
+        this.running--;
+        this.runningByType.set(job.type, this.runningByType.get(job.type) - 1);
+        this.drain();
+      });
+  }
+
+  /**
+   * Call the job's handler and record the outcome: completed, queued for a retry, or failed
+   * @param {object} job - Running job
+   */
+  async execute(job) {
+    const settings = this.getSettings(job.type);
+    const handler = this.handlers.get(job.type);
+    await this.save();
+    await this.notify(job);
+
+    // Aborted on timeout, so the handler stops instead of racing the retry
+    const controller = new AbortController();
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new Error(`Job timed out after ${settings.timeout_seconds}s`);
+          controller.abort(error);
+          reject(error);
+        }, settings.timeout_seconds * 1000);
+      });
+      const result = await Promise.race([Promise.resolve().then(() => handler(job.payload, job, controller.signal)), timeout]);
+
+      job.status = 'completed';
+      job.result = result === undefined ? null : result;
+      job.lastError = null;
+      job.completedAt = new Date().toISOString();
+    } catch (error) {
+      job.lastError = error.message;
+
+      if (error.permanent || job.attempts >= job.maxAttempts) {
+        job.status = 'failed';
+        job.failedAt = new Date().toISOString();
+        this.logger.logSecurityEvent('job_failed', {
+          jobId: job.id,
+          type: job.type,
+          attempts: job.attempts,
+          error: error.message
+        }, 'warn');
+      } else {
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + this.getRetryDelay(job)).toISOString();
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+
+    job.updatedAt = new Date().toISOString();
+    await this.save();
+    await this.notify(job);
+  }
+
+  /**
+   * Tell the owner of the queue about a state change
+   * @param {object} job - Changed job
+   */
+  async notify(job) {
+    try {
+      await this.onUpdate(job);
+    } catch (error) {
+      console.error(`Error recording state of job ${job.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Delay before retrying a job (backoff_seconds, doubling after each failed attempt)
+   * @param {object} job - Job whose attempt failed
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(job) {
+    return this.getSettings(job.type).backoff_seconds * 1000 * Math.pow(2, Math.max(0, job.attempts - 1));
+  }
+
+  /**
+   * Put a dead-lettered job back in the queue with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} Requeue result
+   */
+  async requeue(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return {
+        success: false,
+        error: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      };
+    }
+
+    if (job.status !== 'failed') {
+      return {
+        success: false,
+        error: `Only failed jobs can be requeued (this one is ${job.status})`,
+        code: 'JOB_NOT_FAILED'
+      };
+    }
+
+    job.status = 'queued';
+    job.attempts = 0;
+    job.maxAttempts = this.getSettings(job.type).max_attempts;
+    job.runAt = new Date().toISOString();
+    job.updatedAt = job.runAt;
+    job.requeueCount = (job.requeueCount || 0) + 1;
+    delete job.failedAt;
+
+    await this.save();
+    await this.notify(job);
+    this.drain();
+
+    return {
+      success: true,
+      job
+    };
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {object|null} Job
+   */
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * List jobs, most recently updated first
+   * @param {object} filters - Filter options
+   * @param {string} filters.status - queued, running, completed or failed
+   * @param {string} filters.type - Job type
+   * @param {number} filters.limit - Maximum number of jobs
+   * @returns {Array} Jobs
+   */
+  list({ status, type, limit = 100 } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!status || job.status === status) && (!type || job.type === type))
+      .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Count jobs by status
+   * @returns {object} status -> count
+   */
+  getCounts() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    for (const job of this.jobs.values()) {
+      counts[job.status]++;
+    }
+    return counts;
+  }
+}
+
+module.exports = JobQueue;
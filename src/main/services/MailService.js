@@ -0,0 +1,152 @@
+const path = require('path');
+const config = require('../config/AppConfig');
+const OutboxTransport = require('../mail/OutboxTransport');
+const SmtpTransport = require('../mail/SmtpTransport');
+
+/**
+ * MailService - Outgoing Email Service
+ * Builds account emails and hands them to the configured transport
+ * Following OWASP Forgot Password / account verification guidelines (links carry signed, expiring tokens)
+ */
+class MailService {
+  constructor(transport = null) {
+    this.config = config.get('mail') || {};
+    this.from = this.config.from || 'Secure File Upload <no-reply@securefileupload.com>';
+    this.baseUrl = (this.config.app_base_url || 'http://localhost:3000').replace(/\/+$/, '');
+    this.transport = transport || this.createTransport();
+  }
+
+  /**
+   * Create the transport selected in configuration
+   * @returns {object} Transport with a send(message) method
+   */
+  createTransport() {
+    const type = this.config.transport || 'outbox';
+
+    if (type === 'smtp') {
+      return new SmtpTransport(this.config.smtp);
+    }
+
+    if (type === 'outbox') {
+      return new OutboxTransport(path.resolve(process.cwd(), this.config.outbox_path || './data/outbox'));
+    }
+
+    throw new Error(`Unknown mail transport: ${type}`);
+  }
+
+  /**
+   * Send a message through the transport
+   * @param {object} message - Message with to, subject, text and html
+   * @returns {object} Delivery info
+   */
+  async send(message) {
+    return this.transport.send({
+      from: this.from,
+      ...message
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   * @param {User} user - User whose address is being verified
+   * @param {string} token - Signed verification token
+   * @param {number} expiresInHours - Link lifetime, shown to the user
+   * @returns {object} Delivery info
+   */
+  async sendEmailVerification(user, token, expiresInHours) {
+    const link = `${this.baseUrl}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+    const name = user.firstName || user.username;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        `The link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+      ].join('\n'),
+      html: [
+        `<p>Hi ${this.escapeHtml(name)},</p>`,
+        '<p>Please confirm your email address by opening the link below:</p>',
+        `<p><a href="${this.escapeHtml(link)}">Verify email address</a></p>`,
+        `<p>The link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.</p>`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * The token travels in the URL fragment so it is never sent to the server in a request line or Referer
+   * @param {User} user - User who asked for the reset
+   * @param {string} token - Single-use reset token
+   * @param {number} expiresInMinutes - Link lifetime, shown to the user
+   * @returns {object} Delivery info
+   */
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const link = `${this.baseUrl}/#password-reset=${encodeURIComponent(token)}`;
+    const name = user.firstName || user.username;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${name},`,
+        '',
+        'We received a request to reset your password. Open the link below to choose a new one:',
+        link,
+        '',
+        `The link can be used once and expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.`
+      ].join('\n'),
+      html: [
+        `<p>Hi ${this.escapeHtml(name)},</p>`,
+        '<p>We received a request to reset your password. Open the link below to choose a new one:</p>',
+        `<p><a href="${this.escapeHtml(link)}">Reset password</a></p>`,
+        `<p>The link can be used once and expires in ${expiresInMinutes} minutes. If you did not ask for this, you can ignore this email.</p>`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Tell a user their password was changed
+   * @param {User} user - User whose password changed
+   * @returns {object} Delivery info
+   */
+  async sendPasswordChanged(user) {
+    const name = user.firstName || user.username;
+
+    return this.send({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: [
+        `Hi ${name},`,
+        '',
+        'The password for your account was just changed and all other sessions were signed out.',
+        'If this was not you, reset your password immediately and contact an administrator.'
+      ].join('\n'),
+      html: [
+        `<p>Hi ${this.escapeHtml(name)},</p>`,
+        '<p>The password for your account was just changed and all other sessions were signed out.</p>',
+        '<p>If this was not you, reset your password immediately and contact an administrator.</p>'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Escape text for inclusion in HTML email bodies
+   * @param {string} value - Untrusted text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+
+// Enough to reach the frame header of JPEGs with large EXIF blocks
+const HEAD_BYTES = 64 * 1024;
+
+/**
+ * MetadataExtractor - Descriptive File Metadata
+ * Reads image dimensions and PDF versions from file headers, without decoding the content
+ * Following OWASP File Upload guidelines (stored files are parsed as little as possible)
+ */
+class MetadataExtractor {
+  /**
+   * Extract metadata from a stored file
+   * @param {string} filePath - Stored file
+   * @param {string} mimeType - Recorded MIME type
+   * @returns {Promise<object>} Extracted fields (empty for types without any)
+   */
+  async extract(filePath, mimeType) {
+    const handle = await fs.open(filePath, 'r');
+    let head;
+    try {
+      const buffer = Buffer.alloc(HEAD_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, HEAD_BYTES, 0);
+      head = buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    switch (mimeType) {
+      case 'image/png':
+        return this.readPngDimensions(head);
+      case 'image/gif':
+        return this.readGifDimensions(head);
+      case 'image/jpeg':
+        return this.readJpegDimensions(head);
+      case 'application/pdf':
+        return this.readPdfVersion(head);
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * PNG: width and height open the IHDR chunk, right after the signature
+   * @param {Buffer} head - Start of the file
+   * @returns {object} { width, height }
+   */
+  readPngDimensions(head) {
+    if (head.length < 24 || head.toString('ascii', 12, 16) !== 'IHDR') {
+      return {};
+    }
+    return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+  }
+
+  /**
+   * GIF: logical screen size follows the 6-byte signature, little-endian
+   * @param {Buffer} head - Start of the file
+   * @returns {object} { width, height }
+   */
+  readGifDimensions(head) {
+    if (head.length < 10) {
+      return {};
+    }
+    return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+  }
+
+  /**
+   * JPEG: walk the marker segments to the first start-of-frame (SOF0-SOF15, except DHT, JPG and DAC)
+   * @param {Buffer} head - Start of the file
+   * @returns {object} { width, height }
+   */
+  readJpegDimensions(head) {
+    let offset = 2;
+
+    while (offset + 9 < head.length) {
+      if (head[offset] !== 0xFF) {
+        return {};
+      }
+
+      const marker = head[offset + 1];
+      const length = head.readUInt16BE(offset + 2);
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { width: head.readUInt16BE(offset + 7), height: head.readUInt16BE(offset + 5) };
+      }
+
+      offset += 2 + length;
+    }
+
+    return {};
+  }
+
+  /**
+   * PDF: version from the %PDF-x.y header
+   * @param {Buffer} head - Start of the file
+   * @returns {object} { pdfVersion }
+   */
+  readPdfVersion(head) {
+    const match = head.toString('latin1', 0, 16).match(/^%PDF-(\d\.\d)/);
+    return match ? { pdfVersion: match[1] } : {};
+  }
+}
+
+module.exports = MetadataExtractor;
@@ -0,0 +1,330 @@
+const UploadService = require('./UploadService');
+const Logger = require('../config/Logger');
+
+/**
+ * QuarantineReviewService - Quarantine Review for Administrators
+ * Lists quarantined files with the reason and scan details, and records the decision on each:
+ * purge (delete for good) or release back to the owner. A release needs two admins: one
+ * requests it with a justification, a different one approves it (four-eyes)
+ * Every decision is written to the security log
+ * Following OWASP File Upload and Authorization guidelines (segregation of duties)
+ */
+class QuarantineReviewService {
+  /**
+   * @param {UploadService} uploadService - Holder of the file records
+   */
+  constructor(uploadService = new UploadService()) {
+    this.uploadService = uploadService;
+    this.logger = Logger;
+  }
+
+  /**
+   * Look up a file that is in quarantine
+   * @param {string} fileId - File ID
+   * @returns {Promise<object>} { fileMetadata } or an error result
+   */
+  async findQuarantinedFile(fileId) {
+    await this.uploadService.refreshUploadHistory({ id: fileId });
+
+    const fileMetadata = this.uploadService.uploadHistory.get(fileId);
+    if (!fileMetadata) {
+      return {
+        success: false,
+        error: 'File not found',
+        code: 'FILE_NOT_FOUND'
+      };
+    }
+
+    if (fileMetadata.status !== 'quarantined') {
+      return {
+        success: false,
+        error: `File is not quarantined (status: ${fileMetadata.status})`,
+        code: 'NOT_QUARANTINED'
+      };
+    }
+
+    return { success: true, fileMetadata };
+  }
+
+  /**
+   * Summary shown in the quarantine list
+   * @param {FileMetadata} fileMetadata - Quarantined file
+   * @returns {object} Summary
+   */
+  summarize(fileMetadata) {
+    return {
+      id: fileMetadata.id,
+      originalFilename: fileMetadata.originalFilename,
+      userId: fileMetadata.userId,
+      fileSize: fileMetadata.fileSize,
+      mimeType: fileMetadata.mimeType,
+      uploadTimestamp: fileMetadata.uploadTimestamp,
+      virusScanStatus: fileMetadata.virusScanStatus,
+      quarantineReason: fileMetadata.metadata.quarantineReason || null,
+      quarantineTimestamp: fileMetadata.metadata.quarantineTimestamp || null,
+      releaseRequest: fileMetadata.metadata.releaseRequest || null
+    };
+  }
+
+  /**
+   * List quarantined files, most recently quarantined first
+   * @param {object} options - Query options
+   * @param {number} options.limit - Maximum number of files
+   * @param {number} options.offset - Files to skip
+   * @returns {Promise<object>} Files and the total in quarantine
+   */
+  async listFiles({ limit = 50, offset = 0 } = {}) {
+    await this.uploadService.refreshUploadHistory({ status: 'quarantined' });
+
+    const quarantined = Array.from(this.uploadService.uploadHistory.values())
+      .filter(fileMetadata => fileMetadata.status === 'quarantined')
+      .sort((a, b) => String(b.metadata.quarantineTimestamp || '').localeCompare(String(a.metadata.quarantineTimestamp || '')));
+
+    return {
+      success: true,
+      files: quarantined.slice(offset, offset + limit).map(fileMetadata => this.summarize(fileMetadata)),
+      total: quarantined.length
+    };
+  }
+
+  /**
+   * Everything a reviewer needs to decide on a file: metadata, scan details and history
+   * @param {string} fileId - File ID
+   * @returns {Promise<object>} File details
+   */
+  async getFile(fileId) {
+    const found = await this.findQuarantinedFile(fileId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { fileMetadata } = found;
+    const sharedWith = Array.from(this.uploadService.uploadHistory.values()).filter(other => (
+      other.id !== fileMetadata.id && other.storedFilename === fileMetadata.storedFilename && other.status !== 'deleted'
+    ));
+
+    return {
+      success: true,
+      file: {
+        ...this.summarize(fileMetadata),
+        fileExtension: fileMetadata.fileExtension,
+        checksum: fileMetadata.checksum,
+        scan: {
+          status: fileMetadata.virusScanStatus,
+          timestamp: fileMetadata.virusScanTimestamp,
+          engine: fileMetadata.metadata.virusScanEngine || null,
+          details: fileMetadata.metadata.virusScanDetails || null
+        },
+        validationWarnings: fileMetadata.metadata.validationWarnings || [],
+        jobs: fileMetadata.metadata.jobs || {},
+        releaseHistory: fileMetadata.metadata.releaseHistory || [],
+        // Files with the same content; purging this one keeps the blob while they exist
+        sharedWith: sharedWith.map(other => ({ id: other.id, userId: other.userId, status: other.status }))
+      }
+    };
+  }
+
+  /**
+   * First step of a release: an admin asks for the file to be released and says why
+   * @param {string} fileId - File ID
+   * @param {object} admin - Requesting admin
+   * @param {string} justification - Why the file is safe to release
+   * @returns {Promise<object>} The pending release request
+   */
+  async requestRelease(fileId, admin, justification) {
+    const found = await this.findQuarantinedFile(fileId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { fileMetadata } = found;
+    if (fileMetadata.metadata.releaseRequest) {
+      return {
+        success: false,
+        error: 'A release has already been requested for this file',
+        code: 'RELEASE_ALREADY_REQUESTED'
+      };
+    }
+
+    fileMetadata.metadata.releaseRequest = {
+      requestedBy: admin.id,
+      requestedByUsername: admin.username,
+      justification,
+      requestedAt: new Date().toISOString()
+    };
+    await this.uploadService.saveUploadHistory();
+
+    this.logDecision('quarantine_release_requested', fileMetadata, admin, { justification });
+
+    return {
+      success: true,
+      message: 'Release requested; another admin must approve it',
+      releaseRequest: fileMetadata.metadata.releaseRequest
+    };
+  }
+
+  /**
+   * Second step of a release: a different admin approves it and the file returns to its owner
+   * @param {string} fileId - File ID
+   * @param {object} admin - Approving admin
+   * @returns {Promise<object>} Released file
+   */
+  async approveRelease(fileId, admin) {
+    const found = await this.findQuarantinedFile(fileId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { fileMetadata } = found;
+    const request = fileMetadata.metadata.releaseRequest;
+    if (!request) {
+      return {
+        success: false,
+        error: 'No release has been requested for this file',
+        code: 'NO_RELEASE_REQUEST'
+      };
+    }
+
+    if (request.requestedBy === admin.id) {
+      this.logDecision('quarantine_release_self_approval_denied', fileMetadata, admin, {}, 'warn');
+
+      return {
+        success: false,
+        error: 'A release must be approved by a different admin than the one who requested it',
+        code: 'FOUR_EYES_REQUIRED'
+      };
+    }
+
+    delete fileMetadata.metadata.releaseRequest;
+    fileMetadata.releaseFromQuarantine({
+      ...request,
+      approvedBy: admin.id,
+      approvedByUsername: admin.username,
+      releasedAt: new Date().toISOString()
+    });
+    await this.uploadService.saveUploadHistory();
+
+    this.logDecision('quarantine_released', fileMetadata, admin, {
+      requestedBy: request.requestedBy,
+      justification: request.justification
+    }, 'warn');
+
+    return {
+      success: true,
+      message: 'File released from quarantine',
+      file: {
+        id: fileMetadata.id,
+        status: fileMetadata.status,
+        virusScanStatus: fileMetadata.virusScanStatus
+      }
+    };
+  }
+
+  /**
+   * Withdraw or decline a pending release request
+   * @param {string} fileId - File ID
+   * @param {object} admin - Admin withdrawing it
+   * @param {string} reason - Why
+   * @returns {Promise<object>} Result
+   */
+  async withdrawRelease(fileId, admin, reason) {
+    const found = await this.findQuarantinedFile(fileId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { fileMetadata } = found;
+    const request = fileMetadata.metadata.releaseRequest;
+    if (!request) {
+      return {
+        success: false,
+        error: 'No release has been requested for this file',
+        code: 'NO_RELEASE_REQUEST'
+      };
+    }
+
+    delete fileMetadata.metadata.releaseRequest;
+    await this.uploadService.saveUploadHistory();
+
+    this.logDecision('quarantine_release_withdrawn', fileMetadata, admin, {
+      requestedBy: request.requestedBy,
+      reason
+    });
+
+    return {
+      success: true,
+      message: 'Release request withdrawn'
+    };
+  }
+
+  /**
+   * Delete a quarantined file for good
+   * The blob is removed unless other files still share its content; the record is kept,
+   * marked deleted, with who purged it and why
+   * @param {string} fileId - File ID
+   * @param {object} admin - Purging admin
+   * @param {string} reason - Why
+   * @returns {Promise<object>} Result
+   */
+  async purgeFile(fileId, admin, reason) {
+    const found = await this.findQuarantinedFile(fileId);
+    if (!found.success) {
+      return found;
+    }
+
+    const { fileMetadata } = found;
+    const storageResult = await this.uploadService.releaseStoredFile(fileMetadata, admin.id);
+    if (!storageResult.success) {
+      return {
+        success: false,
+        error: 'File deletion failed',
+        details: storageResult.error,
+        code: 'PURGE_FAILED'
+      };
+    }
+
+    delete fileMetadata.metadata.releaseRequest;
+    fileMetadata.metadata.purge = {
+      purgedBy: admin.id,
+      purgedByUsername: admin.username,
+      reason,
+      purgedAt: new Date().toISOString()
+    };
+    fileMetadata.markDeleted();
+    await this.uploadService.saveUploadHistory();
+
+    this.logDecision('quarantine_purged', fileMetadata, admin, {
+      reason,
+      blobRetained: !!storageResult.retained
+    });
+
+    return {
+      success: true,
+      message: storageResult.retained
+        ? 'File purged; its content is kept for other files that share it'
+        : 'File purged',
+      blobRetained: !!storageResult.retained
+    };
+  }
+
+  /**
+   * Write a review decision to the security log
+   * @param {string} event - Event name
+   * @param {FileMetadata} fileMetadata - File decided on
+   * @param {object} admin - Deciding admin
+   * @param {object} details - Event details
+   * @param {string} level - Log level
+   */
+  logDecision(event, fileMetadata, admin, details, level = 'info') {
+    this.logger.logSecurityEvent(event, {
+      fileId: fileMetadata.id,
+      ownerId: fileMetadata.userId,
+      filename: fileMetadata.originalFilename,
+      adminUserId: admin.id,
+      adminUsername: admin.username,
+      ...details
+    }, level);
+  }
+}
+
+module.exports = QuarantineReviewService;
@@ -0,0 +1,123 @@
+const config = require('../config/AppConfig');
+
+const MB = 1024 * 1024;
+
+/**
+ * QuotaService - Storage Quotas per Role and User
+ * Resolves how many bytes and files an account may keep: the quota of its role in the RBAC
+ * matrix, falling back to security.quotas.default, with per-user overrides set by admins
+ * (kept in the user's metadata). A limit of 0 or null means unlimited
+ * Following OWASP Denial of Service guidelines (bounded storage per account)
+ */
+class QuotaService {
+  constructor() {
+    const settings = config.get('security.quotas') || {};
+    this.defaultQuota = settings.default || {};
+    this.warnPercent = settings.warn_percent || 80;
+    this.roles = config.get('security.rbac.roles') || {};
+  }
+
+  /**
+   * Turn a configured quota into byte and file limits
+   * @param {object} quota - { max_storage_mb, max_files } (config) or { maxStorageMb, maxFiles } (override)
+   * @returns {object} { maxBytes, maxFiles }; null for no limit
+   */
+  normalize(quota = {}) {
+    const storageMb = quota.max_storage_mb !== undefined ? quota.max_storage_mb : quota.maxStorageMb;
+    const maxFiles = quota.max_files !== undefined ? quota.max_files : quota.maxFiles;
+
+    return {
+      maxBytes: storageMb ? Math.round(storageMb * MB) : null,
+      maxFiles: maxFiles || null
+    };
+  }
+
+  /**
+   * Resolve the limits that apply to a user
+   * An override replaces only the limits it sets
+   * @param {object} user - User (role and metadata); null gives the default quota
+   * @returns {object} { maxBytes, maxFiles, source }
+   */
+  getLimits(user) {
+    const roleQuota = user && this.roles[user.role] && this.roles[user.role].quota;
+    const limits = { ...this.normalize(roleQuota || this.defaultQuota), source: roleQuota ? 'role' : 'default' };
+
+    const override = user && user.metadata && user.metadata.quotaOverride;
+    if (override) {
+      const overridden = this.normalize(override);
+      if (override.maxStorageMb !== undefined) {
+        limits.maxBytes = overridden.maxBytes;
+      }
+      if (override.maxFiles !== undefined) {
+        limits.maxFiles = overridden.maxFiles;
+      }
+      limits.source = 'user';
+    }
+
+    return limits;
+  }
+
+  /**
+   * Check whether an upload fits into the remaining quota
+   * @param {object} limits - From getLimits
+   * @param {object} usage - { bytes, files } currently stored
+   * @param {object} incoming - { bytes, files } about to be stored
+   * @returns {object} { allowed, exceeded: ['storage'|'files'] }
+   */
+  check(limits, usage, incoming) {
+    const exceeded = [];
+
+    if (limits.maxBytes && usage.bytes + incoming.bytes > limits.maxBytes) {
+      exceeded.push('storage');
+    }
+    if (limits.maxFiles && usage.files + incoming.files > limits.maxFiles) {
+      exceeded.push('files');
+    }
+
+    return { allowed: exceeded.length === 0, exceeded };
+  }
+
+  /**
+   * Describe usage against the limits, for stats and upload warnings
+   * @param {object} limits - From getLimits
+   * @param {object} usage - { bytes, files }
+   * @returns {object} Limits, usage, percentages and whether the soft limit is reached
+   */
+  getReport(limits, usage) {
+    const percent = (used, limit) => (limit ? Math.min(100, Math.round(used / limit * 1000) / 10) : null);
+    const storagePercent = percent(usage.bytes, limits.maxBytes);
+    const filesPercent = percent(usage.files, limits.maxFiles);
+
+    return {
+      maxBytes: limits.maxBytes,
+      maxFiles: limits.maxFiles,
+      source: limits.source,
+      usedBytes: usage.bytes,
+      usedFiles: usage.files,
+      storagePercent,
+      filesPercent,
+      warnPercent: this.warnPercent,
+      warning: Math.max(storagePercent || 0, filesPercent || 0) >= this.warnPercent
+    };
+  }
+
+  /**
+   * Soft-limit warnings for a report
+   * @param {object} report - From getReport
+   * @returns {Array<string>} Warning messages (empty below warn_percent)
+   */
+  getWarnings(report) {
+    const warnings = [];
+
+    if (report.storagePercent !== null && report.storagePercent >= this.warnPercent) {
+      warnings.push(`You have used ${report.storagePercent}% of your storage quota`);
+    }
+    if (report.filesPercent !== null && report.filesPercent >= this.warnPercent) {
+      warnings.push(`You have used ${report.filesPercent}% of your file count quota`);
+    }
+
+    return warnings;
+  }
+}
+
+module.exports = QuotaService;
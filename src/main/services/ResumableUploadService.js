@@ -0,0 +1,406 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/AppConfig');
+const JsonFileStore = require('../storage/JsonFileStore');
+const ContentInspector = require('../validation/ContentInspector');
+const UploadPolicy = require('../validation/UploadPolicy');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'termination', 'expiration'];
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+/**
+ * Build an error carrying a machine-readable code and HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+function uploadError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+}
+
+/**
+ * ResumableUploadService - tus 1.0 Upload Sessions
+ * Each session is a JSON info file and a data file in the staging directory, so an upload
+ * interrupted by a dropped connection or a server restart resumes from the bytes already on disk
+ * The offset is the size of the data file; nothing else has to be kept in step with it
+ * Completed uploads are handed to UploadService like any other upload
+ * Following OWASP File Upload guidelines (staging outside the webroot, size limits, expiring sessions)
+ */
+class ResumableUploadService {
+  /**
+   * @param {object} options - Overrides for the resumable_uploads configuration
+   */
+  constructor(options = {}) {
+    const settings = { ...config.get('security.resumable_uploads'), ...options };
+    this.stagingPath = path.resolve(settings.staging_path || './data/resumable');
+    this.expiryMs = (settings.expiry_hours || 24) * 60 * 60 * 1000;
+    this.maxActivePerUser = settings.max_active_per_user || 5;
+    this.maxSize = settings.max_file_size_mb
+      ? settings.max_file_size_mb * 1024 * 1024
+      : UploadPolicy.getInstance().getMaxFileSize(); // Largest file class
+    this.locks = new Set(); // Upload IDs with a request in progress
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * Path of a session's info file
+   * @param {string} uploadId - Upload ID
+   * @returns {string} File path
+   */
+  infoPath(uploadId) {
+    return path.join(this.stagingPath, `${uploadId}.json`);
+  }
+
+  /**
+   * Path of a session's data file
+   * @param {string} uploadId - Upload ID
+   * @returns {string} File path
+   */
+  dataPath(uploadId) {
+    return path.join(this.stagingPath, `${uploadId}.part`);
+  }
+
+  /**
+   * Check an upload ID before it is used to build a path
+   * @param {string} uploadId - Upload ID from the URL
+   * @returns {boolean} True if well formed
+   */
+  isValidUploadId(uploadId) {
+    return typeof uploadId === 'string' && UPLOAD_ID_PATTERN.test(uploadId);
+  }
+
+  /**
+   * Parse an Upload-Metadata header
+   * Pairs are comma separated; each is a key and an optional base64 value
+   * @param {string} header - Header value
+   * @returns {object|null} Decoded metadata, or null if the header is malformed
+   */
+  parseMetadata(header) {
+    const metadata = {};
+
+    if (!header) {
+      return metadata;
+    }
+
+    for (const pair of header.split(',')) {
+      const [key, value, ...rest] = pair.trim().split(' ');
+
+      if (!key || rest.length > 0 || !/^[\x21-\x7e]+$/.test(key) || Object.prototype.hasOwnProperty.call(metadata, key)) {
+        return null;
+      }
+      if (value !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+        return null;
+      }
+
+      metadata[key] = value === undefined ? '' : Buffer.from(value, 'base64').toString('utf8');
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Encode metadata back into Upload-Metadata form
+   * @param {object} metadata - Decoded metadata
+   * @returns {string} Header value
+   */
+  formatMetadata(metadata) {
+    return Object.entries(metadata)
+      .map(([key, value]) => (value ? `${key} ${Buffer.from(value, 'utf8').toString('base64')}` : key))
+      .join(',');
+  }
+
+  /**
+   * Start an upload session
+   * @param {object} options - Session options
+   * @param {string} options.userId - Owner
+   * @param {number} options.uploadLength - Total size in bytes
+   * @param {object} options.metadata - Decoded Upload-Metadata; must name the file
+   * @returns {Promise<object>} Session
+   */
+  async createUpload({ userId, uploadLength, metadata }) {
+    if (!Number.isSafeInteger(uploadLength) || uploadLength <= 0) {
+      throw uploadError('Upload-Length must be a positive integer', 'INVALID_UPLOAD_LENGTH', 400);
+    }
+    if (uploadLength > this.maxSize) {
+      throw uploadError(`Upload exceeds the maximum size of ${this.maxSize} bytes`, 'UPLOAD_TOO_LARGE', 413);
+    }
+    if (!metadata || !metadata.filename) {
+      throw uploadError('Upload-Metadata must include the filename', 'INVALID_UPLOAD_METADATA', 400);
+    }
+
+    const now = Date.now();
+    const active = (await this.listUploads())
+      .filter(upload => upload.userId === userId && new Date(upload.expiresAt).getTime() > now);
+    if (active.length >= this.maxActivePerUser) {
+      throw uploadError('Too many unfinished uploads', 'TOO_MANY_UPLOADS', 429);
+    }
+
+    const upload = {
+      id: crypto.randomBytes(16).toString('hex'),
+      userId,
+      uploadLength,
+      metadata,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.expiryMs).toISOString()
+    };
+
+    // Info file first: a crash before the data file exists leaves a session that simply expires
+    await fs.promises.mkdir(this.stagingPath, { recursive: true, mode: 0o700 });
+    await new JsonFileStore(this.infoPath(upload.id), { generations: 0 }).write(upload);
+    await fs.promises.writeFile(this.dataPath(upload.id), '', { mode: 0o600 });
+
+    return { ...upload, offset: 0 };
+  }
+
+  /**
+   * Look up a session with its current offset
+   * Sessions of other users are reported as missing
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - Requesting user
+   * @returns {Promise<object|null>} Session, or null if unknown or expired
+   */
+  async getUpload(uploadId, userId) {
+    if (!this.isValidUploadId(uploadId)) {
+      return null;
+    }
+
+    let upload;
+    try {
+      upload = await new JsonFileStore(this.infoPath(uploadId), { generations: 0 }).read();
+    } catch (error) {
+      return null;
+    }
+
+    if (!upload || upload.userId !== userId) {
+      return null;
+    }
+
+    if (new Date(upload.expiresAt).getTime() <= Date.now()) {
+      await this.removeUpload(uploadId);
+      return null;
+    }
+
+    try {
+      const stats = await fs.promises.stat(this.dataPath(uploadId));
+      return { ...upload, offset: stats.size };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Run a task while holding a session's lock
+   * Requests for a session that is already being written to are refused rather than queued
+   * @param {string} uploadId - Upload ID
+   * @param {Function} task - Async function to run
+   * @returns {Promise<any>} Result of the task
+   */
+  async withLock(uploadId, task) {
+    if (this.locks.has(uploadId)) {
+      throw uploadError('Another request is writing to this upload', 'UPLOAD_LOCKED', 423);
+    }
+
+    this.locks.add(uploadId);
+    try {
+      return await task();
+    } finally {
+      this.locks.delete(uploadId);
+    }
+  }
+
+  /**
+   * Append a chunk to a session
+   * Call under withLock; bytes are written as they arrive, so a chunk cut off mid-way still advances the offset
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - Requesting user
+   * @param {number} offset - Upload-Offset sent by the client
+   * @param {stream.Readable} source - Request body
+   * @returns {Promise<object>} Session with the new offset
+   */
+  async appendChunk(uploadId, userId, offset, source) {
+    const upload = await this.getUpload(uploadId, userId);
+    if (!upload) {
+      throw uploadError('Upload not found', 'UPLOAD_NOT_FOUND', 404);
+    }
+    if (offset !== upload.offset) {
+      throw uploadError('Upload-Offset does not match the current offset', 'OFFSET_MISMATCH', 409);
+    }
+
+    const remaining = upload.uploadLength - upload.offset;
+    let received = 0;
+    const handle = await fs.promises.open(this.dataPath(uploadId), 'a', 0o600);
+
+    try {
+      for await (const chunk of source) {
+        received += chunk.length;
+        if (received > remaining) {
+          // Keep the session at its previous offset; nothing past the limit is accepted
+          await handle.truncate(upload.offset);
+          throw uploadError('Chunk extends past Upload-Length', 'UPLOAD_LENGTH_EXCEEDED', 413);
+        }
+        await handle.write(chunk);
+      }
+    } catch (error) {
+      if (error.code === 'UPLOAD_LENGTH_EXCEEDED' || error.syscall) {
+        throw error; // Disk errors, as opposed to the client going away
+      }
+      // A dropped connection keeps whatever was written; the client resumes from there
+    } finally {
+      await handle.close();
+    }
+
+    const stats = await fs.promises.stat(this.dataPath(uploadId));
+    return { ...upload, offset: stats.size };
+  }
+
+  /**
+   * Check whether every byte of a session has arrived
+   * @param {object} upload - Session
+   * @returns {boolean} True if complete
+   */
+  isComplete(upload) {
+    return upload.offset === upload.uploadLength;
+  }
+
+  /**
+   * Describe a completed session as a file object for UploadService and FileValidator
+   * The data file is hashed and sniffed in one streaming read and handed over by path,
+   * so UploadService moves it into storage instead of loading it into memory
+   * @param {object} upload - Completed session
+   * @returns {Promise<object>} File object shaped like the one QuarantineStorage produces
+   */
+  async readAssembledFile(upload) {
+    const dataPath = this.dataPath(upload.id);
+    const inspection = await ContentInspector.inspectFile(dataPath);
+
+    return {
+      fieldname: 'file',
+      originalname: upload.metadata.filename,
+      mimetype: upload.metadata.filetype || 'application/octet-stream',
+      path: dataPath,
+      ...inspection
+    };
+  }
+
+  /**
+   * Delete a session and its data
+   * @param {string} uploadId - Upload ID
+   */
+  async removeUpload(uploadId) {
+    if (!this.isValidUploadId(uploadId)) {
+      return;
+    }
+
+    await fs.promises.rm(this.dataPath(uploadId), { force: true });
+    await fs.promises.rm(this.infoPath(uploadId), { force: true });
+  }
+
+  /**
+   * Terminate a session at the client's request
+   * @param {string} uploadId - Upload ID
+   * @param {string} userId - Requesting user
+   * @returns {Promise<boolean>} True if a session was removed
+   */
+  async terminateUpload(uploadId, userId) {
+    return this.withLock(uploadId, async () => {
+      const upload = await this.getUpload(uploadId, userId);
+      if (!upload) {
+        return false;
+      }
+
+      await this.removeUpload(uploadId);
+      return true;
+    });
+  }
+
+  /**
+   * Read every session in the staging directory
+   * @returns {Promise<object[]>} Sessions (without offsets)
+   */
+  async listUploads() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.stagingPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const uploads = [];
+    for (const entry of entries) {
+      const uploadId = path.basename(entry, '.json');
+      if (!entry.endsWith('.json') || !this.isValidUploadId(uploadId)) {
+        continue;
+      }
+
+      try {
+        const upload = await new JsonFileStore(this.infoPath(uploadId), { generations: 0 }).read();
+        if (upload) {
+          uploads.push(upload);
+        }
+      } catch (error) {
+        // Unreadable session; removeExpiredUploads deletes it
+        uploads.push({ id: uploadId, expiresAt: new Date(0).toISOString() });
+      }
+    }
+
+    return uploads;
+  }
+
+  /**
+   * Delete sessions past their expiry
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async removeExpiredUploads() {
+    const uploads = await this.listUploads();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const upload of uploads) {
+      if (new Date(upload.expiresAt).getTime() <= now && !this.locks.has(upload.id)) {
+        await this.removeUpload(upload.id);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Remove expired sessions now and then hourly
+   */
+  startCleanup() {
+    const cleanup = () => this.removeExpiredUploads().catch(error => {
+      console.error('Error removing expired uploads:', error.message);
+    });
+
+    cleanup();
+    this.cleanupTimer = setInterval(cleanup, 60 * 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Headers sent on every tus response
+   * @returns {object} Headers
+   */
+  getProtocolHeaders() {
+    return {
+      'Tus-Resumable': TUS_VERSION,
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS.join(','),
+      'Tus-Max-Size': String(this.maxSize)
+    };
+  }
+}
+
+ResumableUploadService.TUS_VERSION = TUS_VERSION;
+
+module.exports = ResumableUploadService;
@@ -0,0 +1,411 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/AppConfig');
+const Logger = require('../config/Logger');
+const TokenRevocationStore = require('../storage/TokenRevocationStore');
+const RefreshTokenStore = require('../storage/RefreshTokenStore');
+
+/**
+ * TokenService - Signed Token Management Service
+ * Issues and verifies JWT access tokens and rotating refresh tokens
+ * Following OWASP JWT and session management guidelines
+ * Singleton pattern to ensure single refresh token store across all controllers
+ */
+class TokenService {
+  constructor() {
+    // Singleton pattern: return existing instance if it exists
+    if (TokenService.instance) {
+      return TokenService.instance;
+    }
+
+    this.secret = config.get('security.jwt_secret');
+    this.issuer = config.get('security.jwt_issuer') || 'secure-file-upload';
+    this.audience = config.get('security.jwt_audience') || 'secure-file-upload-api';
+    this.algorithm = 'HS256'; // Pin the algorithm to prevent algorithm confusion attacks
+    this.accessTokenTtl = (config.get('security.access_token_ttl_minutes') || 15) * 60; // Seconds
+    this.refreshTokenTtl = (config.get('security.refresh_token_ttl_days') || 7) * 24 * 60 * 60; // Seconds
+    this.challengeTokenTtl = (config.get('security.two_factor.challenge_ttl_minutes') || 5) * 60; // Seconds
+    this.emailVerificationTokenTtl = (config.get('security.email_verification.token_ttl_hours') || 24) * 60 * 60; // Seconds
+    this.passwordResetTokenTtl = (config.get('security.password_reset.token_ttl_minutes') || 30) * 60; // Seconds
+    this.refreshTokens = new RefreshTokenStore();
+    this.revocationStore = new TokenRevocationStore();
+    this.logger = Logger;
+
+    // Store the instance
+    TokenService.instance = this;
+  }
+
+  /**
+   * Wait until the revocation and refresh token stores have read their saved state
+   * Before that, a restarted instance would accept revoked tokens and issue tokens of generation 0
+   * @returns {Promise} Resolves once both stores are loaded
+   */
+  async ready() {
+    await Promise.all([this.revocationStore.loaded, this.refreshTokens.loaded]);
+  }
+
+  /**
+   * Issue a new access/refresh token pair for a user
+   * @param {User} user - Authenticated user
+   * @param {string} familyId - Login session / refresh token family (kept across rotations)
+   * @returns {Promise<object>} Token pair
+   */
+  async issueTokenPair(user, familyId = uuidv4()) {
+    await this.revocationStore.loaded;
+    const generation = this.revocationStore.getUserGeneration(user.id);
+
+    const accessToken = jwt.sign(
+      {
+        typ: 'access',
+        role: user.role,
+        status: user.status,
+        sid: familyId,
+        gen: generation
+      },
+      this.secret,
+      {
+        algorithm: this.algorithm,
+        expiresIn: this.accessTokenTtl,
+        issuer: this.issuer,
+        audience: this.audience,
+        subject: user.id,
+        jwtid: uuidv4()
+      }
+    );
+
+    const refreshTokenId = uuidv4();
+    const refreshToken = jwt.sign(
+      {
+        typ: 'refresh',
+        sid: familyId,
+        gen: generation
+      },
+      this.secret,
+      {
+        algorithm: this.algorithm,
+        expiresIn: this.refreshTokenTtl,
+        issuer: this.issuer,
+        audience: this.audience,
+        subject: user.id,
+        jwtid: refreshTokenId
+      }
+    );
+
+    await this.refreshTokens.add(refreshTokenId, {
+      userId: user.id,
+      familyId,
+      expiresAt: Date.now() + this.refreshTokenTtl * 1000
+    });
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      refreshToken,
+      expiresIn: this.accessTokenTtl,
+      refreshExpiresIn: this.refreshTokenTtl
+    };
+  }
+
+  /**
+   * Verify an access token signature, expiry and claims
+   * @param {string} token - Encoded JWT
+   * @returns {object} Decoded claims
+   */
+  verifyAccessToken(token) {
+    return this.verifyToken(token, 'access');
+  }
+
+  /**
+   * Verify a refresh token signature, expiry and claims
+   * @param {string} token - Encoded JWT
+   * @returns {object} Decoded claims
+   */
+  verifyRefreshToken(token) {
+    return this.verifyToken(token, 'refresh');
+  }
+
+  /**
+   * Verify a token and check its type
+   * @param {string} token - Encoded JWT
+   * @param {string} expectedType - Expected `typ` claim
+   * @returns {object} Decoded claims
+   */
+  verifyToken(token, expectedType) {
+    const claims = jwt.verify(token, this.secret, {
+      algorithms: [this.algorithm],
+      issuer: this.issuer,
+      audience: this.audience
+    });
+
+    if (claims.typ !== expectedType) {
+      throw new Error('Invalid token type');
+    }
+
+    if (!claims.sub || !claims.jti || !claims.sid) {
+      throw new Error('Token is missing required claims');
+    }
+
+    if (this.revocationStore.isRevoked(claims)) {
+      throw new Error('Token has been revoked');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Create the claims stored in a server-side browser session
+   * They carry the same session ID and generation as a token pair, so logout,
+   * logout-all and role or status changes end browser sessions too
+   * @param {User} user - Authenticated user
+   * @param {string} familyId - Login session ID
+   * @returns {object} Session claims
+   */
+  issueSessionClaims(user, familyId = uuidv4()) {
+    return {
+      typ: 'session',
+      sub: user.id,
+      sid: familyId,
+      gen: this.revocationStore.getUserGeneration(user.id),
+      role: user.role,
+      status: user.status,
+      iat: Math.floor(Date.now() / 1000)
+    };
+  }
+
+  /**
+   * Verify the claims stored in a browser session
+   * A session cannot outlive the refresh token lifetime, however active it is
+   * @param {object} claims - Session claims
+   * @returns {object} Verified claims
+   */
+  verifySessionClaims(claims) {
+    if (!claims || claims.typ !== 'session' || !claims.sub || !claims.sid) {
+      throw new Error('Invalid session');
+    }
+
+    if ((claims.iat + this.refreshTokenTtl) * 1000 <= Date.now()) {
+      throw new Error('Session has expired');
+    }
+
+    if (this.revocationStore.isRevoked(claims)) {
+      throw new Error('Session has been revoked');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Issue a short-lived challenge token for an unfinished login
+   * Used between the password step and the two-factor step; grants no API access
+   * @param {User} user - User who passed the password step
+   * @param {string} purpose - Challenge purpose ('2fa_verify' or '2fa_enroll')
+   * @returns {string} Encoded JWT
+   */
+  issueChallengeToken(user, purpose) {
+    return jwt.sign(
+      {
+        typ: 'challenge',
+        purpose,
+        gen: this.revocationStore.getUserGeneration(user.id)
+      },
+      this.secret,
+      {
+        algorithm: this.algorithm,
+        expiresIn: this.challengeTokenTtl,
+        issuer: this.issuer,
+        audience: this.audience,
+        subject: user.id,
+        jwtid: uuidv4()
+      }
+    );
+  }
+
+  /**
+   * Verify a challenge token and check its purpose
+   * @param {string} token - Encoded JWT
+   * @param {string} purpose - Expected `purpose` claim
+   * @returns {object} Decoded claims
+   */
+  verifyChallengeToken(token, purpose) {
+    const claims = jwt.verify(token, this.secret, {
+      algorithms: [this.algorithm],
+      issuer: this.issuer,
+      audience: this.audience
+    });
+
+    if (claims.typ !== 'challenge' || claims.purpose !== purpose) {
+      throw new Error('Invalid token type');
+    }
+
+    if (!claims.sub || !claims.jti) {
+      throw new Error('Token is missing required claims');
+    }
+
+    if (this.revocationStore.isRevoked(claims)) {
+      throw new Error('Token has been revoked');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Issue a signed email verification token
+   * Bound to the address it was sent to, so it cannot verify a later address change
+   * @param {User} user - User whose email is being verified
+   * @returns {string} Encoded JWT
+   */
+  issueEmailVerificationToken(user) {
+    return jwt.sign(
+      {
+        typ: 'email_verify',
+        email: user.email
+      },
+      this.secret,
+      {
+        algorithm: this.algorithm,
+        expiresIn: this.emailVerificationTokenTtl,
+        issuer: this.issuer,
+        audience: this.audience,
+        subject: user.id,
+        jwtid: uuidv4()
+      }
+    );
+  }
+
+  /**
+   * Verify an email verification token
+   * @param {string} token - Encoded JWT
+   * @returns {object} Decoded claims
+   */
+  verifyEmailVerificationToken(token) {
+    const claims = jwt.verify(token, this.secret, {
+      algorithms: [this.algorithm],
+      issuer: this.issuer,
+      audience: this.audience
+    });
+
+    if (claims.typ !== 'email_verify') {
+      throw new Error('Invalid token type');
+    }
+
+    if (!claims.sub || !claims.email) {
+      throw new Error('Token is missing required claims');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Generate an opaque, single-use password reset token
+   * Only the hash is stored, so a leaked user store cannot be used to reset passwords
+   * @returns {object} Token, its hash and expiry timestamp (ms)
+   */
+  issuePasswordResetToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    return {
+      token,
+      hash: this.hashPasswordResetToken(token),
+      expiresAt: Date.now() + this.passwordResetTokenTtl * 1000
+    };
+  }
+
+  /**
+   * Hash a password reset token for storage and lookup
+   * @param {string} token - Token from the reset link
+   * @returns {string} SHA-256 hex digest
+   */
+  hashPasswordResetToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Ensure token claims still match the current user record
+   * Tokens issued before a role or status change are rejected
+   * @param {object} claims - Decoded access token claims
+   * @param {User} user - User the token was issued to
+   */
+  assertClaimsMatchUser(claims, user) {
+    if (!user || !user.isActive()) {
+      throw new Error('User not found or inactive');
+    }
+
+    if (claims.role !== user.role) {
+      throw new Error('Token role claim does not match user');
+    }
+
+    if (claims.status !== user.status) {
+      throw new Error('Token status claim does not match user');
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * Each refresh token is single-use; presenting a used token revokes its whole family
+   * @param {object} claims - Verified refresh token claims
+   * @param {User} user - User the token was issued to
+   * @returns {Promise<object>} Rotation result
+   */
+  async rotateRefreshToken(claims, user) {
+    const record = await this.refreshTokens.consume(claims.jti);
+
+    if (!record || record.userId !== claims.sub || record.familyId !== claims.sid) {
+      return {
+        success: false,
+        error: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      };
+    }
+
+    if (record.usedAt) {
+      await this.revokeRefreshTokenFamily(record.familyId);
+
+      this.logger.logSecurityEvent('refresh_token_reuse', {
+        userId: record.userId,
+        familyId: record.familyId
+      }, 'warn');
+
+      return {
+        success: false,
+        error: 'Refresh token has already been used',
+        code: 'REFRESH_TOKEN_REUSED'
+      };
+    }
+
+    return {
+      success: true,
+      tokens: await this.issueTokenPair(user, record.familyId)
+    };
+  }
+
+  /**
+   * Revoke a single login session (logout)
+   * Invalidates the session's access token and its refresh token family
+   * @param {object} claims - Verified claims of any token in the session
+   */
+  async revokeSession(claims) {
+    await this.revokeRefreshTokenFamily(claims.sid);
+    await this.revocationStore.revokeSession(claims.sid, Date.now() + this.refreshTokenTtl * 1000);
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId - User ID
+   */
+  async revokeAllUserTokens(userId) {
+    await this.refreshTokens.removeUser(userId);
+    await this.revocationStore.revokeAllForUser(userId);
+  }
+
+  /**
+   * Revoke every refresh token in a family
+   * @param {string} familyId - Refresh token family
+   * @returns {Promise<number>} Number of revoked tokens
+   */
+  revokeRefreshTokenFamily(familyId) {
+    return this.refreshTokens.removeFamily(familyId);
+  }
+}
+
+module.exports = TokenService;
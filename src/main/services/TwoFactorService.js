@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const config = require('../config/AppConfig');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * TwoFactorService - TOTP Two-Factor Authentication Helpers
+ * Implements RFC 6238 time-based one-time passwords and one-time recovery codes
+ * Following OWASP Multifactor Authentication guidelines
+ */
+class TwoFactorService {
+  constructor() {
+    this.config = config.get('security.two_factor') || {};
+    this.issuer = this.config.issuer || 'Secure File Upload';
+    this.digits = 6;
+    this.stepSeconds = 30;
+    this.window = 1; // Accept one step of clock drift either side
+    this.recoveryCodeCount = this.config.recovery_codes || 10;
+    this.encryptionKey = crypto.createHash('sha256')
+      .update(this.config.encryption_key || config.get('security.jwt_secret'))
+      .digest();
+  }
+
+  /**
+   * Generate a new random TOTP secret
+   * @returns {string} Base32 encoded secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI understood by authenticator apps (the QR code payload)
+   * @param {string} secret - Base32 encoded secret
+   * @param {string} accountName - Account label (username or email)
+   * @returns {string} otpauth URI
+   */
+  buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.stepSeconds)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate the TOTP code for a given time
+   * @param {string} secret - Base32 encoded secret
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, timestamp = Date.now()) {
+    return this.generateHotp(secret, this.getTimeStep(timestamp));
+  }
+
+  /**
+   * Verify a TOTP code, rejecting codes from already used time steps
+   * @param {string} secret - Base32 encoded secret
+   * @param {string} code - Code entered by the user
+   * @param {number} lastUsedStep - Last accepted time step (replay protection)
+   * @returns {number|null} Matched time step, or null if invalid
+   */
+  verifyCode(secret, code, lastUsedStep = -1) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+      return null;
+    }
+
+    const currentStep = this.getTimeStep(Date.now());
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const step = currentStep + offset;
+      if (step <= lastUsedStep) {
+        continue;
+      }
+
+      const expected = this.generateHotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate an HOTP value (RFC 4226)
+   * @param {string} secret - Base32 encoded secret
+   * @param {number} counter - Moving factor
+   * @returns {string} Zero-padded code
+   */
+  generateHotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * Get the TOTP time step for a timestamp
+   * @param {number} timestamp - Time in milliseconds
+   * @returns {number} Time step
+   */
+  getTimeStep(timestamp) {
+    return Math.floor(timestamp / 1000 / this.stepSeconds);
+  }
+
+  /**
+   * Generate a fresh set of one-time recovery codes
+   * @returns {Array} Plain text recovery codes (show to the user once)
+   */
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < this.recoveryCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.substring(0, 5)}-${raw.substring(5)}`);
+    }
+    return codes;
+  }
+
+  /**
+   * Hash a recovery code for storage
+   * Codes are high-entropy random values, so a fast hash is sufficient
+   * @param {string} code - Plain text recovery code
+   * @returns {string} SHA-256 hash
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Encrypt a TOTP secret for storage (AES-256-GCM)
+   * @param {string} secret - Base32 encoded secret
+   * @returns {string} iv:authTag:ciphertext (hex)
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), ciphertext.toString('hex')].join(':');
+  }
+
+  /**
+   * Decrypt a stored TOTP secret
+   * @param {string} encrypted - iv:authTag:ciphertext (hex)
+   * @returns {string} Base32 encoded secret
+   */
+  decryptSecret(encrypted) {
+    const [iv, authTag, ciphertext] = encrypted.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(authTag, 'hex'));
+
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Check whether 2FA is mandatory for a user
+   * @param {User} user - User to check
+   * @returns {boolean} True if the user must enroll
+   */
+  isRequiredFor(user) {
+    return !!this.config.enforce_for_admins && user.isAdmin();
+  }
+
+  /**
+   * Base32 encode (RFC 4648, no padding)
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Base32 decode (RFC 4648, padding and case insensitive)
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Decoded bytes
+   */
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const output = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        output.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(output);
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,92 @@
+const config = require('../config/AppConfig');
+const Logger = require('../config/Logger');
+
+/**
+ * UploadBudget - Concurrency and Memory Budget for Uploads
+ * Caps how many uploads this instance processes at once and how many declared request bytes
+ * they may have in flight; requests over budget get 503 with Retry-After instead of
+ * degrading every upload in progress
+ * Following OWASP Denial of Service guidelines (bounded resource use per instance)
+ */
+class UploadBudget {
+  /**
+   * @param {object} options - Overrides for the upload_budget configuration
+   */
+  constructor(options = {}) {
+    const settings = { ...config.get('security.upload_budget'), ...options };
+    this.maxConcurrent = settings.max_concurrent || 8;
+    this.maxInflightBytes = (settings.max_inflight_mb || 100) * 1024 * 1024;
+    this.maxHeapUsedBytes = (settings.max_heap_used_mb || 0) * 1024 * 1024; // 0 disables the heap check
+    this.retryAfterSeconds = settings.retry_after_seconds || 5;
+    this.maxRequestBytes = (settings.max_request_mb || config.get('security.max_file_size_mb')) * 1024 * 1024;
+    this.active = 0;
+    this.inflightBytes = 0;
+    this.logger = Logger;
+  }
+
+  /**
+   * Reserve room for one upload
+   * @param {number} bytes - Bytes the upload may bring in
+   * @returns {Function|null} Release function (safe to call more than once), or null when over budget
+   */
+  tryAcquire(bytes) {
+    if (this.active >= this.maxConcurrent || this.inflightBytes + bytes > this.maxInflightBytes) {
+      return null;
+    }
+    if (this.maxHeapUsedBytes && process.memoryUsage().heapUsed > this.maxHeapUsedBytes) {
+      return null;
+    }
+
+    this.active++;
+    this.inflightBytes += bytes;
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.active--;
+        this.inflightBytes -= bytes;
+      }
+    };
+  }
+
+  /**
+   * Express middleware that holds a reservation until the response ends
+   * Requests without a Content-Length are charged the largest request allowed
+   * @returns {Function} Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const declared = parseInt(req.get('Content-Length'), 10);
+      const bytes = Number.isFinite(declared) && declared >= 0
+        ? Math.min(declared, this.maxRequestBytes)
+        : this.maxRequestBytes;
+
+      const release = this.tryAcquire(bytes);
+      if (!release) {
+        this.logger.logSecurityEvent('upload_budget_exceeded', {
+          userId: req.userId,
+          activeUploads: this.active,
+          inflightBytes: this.inflightBytes,
+          requestBytes: bytes,
+          ip: req.ip
+        }, 'warn');
+
+        res.set('Retry-After', String(this.retryAfterSeconds));
+        return res.status(503).json({
+          success: false,
+          error: 'Server is busy processing other uploads, try again shortly',
+          code: 'SERVER_BUSY',
+          retryAfter: this.retryAfterSeconds
+        });
+      }
+
+      // 'close' also fires when the client goes away before the response is sent
+      res.once('finish', release);
+      res.once('close', release);
+      next();
+    };
+  }
+}
+
+module.exports = UploadBudget;
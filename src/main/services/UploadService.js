@@ -1,23 +1,54 @@
-const fs = require('fs').promises;
-const path = require('path');
 const FileValidator = require('../validation/FileValidator');
 const FileStorageManager = require('../storage/FileStorageManager');
 const FileMetadata = require('../models/FileMetadata');
+const QuotaService = require('./QuotaService');
+const VirusScanService = require('./VirusScanService');
+const MetadataExtractor = require('./MetadataExtractor');
+const JobQueue = require('./JobQueue');
+const RateLimitStore = require('../storage/RateLimitStore');
+const { getRedisClient, getKeyPrefix } = require('../storage/RedisConnection');
+const { createFileMetadataRepository } = require('../repositories');
 const config = require('../config/AppConfig');
 
 /**
  * UploadService - Business Logic Layer for File Upload Operations
  * Implements OWASP best practices for secure file upload handling
  * Coordinates validation, storage, and metadata management
+ * Singleton pattern so every controller shares one upload history
  */
 class UploadService {
   constructor() {
+    // Singleton pattern: return existing instance if it exists
+    if (UploadService.instance) {
+      return UploadService.instance;
+    }
+
     this.fileValidator = new FileValidator();
     this.fileStorageManager = new FileStorageManager();
     this.uploadHistory = new Map(); // In-memory storage for demo (use database in production)
-    this.rateLimiter = new Map(); // Simple rate limiting (use Redis in production)
-    this.persistenceFile = path.join(process.cwd(), 'data', 'upload_history.json');
-    this.loadUploadHistory();
+    // Per-user upload counter, shared between instances when Redis is configured
+    this.rateLimiter = new RateLimitStore({
+      client: getRedisClient(),
+      prefix: `${getKeyPrefix()}rl:user-upload:`,
+      windowMs: config.get('security.rate_limit.window_ms')
+    });
+    this.repository = createFileMetadataRepository();
+    this.quotaService = new QuotaService();
+    this.virusScanService = new VirusScanService();
+    this.metadataExtractor = new MetadataExtractor();
+    this.extractMetadata = config.get('file_processing.extract_metadata') !== false;
+    // Content hash -> tail of the operations waiting on that blob (see lockBlob)
+    this.blobLocks = new Map();
+
+    // Post-upload processing runs in the background; each job's state is mirrored onto its file
+    this.jobQueue = new JobQueue({ onUpdate: job => this.recordJobState(job) });
+    this.jobQueue.register('virus_scan', ({ fileId }, job, signal) => this.scanStoredFile(fileId, { signal }));
+    this.jobQueue.register('extract_metadata', ({ fileId }, job, signal) => this.extractFileMetadata(fileId, { signal }));
+
+    // Store the instance
+    UploadService.instance = this;
+
+    this.historyLoaded = this.loadUploadHistory();
   }
 
   /**
@@ -25,63 +56,68 @@ class UploadService {
    */
   async loadUploadHistory() {
     try {
-      console.log(`Attempting to load upload history from: ${this.persistenceFile}`);
-      await fs.access(this.persistenceFile);
-      const data = await fs.readFile(this.persistenceFile, 'utf8');
-      const historyData = JSON.parse(data);
-
-      // Convert back to Map with FileMetadata instances
-      this.uploadHistory = new Map();
-      for (const [key, value] of Object.entries(historyData)) {
-        // Reconstruct FileMetadata instance from plain object
-        const fileMetadata = FileMetadata.fromDatabase(value);
-        this.uploadHistory.set(key, fileMetadata);
-      }
+      this.uploadHistory = await this.repository.loadAll();
 
-      console.log(`Loaded ${this.uploadHistory.size} files from persistent storage`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist yet, create directory
-        const dataDir = path.dirname(this.persistenceFile);
-        await fs.mkdir(dataDir, { recursive: true });
-        console.log(`Created data directory: ${dataDir}`);
+      if (this.uploadHistory.size === 0) {
         console.log('No existing upload history found - starting fresh');
       } else {
-        console.error('Error loading upload history:', error.message);
+        console.log(`Loaded ${this.uploadHistory.size} files from persistent storage`);
       }
+    } catch (error) {
+      console.error('Error loading upload history:', error.message);
     }
   }
 
   /**
    * Save upload history to persistent storage
+   * The repository writes only the records that changed, in one transaction
    */
   async saveUploadHistory() {
     try {
-      const dataDir = path.dirname(this.persistenceFile);
-      await fs.mkdir(dataDir, { recursive: true });
-      
-      // Convert Map to object for JSON serialization
-      const historyData = Object.fromEntries(this.uploadHistory);
-      await fs.writeFile(this.persistenceFile, JSON.stringify(historyData, null, 2));
+      await this.repository.saveAll(this.uploadHistory.values());
     } catch (error) {
       console.error('Error saving upload history:', error.message);
     }
   }
 
+  /**
+   * Pick up file records changed by other app instances sharing the database
+   * Only needed for shared backends (PostgreSQL); otherwise the in-memory map is authoritative
+   * @param {object} criteria - Column -> value, e.g. { userId }; omit to refresh every record
+   */
+  async refreshUploadHistory(criteria = {}) {
+    if (!this.repository.shared) {
+      return;
+    }
+
+    try {
+      const { entities, removed } = await this.repository.reload(criteria);
+      entities.forEach((fileMetadata, id) => this.uploadHistory.set(id, fileMetadata));
+      removed.forEach(id => this.uploadHistory.delete(id));
+    } catch (error) {
+      console.error('Error refreshing upload history:', error.message);
+    }
+  }
+
   /**
    * Process file upload with comprehensive security validation
+   * A streamed file (with a path) is moved into storage on success; otherwise the caller removes it
    * @param {object} file - Multer file object
    * @param {string} userId - User ID
    * @param {object} metadata - Additional metadata
+   * @param {object} options - Upload options
+   * @param {object} options.quota - The user's quota limits (QuotaService.getLimits); defaults to the default quota
+   * @param {string} options.role - Uploader's role, for file classes the upload policy restricts
    * @returns {object} Upload result
    */
-  async uploadFile(file, userId, metadata = {}) {
+  async uploadFile(file, userId, metadata = {}, { quota, role } = {}) {
     const uploadId = this.generateUploadId();
     const startTime = Date.now();
+    let unlockBlob = null;
 
     try {
       // 1. Rate limiting check
-      const rateLimitResult = this.checkRateLimit(userId);
+      const rateLimitResult = await this.checkRateLimit(userId);
       if (!rateLimitResult.allowed) {
         return {
           success: false,
@@ -90,8 +126,15 @@ class UploadService {
         };
       }
 
-      // 2. Comprehensive file validation
-      const validationResult = await this.fileValidator.validateFile(file, userId);
+      // 2. Storage quota, checked before anything is stored
+      const quotaLimits = quota || this.quotaService.getLimits(null);
+      const quotaResult = await this.checkQuota(userId, quotaLimits, { bytes: file.size, files: 1 });
+      if (!quotaResult.allowed) {
+        return quotaResult.error;
+      }
+
+      // 3. Comprehensive file validation
+      const validationResult = await this.fileValidator.validateFile(file, userId, { role });
       if (!validationResult.isValid) {
         await this.logSecurityEvent('validation_failed', {
           userId,
@@ -108,13 +151,24 @@ class UploadService {
         };
       }
 
-      // 3. Store file securely
-      const storageResult = await this.fileStorageManager.storeFile(
-        file.buffer,
-        validationResult.sanitizedData.originalFilename,
-        validationResult.sanitizedData.mimeType,
-        userId
-      );
+      // 4. Store file securely (streamed uploads are moved out of quarantine, not rewritten)
+      // The blob stays locked until the record pointing at it is saved, so a concurrent
+      // delete of the same content cannot unlink a blob this upload has just reused
+      unlockBlob = await this.lockBlob(validationResult.sanitizedData.checksum);
+      const storageResult = file.path
+        ? await this.fileStorageManager.storeFileFromPath(
+          file.path,
+          validationResult.sanitizedData.originalFilename,
+          validationResult.sanitizedData.mimeType,
+          userId,
+          { size: file.size, checksum: validationResult.sanitizedData.checksum }
+        )
+        : await this.fileStorageManager.storeFile(
+          file.buffer,
+          validationResult.sanitizedData.originalFilename,
+          validationResult.sanitizedData.mimeType,
+          userId
+        );
 
       if (!storageResult.success) {
         await this.logSecurityEvent('storage_failed', {
@@ -131,7 +185,7 @@ class UploadService {
         };
       }
 
-      // 4. Create file metadata
+      // 5. Create file metadata
       const fileMetadata = FileMetadata.fromUpload({
         userId,
         originalFilename: validationResult.sanitizedData.originalFilename,
@@ -143,10 +197,10 @@ class UploadService {
         checksum: storageResult.checksum
       });
 
-      // Mark as clean immediately (no actual virus scanner configured)
-      // In production, integrate with actual AV scanner
-      fileMetadata.virusScanStatus = 'clean';
-      fileMetadata.virusScanTimestamp = new Date().toISOString();
+      // With a scanner the file stays pending (unreadable) until the background scan clears it
+      if (!this.virusScanService.enabled) {
+        fileMetadata.updateVirusScan('clean', 'Virus scanning disabled');
+      }
 
       // Add additional metadata
       fileMetadata.metadata = {
@@ -157,16 +211,18 @@ class UploadService {
         validationWarnings: validationResult.warnings
       };
 
-      // 5. Store metadata (in production, use database)
+      // 6. Store metadata (in production, use database)
       this.uploadHistory.set(fileMetadata.id, fileMetadata);
 
-      // 6. Update rate limiting
-      this.updateRateLimit(userId);
+      // 7. Update rate limiting
+      await this.updateRateLimit(userId);
 
-      // 7. Save to persistent storage
+      // 8. Save to persistent storage
       await this.saveUploadHistory();
 
-      // 8. Log successful upload
+      await this.enqueueProcessing(fileMetadata);
+
+      // 9. Log successful upload
       await this.logSecurityEvent('upload_success', {
         userId,
         fileId: fileMetadata.id,
@@ -176,6 +232,9 @@ class UploadService {
         processingTime: Date.now() - startTime
       });
 
+      // Soft limit: tell the user before uploads start failing
+      const quotaReport = this.quotaService.getReport(quotaLimits, this.getStorageUsage(userId));
+
       return {
         success: true,
         fileId: fileMetadata.id,
@@ -183,7 +242,8 @@ class UploadService {
         fileSize: fileMetadata.fileSize,
         mimeType: fileMetadata.mimeType,
         uploadTimestamp: fileMetadata.uploadTimestamp,
-        warnings: validationResult.warnings
+        virusScanStatus: fileMetadata.virusScanStatus,
+        warnings: [...validationResult.warnings, ...this.quotaService.getWarnings(quotaReport)]
       };
 
     } catch (error) {
@@ -199,7 +259,495 @@ class UploadService {
         error: 'Upload processing failed',
         details: error.message
       };
+    } finally {
+      if (unlockBlob) {
+        await unlockBlob();
+      }
+    }
+  }
+
+  /**
+   * Process several files from one request
+   * Each file goes through uploadFile and gets its own result, so some can succeed while others fail
+   * With atomic set, every file is validated before any is stored and files already stored
+   * are removed again if a later one fails, so the batch is stored completely or not at all
+   * @param {Array<object>} files - Multer file objects
+   * @param {string} userId - User ID
+   * @param {object} metadata - Additional metadata applied to every file
+   * @param {object} options - Batch options
+   * @param {boolean} options.atomic - All-or-nothing
+   * @param {object} options.quota - The user's quota limits (see uploadFile)
+   * @param {string} options.role - Uploader's role (see uploadFile)
+   * @returns {object} Batch result with one entry per file, in request order
+   */
+  async uploadBatch(files, userId, metadata = {}, { atomic = false, quota, role } = {}) {
+    const batchId = this.generateUploadId().replace('upload_', 'batch_');
+    const notStored = 'Not stored because another file in the batch was rejected';
+    const results = files.map((file, index) => ({
+      index,
+      filename: file.originalname,
+      success: false
+    }));
+
+    try {
+      if (atomic) {
+        const rateLimitResult = await this.checkRateLimit(userId, files.length);
+        if (!rateLimitResult.allowed) {
+          results.forEach(result => Object.assign(result, {
+            error: 'Rate limit exceeded',
+            retryAfter: rateLimitResult.retryAfter
+          }));
+          return this.summarizeBatch(batchId, results, atomic);
+        }
+
+        const quotaResult = await this.checkQuota(userId, quota || this.quotaService.getLimits(null), {
+          bytes: files.reduce((total, file) => total + file.size, 0),
+          files: files.length
+        });
+        if (!quotaResult.allowed) {
+          results.forEach(result => Object.assign(result, quotaResult.error));
+          return this.summarizeBatch(batchId, results, atomic);
+        }
+
+        // Reject the whole batch up front rather than storing and rolling back
+        let rejected = false;
+        for (const [index, file] of files.entries()) {
+          const validationResult = await this.fileValidator.validateFile(file, userId, { role });
+          if (!validationResult.isValid) {
+            rejected = true;
+            Object.assign(results[index], { error: 'File validation failed', details: validationResult.errors });
+          }
+        }
+
+        if (rejected) {
+          results.filter(result => !result.error).forEach(result => {
+            result.error = notStored;
+          });
+          return this.summarizeBatch(batchId, results, atomic);
+        }
+      }
+
+      for (const [index, file] of files.entries()) {
+        const result = await this.uploadFile(file, userId, { ...metadata, batchId }, { quota, role });
+        Object.assign(results[index], result);
+
+        if (atomic && !result.success) {
+          await this.rollbackBatch(results, userId);
+          break;
+        }
+      }
+
+      if (atomic && results.some(result => !result.success)) {
+        results.filter(result => !result.error).forEach(result => {
+          result.error = notStored;
+        });
+      }
+
+      return this.summarizeBatch(batchId, results, atomic);
+
+    } catch (error) {
+      if (atomic) {
+        await this.rollbackBatch(results, userId);
+      }
+
+      await this.logSecurityEvent('batch_upload_error', {
+        userId,
+        batchId,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        error: 'Batch processing failed',
+        details: error.message
+      };
+    }
+  }
+
+  /**
+   * Queue the background processing of a newly stored file
+   * @param {FileMetadata} fileMetadata - Stored file
+   */
+  async enqueueProcessing(fileMetadata) {
+    if (fileMetadata.virusScanStatus === 'pending') {
+      await this.enqueueFileJob('virus_scan', fileMetadata.id);
+    }
+
+    if (this.extractMetadata) {
+      await this.enqueueFileJob('extract_metadata', fileMetadata.id);
+    }
+  }
+
+  /**
+   * Queue a job for a file, unless one of the same type is already queued or running for it
+   * @param {string} type - Job type
+   * @param {string} fileId - File ID
+   * @returns {Promise<object>} Job
+   */
+  enqueueFileJob(type, fileId) {
+    return this.jobQueue.enqueue(type, { fileId }, { key: `${type}:${fileId}` });
+  }
+
+  /**
+   * Record a job's state on the file it processes (metadata.jobs.<type>)
+   * A scan job that has been dead-lettered leaves its file unreadable with virus scan status
+   * "error"; requeueing the job makes the file pending again
+   * @param {object} job - Job that changed
+   */
+  async recordJobState(job) {
+    await this.refreshUploadHistory({ id: job.payload.fileId });
+
+    const fileMetadata = this.uploadHistory.get(job.payload.fileId);
+    if (!fileMetadata) {
+      return;
+    }
+
+    fileMetadata.metadata.jobs = {
+      ...fileMetadata.metadata.jobs,
+      [job.type]: {
+        jobId: job.id,
+        status: job.status,
+        attempts: job.attempts,
+        updatedAt: job.updatedAt
+      }
+    };
+
+    if (job.type === 'virus_scan' && fileMetadata.status === 'active') {
+      if (job.status === 'failed' && fileMetadata.virusScanStatus === 'pending') {
+        fileMetadata.updateVirusScan('error', job.lastError);
+        await this.logSecurityEvent('virus_scan_failed', {
+          userId: fileMetadata.userId,
+          fileId: fileMetadata.id,
+          jobId: job.id,
+          attempts: job.attempts,
+          error: job.lastError
+        });
+      } else if (job.status === 'queued' && fileMetadata.virusScanStatus === 'error') {
+        fileMetadata.updateVirusScan('pending', 'Scan requeued');
+      }
     }
+
+    await this.saveUploadHistory();
+  }
+
+  /**
+   * Scan a pending file and record the verdict (virus_scan job)
+   * Infected content is quarantined in every record sharing its blob. A failed or timed-out
+   * scan leaves the file pending and throws, so the job queue retries it
+   * @param {string} fileId - File ID
+   * @param {object} options - Job options
+   * @param {AbortSignal} options.signal - Aborted when the job attempt times out; the scan is stopped and nothing is recorded
+   * @returns {Promise<object|null>} Verdict, or null when the file no longer needs a scan
+   */
+  async scanStoredFile(fileId, { signal } = {}) {
+    await this.refreshUploadHistory({ id: fileId });
+
+    const fileMetadata = this.uploadHistory.get(fileId);
+    if (!fileMetadata || fileMetadata.status !== 'active' || fileMetadata.virusScanStatus !== 'pending') {
+      return null;
+    }
+
+    const result = await this.virusScanService.scanFile(fileMetadata.filePath, { signal });
+    if (signal && signal.aborted) {
+      throw signal.reason; // The retry owns the file's scan state now
+    }
+    fileMetadata.metadata.virusScanEngine = result.engine;
+
+    if (result.status === 'error') {
+      fileMetadata.metadata.virusScanDetails = result.details;
+      await this.saveUploadHistory();
+      throw new Error(result.details);
+    }
+
+    if (result.status === 'clean') {
+      fileMetadata.updateVirusScan('clean', result.details);
+    } else {
+      await this.refreshUploadHistory({ storedFilename: fileMetadata.storedFilename });
+      const sameContent = Array.from(this.uploadHistory.values()).filter(other => (
+        other.storedFilename === fileMetadata.storedFilename && other.status !== 'deleted'
+      ));
+
+      for (const infected of sameContent) {
+        infected.updateVirusScan('infected', result.signature);
+        infected.metadata.virusScanEngine = result.engine;
+        infected.markQuarantined(`Virus detected: ${result.signature}`);
+      }
+
+      await this.logSecurityEvent('virus_detected', {
+        userId: fileMetadata.userId,
+        fileId,
+        filename: fileMetadata.originalFilename,
+        signature: result.signature,
+        engine: result.engine,
+        quarantinedFiles: sameContent.map(infected => infected.id)
+      });
+    }
+
+    await this.saveUploadHistory();
+    return { status: result.status, engine: result.engine, signature: result.signature };
+  }
+
+  /**
+   * Read descriptive metadata (image dimensions, PDF version) from a stored file (extract_metadata job)
+   * @param {string} fileId - File ID
+   * @param {object} options - Job options
+   * @param {AbortSignal} options.signal - Aborted when the job attempt times out; nothing is recorded then
+   * @returns {Promise<object|null>} Extracted fields, or null when the file is no longer active
+   */
+  async extractFileMetadata(fileId, { signal } = {}) {
+    await this.refreshUploadHistory({ id: fileId });
+
+    const fileMetadata = this.uploadHistory.get(fileId);
+    if (!fileMetadata || fileMetadata.status !== 'active') {
+      return null;
+    }
+
+    const extracted = await this.metadataExtractor.extract(fileMetadata.filePath, fileMetadata.mimeType);
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+    fileMetadata.metadata.extracted = extracted;
+    await this.saveUploadHistory();
+
+    return extracted;
+  }
+
+  /**
+   * Queue scans for pending files that have no scan job, e.g. stored while scanning was off
+   * Run after the job queue has loaded, so files whose job survived the restart are skipped
+   * @returns {Promise<number>} Pending files
+   */
+  async resumePendingScans() {
+    await this.historyLoaded;
+
+    const pending = Array.from(this.uploadHistory.values())
+      .filter(fileMetadata => fileMetadata.status === 'active' && fileMetadata.virusScanStatus === 'pending');
+
+    if (pending.length && !this.virusScanService.enabled) {
+      console.warn(`${pending.length} files are waiting for a virus scan, but scanning is disabled`);
+      return 0;
+    }
+
+    for (const fileMetadata of pending) {
+      await this.enqueueFileJob('virus_scan', fileMetadata.id);
+    }
+    return pending.length;
+  }
+
+  /**
+   * List background jobs for admins
+   * @param {object} filters - status, type and limit (see JobQueue.list)
+   * @returns {object} Jobs and counts by status
+   */
+  listJobs(filters = {}) {
+    return {
+      success: true,
+      jobs: this.jobQueue.list(filters),
+      counts: this.jobQueue.getCounts()
+    };
+  }
+
+  /**
+   * Requeue a dead-lettered job
+   * @param {string} jobId - Job ID
+   * @param {object} admin - Admin requesting it
+   * @returns {Promise<object>} Requeue result
+   */
+  async requeueJob(jobId, admin) {
+    const result = await this.jobQueue.requeue(jobId);
+
+    if (result.success) {
+      await this.logSecurityEvent('job_requeued', {
+        adminId: admin.id,
+        jobId,
+        type: result.job.type,
+        fileId: result.job.payload.fileId
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Storage a user currently holds
+   * Counts logical sizes: a file whose content is shared with other files still counts in full
+   * @param {string} userId - User ID
+   * @returns {object} { bytes, files } over files that are not deleted
+   */
+  getStorageUsage(userId) {
+    const usage = { bytes: 0, files: 0 };
+
+    for (const fileMetadata of this.uploadHistory.values()) {
+      if (fileMetadata.userId === userId && fileMetadata.status !== 'deleted') {
+        usage.bytes += fileMetadata.fileSize;
+        usage.files++;
+      }
+    }
+
+    return usage;
+  }
+
+  /**
+   * Check that storing more data keeps a user within their quota
+   * @param {string} userId - User ID
+   * @param {object} limits - Quota limits (QuotaService.getLimits)
+   * @param {object} incoming - { bytes, files } about to be stored
+   * @returns {object} { allowed, report, error } where error is the failed upload result
+   */
+  async checkQuota(userId, limits, incoming) {
+    await this.refreshUploadHistory({ userId });
+
+    const usage = this.getStorageUsage(userId);
+    const { allowed, exceeded } = this.quotaService.check(limits, usage, incoming);
+    const report = this.quotaService.getReport(limits, usage);
+
+    if (allowed) {
+      return { allowed, report };
+    }
+
+    await this.logSecurityEvent('quota_exceeded', {
+      userId,
+      exceeded,
+      usedBytes: usage.bytes,
+      usedFiles: usage.files,
+      incomingBytes: incoming.bytes,
+      incomingFiles: incoming.files
+    });
+
+    return {
+      allowed,
+      report,
+      error: {
+        success: false,
+        error: 'Storage quota exceeded',
+        code: 'QUOTA_EXCEEDED',
+        details: exceeded.includes('storage')
+          ? `Storing ${incoming.bytes} more bytes would exceed your quota of ${limits.maxBytes} bytes (${usage.bytes} used)`
+          : `Storing ${incoming.files} more files would exceed your quota of ${limits.maxFiles} files (${usage.files} stored)`,
+        quota: { ...report, exceeded }
+      }
+    };
+  }
+
+  /**
+   * Remove the files of an atomic batch that were stored before another file failed
+   * @param {Array<object>} results - Batch results; stored entries are marked as rolled back
+   * @param {string} userId - User ID
+   */
+  async rollbackBatch(results, userId) {
+    for (const result of results) {
+      if (!result.success || !result.fileId) {
+        continue;
+      }
+
+      const fileMetadata = this.uploadHistory.get(result.fileId);
+      if (fileMetadata) {
+        this.uploadHistory.delete(result.fileId);
+        await this.releaseStoredFile(fileMetadata, userId);
+      }
+
+      Object.assign(result, { success: false, rolledBack: true });
+      delete result.fileId;
+    }
+
+    await this.saveUploadHistory();
+  }
+
+  /**
+   * Drop one reference to a stored blob, deleting the blob when no other file record uses it
+   * Storage is content-addressed, so files with the same content share one blob; every
+   * record that is not deleted counts as a reference. Call before marking the record deleted
+   * @param {FileMetadata} fileMetadata - Record giving up its blob
+   * @param {string} userId - User ID
+   * @returns {object} Storage deletion result; retained is set when the blob is still in use
+   */
+  async releaseStoredFile(fileMetadata, userId) {
+    const { storedFilename } = fileMetadata;
+
+    // Held from the reference check until the blob is gone; an upload of the same content waits
+    const unlockBlob = await this.lockBlob(fileMetadata.checksum || storedFilename);
+    try {
+      // Another instance may have stored the same content since we last looked
+      await this.refreshUploadHistory({ storedFilename });
+
+      const stillReferenced = Array.from(this.uploadHistory.values()).some(other =>
+        other.id !== fileMetadata.id && other.storedFilename === storedFilename && other.status !== 'deleted'
+      );
+
+      if (stillReferenced) {
+        return { success: true, retained: true, deletedFilename: storedFilename };
+      }
+
+      return await this.fileStorageManager.deleteFile(storedFilename, userId);
+    } finally {
+      await unlockBlob();
+    }
+  }
+
+  /**
+   * Wait for exclusive use of the blob holding some content
+   * Uploads hold it from storing (or reusing) the blob until their record is saved, and
+   * deletes from the reference check until the unlink, so neither sees the other half-done
+   * With a shared database (PostgreSQL) an advisory lock extends this to every app instance
+   * @param {string} checksum - Content hash identifying the blob
+   * @returns {Promise<Function>} Async function releasing the lock
+   */
+  async lockBlob(checksum) {
+    const previous = this.blobLocks.get(checksum) || Promise.resolve();
+    let release;
+    const held = new Promise(resolve => {
+      release = resolve;
+    });
+    const current = previous.then(() => held);
+    this.blobLocks.set(checksum, current);
+
+    const releaseLocal = () => {
+      if (this.blobLocks.get(checksum) === current) {
+        this.blobLocks.delete(checksum);
+      }
+      release();
+    };
+
+    await previous;
+    let releaseShared = null;
+    if (this.repository.shared) {
+      try {
+        releaseShared = await this.repository.database.acquireLock(`blob:${checksum}`);
+      } catch (error) {
+        releaseLocal();
+        throw error;
+      }
+    }
+
+    return async () => {
+      try {
+        if (releaseShared) {
+          await releaseShared();
+        }
+      } finally {
+        releaseLocal();
+      }
+    };
+  }
+
+  /**
+   * Build the combined result of a batch
+   * @param {string} batchId - Batch ID
+   * @param {Array<object>} results - Per-file results
+   * @param {boolean} atomic - Whether the batch was all-or-nothing
+   * @returns {object} Batch result
+   */
+  summarizeBatch(batchId, results, atomic) {
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+      success: succeeded === results.length,
+      batchId,
+      atomic,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    };
   }
 
   /**
@@ -210,7 +758,8 @@ class UploadService {
    */
   async retrieveFile(fileId, userId) {
     try {
-      // 1. Get file metadata
+      // 1. Get file metadata (another instance may have uploaded, quarantined or deleted it)
+      await this.refreshUploadHistory({ id: fileId });
       const fileMetadata = this.uploadHistory.get(fileId);
       if (!fileMetadata) {
         return {
@@ -234,6 +783,14 @@ class UploadService {
       }
 
       // 3. Check file status
+      if (fileMetadata.status === 'active' && fileMetadata.virusScanStatus === 'pending') {
+        return {
+          success: false,
+          error: 'File is still being scanned for viruses',
+          code: 'SCAN_PENDING'
+        };
+      }
+
       if (!fileMetadata.isAccessible()) {
         return {
           success: false,
@@ -300,6 +857,7 @@ class UploadService {
   async deleteFile(fileId, userId) {
     try {
       // 1. Get file metadata
+      await this.refreshUploadHistory({ id: fileId });
       const fileMetadata = this.uploadHistory.get(fileId);
       if (!fileMetadata) {
         return {
@@ -322,11 +880,8 @@ class UploadService {
         };
       }
 
-      // 3. Delete file from storage
-      const storageResult = await this.fileStorageManager.deleteFile(
-        fileMetadata.storedFilename,
-        userId
-      );
+      // 3. Delete file from storage (unless other files share its content)
+      const storageResult = await this.releaseStoredFile(fileMetadata, userId);
 
       if (!storageResult.success) {
         return {
@@ -381,6 +936,8 @@ class UploadService {
     try {
       const { limit = 50, offset = 0, status = 'active' } = options;
 
+      await this.refreshUploadHistory({ userId });
+
       console.log(`Getting files for user: ${userId}, status: ${status}, limit: ${limit}, offset: ${offset}`);
       console.log(`Total files in uploadHistory: ${this.uploadHistory.size}`);
 
@@ -430,6 +987,7 @@ class UploadService {
    */
   async getFileMetadata(fileId, userId) {
     try {
+      await this.refreshUploadHistory({ id: fileId });
       const fileMetadata = this.uploadHistory.get(fileId);
       if (!fileMetadata) {
         return {
@@ -458,7 +1016,9 @@ class UploadService {
           accessCount: fileMetadata.accessCount,
           status: fileMetadata.status,
           virusScanStatus: fileMetadata.virusScanStatus,
-          checksum: fileMetadata.checksum
+          checksum: fileMetadata.checksum,
+          extracted: fileMetadata.metadata.extracted || {},
+          jobs: fileMetadata.metadata.jobs || {}
         }
       };
 
@@ -474,29 +1034,17 @@ class UploadService {
   /**
    * Check rate limiting for user
    * @param {string} userId - User ID
-   * @returns {object} Rate limit check result
+   * @param {number} count - Uploads about to be made
+   * @returns {Promise<object>} Rate limit check result
    */
-  checkRateLimit(userId) {
-    const now = Date.now();
-    const windowMs = config.get('security.rate_limit.window_ms');
+  async checkRateLimit(userId, count = 1) {
     const maxRequests = config.get('security.rate_limit.max_requests');
+    const userLimit = await this.rateLimiter.get(userId);
 
-    if (!this.rateLimiter.has(userId)) {
-      this.rateLimiter.set(userId, { count: 0, resetTime: now + windowMs });
-    }
-
-    const userLimit = this.rateLimiter.get(userId);
-
-    // Reset if window has passed
-    if (now > userLimit.resetTime) {
-      userLimit.count = 0;
-      userLimit.resetTime = now + windowMs;
-    }
-
-    if (userLimit.count >= maxRequests) {
+    if (userLimit.totalHits + count > maxRequests) {
       return {
         allowed: false,
-        retryAfter: Math.ceil((userLimit.resetTime - now) / 1000)
+        retryAfter: Math.ceil((userLimit.resetTime.getTime() - Date.now()) / 1000)
       };
     }
 
@@ -507,10 +1055,8 @@ class UploadService {
    * Update rate limiting for user
    * @param {string} userId - User ID
    */
-  updateRateLimit(userId) {
-    if (this.rateLimiter.has(userId)) {
-      this.rateLimiter.get(userId).count++;
-    }
+  async updateRateLimit(userId) {
+    await this.rateLimiter.increment(userId);
   }
 
   /**
@@ -561,9 +1107,15 @@ class UploadService {
    */
   async getServiceStats() {
     try {
+      await this.refreshUploadHistory();
+
       const totalFiles = this.uploadHistory.size;
       const activeFiles = Array.from(this.uploadHistory.values())
         .filter(file => file.status === 'active').length;
+      // What users uploaded, before identical content was stored once
+      const logicalSize = Array.from(this.uploadHistory.values())
+        .filter(file => file.status !== 'deleted')
+        .reduce((total, file) => total + file.fileSize, 0);
 
       const storageStats = await this.fileStorageManager.getStorageStats();
 
@@ -573,6 +1125,7 @@ class UploadService {
           totalFiles,
           activeFiles,
           deletedFiles: totalFiles - activeFiles,
+          logicalSize,
           storage: storageStats.success ? storageStats : null
         }
       };
@@ -586,6 +1139,82 @@ class UploadService {
     }
   }
 
+  /**
+   * Dispose of the files of a user who is being deleted
+   * reassign: hand every file to another user
+   * archive: keep files in storage but stop serving them
+   * purge: remove files from storage and from the upload history
+   * @param {string} userId - ID of the user being deleted
+   * @param {object} options - Disposal options
+   * @param {string} options.mode - reassign, archive or purge
+   * @param {string} options.reassignTo - New owner's user ID (reassign only)
+   * @param {string} options.reason - Reason recorded on each file
+   * @returns {object} Disposal result
+   */
+  async handleOwnerDeletion(userId, { mode, reassignTo, reason } = {}) {
+    try {
+      if (!['reassign', 'archive', 'purge'].includes(mode)) {
+        return {
+          success: false,
+          error: 'Invalid file disposal mode'
+        };
+      }
+
+      const ownedFiles = Array.from(this.uploadHistory.values())
+        .filter(file => file.userId === userId);
+      const errors = [];
+      let affected = 0;
+
+      for (const fileMetadata of ownedFiles) {
+        if (mode === 'reassign') {
+          fileMetadata.reassign(reassignTo, reason);
+          affected++;
+        } else if (mode === 'archive') {
+          if (fileMetadata.status !== 'deleted') {
+            fileMetadata.markArchived(reason);
+            affected++;
+          }
+        } else {
+          if (fileMetadata.status !== 'deleted') {
+            const storageResult = await this.releaseStoredFile(fileMetadata, userId);
+
+            if (!storageResult.success) {
+              errors.push(`Failed to delete file ${fileMetadata.id}: ${storageResult.error}`);
+              continue;
+            }
+          }
+          this.uploadHistory.delete(fileMetadata.id);
+          affected++;
+        }
+      }
+
+      await this.saveUploadHistory();
+
+      await this.logSecurityEvent('owner_files_disposed', {
+        userId,
+        mode,
+        reassignTo: mode === 'reassign' ? reassignTo : undefined,
+        affected,
+        failed: errors.length
+      });
+
+      return {
+        success: errors.length === 0,
+        mode,
+        affected,
+        errors,
+        error: errors.length > 0 ? 'Some files could not be removed' : undefined
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: 'File disposal failed',
+        details: error.message
+      };
+    }
+  }
+
   /**
    * Clean up old files (maintenance)
    * @param {number} maxAgeDays - Maximum age in days
@@ -604,10 +1233,7 @@ class UploadService {
           const uploadDate = new Date(fileMetadata.uploadTimestamp);
           if (uploadDate < cutoffDate && fileMetadata.status === 'active') {
             // Delete file from storage
-            const storageResult = await this.fileStorageManager.deleteFile(
-              fileMetadata.storedFilename,
-              fileMetadata.userId
-            );
+            const storageResult = await this.releaseStoredFile(fileMetadata, fileMetadata.userId);
 
             if (storageResult.success) {
               fileMetadata.markDeleted();
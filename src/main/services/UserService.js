@@ -1,7 +1,19 @@
 const User = require('../models/User');
+const TokenService = require('./TokenService');
+const TwoFactorService = require('./TwoFactorService');
+const WebAuthnService = require('./WebAuthnService');
+const ApiKeyService = require('./ApiKeyService');
+const InviteService = require('./InviteService');
+const AuthorizationService = require('./AuthorizationService');
+const MailService = require('./MailService');
+const UploadService = require('./UploadService');
+const AdminAuditStore = require('../storage/AdminAuditStore');
+const { createUserRepository } = require('../repositories');
+const config = require('../config/AppConfig');
 const Logger = require('../config/Logger');
-const fs = require('fs').promises;
-const path = require('path');
+
+// Recorded as the actor for accounts activated by an invite or an auto-approve rule
+const SYSTEM_ACTOR = { id: null, username: 'system' };
 
 /**
  * UserService - User Management Service
@@ -17,8 +29,20 @@ class UserService {
     }
 
     this.users = new Map(); // In-memory storage for demo (use database in production)
+    this.tokenService = new TokenService();
+    this.twoFactorService = new TwoFactorService();
+    this.webAuthnService = new WebAuthnService();
+    this.authorizationService = new AuthorizationService();
+    this.apiKeyService = new ApiKeyService(this.authorizationService);
+    this.inviteService = new InviteService();
+    this.mailService = new MailService();
+    this.uploadService = new UploadService();
+    this.auditStore = new AdminAuditStore();
+    this.emailVerificationConfig = config.get('security.email_verification') || {};
+    this.passwordResetConfig = config.get('security.password_reset') || {};
+    this.registrationConfig = config.get('security.registration') || {};
     this.logger = Logger;
-    this.persistenceFile = path.join(process.cwd(), 'data', 'users.json');
+    this.repository = createUserRepository();
 
     // Store the instance
     UserService.instance = this;
@@ -36,54 +60,49 @@ class UserService {
    */
   async loadUsers() {
     try {
-      console.log(`Attempting to load users from: ${this.persistenceFile}`);
-      await fs.access(this.persistenceFile);
-      const data = await fs.readFile(this.persistenceFile, 'utf8');
-      const usersData = JSON.parse(data);
-
-      // Convert back to Map with User instances
-      this.users = new Map();
-      for (const [key, value] of Object.entries(usersData)) {
-        // Reconstruct User instance from plain object
-        const user = new User(value);
-        this.users.set(key, user);
-      }
+      this.users = await this.repository.loadAll();
 
-      console.log(`Loaded ${this.users.size} users from persistent storage`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist yet, create directory
-        const dataDir = path.dirname(this.persistenceFile);
-        await fs.mkdir(dataDir, { recursive: true });
-        console.log(`Created data directory: ${dataDir}`);
+      if (this.users.size === 0) {
         console.log('No existing users found - starting fresh');
       } else {
-        console.error('Error loading users:', error.message);
+        console.log(`Loaded ${this.users.size} users from persistent storage`);
       }
+    } catch (error) {
+      console.error('Error loading users:', error.message);
     }
   }
 
   /**
    * Save users to persistent storage
+   * The repository writes only the accounts that changed, in one transaction
    */
   async saveUsers() {
     try {
-      const dataDir = path.dirname(this.persistenceFile);
-      await fs.mkdir(dataDir, { recursive: true });
-
-      // Convert Map to object for JSON serialization
-      const usersData = {};
-      for (const [key, user] of this.users.entries()) {
-        usersData[key] = user.toObject(); // Use toObject method for proper serialization
-      }
-      
-      await fs.writeFile(this.persistenceFile, JSON.stringify(usersData, null, 2));
-      console.log(`Saved ${this.users.size} users to persistent storage`);
+      const { written, deleted } = await this.repository.saveAll(this.users.values());
+      console.log(`Saved ${written} changed and removed ${deleted} users in persistent storage`);
     } catch (error) {
       console.error('Error saving users:', error.message);
     }
   }
 
+  /**
+   * Pick up accounts changed by other app instances sharing the database
+   * Only needed for shared backends (PostgreSQL); otherwise the in-memory map is authoritative
+   */
+  async refreshUsers() {
+    if (!this.repository.shared) {
+      return;
+    }
+
+    try {
+      const { entities, removed } = await this.repository.reload();
+      entities.forEach((user, id) => this.users.set(id, user));
+      removed.forEach(id => this.users.delete(id));
+    } catch (error) {
+      console.error('Error refreshing users:', error.message);
+    }
+  }
+
   /**
    * Initialize default admin user
    */
@@ -102,7 +121,7 @@ class UserService {
         
         adminUser.role = 'admin';
         adminUser.status = 'active';
-        adminUser.emailVerified = true;
+        adminUser.verifyEmail();
 
         this.users.set(adminUser.id, adminUser);
         await this.saveUsers(); // Save to persistence
@@ -153,27 +172,76 @@ class UserService {
         };
       }
 
+      // Reject a bad invite code before doing the expensive password hashing
+      const { inviteCode } = registrationData;
+      if (inviteCode && !this.isInviteUsable(inviteCode)) {
+        return this.invalidInvite(inviteCode, registrationData.ip);
+      }
+
       // Create new user
       const user = await User.fromRegistration(registrationData);
+      user.role = this.authorizationService.defaultRole;
+
+      let invite = null;
+      let autoApproveRule = null;
+      if (inviteCode) {
+        // Redeemed again after hashing in case another registration used the last slot meanwhile
+        const redemption = this.isInviteUsable(inviteCode)
+          ? this.inviteService.redeem(inviteCode, user)
+          : { success: false };
+        if (!redemption.success) {
+          return this.invalidInvite(inviteCode, registrationData.ip);
+        }
+
+        invite = redemption.invite;
+        user.role = invite.role;
+        user.approve(invite.createdBy);
+        user.metadata.inviteId = invite.id;
+      } else {
+        autoApproveRule = this.applyAutoApproval(user);
+      }
+
       this.users.set(user.id, user);
 
       // Save to persistent storage
       await this.saveUsers();
+      if (invite) {
+        await this.inviteService.saveInvites();
+      }
 
       // Log registration
       this.logger.logAuthEvent('user_registered', {
         userId: user.id,
         username: user.username,
         email: user.email,
+        role: user.role,
+        status: user.status,
+        inviteId: invite ? invite.id : null,
         ip: registrationData.ip || 'unknown'
       });
 
+      if (invite) {
+        await this.recordAdminAction('invite_redeemed', SYSTEM_ACTOR, user, null, {
+          inviteId: invite.id,
+          invitedBy: invite.createdBy,
+          role: invite.role
+        });
+      } else if (autoApproveRule) {
+        await this.recordAutoApproval(user, autoApproveRule, registrationData.ip);
+      }
+
+      // Registration succeeds even if the mail cannot be sent; the user can ask for a new link
+      const verificationEmailSent = await this.sendVerificationEmail(user);
+
       return {
         success: true,
-        message: 'Registration successful. Your account is pending admin approval.',
+        message: user.status === 'active'
+          ? 'Registration successful. Please check your email to verify your address. Your account is active.'
+          : 'Registration successful. Please check your email to verify your address. Your account is pending admin approval.',
         userId: user.id,
         username: user.username,
-        status: user.status
+        status: user.status,
+        verificationEmailSent
       };
 
     } catch (error) {
@@ -192,243 +260,272 @@ class UserService {
   }
 
   /**
-   * Authenticate user login
-   * @param {string} usernameOrEmail - Username or email
-   * @param {string} password - Password
+   * Check that an invite code can be redeemed and still presets a configured role
+   * @param {string} inviteCode - Invite code as typed
+   * @returns {boolean} True if the code is usable
+   */
+  isInviteUsable(inviteCode) {
+    const check = this.inviteService.checkCode(inviteCode);
+    return check.valid && this.authorizationService.isValidRole(check.invite.role);
+  }
+
+  /**
+   * Build the failure result for an unusable invite code
+   * The reason is logged but not returned so codes cannot be probed for their state
+   * @param {string} inviteCode - Invite code as typed
    * @param {string} ip - Client IP address
-   * @returns {object} Authentication result
+   * @returns {object} Registration result
    */
-  async authenticateUser(usernameOrEmail, password, ip = 'unknown') {
+  invalidInvite(inviteCode, ip = 'unknown') {
+    const check = this.inviteService.checkCode(inviteCode);
+
+    this.logger.logSecurityEvent('invite_redemption_failed', {
+      inviteId: check.invite ? check.invite.id : null,
+      reason: check.reason || 'Invite is exhausted',
+      ip
+    }, 'warn');
+
+    return {
+      success: false,
+      error: 'Invalid or expired invite code',
+      code: 'INVALID_INVITE'
+    };
+  }
+
+  /**
+   * Find the auto-approve rule matching a user's email domain
+   * Rules require a verified address unless require_verified_email is false
+   * @param {User} user - Pending user
+   * @returns {object|null} Matching rule
+   */
+  findAutoApproveRule(user) {
+    const rules = this.registrationConfig.auto_approve || [];
+    const domain = user.email.split('@').pop().toLowerCase();
+
+    return rules.find(rule =>
+      rule.domain.toLowerCase().replace(/^@/, '') === domain &&
+      (user.emailVerified || rule.require_verified_email === false) &&
+      (!rule.role || this.authorizationService.isValidRole(rule.role))
+    ) || null;
+  }
+
+  /**
+   * Activate a pending user if an auto-approve rule matches
+   * @param {User} user - Pending user
+   * @returns {object|null} Rule that approved the user
+   */
+  applyAutoApproval(user) {
+    if (user.status !== 'pending') {
+      return null;
+    }
+
+    const rule = this.findAutoApproveRule(user);
+    if (!rule) {
+      return null;
+    }
+
+    if (rule.role) {
+      user.role = rule.role;
+    }
+    user.approve(`auto:${rule.domain}`);
+
+    return rule;
+  }
+
+  /**
+   * Log and audit an automatic approval
+   * @param {User} user - Approved user
+   * @param {object} rule - Matching auto-approve rule
+   * @param {string} ip - Client IP address
+   */
+  async recordAutoApproval(user, rule, ip = 'unknown') {
+    this.logger.logAuthEvent('user_auto_approved', {
+      userId: user.id,
+      username: user.username,
+      domain: rule.domain,
+      role: user.role,
+      ip
+    }, true);
+
+    await this.recordAdminAction('user_auto_approved', SYSTEM_ACTOR, user, null, {
+      domain: rule.domain,
+      role: user.role
+    });
+  }
+
+  /**
+   * Send an email verification link to a user
+   * @param {User} user - User whose address should be verified
+   * @returns {boolean} True if the email was handed to the transport
+   */
+  async sendVerificationEmail(user) {
     try {
-      // Validate input
-      const validation = User.validateLoginCredentials(usernameOrEmail, password);
-      if (!validation.isValid) {
-        this.logger.logAuthEvent('failed_login', {
-          username: usernameOrEmail,
-          reason: 'Invalid credentials format',
-          ip
-        }, false);
+      const token = this.tokenService.issueEmailVerificationToken(user);
+      await this.mailService.sendEmailVerification(user, token, this.tokenService.emailVerificationTokenTtl / 3600);
 
-        return {
-          success: false,
-          error: 'Invalid credentials',
-          code: 'INVALID_CREDENTIALS'
-        };
-      }
+      user.metadata.verificationEmailSentAt = new Date().toISOString();
+      await this.saveUsers();
 
-      // Find user by username or email
-      const user = Array.from(this.users.values())
-        .find(u => u.username === usernameOrEmail.toLowerCase() || u.email === usernameOrEmail.toLowerCase());
+      this.logger.logAuthEvent('email_verification_sent', {
+        userId: user.id,
+        username: user.username
+      });
 
-      if (!user) {
-        this.logger.logAuthEvent('failed_login', {
-          username: usernameOrEmail,
-          reason: 'User not found',
-          ip
-        }, false);
+      return true;
 
-        return {
-          success: false,
-          error: 'Invalid username or password',
-          code: 'INVALID_CREDENTIALS'
-        };
-      }
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'send_verification_email',
+        userId: user.id
+      });
 
-      // Check if account is locked
-      if (user.isLocked()) {
-        this.logger.logAuthEvent('failed_login', {
-          userId: user.id,
-          username: user.username,
-          reason: 'Account locked',
+      return false;
+    }
+  }
+
+  /**
+   * Verify a user's email address from a verification link
+   * @param {string} token - Signed verification token
+   * @param {string} ip - Client IP address
+   * @returns {object} Verification result
+   */
+  async verifyEmail(token, ip = 'unknown') {
+    try {
+      let claims;
+      try {
+        claims = this.tokenService.verifyEmailVerificationToken(token);
+      } catch (error) {
+        this.logger.logSecurityEvent('email_verification_failed', {
+          reason: error.message,
           ip
-        }, false);
+        }, 'warn');
 
         return {
           success: false,
-          error: 'Account is locked due to too many failed login attempts',
-          code: 'ACCOUNT_LOCKED'
+          error: error.name === 'TokenExpiredError'
+            ? 'Verification link has expired'
+            : 'Invalid verification link',
+          code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
         };
       }
 
-      // Check if account is active
-      if (!user.isActive()) {
-        this.logger.logAuthEvent('failed_login', {
-          userId: user.id,
-          username: user.username,
-          reason: `Account status: ${user.status}`,
+      // The link only verifies the address it was sent to
+      const user = this.users.get(claims.sub);
+      if (!user || user.email !== claims.email) {
+        this.logger.logSecurityEvent('email_verification_failed', {
+          userId: claims.sub,
+          reason: user ? 'Email address changed' : 'User not found',
           ip
-        }, false);
+        }, 'warn');
 
         return {
           success: false,
-          error: `Account is ${user.status}. Please contact administrator.`,
-          code: 'ACCOUNT_INACTIVE'
+          error: 'Invalid verification link',
+          code: 'INVALID_TOKEN'
         };
       }
 
-      // Verify password
-      const isPasswordValid = await user.verifyPassword(password);
-
-      if (!isPasswordValid) {
-        user.incrementLoginAttempts();
-        this.users.set(user.id, user);
-        await this.saveUsers(); // Save after failed login attempt
-
-        this.logger.logAuthEvent('failed_login', {
-          userId: user.id,
-          username: user.username,
-          reason: 'Invalid password',
-          attempts: user.loginAttempts,
-          ip
-        }, false);
-
+      if (user.emailVerified) {
         return {
-          success: false,
-          error: 'Invalid username or password',
-          code: 'INVALID_CREDENTIALS'
+          success: true,
+          message: 'Email address is already verified',
+          alreadyVerified: true
         };
       }
 
-      // Successful login
-      user.resetLoginAttempts();
+      user.verifyEmail();
+      const autoApproveRule = this.applyAutoApproval(user);
       this.users.set(user.id, user);
-      await this.saveUsers(); // Save after successful login
+      await this.saveUsers();
 
-      this.logger.logAuthEvent('successful_login', {
+      this.logger.logAuthEvent('email_verified', {
         userId: user.id,
         username: user.username,
         ip
       }, true);
 
+      if (autoApproveRule) {
+        await this.recordAutoApproval(user, autoApproveRule, ip);
+      }
+
       return {
         success: true,
-        user: user.getSafeData(),
-        message: 'Login successful'
+        message: autoApproveRule
+          ? 'Email address verified successfully. Your account is now active.'
+          : 'Email address verified successfully',
+        alreadyVerified: false
       };
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'user_authentication',
-        username: usernameOrEmail,
+        action: 'verify_email',
         ip
       });
 
       return {
         success: false,
-        error: 'Authentication failed',
-        code: 'AUTH_ERROR'
+        error: 'Failed to verify email address',
+        code: 'EMAIL_VERIFICATION_ERROR'
       };
     }
   }
 
   /**
-   * Get user by ID
-   * @param {string} userId - User ID
-   * @returns {object} User data or null
-   */
-  getUserById(userId) {
-    const user = this.users.get(userId);
-    return user || null;
-  }
-
-  /**
-   * Get user by username
-   * @param {string} username - Username
-   * @returns {object} User data or null
+   * Send a new verification link
+   * Always reports success so the response does not reveal which addresses are registered
+   * @param {string} email - Email address to verify
+   * @param {string} ip - Client IP address
+   * @returns {object} Resend result
    */
-  getUserByUsername(username) {
-    const user = Array.from(this.users.values())
-      .find(u => u.username === username.toLowerCase());
-    return user ? user.getSafeData() : null;
-  }
+  async resendVerificationEmail(email, ip = 'unknown') {
+    const result = {
+      success: true,
+      message: 'If the address belongs to an unverified account, a new verification link has been sent.'
+    };
 
-  /**
-   * Get all users (admin only)
-   * @param {string} adminUserId - Admin user ID
-   * @param {object} options - Query options
-   * @returns {object} Users list result
-   */
-  getAllUsers(adminUserId, options = {}) {
     try {
-      const adminUser = this.users.get(adminUserId);
-      if (!adminUser || !adminUser.isAdmin()) {
-        return {
-          success: false,
-          error: 'Unauthorized access',
-          code: 'UNAUTHORIZED'
-        };
-      }
-
-      const { status, role, limit = 50, offset = 0 } = options;
-      let users = Array.from(this.users.values());
-
-      console.log(`Getting users for admin: ${adminUserId}, status filter: ${status}, role filter: ${role}`);
-      console.log(`Total users in system: ${users.length}`);
-
-      // Filter by status
-      if (status) {
-        users = users.filter(user => user.status === status);
-        console.log(`Users after status filter (${status}): ${users.length}`);
-      }
+      const user = Array.from(this.users.values())
+        .find(u => u.email === String(email).toLowerCase());
 
-      // Filter by role
-      if (role) {
-        users = users.filter(user => user.role === role);
-        console.log(`Users after role filter (${role}): ${users.length}`);
+      if (!user || user.emailVerified || user.status === 'rejected') {
+        return result;
       }
 
-      // Sort by creation date (newest first)
-      users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-      // Pagination
-      const total = users.length;
-      users = users.slice(offset, offset + limit);
+      // Throttle per account so the endpoint cannot be used to flood a mailbox
+      const interval = (this.emailVerificationConfig.resend_interval_seconds || 60) * 1000;
+      const lastSentAt = user.metadata.verificationEmailSentAt;
+      if (lastSentAt && Date.now() - new Date(lastSentAt).getTime() < interval) {
+        this.logger.logSecurityEvent('email_verification_resend_throttled', {
+          userId: user.id,
+          ip
+        }, 'warn');
 
-      // Return safe user data
-      const safeUsers = users.map(user => user.getSafeData());
+        return result;
+      }
 
-      return {
-        success: true,
-        users: safeUsers,
-        pagination: {
-          total,
-          limit,
-          offset,
-          hasMore: offset + limit < total
-        }
-      };
+      await this.sendVerificationEmail(user);
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'get_all_users',
-        adminUserId
+        action: 'resend_verification_email',
+        ip
       });
-
-      return {
-        success: false,
-        error: 'Failed to retrieve users',
-        code: 'RETRIEVAL_ERROR'
-      };
     }
+
+    return result;
   }
 
   /**
-   * Approve user account (admin only)
-   * @param {string} userId - User ID to approve
-   * @param {string} adminUserId - Admin user ID
-   * @returns {object} Approval result
+   * Change a user's password (requires the current password)
+   * Revokes every existing session of the user
+   * @param {string} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} ip - Client IP address
+   * @returns {object} Change result
    */
-  async approveUser(userId, adminUserId) {
+  async changePassword(userId, currentPassword, newPassword, ip = 'unknown') {
     try {
-      const adminUser = this.users.get(adminUserId);
-      if (!adminUser || !adminUser.isAdmin()) {
-        return {
-          success: false,
-          error: 'Unauthorized access',
-          code: 'UNAUTHORIZED'
-        };
-      }
-
       const user = this.users.get(userId);
       if (!user) {
         return {
@@ -438,59 +535,2222 @@ class UserService {
         };
       }
 
-      if (user.status !== 'pending') {
+      if (user.isLocked()) {
         return {
           success: false,
-          error: 'User is not pending approval',
+          error: 'Account is locked due to too many failed login attempts',
+          code: 'ACCOUNT_LOCKED'
+        };
+      }
+
+      // Wrong current passwords count towards the lockout so a stolen session cannot brute-force it
+      if (!(await user.verifyPassword(currentPassword))) {
+        user.incrementLoginAttempts();
+        this.users.set(user.id, user);
+        await this.saveUsers();
+
+        this.logger.logAuthEvent('password_change_failed', {
+          userId: user.id,
+          username: user.username,
+          reason: 'Invalid current password',
+          attempts: user.loginAttempts,
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Current password is incorrect',
+          code: 'INVALID_PASSWORD'
+        };
+      }
+
+      if (await user.verifyPassword(newPassword)) {
+        return {
+          success: false,
+          error: 'New password must be different from the current password',
+          code: 'PASSWORD_UNCHANGED'
+        };
+      }
+
+      await user.updatePassword(newPassword);
+      user.clearPasswordResetToken();
+      user.unlock();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      await this.tokenService.revokeAllUserTokens(user.id);
+
+      this.logger.logAuthEvent('password_changed', {
+        userId: user.id,
+        username: user.username,
+        ip
+      }, true);
+
+      await this.sendPasswordChangedNotice(user);
+
+      return {
+        success: true,
+        message: 'Password changed successfully. All other sessions have been signed out.',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'change_password',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to change password',
+        code: 'PASSWORD_CHANGE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Email a password reset link
+   * Always reports success so the response does not reveal which addresses are registered
+   * @param {string} email - Email address of the account
+   * @param {string} ip - Client IP address
+   * @returns {object} Request result
+   */
+  async requestPasswordReset(email, ip = 'unknown') {
+    const result = {
+      success: true,
+      message: 'If an account exists for that address, a password reset link has been sent.'
+    };
+
+    try {
+      const user = Array.from(this.users.values())
+        .find(u => u.email === String(email).toLowerCase());
+
+      if (!user || user.status === 'rejected' || user.status === 'suspended') {
+        this.logger.logAuthEvent('password_reset_requested', {
+          email,
+          reason: user ? `Account ${user.status}` : 'User not found',
+          ip
+        }, false);
+
+        return result;
+      }
+
+      // Throttle per account so the endpoint cannot be used to flood a mailbox
+      const interval = (this.passwordResetConfig.request_interval_seconds || 60) * 1000;
+      const lastRequestedAt = user.metadata.passwordResetRequestedAt;
+      if (lastRequestedAt && Date.now() - new Date(lastRequestedAt).getTime() < interval) {
+        this.logger.logSecurityEvent('password_reset_throttled', {
+          userId: user.id,
+          ip
+        }, 'warn');
+
+        return result;
+      }
+
+      const { token, hash, expiresAt } = this.tokenService.issuePasswordResetToken();
+      user.setPasswordResetToken(hash, expiresAt);
+      user.metadata.passwordResetRequestedAt = new Date().toISOString();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      await this.mailService.sendPasswordReset(user, token, this.tokenService.passwordResetTokenTtl / 60);
+
+      this.logger.logAuthEvent('password_reset_requested', {
+        userId: user.id,
+        username: user.username,
+        ip
+      });
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'request_password_reset',
+        ip
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Set a new password using an emailed reset token
+   * The token is single-use; a successful reset also clears any lockout and revokes all sessions
+   * @param {string} token - Reset token from the link
+   * @param {string} newPassword - New password
+   * @param {string} ip - Client IP address
+   * @returns {object} Reset result
+   */
+  async resetPassword(token, newPassword, ip = 'unknown') {
+    try {
+      const tokenHash = this.tokenService.hashPasswordResetToken(token);
+      const user = Array.from(this.users.values())
+        .find(u => u.passwordResetTokenHash === tokenHash);
+
+      if (!user) {
+        this.logger.logAuthEvent('password_reset_failed', {
+          reason: 'Unknown or used token',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Invalid or expired reset link',
+          code: 'INVALID_TOKEN'
+        };
+      }
+
+      if (user.passwordResetExpiresAt <= Date.now()) {
+        user.clearPasswordResetToken();
+        this.users.set(user.id, user);
+        await this.saveUsers();
+
+        this.logger.logAuthEvent('password_reset_failed', {
+          userId: user.id,
+          reason: 'Token expired',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Reset link has expired',
+          code: 'TOKEN_EXPIRED'
+        };
+      }
+
+      // Consume the token before anything else so it cannot be replayed
+      user.clearPasswordResetToken();
+      await user.updatePassword(newPassword);
+      user.unlock();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      await this.tokenService.revokeAllUserTokens(user.id);
+
+      this.logger.logAuthEvent('password_reset', {
+        userId: user.id,
+        username: user.username,
+        ip
+      }, true);
+
+      await this.sendPasswordChangedNotice(user);
+
+      return {
+        success: true,
+        message: 'Password has been reset. You can now log in with your new password.'
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'reset_password',
+        ip
+      });
+
+      return {
+        success: false,
+        error: 'Failed to reset password',
+        code: 'PASSWORD_RESET_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Notify a user that their password changed (best effort)
+   * @param {User} user - User whose password changed
+   */
+  async sendPasswordChangedNotice(user) {
+    try {
+      await this.mailService.sendPasswordChanged(user);
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'send_password_changed_notice',
+        userId: user.id
+      });
+    }
+  }
+
+  /**
+   * Authenticate user login
+   * @param {string} usernameOrEmail - Username or email
+   * @param {string} password - Password
+   * @param {string} ip - Client IP address
+   * @returns {object} Authentication result
+   */
+  async authenticateUser(usernameOrEmail, password, ip = 'unknown') {
+    try {
+      // Validate input
+      const validation = User.validateLoginCredentials(usernameOrEmail, password);
+      if (!validation.isValid) {
+        this.logger.logAuthEvent('failed_login', {
+          username: usernameOrEmail,
+          reason: 'Invalid credentials format',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Invalid credentials',
+          code: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      // Find user by username or email
+      const user = Array.from(this.users.values())
+        .find(u => u.username === usernameOrEmail.toLowerCase() || u.email === usernameOrEmail.toLowerCase());
+
+      if (!user) {
+        this.logger.logAuthEvent('failed_login', {
+          username: usernameOrEmail,
+          reason: 'User not found',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Invalid username or password',
+          code: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      // Check if account is locked
+      if (user.isLocked()) {
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: 'Account locked',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Account is locked due to too many failed login attempts',
+          code: 'ACCOUNT_LOCKED'
+        };
+      }
+
+      // Check if account is active
+      if (!user.isActive()) {
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: `Account status: ${user.status}`,
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: `Account is ${user.status}. Please contact administrator.`,
+          code: 'ACCOUNT_INACTIVE'
+        };
+      }
+
+      // Verify password
+      const isPasswordValid = await user.verifyPassword(password);
+
+      if (!isPasswordValid) {
+        user.incrementLoginAttempts();
+        this.users.set(user.id, user);
+        await this.saveUsers(); // Save after failed login attempt
+
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: 'Invalid password',
+          attempts: user.loginAttempts,
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Invalid username or password',
+          code: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      // Password is correct but a second factor is still required.
+      // Login attempts are only reset once the second factor succeeds, so
+      // failed codes keep counting towards the lockout threshold.
+      if (user.twoFactorEnabled) {
+        this.logger.logAuthEvent('password_verified', {
+          userId: user.id,
+          username: user.username,
+          ip
+        }, true);
+
+        return {
+          success: true,
+          twoFactorRequired: true,
+          user: user.getSafeData(),
+          message: 'Two-factor authentication required'
+        };
+      }
+
+      // An account that must use 2FA and is protected by a passkey only has to
+      // sign in with that passkey; offering enrollment here would let the
+      // password alone add a new second factor and receive tokens
+      if (this.twoFactorService.isRequiredFor(user) && !this.isTwoFactorEnrollmentRequired(user)) {
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: 'Passkey required',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'This account must sign in with a passkey',
+          code: 'PASSKEY_REQUIRED'
+        };
+      }
+
+      // Successful login
+      user.resetLoginAttempts();
+      this.users.set(user.id, user);
+      await this.saveUsers(); // Save after successful login
+
+      this.logger.logAuthEvent('successful_login', {
+        userId: user.id,
+        username: user.username,
+        ip
+      }, true);
+
+      // Accounts that must use 2FA have to enroll before receiving tokens
+      if (this.isTwoFactorEnrollmentRequired(user)) {
+        return {
+          success: true,
+          twoFactorEnrollmentRequired: true,
+          user: user.getSafeData(),
+          message: 'Two-factor authentication must be set up before continuing'
+        };
+      }
+
+      return {
+        success: true,
+        user: user.getSafeData(),
+        message: 'Login successful'
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'user_authentication',
+        username: usernameOrEmail,
+        ip
+      });
+
+      return {
+        success: false,
+        error: 'Authentication failed',
+        code: 'AUTH_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Complete a login with a TOTP code or a recovery code
+   * @param {string} userId - User who passed the password step
+   * @param {object} factor - { code } or { recoveryCode }
+   * @param {string} ip - Client IP address
+   * @returns {object} Verification result
+   */
+  async verifyTwoFactorLogin(userId, factor, ip = 'unknown') {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (user.isLocked()) {
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: 'Account locked',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Account is locked due to too many failed login attempts',
+          code: 'ACCOUNT_LOCKED'
+        };
+      }
+
+      if (!user.isActive()) {
+        return {
+          success: false,
+          error: `Account is ${user.status}. Please contact administrator.`,
+          code: 'ACCOUNT_INACTIVE'
+        };
+      }
+
+      if (!user.twoFactorEnabled) {
+        return {
+          success: false,
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        };
+      }
+
+      const method = this.checkSecondFactor(user, factor);
+
+      if (!method) {
+        user.incrementLoginAttempts();
+        this.users.set(user.id, user);
+        await this.saveUsers();
+
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: 'Invalid two-factor code',
+          attempts: user.loginAttempts,
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Invalid two-factor code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        };
+      }
+
+      user.resetLoginAttempts();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('successful_login', {
+        userId: user.id,
+        username: user.username,
+        method,
+        ip
+      }, true);
+
+      if (method === 'recovery_code') {
+        this.logger.logSecurityEvent('recovery_code_used', {
+          userId: user.id,
+          username: user.username,
+          remaining: user.twoFactorRecoveryCodes.length,
+          ip
+        }, 'warn');
+      }
+
+      return {
+        success: true,
+        user: user.getSafeData(),
+        message: 'Login successful'
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_login',
+        userId,
+        ip
+      });
+
+      return {
+        success: false,
+        error: 'Authentication failed',
+        code: 'AUTH_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Start 2FA enrollment by generating a pending TOTP secret
+   * @param {string} userId - User ID
+   * @returns {object} Setup result with secret and otpauth URI
+   */
+  async beginTwoFactorSetup(userId) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (user.twoFactorEnabled) {
+        return {
+          success: false,
+          error: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        };
+      }
+
+      const secret = this.twoFactorService.generateSecret();
+      user.twoFactorPendingSecret = this.twoFactorService.encryptSecret(secret);
+      user.updatedAt = new Date().toISOString();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      return {
+        success: true,
+        secret,
+        otpauthUri: this.twoFactorService.buildOtpauthUri(secret, user.username)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_setup',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to start two-factor setup',
+        code: 'TWO_FACTOR_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Confirm 2FA enrollment with a first code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {object} Result with plain text recovery codes (shown once)
+   */
+  async confirmTwoFactorSetup(userId, code) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (user.twoFactorEnabled) {
+        return {
+          success: false,
+          error: 'Two-factor authentication is already enabled',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        };
+      }
+
+      if (!user.twoFactorPendingSecret) {
+        return {
+          success: false,
+          error: 'Two-factor setup has not been started',
+          code: 'NO_PENDING_SETUP'
+        };
+      }
+
+      const secret = this.twoFactorService.decryptSecret(user.twoFactorPendingSecret);
+      const usedStep = this.twoFactorService.verifyCode(secret, code);
+
+      if (usedStep === null) {
+        return {
+          success: false,
+          error: 'Invalid two-factor code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        };
+      }
+
+      const recoveryCodes = this.twoFactorService.generateRecoveryCodes();
+      user.enableTwoFactor(
+        user.twoFactorPendingSecret,
+        recoveryCodes.map(recoveryCode => this.twoFactorService.hashRecoveryCode(recoveryCode)),
+        usedStep
+      );
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('two_factor_enabled', {
+        userId: user.id,
+        username: user.username
+      }, true);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication enabled',
+        recoveryCodes,
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_confirm',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to enable two-factor authentication',
+        code: 'TWO_FACTOR_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Disable 2FA for the current user
+   * @param {string} userId - User ID
+   * @param {string} password - Current password
+   * @param {object} factor - { code } or { recoveryCode }
+   * @returns {object} Result
+   */
+  async disableTwoFactor(userId, password, factor) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!user.twoFactorEnabled) {
+        return {
+          success: false,
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        };
+      }
+
+      if (this.twoFactorService.isRequiredFor(user)) {
+        return {
+          success: false,
+          error: 'Two-factor authentication is mandatory for this account',
+          code: 'TWO_FACTOR_REQUIRED'
+        };
+      }
+
+      const isPasswordValid = await user.verifyPassword(password);
+      if (!isPasswordValid || !this.checkSecondFactor(user, factor)) {
+        this.logger.logAuthEvent('two_factor_disable_failed', {
+          userId: user.id,
+          username: user.username
+        }, false);
+
+        return {
+          success: false,
+          error: 'Invalid password or two-factor code',
+          code: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      user.disableTwoFactor();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('two_factor_disabled', {
+        userId: user.id,
+        username: user.username
+      }, true);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication disabled',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'two_factor_disable',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to disable two-factor authentication',
+        code: 'TWO_FACTOR_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Replace all recovery codes with a fresh set
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {object} Result with plain text recovery codes (shown once)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!user.twoFactorEnabled) {
+        return {
+          success: false,
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        };
+      }
+
+      if (!this.checkSecondFactor(user, { code })) {
+        return {
+          success: false,
+          error: 'Invalid two-factor code',
+          code: 'INVALID_TWO_FACTOR_CODE'
+        };
+      }
+
+      const recoveryCodes = this.twoFactorService.generateRecoveryCodes();
+      user.twoFactorRecoveryCodes = recoveryCodes.map(recoveryCode => this.twoFactorService.hashRecoveryCode(recoveryCode));
+      user.updatedAt = new Date().toISOString();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('recovery_codes_regenerated', {
+        userId: user.id,
+        username: user.username
+      }, true);
+
+      return {
+        success: true,
+        message: 'Recovery codes regenerated',
+        recoveryCodes
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'regenerate_recovery_codes',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to regenerate recovery codes',
+        code: 'TWO_FACTOR_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Check a TOTP code or recovery code against a user's 2FA settings
+   * Consumes the recovery code or records the used time step on success
+   * @param {User} user - User with 2FA enabled
+   * @param {object} factor - { code } or { recoveryCode }
+   * @returns {string|null} Method used ('totp' or 'recovery_code'), or null if invalid
+   */
+  checkSecondFactor(user, factor = {}) {
+    if (factor.recoveryCode) {
+      const codeHash = this.twoFactorService.hashRecoveryCode(factor.recoveryCode);
+      return user.consumeRecoveryCode(codeHash) ? 'recovery_code' : null;
+    }
+
+    const secret = this.twoFactorService.decryptSecret(user.twoFactorSecret);
+    const usedStep = this.twoFactorService.verifyCode(secret, factor.code, user.twoFactorLastUsedStep);
+    if (usedStep === null) {
+      return null;
+    }
+
+    user.twoFactorLastUsedStep = usedStep;
+    return 'totp';
+  }
+
+  /**
+   * Check whether a user still has to enroll in mandatory 2FA
+   * A registered passkey also satisfies the requirement
+   * @param {User} user - User to check
+   * @returns {boolean} True if enrollment is outstanding
+   */
+  isTwoFactorEnrollmentRequired(user) {
+    return this.twoFactorService.isRequiredFor(user) &&
+      !user.twoFactorEnabled &&
+      user.webauthnCredentials.length === 0;
+  }
+
+  /**
+   * Start passkey registration for the current user
+   * @param {string} userId - User ID
+   * @returns {object} Result with WebAuthn creation options
+   */
+  async beginPasskeyRegistration(userId) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      return {
+        success: true,
+        options: await this.webAuthnService.createRegistrationOptions(user)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_registration_options',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to start passkey registration',
+        code: 'WEBAUTHN_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Verify and store a new passkey for the current user
+   * @param {string} userId - User ID
+   * @param {object} response - RegistrationResponseJSON from the browser
+   * @param {string} name - Friendly passkey name
+   * @returns {object} Registration result
+   */
+  async finishPasskeyRegistration(userId, response, name) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      let credential;
+      try {
+        credential = await this.webAuthnService.verifyRegistration(user, response);
+      } catch (error) {
+        this.logger.logAuthEvent('passkey_registration_failed', {
+          userId: user.id,
+          username: user.username,
+          reason: error.message
+        }, false);
+
+        return {
+          success: false,
+          error: 'Passkey registration could not be verified',
+          code: 'INVALID_WEBAUTHN_RESPONSE'
+        };
+      }
+
+      if (this.findUserByCredentialId(credential.id)) {
+        return {
+          success: false,
+          error: 'Passkey is already registered',
+          code: 'PASSKEY_EXISTS'
+        };
+      }
+
+      const stored = user.addWebAuthnCredential(credential, name);
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('passkey_registered', {
+        userId: user.id,
+        username: user.username,
+        credentialId: stored.id
+      }, true);
+
+      return {
+        success: true,
+        message: 'Passkey registered successfully',
+        passkey: this.getSafePasskey(stored),
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_registration',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to register passkey',
+        code: 'WEBAUTHN_ERROR'
+      };
+    }
+  }
+
+  /**
+   * List the current user's passkeys
+   * @param {string} userId - User ID
+   * @returns {object} Passkey list result
+   */
+  listPasskeys(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      };
+    }
+
+    return {
+      success: true,
+      passkeys: user.webauthnCredentials.map(credential => this.getSafePasskey(credential))
+    };
+  }
+
+  /**
+   * Remove one of the current user's passkeys
+   * @param {string} userId - User ID
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {object} Removal result
+   */
+  async removePasskey(userId, credentialId) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!user.removeWebAuthnCredential(credentialId)) {
+        return {
+          success: false,
+          error: 'Passkey not found',
+          code: 'PASSKEY_NOT_FOUND'
+        };
+      }
+
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('passkey_removed', {
+        userId: user.id,
+        username: user.username,
+        credentialId
+      }, true);
+
+      return {
+        success: true,
+        message: 'Passkey removed successfully',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_removal',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to remove passkey',
+        code: 'WEBAUTHN_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Start a passkey login
+   * Unknown usernames get the same discoverable-credential options as an empty
+   * username, so the endpoint does not reveal which accounts exist
+   * @param {string} usernameOrEmail - Optional username or email
+   * @returns {object} Result with WebAuthn request options
+   */
+  async beginPasskeyLogin(usernameOrEmail) {
+    try {
+      const user = usernameOrEmail
+        ? Array.from(this.users.values())
+          .find(u => u.username === usernameOrEmail.toLowerCase() || u.email === usernameOrEmail.toLowerCase())
+        : null;
+
+      const hasPasskeys = user && user.webauthnCredentials.length > 0;
+
+      return {
+        success: true,
+        options: await this.webAuthnService.createAuthenticationOptions(hasPasskeys ? user : null)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_login_options',
+        username: usernameOrEmail
+      });
+
+      return {
+        success: false,
+        error: 'Failed to start passkey login',
+        code: 'WEBAUTHN_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Complete a passkey login
+   * Failed assertions count towards the same lockout as failed passwords
+   * @param {object} response - AuthenticationResponseJSON from the browser
+   * @param {string} ip - Client IP address
+   * @returns {object} Authentication result
+   */
+  async finishPasskeyLogin(response, ip = 'unknown') {
+    try {
+      const credentialId = response && response.id;
+      const user = credentialId ? this.findUserByCredentialId(credentialId) : null;
+      const userHandle = response && response.response && response.response.userHandle;
+
+      // Discoverable passkeys echo the user handle (our user ID) set at registration
+      if (!user || (userHandle && Buffer.from(userHandle, 'base64url').toString('utf8') !== user.id)) {
+        this.logger.logAuthEvent('failed_login', {
+          reason: 'Unknown passkey',
+          method: 'passkey',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Passkey not recognised',
+          code: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      if (user.isLocked()) {
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: 'Account locked',
+          method: 'passkey',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Account is locked due to too many failed login attempts',
+          code: 'ACCOUNT_LOCKED'
+        };
+      }
+
+      if (!user.isActive()) {
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: `Account status: ${user.status}`,
+          method: 'passkey',
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: `Account is ${user.status}. Please contact administrator.`,
+          code: 'ACCOUNT_INACTIVE'
+        };
+      }
+
+      let newCounter;
+      try {
+        newCounter = await this.webAuthnService.verifyAuthentication(user.getWebAuthnCredential(credentialId), response);
+      } catch (error) {
+        user.incrementLoginAttempts();
+        this.users.set(user.id, user);
+        await this.saveUsers(); // Save after failed login attempt
+
+        this.logger.logAuthEvent('failed_login', {
+          userId: user.id,
+          username: user.username,
+          reason: `Invalid passkey assertion: ${error.message}`,
+          method: 'passkey',
+          attempts: user.loginAttempts,
+          ip
+        }, false);
+
+        return {
+          success: false,
+          error: 'Passkey could not be verified',
+          code: 'INVALID_CREDENTIALS'
+        };
+      }
+
+      // Successful login
+      user.recordWebAuthnUse(credentialId, newCounter);
+      user.resetLoginAttempts();
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('successful_login', {
+        userId: user.id,
+        username: user.username,
+        method: 'passkey',
+        ip
+      }, true);
+
+      return {
+        success: true,
+        user: user.getSafeData(),
+        message: 'Login successful'
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'passkey_login',
+        ip
+      });
+
+      return {
+        success: false,
+        error: 'Authentication failed',
+        code: 'AUTH_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Find the user owning a passkey
+   * @param {string} credentialId - Base64url credential ID
+   * @returns {User|null} Owning user
+   */
+  findUserByCredentialId(credentialId) {
+    return Array.from(this.users.values())
+      .find(user => user.getWebAuthnCredential(credentialId)) || null;
+  }
+
+  /**
+   * Get passkey data that is safe to return to clients
+   * @param {object} credential - Stored credential record
+   * @returns {object} Safe passkey data
+   */
+  getSafePasskey(credential) {
+    return {
+      id: credential.id,
+      name: credential.name,
+      deviceType: credential.deviceType,
+      backedUp: credential.backedUp,
+      createdAt: credential.createdAt,
+      lastUsedAt: credential.lastUsedAt
+    };
+  }
+
+  /**
+   * Create a personal API key
+   * @param {string} userId - Key owner
+   * @param {object} options - Key name, scopes and expiresInDays
+   * @returns {object} Result with the plain key (shown only once)
+   */
+  async createApiKey(userId, { name, scopes, expiresInDays } = {}) {
+    try {
+      const user = this.users.get(userId);
+      if (!user || !user.isActive()) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      const validation = this.apiKeyService.validateScopes(scopes, user);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          error: validation.error,
+          code: 'INVALID_SCOPES'
+        };
+      }
+
+      if (user.apiKeys.length >= this.apiKeyService.maxKeysPerUser) {
+        return {
+          success: false,
+          error: `You can have at most ${this.apiKeyService.maxKeysPerUser} API keys`,
+          code: 'API_KEY_LIMIT'
+        };
+      }
+
+      const { id, key, hash } = this.apiKeyService.generateKey();
+      const apiKey = user.addApiKey({
+        id,
+        hash,
+        name,
+        scopes: validation.scopes,
+        expiresAt: this.apiKeyService.getExpiry(expiresInDays)
+      });
+
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('api_key_created', {
+        userId: user.id,
+        username: user.username,
+        keyId: id,
+        scopes: apiKey.scopes,
+        expiresAt: apiKey.expiresAt
+      }, true);
+
+      return {
+        success: true,
+        message: 'API key created. Copy it now; it will not be shown again.',
+        key,
+        apiKey: this.getSafeApiKey(apiKey)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'create_api_key',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to create API key',
+        code: 'API_KEY_ERROR'
+      };
+    }
+  }
+
+  /**
+   * List the current user's API keys
+   * @param {string} userId - User ID
+   * @returns {object} API key list result
+   */
+  listApiKeys(userId) {
+    const user = this.users.get(userId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      };
+    }
+
+    return {
+      success: true,
+      apiKeys: user.apiKeys.map(apiKey => this.getSafeApiKey(apiKey))
+    };
+  }
+
+  /**
+   * Revoke one of the current user's API keys
+   * @param {string} userId - User ID
+   * @param {string} keyId - Key ID
+   * @returns {object} Revocation result
+   */
+  async revokeApiKey(userId, keyId) {
+    try {
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!user.removeApiKey(keyId)) {
+        return {
+          success: false,
+          error: 'API key not found',
+          code: 'API_KEY_NOT_FOUND'
+        };
+      }
+
+      this.users.set(user.id, user);
+      await this.saveUsers();
+
+      this.logger.logAuthEvent('api_key_revoked', {
+        userId: user.id,
+        username: user.username,
+        keyId
+      }, true);
+
+      return {
+        success: true,
+        message: 'API key revoked successfully'
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'revoke_api_key',
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to revoke API key',
+        code: 'API_KEY_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Authenticate a request presenting an API key
+   * @param {string} key - Plain API key from the Authorization header
+   * @param {string} ip - Client IP address
+   * @returns {object} Result with the key owner and key record
+   */
+  async authenticateApiKey(key, ip = 'unknown') {
+    const invalid = {
+      success: false,
+      error: 'Invalid or expired API key',
+      code: 'INVALID_API_KEY'
+    };
+
+    const parsed = this.apiKeyService.parseKey(key);
+    if (!parsed) {
+      return invalid;
+    }
+
+    const user = Array.from(this.users.values()).find(u => u.getApiKey(parsed.id));
+    const apiKey = user && user.getApiKey(parsed.id);
+
+    if (!apiKey || !this.apiKeyService.matchesHash(key, apiKey.hash)) {
+      return invalid;
+    }
+
+    if (this.apiKeyService.isExpired(apiKey)) {
+      return { ...invalid, reason: 'API key expired' };
+    }
+
+    if (!user.isActive()) {
+      return { ...invalid, reason: 'User not found or inactive' };
+    }
+
+    // Persist last-used details at most once a minute to keep automation traffic off the disk
+    const previousUse = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+    user.recordApiKeyUse(apiKey.id, ip);
+    if (Date.now() - previousUse > 60 * 1000) {
+      await this.saveUsers();
+    }
+
+    return {
+      success: true,
+      user,
+      apiKey
+    };
+  }
+
+  /**
+   * Get API key data that is safe to return to clients (no hash)
+   * @param {object} apiKey - Stored key record
+   * @returns {object} Safe key data
+   */
+  getSafeApiKey(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: `sfu_${apiKey.id}`,
+      scopes: apiKey.scopes,
+      createdAt: apiKey.createdAt,
+      expiresAt: apiKey.expiresAt,
+      expired: this.apiKeyService.isExpired(apiKey),
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp
+    };
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} userId - User ID
+   * @returns {object} User data or null
+   */
+  getUserById(userId) {
+    const user = this.users.get(userId);
+    return user || null;
+  }
+
+  /**
+   * Get user by username
+   * @param {string} username - Username
+   * @returns {object} User data or null
+   */
+  getUserByUsername(username) {
+    const user = Array.from(this.users.values())
+      .find(u => u.username === username.toLowerCase());
+    return user ? user.getSafeData() : null;
+  }
+
+  /**
+   * Get all users (requires users:read)
+   * @param {string} adminUserId - Admin user ID
+   * @param {object} options - Query options
+   * @returns {object} Users list result
+   */
+  getAllUsers(adminUserId, options = {}) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:read')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const { status, role, limit = 50, offset = 0 } = options;
+      let users = Array.from(this.users.values());
+
+      console.log(`Getting users for admin: ${adminUserId}, status filter: ${status}, role filter: ${role}`);
+      console.log(`Total users in system: ${users.length}`);
+
+      // Filter by status
+      if (status) {
+        users = users.filter(user => user.status === status);
+        console.log(`Users after status filter (${status}): ${users.length}`);
+      }
+
+      // Filter by role
+      if (role) {
+        users = users.filter(user => user.role === role);
+        console.log(`Users after role filter (${role}): ${users.length}`);
+      }
+
+      // Sort by creation date (newest first)
+      users.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+      // Pagination
+      const total = users.length;
+      users = users.slice(offset, offset + limit);
+
+      // Return safe user data
+      const safeUsers = users.map(user => user.getSafeData());
+
+      return {
+        success: true,
+        users: safeUsers,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total
+        }
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'get_all_users',
+        adminUserId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to retrieve users',
+        code: 'RETRIEVAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Approve user account (requires users:approve)
+   * @param {string} userId - User ID to approve
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} reason - Optional approval note
+   * @returns {object} Approval result
+   */
+  async approveUser(userId, adminUserId, reason = null) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:approve')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      if (user.status !== 'pending') {
+        return {
+          success: false,
+          error: 'User is not pending approval',
+          code: 'INVALID_STATUS'
+        };
+      }
+
+      user.approve(adminUserId);
+      this.users.set(userId, user);
+
+      // Save to persistent storage
+      await this.saveUsers();
+
+      await this.recordAdminAction('user_approved', adminUser, user, reason);
+
+      this.logger.logAuthEvent('user_approved', {
+        userId: user.id,
+        username: user.username,
+        emailVerified: user.emailVerified,
+        adminUserId: adminUserId,
+        adminUsername: adminUser.username,
+        reason
+      }, true);
+
+      return {
+        success: true,
+        message: 'User approved successfully',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'approve_user',
+        userId,
+        adminUserId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to approve user',
+        code: 'APPROVAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Reject user account (requires users:approve)
+   * @param {string} userId - User ID to reject
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} reason - Rejection reason
+   * @returns {object} Rejection result
+   */
+  async rejectUser(userId, adminUserId, reason) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:approve')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      if (user.status !== 'pending') {
+        return {
+          success: false,
+          error: 'User is not pending approval',
+          code: 'INVALID_STATUS'
+        };
+      }
+
+      user.reject(adminUserId, reason);
+      this.users.set(userId, user);
+
+      // Save to persistent storage
+      await this.saveUsers();
+
+      await this.recordAdminAction('user_rejected', adminUser, user, reason);
+
+      this.logger.logAuthEvent('user_rejected', {
+        userId: user.id,
+        username: user.username,
+        adminUserId: adminUserId,
+        adminUsername: adminUser.username,
+        reason
+      }, true);
+
+      return {
+        success: true,
+        message: 'User rejected successfully',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'reject_user',
+        userId,
+        adminUserId,
+        reason
+      });
+
+      return {
+        success: false,
+        error: 'Failed to reject user',
+        code: 'REJECTION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Suspend user account (requires users:suspend)
+   * @param {string} userId - User ID to suspend
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} reason - Suspension reason
+   * @returns {object} Suspension result
+   */
+  async suspendUser(userId, adminUserId, reason) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:suspend')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      user.suspend(adminUserId, reason);
+      this.users.set(userId, user);
+
+      // Kill live sessions immediately rather than waiting for token expiry
+      await this.tokenService.revokeAllUserTokens(userId);
+
+      // Save to persistent storage
+      await this.saveUsers();
+
+      await this.recordAdminAction('user_suspended', adminUser, user, reason);
+
+      this.logger.logAuthEvent('user_suspended', {
+        userId: user.id,
+        username: user.username,
+        adminUserId: adminUserId,
+        adminUsername: adminUser.username,
+        reason
+      }, true);
+
+      return {
+        success: true,
+        message: 'User suspended successfully',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'suspend_user',
+        userId,
+        adminUserId,
+        reason
+      });
+
+      return {
+        success: false,
+        error: 'Failed to suspend user',
+        code: 'SUSPENSION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Revoke all sessions of a user (requires users:sessions)
+   * @param {string} userId - User ID whose sessions are revoked
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} reason - Optional revocation reason
+   * @returns {object} Revocation result
+   */
+  async revokeUserSessions(userId, adminUserId, reason = null) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:sessions')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      await this.tokenService.revokeAllUserTokens(userId);
+
+      await this.recordAdminAction('sessions_revoked', adminUser, user, reason);
+
+      this.logger.logAuthEvent('sessions_revoked', {
+        userId: user.id,
+        username: user.username,
+        adminUserId: adminUserId,
+        adminUsername: adminUser.username,
+        reason
+      }, true);
+
+      return {
+        success: true,
+        message: 'All sessions revoked successfully',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'revoke_user_sessions',
+        userId,
+        adminUserId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to revoke sessions',
+        code: 'REVOCATION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Reset a user's 2FA after a lost device (requires users:2fa)
+   * @param {string} userId - User ID whose 2FA is reset
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} reason - Reset reason
+   * @returns {object} Reset result
+   */
+  async resetTwoFactor(userId, adminUserId, reason) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:2fa')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      if (!user.twoFactorEnabled) {
+        return {
+          success: false,
+          error: 'Two-factor authentication is not enabled',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        };
+      }
+
+      user.disableTwoFactor();
+      user.metadata.twoFactorResetBy = adminUserId;
+      user.metadata.twoFactorResetAt = new Date().toISOString();
+      user.metadata.twoFactorResetReason = reason;
+      this.users.set(userId, user);
+
+      // Sessions established with the old second factor are no longer trusted
+      await this.tokenService.revokeAllUserTokens(userId);
+
+      // Save to persistent storage
+      await this.saveUsers();
+
+      await this.recordAdminAction('two_factor_reset', adminUser, user, reason);
+
+      this.logger.logAuthEvent('two_factor_reset', {
+        userId: user.id,
+        username: user.username,
+        adminUserId: adminUserId,
+        adminUsername: adminUser.username,
+        reason
+      }, true);
+
+      return {
+        success: true,
+        message: 'Two-factor authentication reset successfully',
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'reset_two_factor',
+        userId,
+        adminUserId,
+        reason
+      });
+
+      return {
+        success: false,
+        error: 'Failed to reset two-factor authentication',
+        code: 'TWO_FACTOR_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Assign a role from the permission matrix (requires users:roles)
+   * @param {string} userId - User ID whose role changes
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} role - Role to assign
+   * @param {string} reason - Reason for the change
+   * @returns {object} Assignment result
+   */
+  async assignRole(userId, adminUserId, role, reason = null) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:roles')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      if (!this.authorizationService.isValidRole(role)) {
+        return {
+          success: false,
+          error: 'Unknown role',
+          code: 'INVALID_ROLE'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      // Changing your own role could remove the last administrator
+      if (user.id === adminUser.id) {
+        return {
+          success: false,
+          error: 'You cannot change your own role',
+          code: 'CANNOT_CHANGE_OWN_ROLE'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user) ||
+          !this.authorizationService.canAssignRole(adminUser, role)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      if (user.role === role) {
+        return {
+          success: false,
+          error: `User already has the ${role} role`,
+          code: 'ROLE_UNCHANGED'
+        };
+      }
+
+      const previousRole = user.role;
+      user.assignRole(role, adminUserId);
+      this.users.set(userId, user);
+
+      // Tokens carry the old role claim; make the user sign in again with the new one
+      await this.tokenService.revokeAllUserTokens(userId);
+
+      // Save to persistent storage
+      await this.saveUsers();
+
+      await this.recordAdminAction('user_role_changed', adminUser, user, reason, { previousRole, role });
+
+      this.logger.logAuthEvent('user_role_changed', {
+        userId: user.id,
+        username: user.username,
+        previousRole,
+        role,
+        adminUserId: adminUserId,
+        adminUsername: adminUser.username,
+        reason
+      }, true);
+
+      return {
+        success: true,
+        message: `Role changed to ${role}`,
+        user: user.getSafeData()
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'assign_role',
+        userId,
+        adminUserId,
+        role
+      });
+
+      return {
+        success: false,
+        error: 'Failed to assign role',
+        code: 'ROLE_ASSIGNMENT_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Resolve a user's storage quota limits (role quota plus any admin override)
+   * @param {string} userId - User ID
+   * @returns {object} Limits for UploadService (see QuotaService.getLimits)
+   */
+  getQuotaLimits(userId) {
+    return this.uploadService.quotaService.getLimits(this.users.get(userId) || null);
+  }
+
+  /**
+   * Report a user's storage usage against their quota
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Quota report (see QuotaService.getReport)
+   */
+  async getQuotaReport(userId) {
+    await this.uploadService.refreshUploadHistory({ userId });
+
+    return this.uploadService.quotaService.getReport(
+      this.getQuotaLimits(userId),
+      this.uploadService.getStorageUsage(userId)
+    );
+  }
+
+  /**
+   * Get another user's quota and usage (requires users:read)
+   * @param {string} userId - User ID
+   * @param {string} adminUserId - Admin user ID
+   * @returns {object} Quota result
+   */
+  async getUserQuota(userId, adminUserId) {
+    const adminUser = this.users.get(adminUserId);
+    if (!this.authorizationService.hasPermission(adminUser, 'users:read')) {
+      return {
+        success: false,
+        error: 'Unauthorized access',
+        code: 'UNAUTHORIZED'
+      };
+    }
+
+    const user = this.users.get(userId);
+    if (!user) {
+      return {
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      };
+    }
+
+    return {
+      success: true,
+      quota: await this.getQuotaReport(userId),
+      override: user.metadata.quotaOverride || null
+    };
+  }
+
+  /**
+   * Override or restore the storage quota of a user's role (requires users:quotas)
+   * @param {string} userId - User ID
+   * @param {string} adminUserId - Admin user ID
+   * @param {object|null} override - { maxStorageMb, maxFiles } (0 or null = unlimited); null restores the role quota
+   * @param {string} reason - Reason for the change
+   * @returns {object} Update result
+   */
+  async setQuotaOverride(userId, adminUserId, override, reason = null) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:quotas')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const previous = user.metadata.quotaOverride || null;
+      user.setQuotaOverride(override, adminUserId);
+      this.users.set(userId, user);
+
+      // Save to persistent storage
+      await this.saveUsers();
+
+      await this.recordAdminAction('user_quota_changed', adminUser, user, reason, { previous, override });
+
+      this.logger.logAuthEvent('user_quota_changed', {
+        userId: user.id,
+        username: user.username,
+        override,
+        adminUserId,
+        adminUsername: adminUser.username,
+        reason
+      }, true);
+
+      return {
+        success: true,
+        message: override ? 'Quota override saved' : 'Quota reset to the role default',
+        quota: await this.getQuotaReport(userId)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'set_quota_override',
+        userId,
+        adminUserId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to update quota',
+        code: 'QUOTA_UPDATE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Reactivate a suspended or rejected account (requires users:suspend)
+   * @param {string} userId - User ID to reactivate
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} reason - Reactivation reason
+   * @returns {object} Reactivation result
+   */
+  async reactivateUser(userId, adminUserId, reason) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:suspend')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const user = this.users.get(userId);
+      if (!user) {
+        return {
+          success: false,
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      if (!['suspended', 'rejected'].includes(user.status)) {
+        return {
+          success: false,
+          error: 'Only suspended or rejected users can be reactivated',
           code: 'INVALID_STATUS'
         };
       }
 
-      user.approve(adminUserId);
+      const previousStatus = user.status;
+      user.reactivate(adminUserId, reason);
       this.users.set(userId, user);
 
       // Save to persistent storage
       await this.saveUsers();
 
-      this.logger.logAuthEvent('user_approved', {
+      await this.recordAdminAction('user_reactivated', adminUser, user, reason, { previousStatus });
+
+      this.logger.logAuthEvent('user_reactivated', {
         userId: user.id,
         username: user.username,
+        previousStatus,
         adminUserId: adminUserId,
-        adminUsername: adminUser.username
+        adminUsername: adminUser.username,
+        reason
       }, true);
 
       return {
         success: true,
-        message: 'User approved successfully',
+        message: 'User reactivated successfully',
         user: user.getSafeData()
       };
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'approve_user',
+        action: 'reactivate_user',
         userId,
-        adminUserId
+        adminUserId,
+        reason
       });
 
       return {
         success: false,
-        error: 'Failed to approve user',
-        code: 'APPROVAL_ERROR'
+        error: 'Failed to reactivate user',
+        code: 'REACTIVATION_ERROR'
       };
     }
   }
 
   /**
-   * Reject user account (admin only)
-   * @param {string} userId - User ID to reject
+   * Clear a lockout caused by failed logins (requires users:unlock)
+   * @param {string} userId - User ID to unlock
    * @param {string} adminUserId - Admin user ID
-   * @param {string} reason - Rejection reason
-   * @returns {object} Rejection result
+   * @param {string} reason - Unlock reason
+   * @returns {object} Unlock result
    */
-  async rejectUser(userId, adminUserId, reason) {
+  async unlockUser(userId, adminUserId, reason) {
     try {
       const adminUser = this.users.get(adminUserId);
-      if (!adminUser || !adminUser.isAdmin()) {
+      if (!this.authorizationService.hasPermission(adminUser, 'users:unlock')) {
         return {
           success: false,
           error: 'Unauthorized access',
@@ -507,21 +2767,32 @@ class UserService {
         };
       }
 
-      if (user.status !== 'pending') {
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
         return {
           success: false,
-          error: 'User is not pending approval',
-          code: 'INVALID_STATUS'
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
         };
       }
 
-      user.reject(adminUserId, reason);
+      if (!user.isLocked()) {
+        return {
+          success: false,
+          error: 'User is not locked',
+          code: 'NOT_LOCKED'
+        };
+      }
+
+      const lockedUntil = new Date(user.lockedUntil).toISOString();
+      user.unlock();
       this.users.set(userId, user);
 
       // Save to persistent storage
       await this.saveUsers();
 
-      this.logger.logAuthEvent('user_rejected', {
+      await this.recordAdminAction('user_unlocked', adminUser, user, reason, { lockedUntil });
+
+      this.logger.logAuthEvent('user_unlocked', {
         userId: user.id,
         username: user.username,
         adminUserId: adminUserId,
@@ -531,13 +2802,13 @@ class UserService {
 
       return {
         success: true,
-        message: 'User rejected successfully',
+        message: 'User unlocked successfully',
         user: user.getSafeData()
       };
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'reject_user',
+        action: 'unlock_user',
         userId,
         adminUserId,
         reason
@@ -545,23 +2816,26 @@ class UserService {
 
       return {
         success: false,
-        error: 'Failed to reject user',
-        code: 'REJECTION_ERROR'
+        error: 'Failed to unlock user',
+        code: 'UNLOCK_ERROR'
       };
     }
   }
 
   /**
-   * Suspend user account (admin only)
-   * @param {string} userId - User ID to suspend
+   * Permanently delete an account and dispose of its files (requires users:delete)
+   * @param {string} userId - User ID to delete
    * @param {string} adminUserId - Admin user ID
-   * @param {string} reason - Suspension reason
-   * @returns {object} Suspension result
+   * @param {object} options - Deletion options
+   * @param {string} options.reason - Deletion reason
+   * @param {string} options.files - What happens to the user's files: reassign, archive or purge
+   * @param {string} options.reassignTo - New owner's user ID when files are reassigned
+   * @returns {object} Deletion result
    */
-  async suspendUser(userId, adminUserId, reason) {
+  async deleteUser(userId, adminUserId, { reason, files, reassignTo } = {}) {
     try {
       const adminUser = this.users.get(adminUserId);
-      if (!adminUser || !adminUser.isAdmin()) {
+      if (!this.authorizationService.hasPermission(adminUser, 'users:delete')) {
         return {
           success: false,
           error: 'Unauthorized access',
@@ -578,29 +2852,88 @@ class UserService {
         };
       }
 
-      user.suspend(adminUserId, reason);
-      this.users.set(userId, user);
+      if (user.id === adminUser.id) {
+        return {
+          success: false,
+          error: 'You cannot delete your own account',
+          code: 'CANNOT_DELETE_SELF'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, user)) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      let newOwner = null;
+      if (files === 'reassign') {
+        newOwner = this.users.get(reassignTo);
+        if (!newOwner || newOwner.id === user.id) {
+          return {
+            success: false,
+            error: 'Files must be reassigned to another existing user',
+            code: 'INVALID_REASSIGN_TARGET'
+          };
+        }
+      }
+
+      // Files first: if they cannot be disposed of, the account stays so the admin can retry
+      const disposal = await this.uploadService.handleOwnerDeletion(user.id, {
+        mode: files,
+        reassignTo: newOwner ? newOwner.id : undefined,
+        reason: `Owner ${user.username} deleted: ${reason}`
+      });
+
+      if (!disposal.success) {
+        return {
+          success: false,
+          error: disposal.error,
+          code: 'FILE_DISPOSAL_ERROR'
+        };
+      }
+
+      await this.tokenService.revokeAllUserTokens(user.id);
+      this.users.delete(user.id);
 
       // Save to persistent storage
       await this.saveUsers();
 
-      this.logger.logAuthEvent('user_suspended', {
+      const details = {
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        files,
+        filesAffected: disposal.affected,
+        reassignTo: newOwner ? newOwner.id : undefined
+      };
+
+      await this.recordAdminAction('user_deleted', adminUser, user, reason, details);
+
+      this.logger.logAuthEvent('user_deleted', {
         userId: user.id,
         username: user.username,
         adminUserId: adminUserId,
         adminUsername: adminUser.username,
-        reason
+        reason,
+        ...details
       }, true);
 
       return {
         success: true,
-        message: 'User suspended successfully',
-        user: user.getSafeData()
+        message: 'User deleted successfully',
+        deletedUserId: user.id,
+        files: {
+          mode: files,
+          affected: disposal.affected
+        }
       };
 
     } catch (error) {
       this.logger.logError(error, {
-        action: 'suspend_user',
+        action: 'delete_user',
         userId,
         adminUserId,
         reason
@@ -608,21 +2941,258 @@ class UserService {
 
       return {
         success: false,
-        error: 'Failed to suspend user',
-        code: 'SUSPENSION_ERROR'
+        error: 'Failed to delete user',
+        code: 'DELETION_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Get the admin audit trail (requires users:read)
+   * @param {string} adminUserId - Admin user ID
+   * @param {object} options - Query options
+   * @param {string} options.userId - Only entries about this user
+   * @param {number} options.limit - Maximum number of entries
+   * @returns {object} Audit trail result
+   */
+  async getAdminAuditTrail(adminUserId, { userId, limit = 100 } = {}) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:read')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const entries = await this.auditStore.list({ targetUserId: userId, limit });
+
+      return {
+        success: true,
+        entries
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'get_admin_audit_trail',
+        adminUserId,
+        userId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to retrieve audit trail',
+        code: 'RETRIEVAL_ERROR'
+      };
+    }
+  }
+
+  /**
+   * List registration invites with their redemptions (requires users:read)
+   * @param {string} adminUserId - Admin user ID
+   * @returns {object} Invite list result
+   */
+  listInvites(adminUserId) {
+    const adminUser = this.users.get(adminUserId);
+    if (!this.authorizationService.hasPermission(adminUser, 'users:read')) {
+      return {
+        success: false,
+        error: 'Unauthorized access',
+        code: 'UNAUTHORIZED'
+      };
+    }
+
+    return {
+      success: true,
+      invites: this.inviteService.listInvites().map(invite => ({
+        ...invite,
+        createdByUsername: this.getUsernameById(invite.createdBy),
+        revokedByUsername: invite.revokedBy ? this.getUsernameById(invite.revokedBy) : null
+      }))
+    };
+  }
+
+  /**
+   * Create a registration invite (requires users:invite)
+   * The preset role may not grant more than the creating admin holds
+   * @param {string} adminUserId - Admin user ID
+   * @param {object} options - Invite options
+   * @param {string} options.role - Role for accounts created with the code
+   * @param {number} options.maxUses - Number of accounts the code can create
+   * @param {number} options.expiresInDays - Lifetime in days
+   * @param {string} options.note - Optional note for other admins
+   * @returns {object} Invite result including the one-time plain code
+   */
+  async createInvite(adminUserId, { role, maxUses, expiresInDays, note } = {}) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:invite')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const inviteRole = role || this.authorizationService.defaultRole;
+      if (!this.authorizationService.isValidRole(inviteRole)) {
+        return {
+          success: false,
+          error: 'Unknown role',
+          code: 'INVALID_ROLE'
+        };
+      }
+
+      if (!this.authorizationService.canManageUser(adminUser, { role: inviteRole })) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const { invite, code } = this.inviteService.createInvite({
+        createdBy: adminUserId,
+        role: inviteRole,
+        maxUses,
+        expiresInDays,
+        note
+      });
+      await this.inviteService.saveInvites();
+
+      this.logger.logSecurityEvent('invite_created', {
+        inviteId: invite.id,
+        role: invite.role,
+        maxUses: invite.maxUses,
+        expiresAt: invite.expiresAt,
+        adminUserId,
+        adminUsername: adminUser.username
+      }, 'info');
+
+      return {
+        success: true,
+        message: 'Invite created. Copy the code now; it will not be shown again.',
+        code,
+        invite: this.inviteService.getSafeInvite(invite)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'create_invite',
+        adminUserId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to create invite',
+        code: 'INVITE_ERROR'
+      };
+    }
+  }
+
+  /**
+   * Revoke a registration invite (requires users:invite)
+   * Accounts already created with the code are not affected
+   * @param {string} adminUserId - Admin user ID
+   * @param {string} inviteId - Invite ID
+   * @returns {object} Revocation result
+   */
+  async revokeInvite(adminUserId, inviteId) {
+    try {
+      const adminUser = this.users.get(adminUserId);
+      if (!this.authorizationService.hasPermission(adminUser, 'users:invite')) {
+        return {
+          success: false,
+          error: 'Unauthorized access',
+          code: 'UNAUTHORIZED'
+        };
+      }
+
+      const invite = this.inviteService.revokeInvite(inviteId, adminUserId);
+      if (!invite) {
+        return {
+          success: false,
+          error: 'Invite not found',
+          code: 'INVITE_NOT_FOUND'
+        };
+      }
+      await this.inviteService.saveInvites();
+
+      this.logger.logSecurityEvent('invite_revoked', {
+        inviteId,
+        adminUserId,
+        adminUsername: adminUser.username
+      }, 'info');
+
+      return {
+        success: true,
+        message: 'Invite revoked successfully',
+        invite: this.inviteService.getSafeInvite(invite)
+      };
+
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'revoke_invite',
+        adminUserId,
+        inviteId
+      });
+
+      return {
+        success: false,
+        error: 'Failed to revoke invite',
+        code: 'INVITE_ERROR'
       };
     }
   }
 
   /**
-   * Get user statistics
+   * Look up a username for display; null once the account is deleted
+   * @param {string} userId - User ID
+   * @returns {string|null} Username
+   */
+  getUsernameById(userId) {
+    const user = this.users.get(userId);
+    return user ? user.username : null;
+  }
+
+  /**
+   * Append an admin action to the audit trail
+   * The action has already happened, so a failed write is logged rather than undoing it
+   * @param {string} action - Audit action name
+   * @param {User} adminUser - Acting admin
+   * @param {User} user - Affected user
+   * @param {string} reason - Reason given by the admin
+   * @param {object} details - Action-specific details
+   */
+  async recordAdminAction(action, adminUser, user, reason, details = {}) {
+    try {
+      await this.auditStore.record({
+        action,
+        actor: adminUser,
+        target: user,
+        reason: reason || null,
+        details
+      });
+    } catch (error) {
+      this.logger.logError(error, {
+        action: 'record_admin_action',
+        auditAction: action,
+        userId: user.id,
+        adminUserId: adminUser.id
+      });
+    }
+  }
+
+  /**
+   * Get user statistics (requires users:read)
    * @param {string} adminUserId - Admin user ID
    * @returns {object} Statistics result
    */
   getUserStats(adminUserId) {
     try {
       const adminUser = this.users.get(adminUserId);
-      if (!adminUser || !adminUser.isAdmin()) {
+      if (!this.authorizationService.hasPermission(adminUser, 'users:read')) {
         return {
           success: false,
           error: 'Unauthorized access',
@@ -639,6 +3209,12 @@ class UserService {
         suspended: users.filter(u => u.status === 'suspended').length,
         rejected: users.filter(u => u.status === 'rejected').length,
         admins: users.filter(u => u.isAdmin()).length,
+        roles: users.reduce((counts, u) => {
+          counts[u.role] = (counts[u.role] || 0) + 1;
+          return counts;
+        }, {}),
+        twoFactorEnabled: users.filter(u => u.twoFactorEnabled).length,
+        emailUnverified: users.filter(u => !u.emailVerified).length,
         locked: users.filter(u => u.isLocked()).length
       };
 
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const net = require('net');
+const { execFile } = require('child_process');
+const config = require('../config/AppConfig');
+
+const CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Build a scan result
+ * @param {string} status - clean, infected or error
+ * @param {string} engine - clamd or command
+ * @param {string} details - Scanner reply or error
+ * @param {string} signature - Detected signature (infected only)
+ * @returns {object} Scan result
+ */
+function scanResult(status, engine, details, signature = null) {
+  return { status, engine, details, signature };
+}
+
+/**
+ * VirusScanService - ClamAV Scanning
+ * Streams files to clamd (INSTREAM over its Unix socket or TCP) and falls back to the command
+ * line scanner when clamd cannot be reached. Every scan is bounded by a timeout; scans run
+ * as virus_scan jobs on the JobQueue, which handles concurrency and retries
+ * Following OWASP File Upload guidelines (scan uploads before they are served)
+ */
+class VirusScanService {
+  /**
+   * @param {object} options - Overrides for the file_processing.virus_scan configuration
+   */
+  constructor(options = {}) {
+    const settings = { ...config.get('file_processing.virus_scan'), ...options };
+    this.enabled = settings.enabled !== undefined ? settings.enabled : !!config.get('file_processing.enable_virus_scan');
+    this.command = settings.command !== undefined ? settings.command : config.get('file_processing.virus_scan_command');
+    this.clamdSocket = settings.clamd_socket || null;
+    this.clamdHost = settings.clamd_host || '127.0.0.1';
+    this.clamdPort = settings.clamd_port || 3310;
+    this.timeoutMs = settings.timeout_ms || 30000;
+  }
+
+  /**
+   * Scan a file with clamd, or the command line scanner if clamd is unreachable
+   * @param {string} filePath - File to scan
+   * @param {object} options - Scan options
+   * @param {AbortSignal} options.signal - Aborting closes the clamd connection or kills the command
+   * @returns {Promise<object>} { status: clean|infected|error, engine, details, signature }
+   */
+  async scanFile(filePath, { signal } = {}) {
+    try {
+      return await this.scanWithClamd(filePath, signal);
+    } catch (error) {
+      if (!error.connectionFailed || !this.command || (signal && signal.aborted)) {
+        return scanResult('error', 'clamd', error.message);
+      }
+    }
+
+    return this.scanWithCommand(filePath, signal);
+  }
+
+  /**
+   * Scan a file through clamd's INSTREAM command
+   * Rejects with connectionFailed set when clamd cannot be reached
+   * @param {string} filePath - File to scan
+   * @param {AbortSignal} signal - Closes the connection when aborted
+   * @returns {Promise<object>} Scan result
+   */
+  scanWithClamd(filePath, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(new Error('Scan aborted'));
+      }
+
+      const target = this.clamdSocket ? { path: this.clamdSocket } : { host: this.clamdHost, port: this.clamdPort };
+      const socket = net.createConnection(target);
+      const reply = [];
+      let connected = false;
+      let settled = false;
+      let input = null;
+
+      const settle = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        socket.destroy();
+        if (input) {
+          input.destroy();
+        }
+        return error ? reject(error) : resolve(result);
+      };
+
+      const timer = setTimeout(() => settle(new Error(`Scanner timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      const onAbort = () => settle(new Error('Scan aborted'));
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      socket.on('connect', () => {
+        connected = true;
+        socket.write('zINSTREAM\0');
+
+        // Each chunk is prefixed with its length; a zero length ends the stream
+        input = fs.createReadStream(filePath, { highWaterMark: CHUNK_BYTES });
+        input.on('data', chunk => {
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          if (!socket.write(Buffer.concat([length, chunk]))) {
+            input.pause();
+            socket.once('drain', () => input.resume());
+          }
+        });
+        input.on('end', () => socket.write(Buffer.alloc(4)));
+        input.on('error', error => settle(error));
+      });
+
+      socket.on('data', chunk => reply.push(chunk));
+
+      socket.on('error', error => {
+        if (!connected) {
+          error.connectionFailed = true;
+        }
+        settle(error);
+      });
+
+      // clamd answers once and closes the connection
+      socket.on('close', () => {
+        if (!reply.length) {
+          return settle(new Error('clamd closed the connection without a reply'));
+        }
+        settle(null, this.parseClamdReply(Buffer.concat(reply).toString('utf8')));
+      });
+    });
+  }
+
+  /**
+   * Interpret a clamd reply ("stream: OK", "stream: <signature> FOUND", "<message> ERROR")
+   * @param {string} reply - Raw reply
+   * @returns {object} Scan result
+   */
+  parseClamdReply(reply) {
+    const text = reply.replace(/\0/g, '').trim();
+
+    if (/: OK$/.test(text)) {
+      return scanResult('clean', 'clamd', text);
+    }
+
+    const found = text.match(/: (.+) FOUND$/);
+    if (found) {
+      return scanResult('infected', 'clamd', text, found[1]);
+    }
+
+    return scanResult('error', 'clamd', text || 'Empty reply from clamd');
+  }
+
+  /**
+   * Scan a file with the command line scanner (clamscan or clamdscan)
+   * Exit code 0 means clean, 1 infected, anything else an error
+   * @param {string} filePath - File to scan
+   * @param {AbortSignal} signal - Kills the scanner when aborted
+   * @returns {Promise<object>} Scan result
+   */
+  scanWithCommand(filePath, signal) {
+    const [command, ...args] = this.command.split(/\s+/).filter(Boolean);
+
+    return new Promise(resolve => {
+      execFile(command, [...args, '--no-summary', filePath], { timeout: this.timeoutMs, signal }, (error, stdout, stderr) => {
+        const output = `${stdout || ''}`.trim();
+
+        if (!error) {
+          return resolve(scanResult('clean', 'command', output || 'OK'));
+        }
+        if (error.name === 'AbortError') {
+          return resolve(scanResult('error', 'command', 'Scan aborted'));
+        }
+        if (error.killed) {
+          return resolve(scanResult('error', 'command', `Scanner timed out after ${this.timeoutMs}ms`));
+        }
+        if (error.code === 1) {
+          const found = output.match(/: (.+) FOUND$/m);
+          return resolve(scanResult('infected', 'command', output, found ? found[1] : 'Unknown'));
+        }
+
+        resolve(scanResult('error', 'command', `${stderr || ''}`.trim() || error.message));
+      });
+    });
+  }
+}
+
+module.exports = VirusScanService;
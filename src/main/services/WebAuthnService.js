@@ -0,0 +1,181 @@
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { isoBase64URL, decodeClientDataJSON } = require('@simplewebauthn/server/helpers');
+const config = require('../config/AppConfig');
+const WebAuthnChallengeStore = require('../storage/WebAuthnChallengeStore');
+
+/**
+ * WebAuthnService - Passkey Registration and Assertion Helpers
+ * Wraps the WebAuthn ceremonies and keeps single-use challenges (in Redis when configured)
+ * Following OWASP Multifactor Authentication guidelines (phishing-resistant authenticators)
+ */
+class WebAuthnService {
+  constructor() {
+    this.config = config.get('security.webauthn') || {};
+    this.rpName = this.config.rp_name || 'Secure File Upload';
+    this.rpId = this.config.rp_id || 'localhost';
+    this.origins = [].concat(this.config.origin || 'http://localhost:3000');
+    this.timeout = this.config.timeout_ms || 60000;
+    this.userVerification = this.config.user_verification || 'preferred';
+    this.challenges = new WebAuthnChallengeStore();
+  }
+
+  /**
+   * Create registration options for a new passkey
+   * @param {User} user - User registering the passkey
+   * @returns {object} PublicKeyCredentialCreationOptions (JSON)
+   */
+  async createRegistrationOptions(user) {
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpId,
+      userID: user.id,
+      userName: user.username,
+      userDisplayName: user.getFullName() || user.username,
+      timeout: this.timeout,
+      attestationType: 'none',
+      excludeCredentials: user.webauthnCredentials.map(credential => ({
+        id: isoBase64URL.toBuffer(credential.id),
+        type: 'public-key',
+        transports: credential.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: this.userVerification
+      }
+    });
+
+    await this.storeChallenge(options.challenge, 'registration', user.id);
+    return options;
+  }
+
+  /**
+   * Verify a registration response and build the credential record to store
+   * @param {User} user - User registering the passkey
+   * @param {object} response - RegistrationResponseJSON from the browser
+   * @returns {object} Credential record
+   */
+  async verifyRegistration(user, response) {
+    const challenge = await this.consumeChallenge(response, 'registration', user.id);
+
+    const verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: this.origins,
+      expectedRPID: this.rpId,
+      requireUserVerification: this.userVerification === 'required'
+    });
+
+    if (!verification.verified || !verification.registrationInfo) {
+      throw new Error('Passkey registration could not be verified');
+    }
+
+    const { credentialID, credentialPublicKey, counter, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    return {
+      id: isoBase64URL.fromBuffer(credentialID),
+      publicKey: isoBase64URL.fromBuffer(credentialPublicKey),
+      counter,
+      transports: (response.response && response.response.transports) || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp
+    };
+  }
+
+  /**
+   * Create authentication options
+   * @param {User|null} user - User to restrict credentials to, or null for discoverable passkeys
+   * @returns {object} PublicKeyCredentialRequestOptions (JSON)
+   */
+  async createAuthenticationOptions(user = null) {
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpId,
+      timeout: this.timeout,
+      userVerification: this.userVerification,
+      allowCredentials: user
+        ? user.webauthnCredentials.map(credential => ({
+          id: isoBase64URL.toBuffer(credential.id),
+          type: 'public-key',
+          transports: credential.transports
+        }))
+        : []
+    });
+
+    await this.storeChallenge(options.challenge, 'authentication', null);
+    return options;
+  }
+
+  /**
+   * Verify an authentication response against a stored credential
+   * @param {object} credential - Stored credential record
+   * @param {object} response - AuthenticationResponseJSON from the browser
+   * @returns {number} New signature counter
+   */
+  async verifyAuthentication(credential, response) {
+    const challenge = await this.consumeChallenge(response, 'authentication', null);
+
+    const verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge,
+      expectedOrigin: this.origins,
+      expectedRPID: this.rpId,
+      requireUserVerification: this.userVerification === 'required',
+      authenticator: {
+        credentialID: isoBase64URL.toBuffer(credential.id),
+        credentialPublicKey: isoBase64URL.toBuffer(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports
+      }
+    });
+
+    if (!verification.verified) {
+      throw new Error('Passkey assertion could not be verified');
+    }
+
+    return verification.authenticationInfo.newCounter;
+  }
+
+  /**
+   * Remember an issued challenge until it is used or expires
+   * @param {string} challenge - Base64url challenge
+   * @param {string} type - 'registration' or 'authentication'
+   * @param {string|null} userId - User the challenge was issued to
+   */
+  async storeChallenge(challenge, type, userId) {
+    await this.challenges.add(challenge, {
+      type,
+      userId,
+      expiresAt: Date.now() + this.timeout
+    });
+  }
+
+  /**
+   * Take the challenge echoed in a response out of the store (single use)
+   * @param {object} response - Registration or authentication response JSON
+   * @param {string} type - Expected challenge type
+   * @param {string|null} userId - Expected user
+   * @returns {Promise<string>} The challenge
+   */
+  async consumeChallenge(response, type, userId) {
+    let challenge;
+    try {
+      challenge = decodeClientDataJSON(response.response.clientDataJSON).challenge;
+    } catch (error) {
+      throw new Error('Malformed WebAuthn response');
+    }
+
+    const record = await this.challenges.consume(challenge);
+
+    if (!record || record.type !== type || record.userId !== userId || record.expiresAt <= Date.now()) {
+      throw new Error('Unknown or expired WebAuthn challenge');
+    }
+
+    return challenge;
+  }
+}
+
+module.exports = WebAuthnService;
@@ -0,0 +1,66 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * AdminAuditStore - Administrative Action Audit Trail
+ * Appends one JSON line per admin action on a user account
+ * Entries outlive the accounts they describe, so hard-deleted users keep their history
+ */
+class AdminAuditStore {
+  constructor(persistenceFile = path.join(process.cwd(), 'data', 'admin_audit.jsonl')) {
+    this.persistenceFile = persistenceFile;
+  }
+
+  /**
+   * Append an entry to the audit trail
+   * @param {object} entry - Action, actor, target, reason and details
+   * @returns {object} Stored entry
+   */
+  async record({ action, actor, target, reason = null, details = {} }) {
+    const entry = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      action,
+      actorUserId: actor.id,
+      actorUsername: actor.username,
+      targetUserId: target.id,
+      targetUsername: target.username,
+      reason,
+      details
+    };
+
+    await fs.mkdir(path.dirname(this.persistenceFile), { recursive: true });
+    await fs.appendFile(this.persistenceFile, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+
+    return entry;
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {object} options - Filter options
+   * @param {string} options.targetUserId - Only entries about this user
+   * @param {number} options.limit - Maximum number of entries
+   * @returns {Array} Audit entries
+   */
+  async list({ targetUserId, limit = 100 } = {}) {
+    let data;
+    try {
+      data = await fs.readFile(this.persistenceFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    return data.split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(entry => !targetUserId || entry.targetUserId === targetUserId)
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+module.exports = AdminAuditStore;
@@ -1,7 +1,7 @@
 const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
 const path = require('path');
 const crypto = require('crypto');
-const { v4: uuidv4 } = require('uuid');
 const config = require('../config/AppConfig');
 
 /**
@@ -44,6 +44,8 @@ class FileStorageManager {
 
   /**
    * Store file securely with proper isolation and permissions
+   * Storage is content-addressed: identical content is written once and later copies reuse
+   * the existing blob (see blobFilename); callers track references through the file metadata
    * @param {Buffer} fileBuffer - File content buffer
    * @param {string} originalFilename - Original filename
    * @param {string} mimeType - File MIME type
@@ -52,27 +54,25 @@ class FileStorageManager {
    */
   async storeFile(fileBuffer, originalFilename, mimeType, userId) {
     try {
-      // Generate secure filename to prevent path traversal
-      const secureFilename = this.generateSecureFilename(originalFilename);
-      const filePath = path.join(this.storagePath, secureFilename);
-
-      // Ensure file doesn't already exist (collision handling)
-      const finalFilePath = await this.handleFilenameCollision(filePath);
+      const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+      const blobPath = path.join(this.storagePath, this.blobFilename(checksum, originalFilename));
 
-      // Write file with secure permissions
-      await fs.writeFile(finalFilePath, fileBuffer, { mode: this.storagePermissions });
+      if (!await this.reuseBlob(blobPath, fileBuffer.length)) {
+        // Write under a temp name so the blob name never points at a partly written file
+        const tempPath = `${blobPath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+        await fs.writeFile(tempPath, fileBuffer, { mode: this.storagePermissions, flag: 'wx' });
 
-      // Verify file was written correctly
-      await this.verifyFileIntegrity(finalFilePath, fileBuffer);
+        // Verify file was written correctly
+        await this.verifyFileIntegrity(tempPath, fileBuffer);
+        await fs.rename(tempPath, blobPath);
+      }
 
-      // Calculate file metadata
-      const fileStats = await fs.stat(finalFilePath);
-      const checksum = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+      const fileStats = await fs.stat(blobPath);
 
       return {
         success: true,
-        storedFilename: path.basename(finalFilePath),
-        filePath: finalFilePath,
+        storedFilename: path.basename(blobPath),
+        filePath: blobPath,
         fileSize: fileStats.size,
         checksum,
         mimeType,
@@ -90,55 +90,121 @@ class FileStorageManager {
   }
 
   /**
-   * Generate secure filename to prevent path traversal and conflicts
+   * Move a validated quarantine file into storage
+   * The file was hashed while it streamed in, so it is not read again; rename is atomic,
+   * so storage never holds a partly written file. When the blob exists already the
+   * quarantine file is simply dropped
+   * @param {string} sourcePath - Quarantine file
    * @param {string} originalFilename - Original filename
-   * @returns {string} Secure filename
+   * @param {string} mimeType - File MIME type
+   * @param {string} userId - User ID
+   * @param {object} inspection - size and checksum recorded while the file was received
+   * @returns {object} Storage result with file information
    */
-  generateSecureFilename(originalFilename) {
-    // Extract file extension
-    const fileExtension = path.extname(originalFilename).toLowerCase();
-    
-    // Generate UUID for uniqueness
-    const uuid = uuidv4();
-    
-    // Create secure filename: UUID + extension
-    const secureFilename = `${uuid}${fileExtension}`;
-    
-    // Additional security: ensure no path traversal
-    const sanitizedFilename = path.basename(secureFilename);
-    
-    return sanitizedFilename;
+  async storeFileFromPath(sourcePath, originalFilename, mimeType, userId, { size, checksum }) {
+    try {
+      const blobPath = path.join(this.storagePath, this.blobFilename(checksum, originalFilename));
+
+      if (await this.reuseBlob(blobPath, size)) {
+        await fs.rm(sourcePath, { force: true });
+      } else {
+        // The hash covers the bytes received; the size confirms they all arrived
+        const sourceStats = await fs.stat(sourcePath);
+        if (sourceStats.size !== size) {
+          throw new Error('File size mismatch after writing');
+        }
+
+        await fs.chmod(sourcePath, this.storagePermissions);
+        await this.moveFile(sourcePath, blobPath);
+      }
+
+      const fileStats = await fs.stat(blobPath);
+
+      return {
+        success: true,
+        storedFilename: path.basename(blobPath),
+        filePath: blobPath,
+        fileSize: fileStats.size,
+        checksum,
+        mimeType,
+        uploadTimestamp: new Date().toISOString(),
+        permissions: this.storagePermissions
+      };
+
+    } catch (error) {
+      console.error('File storage error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
   }
 
   /**
-   * Handle filename collisions by appending counter
-   * @param {string} filePath - Original file path
-   * @returns {string} Final file path (may be modified if collision occurred)
+   * Name of the blob holding some content: its SHA-256 plus the extension, which keeps the
+   * MIME type derivable from the name
+   * @param {string} checksum - SHA-256 of the content (hex)
+   * @param {string} originalFilename - Original filename (only the extension is used)
+   * @returns {string} Stored filename
    */
-  async handleFilenameCollision(filePath) {
-    let counter = 0;
-    let finalFilePath = filePath;
+  blobFilename(checksum, originalFilename) {
+    if (!/^[a-f0-9]{64}$/.test(checksum || '')) {
+      throw new Error('Invalid content checksum');
+    }
 
-    while (true) {
-      try {
-        await fs.access(finalFilePath);
-        // File exists, try with counter
-        counter++;
-        const ext = path.extname(filePath);
-        const base = path.basename(filePath, ext);
-        const dir = path.dirname(filePath);
-        finalFilePath = path.join(dir, `${base}_${counter}${ext}`);
-      } catch (error) {
-        if (error.code === 'ENOENT') {
-          // File doesn't exist, we can use this path
-          break;
-        } else {
-          throw error;
-        }
+    const fileExtension = path.extname(originalFilename || '').toLowerCase();
+    return path.basename(`${checksum}${/^\.[a-z0-9]{1,10}$/.test(fileExtension) ? fileExtension : ''}`);
+  }
+
+  /**
+   * Check whether a blob with this content is stored already
+   * A blob of the wrong size is corrupt; it is removed so the caller writes it again
+   * @param {string} blobPath - Blob path
+   * @param {number} size - Expected size in bytes
+   * @returns {Promise<boolean>} True when the existing blob can be reused
+   */
+  async reuseBlob(blobPath, size) {
+    try {
+      const stats = await fs.stat(blobPath);
+      if (stats.size === size) {
+        return true;
+      }
+
+      console.error(`Stored blob ${path.basename(blobPath)} has the wrong size; replacing it`);
+      await fs.unlink(blobPath);
+      return false;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
       }
+      throw error;
     }
+  }
 
-    return finalFilePath;
+  /**
+   * Move a file, copying when source and target are on different file systems
+   * The copy goes to a temp name first so the final rename is still atomic
+   * @param {string} sourcePath - File to move
+   * @param {string} targetPath - Destination
+   */
+  async moveFile(sourcePath, targetPath) {
+    try {
+      await fs.rename(sourcePath, targetPath);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+
+      const tempPath = `${targetPath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+      try {
+        await fs.copyFile(sourcePath, tempPath, fsConstants.COPYFILE_EXCL);
+        await fs.rename(tempPath, targetPath);
+      } catch (copyError) {
+        await fs.rm(tempPath, { force: true });
+        throw copyError;
+      }
+      await fs.unlink(sourcePath);
+    }
   }
 
   /**
@@ -0,0 +1,230 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../config/Logger');
+
+/**
+ * JsonFileStore - Crash-Safe JSON File
+ * Writes go to a temp file that is fsynced and renamed over the data file, so a crash
+ * leaves either the old or the new content, never a truncated file
+ * Saves are serialized; saves requested while one is queued are coalesced into it
+ * The previous contents are kept as numbered generations (`users.json.1`, `.2`, ...)
+ * and a corrupt data file is restored from the newest generation that still parses
+ * Following OWASP Logging and Data Integrity guidelines
+ */
+class JsonFileStore {
+  /**
+   * @param {string} filePath - Data file
+   * @param {object} options - Store options
+   * @param {number} options.generations - Previous versions to keep for recovery
+   */
+  constructor(filePath, { generations = 3 } = {}) {
+    this.filePath = filePath;
+    this.generations = generations;
+    this.tempPath = `${filePath}.tmp`;
+    this.queue = Promise.resolve(); // Tail of the write queue
+    this.pendingWrite = null; // Queued write that has not started yet
+    this.pendingData = undefined;
+    this.logger = Logger;
+  }
+
+  /**
+   * Path of a previous generation
+   * @param {number} generation - 1 is the most recent
+   * @returns {string} File path
+   */
+  generationPath(generation) {
+    return `${this.filePath}.${generation}`;
+  }
+
+  /**
+   * Read and parse one file
+   * @param {string} filePath - File to read
+   * @returns {Promise<object|undefined>} Parsed data, or undefined if the file is missing
+   */
+  async readFile(filePath) {
+    let data;
+    try {
+      data = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+
+    // An interrupted non-atomic write leaves an empty or cut-off file
+    return JSON.parse(data);
+  }
+
+  /**
+   * Read the data file, recovering from a previous generation if it is corrupt
+   * Waits for queued writes, so it never sees a half-finished save
+   * @returns {Promise<object|null>} Parsed data, or null if nothing has been saved yet
+   */
+  async read() {
+    await this.queue;
+
+    let failure = null;
+    try {
+      const data = await this.readFile(this.filePath);
+      if (data !== undefined) {
+        return data;
+      }
+    } catch (error) {
+      if (!(error instanceof SyntaxError)) {
+        throw error;
+      }
+      failure = error;
+    }
+
+    // Missing or corrupt: a crash between rotating and renaming can leave no data file
+    for (let generation = 1; generation <= this.generations; generation++) {
+      let data;
+      try {
+        data = await this.readFile(this.generationPath(generation));
+      } catch (error) {
+        continue; // Corrupt too; try an older one
+      }
+
+      if (data !== undefined) {
+        await this.quarantineCorruptFile(failure);
+        await this.writeNow(data, { rotate: false });
+        this.logger.logSecurityEvent('data_file_recovered', {
+          file: this.filePath,
+          generation,
+          reason: failure ? failure.message : 'missing'
+        }, 'warn');
+        return data;
+      }
+    }
+
+    if (failure) {
+      const movedTo = await this.quarantineCorruptFile(failure);
+      this.logger.logSecurityEvent('data_file_unrecoverable', {
+        file: this.filePath,
+        movedTo,
+        reason: failure.message
+      }, 'error');
+
+      const error = new Error(`${path.basename(this.filePath)} is corrupt and no previous generation could be read`);
+      error.code = 'DATA_FILE_CORRUPT';
+      throw error;
+    }
+
+    return null;
+  }
+
+  /**
+   * Move a corrupt data file aside so it can be inspected and is never rotated into the generations
+   * @param {Error|null} failure - Parse error, or null if the file was missing
+   * @returns {Promise<string|null>} Where the file was moved
+   */
+  async quarantineCorruptFile(failure) {
+    if (!failure) {
+      return null;
+    }
+
+    const target = `${this.filePath}.corrupt-${Date.now()}`;
+    await fs.rename(this.filePath, target);
+    return target;
+  }
+
+  /**
+   * Save data, serialized with other saves
+   * If a save is already waiting its data is replaced, so a burst of saves writes once
+   * @param {object} data - JSON-serializable data
+   * @returns {Promise<void>} Resolves once data at least this new is on disk
+   */
+  write(data) {
+    this.pendingData = data;
+
+    if (!this.pendingWrite) {
+      this.pendingWrite = this.queue.then(() => {
+        const latest = this.pendingData;
+        this.pendingWrite = null;
+        this.pendingData = undefined;
+        return this.writeNow(latest);
+      });
+      // Keep the queue going after a failed write; the caller of that write sees the error
+      this.queue = this.pendingWrite.catch(() => {});
+    }
+
+    return this.pendingWrite;
+  }
+
+  /**
+   * Write the data file atomically
+   * @param {object} data - JSON-serializable data
+   * @param {object} options - Write options
+   * @param {boolean} options.rotate - Keep the current file as generation 1
+   */
+  async writeNow(data, { rotate = true } = {}) {
+    const directory = path.dirname(this.filePath);
+    await fs.mkdir(directory, { recursive: true });
+
+    const handle = await fs.open(this.tempPath, 'w', 0o600);
+    try {
+      await handle.writeFile(JSON.stringify(data, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    if (rotate) {
+      await this.rotateGenerations();
+    }
+
+    await fs.rename(this.tempPath, this.filePath);
+    await this.syncDirectory(directory);
+  }
+
+  /**
+   * Shift the numbered generations up by one and link the current file in as generation 1
+   * A hard link keeps the old content without copying it; rename then swaps in the new file
+   */
+  async rotateGenerations() {
+    for (let generation = this.generations - 1; generation >= 1; generation--) {
+      await fs.rename(this.generationPath(generation), this.generationPath(generation + 1)).catch(error => {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      });
+    }
+
+    if (this.generations < 1) {
+      return;
+    }
+
+    await fs.rm(this.generationPath(1), { force: true });
+    try {
+      await fs.link(this.filePath, this.generationPath(1));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return; // First save
+      }
+      // File systems without hard links
+      await fs.copyFile(this.filePath, this.generationPath(1));
+    }
+  }
+
+  /**
+   * Flush the directory entry so the rename survives a power loss
+   * Not supported on every platform, so failures are ignored
+   * @param {string} directory - Directory holding the data file
+   */
+  async syncDirectory(directory) {
+    let handle;
+    try {
+      handle = await fs.open(directory, 'r');
+      await handle.sync();
+    } catch (error) {
+      // Best effort
+    } finally {
+      if (handle) {
+        await handle.close();
+      }
+    }
+  }
+}
+
+module.exports = JsonFileStore;
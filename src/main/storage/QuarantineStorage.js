@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const config = require('../config/AppConfig');
+const ContentInspector = require('../validation/ContentInspector');
+
+/**
+ * QuarantineStorage - Multer Storage Engine for Unvalidated Uploads
+ * Streams each upload to a private temp file instead of holding it in memory, hashing and
+ * sniffing it on the way (see ContentInspector); FileStorageManager moves it into storage
+ * only after FileValidator has accepted it
+ * Following OWASP File Upload guidelines (untrusted files are kept apart until validated)
+ */
+class QuarantineStorage {
+  /**
+   * @param {object} options - Storage options
+   * @param {string} options.quarantinePath - Directory for temp files; defaults to security.quarantine_path
+   */
+  constructor({ quarantinePath } = {}) {
+    this.quarantinePath = path.resolve(quarantinePath || config.get('security.quarantine_path') || './data/quarantine');
+  }
+
+  /**
+   * Create the quarantine directory, readable only by the app
+   */
+  async ensureDirectory() {
+    await fs.promises.mkdir(this.quarantinePath, { recursive: true, mode: 0o700 });
+  }
+
+  /**
+   * Stream data into a new quarantine file
+   * @param {stream.Readable} source - Upload data
+   * @returns {Promise<object>} path, size, checksum, head and containsNullByte
+   */
+  async receive(source) {
+    await this.ensureDirectory();
+
+    const tempPath = path.join(this.quarantinePath, `${crypto.randomBytes(16).toString('hex')}.upload`);
+    const inspector = new ContentInspector();
+
+    try {
+      await pipeline(source, inspector.createStream(), fs.createWriteStream(tempPath, { flags: 'wx', mode: 0o600 }));
+    } catch (error) {
+      await this.remove(tempPath);
+      throw error;
+    }
+
+    return { path: tempPath, ...inspector.getResult() };
+  }
+
+  /**
+   * Multer storage engine hook: store one incoming file
+   */
+  _handleFile(req, file, cb) {
+    this.receive(file.stream).then(info => cb(null, info), cb);
+  }
+
+  /**
+   * Multer storage engine hook: discard a file when the request fails
+   */
+  _removeFile(req, file, cb) {
+    this.remove(file.path).then(() => cb(null), cb);
+  }
+
+  /**
+   * Delete a quarantine file; missing files are ignored
+   * @param {string} filePath - Temp file
+   */
+  async remove(filePath) {
+    if (filePath) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+  }
+
+  /**
+   * Delete temp files left behind by a crash
+   * @param {number} maxAgeMs - Files older than this are removed
+   * @returns {Promise<number>} Number of files removed
+   */
+  async removeStale(maxAgeMs = 60 * 60 * 1000) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.quarantinePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+
+    for (const entry of entries) {
+      if (!entry.endsWith('.upload')) {
+        continue;
+      }
+
+      const filePath = path.join(this.quarantinePath, entry);
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (stats && stats.mtimeMs < cutoff) {
+        await this.remove(filePath);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = QuarantineStorage;
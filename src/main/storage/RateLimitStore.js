@@ -0,0 +1,174 @@
+const Logger = require('../config/Logger');
+
+// Count a hit and start the window on the first one; returns { hits, ms left in the window }
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+/**
+ * RateLimitStore - Fixed-Window Hit Counter
+ * Implements the express-rate-limit store interface and also backs the per-user upload limiter
+ * With a Redis client the counters are shared by every app instance; without one, or while
+ * Redis is unreachable, counting continues in process memory so limits never switch off
+ * Following OWASP Denial of Service guidelines
+ */
+class RateLimitStore {
+  /**
+   * @param {object} options - Store options
+   * @param {object|null} options.client - node-redis client, or null for memory only
+   * @param {string} options.prefix - Key prefix for this limiter
+   * @param {number} options.windowMs - Window length (express-rate-limit sets it through init)
+   */
+  constructor({ client = null, prefix = 'rl:', windowMs = 60000 } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+    this.windowMs = windowMs;
+    this.localKeys = !client; // Tells express-rate-limit whether counts are per process
+    this.hits = new Map(); // key -> { totalHits, resetTime } for memory mode and Redis outages
+    this.lastPruned = Date.now();
+    this.degraded = false;
+    this.logger = Logger;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  /**
+   * Run a Redis command, falling back to memory if Redis fails
+   * @param {Function} command - Redis work
+   * @param {Function} fallback - Memory work
+   * @returns {Promise<any>} Result of whichever ran
+   */
+  async withFallback(command, fallback) {
+    if (!this.client) {
+      return fallback();
+    }
+
+    try {
+      const result = await command();
+      this.degraded = false;
+      return result;
+    } catch (error) {
+      if (!this.degraded) {
+        this.degraded = true;
+        this.logger.logSecurityEvent('rate_limit_store_degraded', {
+          prefix: this.prefix,
+          reason: error.message
+        }, 'warn');
+      }
+      return fallback();
+    }
+  }
+
+  /**
+   * Get the memory counter for a key, starting a new window if the old one ended
+   * @param {string} key - Client key
+   * @returns {object} Counter
+   */
+  getLocal(key) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetTime.getTime() <= now) {
+      entry = { totalHits: 0, resetTime: new Date(now + this.windowMs) };
+      this.hits.set(key, entry);
+      this.pruneExpired(now);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop memory counters whose window has ended, at most once per window
+   * @param {number} now - Current time (ms)
+   */
+  pruneExpired(now) {
+    if (now - this.lastPruned < this.windowMs) {
+      return;
+    }
+
+    this.lastPruned = now;
+    for (const [key, entry] of this.hits.entries()) {
+      if (entry.resetTime.getTime() <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Read a client's counter without counting a hit
+   * @param {string} key - Client key
+   * @returns {object} Total hits and reset time
+   */
+  get(key) {
+    return this.withFallback(
+      async () => {
+        const redisKey = this.prefix + key;
+        const [hits, ttl] = await Promise.all([this.client.get(redisKey), this.client.pTTL(redisKey)]);
+        return {
+          totalHits: Number(hits) || 0,
+          resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs))
+        };
+      },
+      () => ({ ...this.getLocal(key) })
+    );
+  }
+
+  /**
+   * Count a hit
+   * @param {string} key - Client key
+   * @returns {object} Total hits and reset time
+   */
+  increment(key) {
+    return this.withFallback(
+      async () => {
+        const [hits, ttl] = await this.client.eval(INCREMENT_SCRIPT, {
+          keys: [this.prefix + key],
+          arguments: [String(this.windowMs)]
+        });
+        return { totalHits: Number(hits), resetTime: new Date(Date.now() + Number(ttl)) };
+      },
+      () => {
+        const entry = this.getLocal(key);
+        entry.totalHits++;
+        return { ...entry };
+      }
+    );
+  }
+
+  /**
+   * Take back a hit (express-rate-limit skipSuccessfulRequests/skipFailedRequests)
+   * @param {string} key - Client key
+   */
+  async decrement(key) {
+    await this.withFallback(
+      () => this.client.decr(this.prefix + key),
+      () => {
+        const entry = this.getLocal(key);
+        entry.totalHits = Math.max(entry.totalHits - 1, 0);
+      }
+    );
+  }
+
+  /**
+   * Clear a client's counter
+   * @param {string} key - Client key
+   */
+  async resetKey(key) {
+    this.hits.delete(key);
+    await this.withFallback(() => this.client.del(this.prefix + key), () => {});
+  }
+}
+
+module.exports = RateLimitStore;
@@ -0,0 +1,108 @@
+const { createClient } = require('redis');
+const config = require('../config/AppConfig');
+const Logger = require('../config/Logger');
+
+// One client per process, shared by sessions, rate limits and token revocations
+let client = null;
+
+/**
+ * Check whether Redis is configured
+ * Without it every store falls back to per-process memory
+ * @returns {boolean} True if a Redis URL is configured and enabled
+ */
+function isRedisConfigured() {
+  const redisConfig = config.get('redis') || {};
+  return redisConfig.enabled === true && !!redisConfig.url;
+}
+
+/**
+ * Get the prefix that namespaces this app's keys
+ * @returns {string} Key prefix
+ */
+function getKeyPrefix() {
+  return (config.get('redis') || {}).key_prefix || 'sfu:';
+}
+
+/**
+ * Get the shared Redis client, connecting on first use
+ * Commands fail fast while disconnected instead of queueing, so callers can fall back
+ * @returns {object|null} node-redis client, or null when Redis is not configured
+ */
+function getRedisClient() {
+  if (!isRedisConfigured()) {
+    return null;
+  }
+
+  if (!client) {
+    const redisConfig = config.get('redis');
+    let connected = null; // Unknown until the first ready or error event
+
+    client = createClient({
+      url: redisConfig.url,
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: redisConfig.connect_timeout_ms || 5000,
+        reconnectStrategy: retries => Math.min(retries * 200, 5000)
+      }
+    });
+
+    // Log each outage once rather than on every reconnect attempt
+    client.on('error', error => {
+      if (connected !== false) {
+        Logger.logError(error, { action: 'redis_connection' });
+      }
+      connected = false;
+    });
+    client.on('ready', () => {
+      connected = true;
+      Logger.getLogger().info('Redis connection ready');
+    });
+
+    client.connect().catch(() => {}); // Failures surface through the error event
+  }
+
+  return client;
+}
+
+/**
+ * Wait until a Redis client can take commands
+ * @param {object} redisClient - node-redis client
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<boolean>} True if the client became ready in time
+ */
+function waitForRedis(redisClient, timeoutMs = 5000) {
+  if (redisClient.isReady) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      redisClient.off('ready', onReady);
+      resolve(false);
+    }, timeoutMs);
+    const onReady = () => {
+      clearTimeout(timer);
+      resolve(true);
+    };
+    redisClient.once('ready', onReady);
+  });
+}
+
+/**
+ * Close the shared client (graceful shutdown)
+ */
+async function closeRedis() {
+  if (client) {
+    const closing = client;
+    client = null;
+    await closing.quit().catch(() => closing.disconnect());
+  }
+}
+
+module.exports = {
+  isRedisConfigured,
+  getKeyPrefix,
+  getRedisClient,
+  waitForRedis,
+  closeRedis
+};
@@ -0,0 +1,204 @@
+const path = require('path');
+const JsonFileStore = require('./JsonFileStore');
+const { getRedisClient, getKeyPrefix } = require('./RedisConnection');
+
+// Mark a refresh token used and return the record as it was, so only one caller ever sees it unused
+const CONSUME_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if not value then
+  return nil
+end
+local record = cjson.decode(value)
+if record.usedAt == nil or record.usedAt == cjson.null then
+  record.usedAt = tonumber(ARGV[1])
+  redis.call('SET', KEYS[1], cjson.encode(record), 'KEEPTTL')
+end
+return value
+`;
+
+/**
+ * RefreshTokenStore - Issued Refresh Token Records
+ * Remembers each refresh token (by its jti) with its user, family, expiry and whether it was used,
+ * so tokens stay single-use and survive restarts
+ * In Redis mode the records live in Redis, with the token's lifetime as TTL, so a refresh works on
+ * any instance and two instances can't both accept the same token; otherwise they are kept in a
+ * local file
+ */
+class RefreshTokenStore {
+  constructor(
+    persistenceFile = path.join(process.cwd(), 'data', 'refresh_tokens.json'),
+    redisClient = getRedisClient()
+  ) {
+    this.records = new Map(); // tokenId -> { userId, familyId, expiresAt, usedAt } (file mode)
+    this.file = new JsonFileStore(persistenceFile);
+    this.redis = redisClient;
+    this.prefix = `${getKeyPrefix()}token:refresh:`;
+    this.loaded = this.redis ? Promise.resolve() : this.load();
+  }
+
+  /**
+   * Load the records from the local file
+   */
+  async load() {
+    try {
+      const state = await this.file.read() || {};
+
+      // Merge so tokens issued before the load completed are kept
+      for (const [tokenId, record] of Object.entries(state)) {
+        if (!this.records.has(tokenId)) {
+          this.records.set(tokenId, record);
+        }
+      }
+
+      this.prune();
+    } catch (error) {
+      console.error('Error loading refresh tokens:', error.message);
+    }
+  }
+
+  /**
+   * Save the records to the local file
+   */
+  async save() {
+    try {
+      await this.file.write(Object.fromEntries(this.records));
+    } catch (error) {
+      console.error('Error saving refresh tokens:', error.message);
+    }
+  }
+
+  /**
+   * Redis key of a token's record
+   * @param {string} tokenId - Refresh token ID (`jti` claim)
+   * @returns {string} Key
+   */
+  tokenKey(tokenId) {
+    return `${this.prefix}${tokenId}`;
+  }
+
+  /**
+   * Redis key of the set listing a family's tokens
+   * @param {string} familyId - Refresh token family (`sid` claim)
+   * @returns {string} Key
+   */
+  familyKey(familyId) {
+    return `${this.prefix}family:${familyId}`;
+  }
+
+  /**
+   * Record a newly issued refresh token
+   * @param {string} tokenId - Refresh token ID
+   * @param {object} record - { userId, familyId, expiresAt }
+   */
+  async add(tokenId, record) {
+    const stored = { ...record, usedAt: null };
+
+    if (this.redis) {
+      const ttl = Math.max(record.expiresAt - Date.now(), 1);
+      await this.redis.set(this.tokenKey(tokenId), JSON.stringify(stored), { PX: ttl });
+      await this.redis.sAdd(this.familyKey(record.familyId), tokenId);
+      await this.redis.pExpire(this.familyKey(record.familyId), ttl);
+      return;
+    }
+
+    await this.loaded;
+    this.prune();
+    this.records.set(tokenId, stored);
+    await this.save();
+  }
+
+  /**
+   * Mark a refresh token used
+   * @param {string} tokenId - Refresh token ID
+   * @returns {Promise<object|null>} The record as it was before (usedAt set means it was used already), or null if unknown
+   */
+  async consume(tokenId) {
+    if (this.redis) {
+      const value = await this.redis.eval(CONSUME_SCRIPT, {
+        keys: [this.tokenKey(tokenId)],
+        arguments: [String(Date.now())]
+      });
+      return value ? JSON.parse(value) : null;
+    }
+
+    await this.loaded;
+    const record = this.records.get(tokenId);
+    if (!record || record.expiresAt <= Date.now()) {
+      return null;
+    }
+
+    const previous = { ...record };
+    if (!record.usedAt) {
+      record.usedAt = Date.now();
+      await this.save();
+    }
+    return previous;
+  }
+
+  /**
+   * Forget every token of a family
+   * @param {string} familyId - Refresh token family
+   * @returns {Promise<number>} Number of tokens removed
+   */
+  async removeFamily(familyId) {
+    if (this.redis) {
+      const tokenIds = await this.redis.sMembers(this.familyKey(familyId));
+      await this.redis.del([...tokenIds.map(tokenId => this.tokenKey(tokenId)), this.familyKey(familyId)]);
+      return tokenIds.length;
+    }
+
+    return this.removeWhere(record => record.familyId === familyId);
+  }
+
+  /**
+   * Forget every token of a user
+   * In Redis mode the records are left to expire: the user's token generation, which
+   * TokenRevocationStore shares between instances, already rejects them
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of tokens removed
+   */
+  async removeUser(userId) {
+    if (this.redis) {
+      return 0;
+    }
+
+    return this.removeWhere(record => record.userId === userId);
+  }
+
+  /**
+   * Remove the local records matching a condition
+   * @param {Function} predicate - Record -> boolean
+   * @returns {Promise<number>} Number of records removed
+   */
+  async removeWhere(predicate) {
+    await this.loaded;
+    let removed = 0;
+
+    for (const [tokenId, record] of this.records.entries()) {
+      if (predicate(record)) {
+        this.records.delete(tokenId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove local records whose tokens have expired anyway
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [tokenId, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(tokenId);
+      }
+    }
+  }
+}
+
+module.exports = RefreshTokenStore;
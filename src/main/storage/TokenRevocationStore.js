@@ -0,0 +1,249 @@
+const path = require('path');
+const Logger = require('../config/Logger');
+const JsonFileStore = require('./JsonFileStore');
+const { getRedisClient, getKeyPrefix, waitForRedis } = require('./RedisConnection');
+
+/**
+ * TokenRevocationStore - Revoked Session Storage
+ * Tracks revoked login sessions and per-user token generations
+ * A token is revoked if its session was logged out or its generation is older than the user's
+ * In Redis mode revocations are written to Redis and broadcast, so every instance rejects
+ * the token; the local maps keep checks synchronous and the file stays as a local copy
+ * Checks are only meaningful once `loaded` has resolved; the app waits for it before listening
+ */
+class TokenRevocationStore {
+  constructor(
+    persistenceFile = path.join(process.cwd(), 'data', 'token_revocations.json'),
+    redisClient = getRedisClient()
+  ) {
+    this.revokedSessions = new Map(); // sessionId -> expiry timestamp (ms)
+    this.userGenerations = new Map(); // userId -> current token generation
+    this.persistenceFile = persistenceFile;
+    this.file = new JsonFileStore(persistenceFile);
+    this.redis = redisClient;
+    this.keys = {
+      sessions: `${getKeyPrefix()}token:revoked_sessions`, // Sorted set scored by expiry
+      generations: `${getKeyPrefix()}token:generations`, // Hash userId -> generation
+      channel: `${getKeyPrefix()}token:revocations`
+    };
+    this.loaded = this.load();
+  }
+
+  /**
+   * Load revocation state from persistent storage, then from Redis
+   */
+  async load() {
+    await this.loadFile();
+
+    if (this.redis) {
+      this.subscribe(); // Not awaited: the connection may only come up after startup
+      if (await waitForRedis(this.redis)) {
+        await this.syncFromRedis();
+      }
+    }
+  }
+
+  /**
+   * Load revocation state from the local file
+   */
+  async loadFile() {
+    try {
+      const state = await this.file.read() || {};
+
+      // Merge so revocations recorded before the load completed are kept
+      for (const [sessionId, expiresAt] of Object.entries(state.revokedSessions || {})) {
+        this.revokedSessions.set(sessionId, expiresAt);
+      }
+      for (const [userId, generation] of Object.entries(state.userGenerations || {})) {
+        this.userGenerations.set(userId, Math.max(generation, this.getUserGeneration(userId)));
+      }
+
+      this.prune();
+    } catch (error) {
+      console.error('Error loading token revocations:', error.message);
+    }
+  }
+
+  /**
+   * Merge the shared revocation state from Redis into the local maps
+   */
+  async syncFromRedis() {
+    try {
+      const [sessions, generations] = await Promise.all([
+        this.redis.zRangeByScoreWithScores(this.keys.sessions, Date.now(), '+inf'),
+        this.redis.hGetAll(this.keys.generations)
+      ]);
+
+      for (const { value, score } of sessions) {
+        this.applyRevocation({ type: 'session', sessionId: value, expiresAt: score });
+      }
+      for (const [userId, generation] of Object.entries(generations)) {
+        this.applyRevocation({ type: 'generation', userId, generation: Number(generation) });
+      }
+    } catch (error) {
+      Logger.logError(error, { action: 'token_revocation_sync' });
+    }
+  }
+
+  /**
+   * Listen for revocations made by other instances
+   * A duplicate connection is needed because a subscribed client can't run commands;
+   * state is re-read on every reconnect in case messages were missed while disconnected
+   */
+  async subscribe() {
+    this.subscriber = this.redis.duplicate();
+    this.subscriber.on('error', () => {}); // Outages are logged by the main client
+    this.subscriber.on('ready', () => {
+      if (this.redis.isReady) {
+        this.syncFromRedis();
+      }
+    });
+
+    try {
+      await this.subscriber.connect();
+      await this.subscriber.subscribe(this.keys.channel, message => {
+        try {
+          this.applyRevocation(JSON.parse(message));
+        } catch (error) {
+          Logger.logError(error, { action: 'token_revocation_message' });
+        }
+      });
+    } catch (error) {
+      Logger.logError(error, { action: 'token_revocation_subscribe' });
+    }
+  }
+
+  /**
+   * Apply a revocation to the local maps
+   * Generations only ever move forward, whatever order messages arrive in
+   * @param {object} revocation - { type: 'session', sessionId, expiresAt } or { type: 'generation', userId, generation }
+   */
+  applyRevocation(revocation) {
+    if (revocation.type === 'session') {
+      const current = this.revokedSessions.get(revocation.sessionId) || 0;
+      this.revokedSessions.set(revocation.sessionId, Math.max(current, revocation.expiresAt));
+    } else if (revocation.type === 'generation') {
+      this.userGenerations.set(revocation.userId, Math.max(revocation.generation, this.getUserGeneration(revocation.userId)));
+    }
+  }
+
+  /**
+   * Record a revocation in Redis and tell the other instances
+   * @param {Function} write - Redis write, resolving to the revocation to broadcast
+   * @returns {Promise<object|null>} The revocation, or null if Redis failed
+   */
+  async publish(write) {
+    try {
+      const revocation = await write();
+      await this.redis.publish(this.keys.channel, JSON.stringify(revocation));
+      return revocation;
+    } catch (error) {
+      // Still revoked on this instance; other instances pick it up only once Redis is back
+      Logger.logError(error, { action: 'token_revocation_publish' });
+      return null;
+    }
+  }
+
+  /**
+   * Save revocation state to persistent storage
+   */
+  async save() {
+    try {
+      await this.file.write({
+        revokedSessions: Object.fromEntries(this.revokedSessions),
+        userGenerations: Object.fromEntries(this.userGenerations)
+      });
+    } catch (error) {
+      console.error('Error saving token revocations:', error.message);
+    }
+  }
+
+  /**
+   * Revoke a single login session
+   * @param {string} sessionId - Session ID (`sid` claim)
+   * @param {number} expiresAt - When the session's last token expires (ms)
+   */
+  async revokeSession(sessionId, expiresAt) {
+    await this.loaded;
+    this.prune();
+    this.revokedSessions.set(sessionId, expiresAt);
+
+    if (this.redis) {
+      await this.publish(async () => {
+        await this.redis.zAdd(this.keys.sessions, { score: expiresAt, value: sessionId });
+        await this.redis.zRemRangeByScore(this.keys.sessions, '-inf', Date.now());
+        return { type: 'session', sessionId, expiresAt };
+      });
+    }
+
+    await this.save();
+  }
+
+  /**
+   * Revoke every token issued to a user so far
+   * @param {string} userId - User ID
+   * @returns {number} New token generation for the user
+   */
+  async revokeAllForUser(userId) {
+    await this.loaded;
+    let generation = this.getUserGeneration(userId) + 1;
+
+    if (this.redis) {
+      // Incremented in Redis so two instances revoking at once can't hand out the same generation
+      const revocation = await this.publish(async () => {
+        let shared = await this.redis.hIncrBy(this.keys.generations, userId, 1);
+        if (shared < generation) {
+          // Redis lost state this instance still has; don't let the counter move backwards
+          shared = generation;
+          await this.redis.hSet(this.keys.generations, userId, String(shared));
+        }
+        return { type: 'generation', userId, generation: shared };
+      });
+      if (revocation) {
+        generation = revocation.generation;
+      }
+    }
+
+    this.applyRevocation({ type: 'generation', userId, generation });
+    await this.save();
+    return generation;
+  }
+
+  /**
+   * Get the current token generation for a user
+   * @param {string} userId - User ID
+   * @returns {number} Token generation
+   */
+  getUserGeneration(userId) {
+    return this.userGenerations.get(userId) || 0;
+  }
+
+  /**
+   * Check whether token claims have been revoked
+   * @param {object} claims - Decoded token claims
+   * @returns {boolean} True if the token is revoked
+   */
+  isRevoked(claims) {
+    const sessionExpiry = this.revokedSessions.get(claims.sid);
+    if (sessionExpiry && sessionExpiry > Date.now()) {
+      return true;
+    }
+
+    return (claims.gen || 0) < this.getUserGeneration(claims.sub);
+  }
+
+  /**
+   * Remove session revocations whose tokens have expired anyway
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [sessionId, expiresAt] of this.revokedSessions.entries()) {
+      if (expiresAt <= now) {
+        this.revokedSessions.delete(sessionId);
+      }
+    }
+  }
+}
+
+module.exports = TokenRevocationStore;
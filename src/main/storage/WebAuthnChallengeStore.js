@@ -0,0 +1,74 @@
+const { getRedisClient, getKeyPrefix } = require('./RedisConnection');
+
+/**
+ * WebAuthnChallengeStore - Issued Passkey Challenges
+ * Remembers each challenge with its ceremony type, user and expiry until it is used once
+ * In Redis mode the challenges live in Redis, with the ceremony timeout as TTL, so the options
+ * and verify requests of one ceremony may reach different instances; otherwise they are kept
+ * in process memory
+ */
+class WebAuthnChallengeStore {
+  constructor(redisClient = getRedisClient()) {
+    this.records = new Map(); // challenge -> { type, userId, expiresAt } (memory mode)
+    this.redis = redisClient;
+    this.prefix = `${getKeyPrefix()}webauthn:challenge:`;
+  }
+
+  /**
+   * Redis key of a challenge's record
+   * @param {string} challenge - Base64url challenge
+   * @returns {string} Key
+   */
+  challengeKey(challenge) {
+    return `${this.prefix}${challenge}`;
+  }
+
+  /**
+   * Record an issued challenge
+   * @param {string} challenge - Base64url challenge
+   * @param {object} record - { type, userId, expiresAt }
+   */
+  async add(challenge, record) {
+    if (this.redis) {
+      const ttl = Math.max(record.expiresAt - Date.now(), 1);
+      await this.redis.set(this.challengeKey(challenge), JSON.stringify(record), { PX: ttl });
+      return;
+    }
+
+    this.prune();
+    this.records.set(challenge, record);
+  }
+
+  /**
+   * Take a challenge out of the store, so it can only be used once
+   * @param {string} challenge - Base64url challenge
+   * @returns {Promise<object|null>} The record, or null if the challenge is unknown or already used
+   */
+  async consume(challenge) {
+    if (this.redis) {
+      const key = this.challengeKey(challenge);
+      // Read and delete in one transaction so two instances can't both take it
+      const [value] = await this.redis.multi().get(key).del(key).exec();
+      return value ? JSON.parse(value) : null;
+    }
+
+    const record = this.records.get(challenge) || null;
+    this.records.delete(challenge);
+    return record;
+  }
+
+  /**
+   * Remove local challenges that have expired unused
+   */
+  prune() {
+    const now = Date.now();
+
+    for (const [challenge, record] of this.records.entries()) {
+      if (record.expiresAt <= now) {
+        this.records.delete(challenge);
+      }
+    }
+  }
+}
+
+module.exports = WebAuthnChallengeStore;
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+
+// Enough for every magic number and the pattern checks in FileValidator
+const HEAD_BYTES = 4096;
+
+/**
+ * ContentInspector - Single-Pass Upload Inspection
+ * Hashes an upload, keeps its first bytes for magic number and pattern checks and notes
+ * null bytes while the data flows, so FileValidator never needs the whole file in memory
+ */
+class ContentInspector {
+  constructor() {
+    this.hash = crypto.createHash('sha256');
+    this.size = 0;
+    this.headChunks = [];
+    this.headLength = 0;
+    this.containsNullByte = false;
+  }
+
+  /**
+   * Inspect the next chunk
+   * @param {Buffer} chunk - Data
+   */
+  update(chunk) {
+    this.hash.update(chunk);
+    this.size += chunk.length;
+
+    if (this.headLength < HEAD_BYTES) {
+      const part = chunk.subarray(0, HEAD_BYTES - this.headLength);
+      this.headChunks.push(part);
+      this.headLength += part.length;
+    }
+
+    if (!this.containsNullByte && chunk.includes(0)) {
+      this.containsNullByte = true;
+    }
+  }
+
+  /**
+   * Finish the inspection
+   * @returns {object} size, checksum (SHA-256 hex), head and containsNullByte
+   */
+  getResult() {
+    return {
+      size: this.size,
+      checksum: this.hash.digest('hex'),
+      head: Buffer.concat(this.headChunks, this.headLength),
+      containsNullByte: this.containsNullByte
+    };
+  }
+
+  /**
+   * Pass-through stream that inspects what flows through it
+   * @returns {stream.Transform} Stream; call getResult() on this inspector once it has ended
+   */
+  createStream() {
+    return new Transform({
+      transform: (chunk, encoding, callback) => {
+        this.update(chunk);
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Inspect a file on disk in one read
+   * @param {string} filePath - File to inspect
+   * @returns {Promise<object>} Inspection result
+   */
+  static async inspectFile(filePath) {
+    const inspector = new ContentInspector();
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+      inspector.update(chunk);
+    }
+
+    return inspector.getResult();
+  }
+}
+
+ContentInspector.HEAD_BYTES = HEAD_BYTES;
+
+module.exports = ContentInspector;
@@ -1,69 +1,49 @@
 const path = require('path');
 const fs = require('fs');
-// Use a simple file type detection instead of file-type package
-// const { fileTypeFromBuffer } = require('file-type');
 const mimeTypes = require('mime-types');
 const sanitizeFilename = require('sanitize-filename');
 const crypto = require('crypto');
 const config = require('../config/AppConfig');
-
-/**
- * Simple file type detection function
- * @param {Buffer} buffer - File buffer
- * @returns {object|null} Detected file type or null
- */
-function detectFileType(buffer) {
-  if (!buffer || buffer.length < 4) return null;
-
-  const header = buffer.slice(0, 4);
-  
-  // PNG
-  if (header[0] === 0x89 && header[1] === 0x50 && header[2] === 0x4E && header[3] === 0x47) {
-    return { ext: 'png', mime: 'image/png' };
-  }
-  
-  // JPEG
-  if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
-    return { ext: 'jpg', mime: 'image/jpeg' };
-  }
-  
-  // GIF
-  if (header[0] === 0x47 && header[1] === 0x49 && header[2] === 0x46) {
-    return { ext: 'gif', mime: 'image/gif' };
-  }
-  
-  // PDF
-  if (header[0] === 0x25 && header[1] === 0x50 && header[2] === 0x44 && header[3] === 0x46) {
-    return { ext: 'pdf', mime: 'application/pdf' };
-  }
-  
-  // ZIP (for DOCX, XLSX)
-  if (header[0] === 0x50 && header[1] === 0x4B) {
-    return { ext: 'zip', mime: 'application/zip' };
-  }
-  
-  return null;
-}
+const ContentInspector = require('./ContentInspector');
+const UploadPolicy = require('./UploadPolicy');
 
 /**
  * FileValidator - Secure File Validation Module
  * Implements OWASP best practices for file upload security
  * Validates file extensions, MIME types, content, and prevents path traversal
+ * What is allowed comes from the upload policy (see UploadPolicy)
  */
 class FileValidator {
-  constructor() {
+  /**
+   * @param {UploadPolicy} policy - Upload policy; defaults to the shared one
+   */
+  constructor(policy = UploadPolicy.getInstance()) {
     this.config = config.getSecurityConfig();
-    this.allowedExtensions = this.config.allowed_extensions.map(ext => ext.toLowerCase());
-    this.maxFileSize = this.config.max_file_size_mb * 1024 * 1024; // Convert to bytes
+    this.policy = policy;
+    this.allowedExtensions = policy.getExtensions();
+    this.maxFileSize = policy.getMaxFileSize();
+  }
+
+  /**
+   * First bytes of an upload
+   * Streamed uploads carry them from ContentInspector; buffered ones are sliced
+   * @param {object} file - Multer file object
+   * @returns {Buffer} Up to ContentInspector.HEAD_BYTES bytes
+   */
+  getFileHead(file) {
+    return file.head || file.buffer.subarray(0, ContentInspector.HEAD_BYTES);
   }
 
   /**
    * Comprehensive file validation following OWASP guidelines
+   * Works on streamed uploads (path, checksum, head from QuarantineStorage) and on in-memory buffers
    * @param {object} file - Multer file object
    * @param {string} userId - User ID for logging
+   * @param {object} options - Validation options
+   * @param {string} options.role - Uploader's role, for classes the policy restricts to some roles
    * @returns {object} Validation result with isValid, errors, and sanitized data
    */
-  async validateFile(file, userId) {
+  async validateFile(file, userId, { role } = {}) {
     const validationResult = {
       isValid: false,
       errors: [],
@@ -93,8 +73,8 @@ class FileValidator {
         return validationResult;
       }
 
-      // 4. File extension validation
-      const extensionValidation = this.validateFileExtension(file.originalname);
+      // 4. File extension validation (the file class, and whether the role may upload it)
+      const extensionValidation = this.validateFileExtension(file.originalname, role);
       if (!extensionValidation.isValid) {
         validationResult.errors.push(...extensionValidation.errors);
         return validationResult;
@@ -107,20 +87,20 @@ class FileValidator {
         return validationResult;
       }
 
-      // 6. File content validation (magic number check)
-      const contentValidation = await this.validateFileContent(file);
-      if (!contentValidation.isValid) {
-        validationResult.errors.push(...contentValidation.errors);
-        return validationResult;
-      }
-
-      // 7. Security checks
+      // 6. Security checks
       const securityValidation = await this.performSecurityChecks(file);
       if (!securityValidation.isValid) {
         validationResult.errors.push(...securityValidation.errors);
         return validationResult;
       }
 
+      // 7. File content validation (magic number check and the class's content checks)
+      const contentValidation = await this.validateFileContent(file);
+      if (!contentValidation.isValid) {
+        validationResult.errors.push(...contentValidation.errors);
+        return validationResult;
+      }
+
       // If all validations pass, create sanitized data
       validationResult.isValid = true;
       validationResult.sanitizedData = {
@@ -128,7 +108,7 @@ class FileValidator {
         fileExtension: path.extname(filenameValidation.sanitizedFilename).toLowerCase(),
         mimeType: mimeValidation.detectedMimeType,
         fileSize: file.size,
-        checksum: await this.calculateChecksum(file.buffer),
+        checksum: file.checksum || await this.calculateChecksum(file.buffer),
         validationTimestamp: new Date().toISOString()
       };
 
@@ -160,7 +140,7 @@ class FileValidator {
       errors.push('Invalid filename');
     }
 
-    if (!file.buffer || !Buffer.isBuffer(file.buffer)) {
+    if (!Buffer.isBuffer(file.buffer) && !(file.path && Buffer.isBuffer(file.head))) {
       errors.push('Invalid file data');
     }
 
@@ -175,15 +155,17 @@ class FileValidator {
   }
 
   /**
-   * Validate file size against configured limits
+   * Validate file size against the limit of its class (the largest class limit without a filename)
    * @param {object} file - Multer file object
    * @returns {object} Validation result
    */
   validateFileSize(file) {
     const errors = [];
+    const fileClass = file.originalname && this.policy.getClass(file.originalname);
+    const maxFileSize = fileClass ? fileClass.maxSize : this.maxFileSize;
 
-    if (file.size > this.maxFileSize) {
-      errors.push(`File size (${this.formatFileSize(file.size)}) exceeds maximum allowed size (${this.config.max_file_size_mb}MB)`);
+    if (file.size > maxFileSize) {
+      errors.push(`File size (${this.formatFileSize(file.size)}) exceeds maximum allowed size (${this.formatFileSize(maxFileSize)})`);
     }
 
     // Additional check for empty files
@@ -247,11 +229,12 @@ class FileValidator {
   }
 
   /**
-   * Validate file extension against allowed list
+   * Validate file extension against the classes of the upload policy
    * @param {string} filename - Filename to check
+   * @param {string} role - Uploader's role; without one only classes open to every role are allowed
    * @returns {object} Validation result
    */
-  validateFileExtension(filename) {
+  validateFileExtension(filename, role) {
     const errors = [];
     const fileExtension = path.extname(filename).toLowerCase();
 
@@ -260,8 +243,11 @@ class FileValidator {
       return { isValid: false, errors };
     }
 
-    if (!this.allowedExtensions.includes(fileExtension)) {
+    const fileClass = this.policy.getClass(fileExtension);
+    if (!fileClass) {
       errors.push(`File extension '${fileExtension}' is not allowed. Allowed extensions: ${this.allowedExtensions.join(', ')}`);
+    } else if (!this.policy.isAllowedForRole(fileClass, role)) {
+      errors.push(`File extension '${fileExtension}' is not allowed for your role`);
     }
 
     return {
@@ -281,10 +267,10 @@ class FileValidator {
     let detectedMimeType = null;
 
     try {
-      // Method 1: Use file-type library (magic number detection)
-      const fileTypeResult = detectFileType(file.buffer);
-      if (fileTypeResult) {
-        detectedMimeType = fileTypeResult.mime;
+      // Method 1: Magic number detection against the policy's signatures
+      const detectedClass = this.policy.detectClass(this.getFileHead(file), file.originalname);
+      if (detectedClass) {
+        detectedMimeType = detectedClass.mimeTypes[0];
       }
 
       // Method 2: Use mime-types library based on extension
@@ -301,7 +287,7 @@ class FileValidator {
         warnings.push(`MIME type inconsistency detected: ${uniqueMimeTypes.join(', ')}`);
       }
 
-      // Use the most reliable MIME type (file-type library result)
+      // Use the most reliable MIME type (magic number result)
       const finalMimeType = detectedMimeType || extensionMimeType || multerMimeType;
 
       if (!finalMimeType) {
@@ -309,11 +295,12 @@ class FileValidator {
         return { isValid: false, errors, warnings };
       }
 
-      // Validate MIME type against allowed extensions
+      // Validate MIME type against the file's class
       const fileExtension = path.extname(file.originalname).toLowerCase();
-      const expectedMimeTypes = this.getExpectedMimeTypes(fileExtension);
+      const fileClass = this.policy.getClass(fileExtension);
+      const expectedMimeTypes = fileClass ? fileClass.mimeTypes : [];
 
-      if (expectedMimeTypes.length > 0 && !expectedMimeTypes.includes(finalMimeType)) {
+      if (!expectedMimeTypes.includes(finalMimeType)) {
         errors.push(`MIME type '${finalMimeType}' does not match expected type for extension '${fileExtension}'`);
       }
 
@@ -331,7 +318,7 @@ class FileValidator {
   }
 
   /**
-   * Validate file content using magic number detection
+   * Validate file content using magic number detection and the content checks of its class
    * @param {object} file - Multer file object
    * @returns {object} Validation result
    */
@@ -341,24 +328,25 @@ class FileValidator {
 
     try {
       // Check file signature (magic number)
-      const fileTypeResult = detectFileType(file.buffer);
-      
-      if (!fileTypeResult) {
-        warnings.push('Unable to detect file type from content');
-      } else {
-        // Verify that the detected type matches the extension
-        const fileExtension = path.extname(file.originalname).toLowerCase();
-        const expectedExtensions = this.getExpectedExtensions(fileTypeResult.mime);
-        
-        if (!expectedExtensions.includes(fileExtension)) {
-          errors.push(`File content does not match extension. Detected: ${fileTypeResult.mime}, Expected extension for this type: ${expectedExtensions.join(', ')}`);
+      const head = this.getFileHead(file);
+      const fileClass = this.policy.getClass(file.originalname);
+      const detectedClass = this.policy.detectClass(head, file.originalname);
+
+      if (!detectedClass) {
+        // A class with signatures must carry one; only signature-less classes (text) are let through
+        if (fileClass && fileClass.signatures.length > 0) {
+          errors.push(`File content does not match its extension: no ${fileClass.extensions.join('/')} signature found`);
+        } else {
+          warnings.push('Unable to detect file type from content');
         }
+      } else if (detectedClass !== fileClass) {
+        // Verify that the detected type matches the extension
+        errors.push(`File content does not match extension. Detected: ${detectedClass.mimeTypes[0]}, Expected extension for this type: ${detectedClass.extensions.join(', ')}`);
       }
 
-      // Additional content validation for specific file types
-      const contentValidation = await this.validateSpecificFileContent(file, fileTypeResult);
-      if (!contentValidation.isValid) {
-        errors.push(...contentValidation.errors);
+      // Additional content checks the policy sets for the class
+      if (fileClass) {
+        errors.push(...this.policy.runChecks(fileClass, file, head));
       }
 
       return {
@@ -389,8 +377,9 @@ class FileValidator {
         Buffer.from([0xCA, 0xFE, 0xBA, 0xBE]), // Java class file
       ];
 
+      const head = this.getFileHead(file);
       for (const signature of executableSignatures) {
-        if (file.buffer.indexOf(signature) === 0) {
+        if (head.indexOf(signature) === 0) {
           errors.push('File appears to be an executable, which is not allowed');
           break;
         }
@@ -407,7 +396,7 @@ class FileValidator {
         /document\.cookie/i
       ];
 
-      const fileContent = file.buffer.toString('utf8', 0, Math.min(1024, file.buffer.length));
+      const fileContent = head.toString('utf8', 0, Math.min(1024, head.length));
       for (const pattern of suspiciousPatterns) {
         if (pattern.test(fileContent)) {
           errors.push('File contains suspicious content patterns');
@@ -426,54 +415,6 @@ class FileValidator {
     }
   }
 
-  /**
-   * Validate specific file content based on file type
-   * @param {object} file - Multer file object
-   * @param {object} fileTypeResult - File type detection result
-   * @returns {object} Validation result
-   */
-  async validateSpecificFileContent(file, fileTypeResult) {
-    const errors = [];
-
-    if (!fileTypeResult) {
-      return { isValid: true, errors };
-    }
-
-    try {
-      switch (fileTypeResult.mime) {
-        case 'image/jpeg':
-        case 'image/png':
-        case 'image/gif':
-          // Additional image validation could be added here
-          break;
-        
-        case 'application/pdf':
-          // Check PDF structure
-          if (!file.buffer.toString('ascii', 0, 4).startsWith('%PDF')) {
-            errors.push('Invalid PDF file structure');
-          }
-          break;
-        
-        case 'text/plain':
-          // Check for binary content in text files
-          const textContent = file.buffer.toString('utf8');
-          if (textContent.includes('\0')) {
-            errors.push('Text file contains null bytes, may be binary');
-          }
-          break;
-      }
-
-      return {
-        isValid: errors.length === 0,
-        errors
-      };
-
-    } catch (error) {
-      errors.push(`Specific content validation error: ${error.message}`);
-      return { isValid: false, errors };
-    }
-  }
-
   /**
    * Calculate file checksum for integrity verification
    * @param {Buffer} buffer - File buffer
@@ -483,49 +424,6 @@ class FileValidator {
     return crypto.createHash('sha256').update(buffer).digest('hex');
   }
 
-  /**
-   * Get expected MIME types for a file extension
-   * @param {string} extension - File extension
-   * @returns {Array} Array of expected MIME types
-   */
-  getExpectedMimeTypes(extension) {
-    const mimeTypeMap = {
-      '.png': ['image/png'],
-      '.jpg': ['image/jpeg'],
-      '.jpeg': ['image/jpeg'],
-      '.gif': ['image/gif'],
-      '.pdf': ['application/pdf'],
-      '.doc': ['application/msword'],
-      '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
-      '.txt': ['text/plain'],
-      '.csv': ['text/csv'],
-      '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']
-    };
-
-    return mimeTypeMap[extension] || [];
-  }
-
-  /**
-   * Get expected extensions for a MIME type
-   * @param {string} mimeType - MIME type
-   * @returns {Array} Array of expected extensions
-   */
-  getExpectedExtensions(mimeType) {
-    const extensionMap = {
-      'image/png': ['.png'],
-      'image/jpeg': ['.jpg', '.jpeg'],
-      'image/gif': ['.gif'],
-      'application/pdf': ['.pdf'],
-      'application/msword': ['.doc'],
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
-      'text/plain': ['.txt'],
-      'text/csv': ['.csv'],
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx']
-    };
-
-    return extensionMap[mimeType] || [];
-  }
-
   /**
    * Format file size in human readable format
    * @param {number} bytes - File size in bytes
@@ -545,7 +443,7 @@ class FileValidator {
    * @returns {boolean} True if extension is allowed
    */
   isExtensionAllowed(extension) {
-    return this.allowedExtensions.includes(extension.toLowerCase());
+    return !!this.policy.getClass(extension);
   }
 
   /**
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('yaml');
+const config = require('../config/AppConfig');
+const ContentInspector = require('./ContentInspector');
+
+// Never uploadable, whatever the policy says
+const DANGEROUS_EXTENSIONS = ['.exe', '.bat', '.cmd', '.com', '.pif', '.scr', '.vbs', '.js', '.jar', '.sh'];
+
+// Extra content checks a class can name; each returns an error message or null
+const CONTENT_CHECKS = {
+  pdf_header: (file, head) => (head.toString('ascii', 0, 4) === '%PDF' ? null : 'Invalid PDF file structure'),
+  no_null_bytes: file => {
+    // Streamed uploads were scanned on arrival; buffered ones are searched here
+    const hasNullByte = file.containsNullByte !== undefined ? file.containsNullByte : file.buffer.includes(0);
+    return hasNullByte ? 'Text file contains null bytes, may be binary' : null;
+  }
+};
+
+/**
+ * UploadPolicy - Declarative File Class Policy
+ * Loads the upload policy file, which defines each file class (extensions, MIME types, magic
+ * signatures, size limit, roles allowed to upload it, extra content checks), and answers the
+ * questions every upload layer asks of it. The policy is validated when loaded
+ * Following OWASP File Upload guidelines (allow list of types, signature checks, size limits)
+ */
+class UploadPolicy {
+  /**
+   * @param {object} definition - Parsed policy file
+   * @param {object} options - Limits from config.yaml
+   * @param {number} options.maxFileSizeMb - Upper bound for any class (security.max_file_size_mb)
+   * @param {Array<string>} options.roles - Known roles; null skips the role check
+   */
+  constructor(definition, { maxFileSizeMb, roles = null } = {}) {
+    this.maxFileSizeMb = maxFileSizeMb;
+    this.knownRoles = roles;
+
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Upload policy validation failed: ${errors.join(', ')}`);
+    }
+
+    this.version = definition.version;
+    this.classes = this.buildClasses(definition);
+    this.byExtension = new Map();
+    this.classes.forEach(fileClass => fileClass.extensions.forEach(extension => {
+      this.byExtension.set(extension, fileClass);
+    }));
+  }
+
+  /**
+   * Load the policy file named in config.yaml (security.upload_policy)
+   * @param {string} policyPath - Overrides the configured path
+   * @returns {UploadPolicy} Validated policy
+   */
+  static load(policyPath = config.get('security.upload_policy') || './upload-policy.yaml') {
+    const definition = yaml.parse(fs.readFileSync(path.resolve(policyPath), 'utf8'));
+    const rbac = config.get('security.rbac');
+
+    return new UploadPolicy(definition, {
+      maxFileSizeMb: config.get('security.max_file_size_mb'),
+      roles: rbac && rbac.roles ? Object.keys(rbac.roles) : null
+    });
+  }
+
+  /**
+   * Policy shared by the upload layers, loaded on first use
+   * @returns {UploadPolicy} Validated policy
+   */
+  static getInstance() {
+    if (!UploadPolicy.instance) {
+      UploadPolicy.instance = UploadPolicy.load();
+    }
+    return UploadPolicy.instance;
+  }
+
+  /**
+   * Check a policy definition
+   * @param {object} definition - Parsed policy file
+   * @returns {Array<string>} Errors (empty when valid)
+   */
+  validate(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['Upload policy must be a YAML mapping'];
+    }
+    if (definition.version !== 1) {
+      errors.push('Upload policy version must be 1');
+    }
+
+    const classes = definition.classes;
+    if (!classes || typeof classes !== 'object' || Object.keys(classes).length === 0) {
+      errors.push('Upload policy must define at least one file class');
+      return errors;
+    }
+
+    const defaults = definition.defaults || {};
+    const claimed = new Map(); // extension -> class
+    Object.entries(classes).forEach(([name, fileClass]) => {
+      if (!fileClass || typeof fileClass !== 'object') {
+        errors.push(`File class ${name} must be a mapping`);
+        return;
+      }
+
+      const extensions = fileClass.extensions;
+      if (!Array.isArray(extensions) || extensions.length === 0) {
+        errors.push(`File class ${name} must list its extensions`);
+      } else {
+        extensions.forEach(extension => {
+          if (typeof extension !== 'string' || !/^\.[a-z0-9]+$/.test(extension)) {
+            errors.push(`File class ${name} has an invalid extension ${extension}`);
+          } else if (DANGEROUS_EXTENSIONS.includes(extension)) {
+            errors.push(`File class ${name} allows the dangerous extension ${extension}`);
+          } else if (claimed.has(extension)) {
+            errors.push(`Extension ${extension} is in both ${claimed.get(extension)} and ${name}`);
+          } else {
+            claimed.set(extension, name);
+          }
+        });
+      }
+
+      const mimeTypes = fileClass.mime_types;
+      if (!Array.isArray(mimeTypes) || mimeTypes.length === 0 ||
+          !mimeTypes.every(mimeType => typeof mimeType === 'string' && /^[\w.+-]+\/[\w.+-]+$/.test(mimeType))) {
+        errors.push(`File class ${name} must list valid MIME types`);
+      }
+
+      if (fileClass.signatures !== undefined && !Array.isArray(fileClass.signatures)) {
+        errors.push(`File class ${name} must list its signatures`);
+      }
+      [].concat(fileClass.signatures || []).forEach(signature => {
+        const { offset = 0, hex } = typeof signature === 'string' ? { hex: signature } : (signature || {});
+        if (typeof hex !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(hex) ||
+            !Number.isInteger(offset) || offset < 0 || offset + hex.length / 2 > ContentInspector.HEAD_BYTES) {
+          errors.push(`File class ${name} has an invalid signature`);
+        }
+      });
+
+      const maxSizeMb = fileClass.max_size_mb !== undefined ? fileClass.max_size_mb : defaults.max_size_mb;
+      if (maxSizeMb !== undefined && (typeof maxSizeMb !== 'number' || maxSizeMb <= 0)) {
+        errors.push(`File class ${name} has an invalid max_size_mb`);
+      } else if (maxSizeMb > this.maxFileSizeMb) {
+        errors.push(`File class ${name} allows more than security.max_file_size_mb`);
+      }
+
+      const roles = fileClass.roles || defaults.roles || ['*'];
+      if (!Array.isArray(roles) || roles.length === 0) {
+        errors.push(`File class ${name} must list the roles allowed to upload it`);
+      } else if (this.knownRoles) {
+        roles.filter(role => role !== '*' && !this.knownRoles.includes(role)).forEach(role => {
+          errors.push(`File class ${name} names the undefined role ${role}`);
+        });
+      }
+
+      if (fileClass.checks !== undefined && !Array.isArray(fileClass.checks)) {
+        errors.push(`File class ${name} must list its checks`);
+      }
+      [].concat(fileClass.checks || []).filter(check => !CONTENT_CHECKS[check]).forEach(check => {
+        errors.push(`File class ${name} names the unknown check ${check}`);
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Resolve classes with their defaults applied
+   * @param {object} definition - Validated policy file
+   * @returns {Array<object>} File classes
+   */
+  buildClasses(definition) {
+    const defaults = definition.defaults || {};
+
+    return Object.entries(definition.classes).map(([name, fileClass]) => {
+      const maxSizeMb = fileClass.max_size_mb || defaults.max_size_mb || this.maxFileSizeMb;
+
+      return {
+        name,
+        description: fileClass.description || name,
+        extensions: fileClass.extensions,
+        mimeTypes: fileClass.mime_types,
+        signatures: (fileClass.signatures || []).map(signature => {
+          const { offset = 0, hex } = typeof signature === 'string' ? { hex: signature } : signature;
+          return { offset, bytes: Buffer.from(hex, 'hex') };
+        }),
+        maxSize: Math.round(maxSizeMb * 1024 * 1024),
+        roles: fileClass.roles || defaults.roles || ['*'],
+        checks: fileClass.checks || []
+      };
+    });
+  }
+
+  /**
+   * File class of a filename or extension
+   * @param {string} filename - Filename or extension (".pdf")
+   * @returns {object|null} File class, or null when the extension is not allowed
+   */
+  getClass(filename) {
+    const extension = (path.extname(filename) || filename).toLowerCase();
+    return this.byExtension.get(extension) || null;
+  }
+
+  /**
+   * Whether a role may upload a class
+   * @param {object} fileClass - File class
+   * @param {string} role - Uploader's role; without one only classes open to every role are allowed
+   * @returns {boolean} True if allowed
+   */
+  isAllowedForRole(fileClass, role) {
+    return fileClass.roles.includes('*') || (!!role && fileClass.roles.includes(role));
+  }
+
+  /**
+   * Whether any class accepts a MIME type (coarse filter before the file is read)
+   * @param {string} mimeType - Declared MIME type
+   * @param {string} role - Uploader's role
+   * @returns {boolean} True if some class allowed for the role accepts it
+   */
+  isMimeTypeAllowed(mimeType, role) {
+    return this.classes.some(fileClass => fileClass.mimeTypes.includes(mimeType) && this.isAllowedForRole(fileClass, role));
+  }
+
+  /**
+   * Identify a file's class from its first bytes
+   * The class of the file's own extension wins when several signatures match (DOCX and XLSX share ZIP's)
+   * @param {Buffer} head - First bytes of the file
+   * @param {string} filename - Filename, to prefer its class
+   * @returns {object|null} Matching file class, or null when no signature matches
+   */
+  detectClass(head, filename) {
+    const matches = fileClass => fileClass.signatures.some(({ offset, bytes }) => (
+      head.length >= offset + bytes.length && head.subarray(offset, offset + bytes.length).equals(bytes)
+    ));
+
+    const ownClass = filename && this.getClass(filename);
+    if (ownClass && matches(ownClass)) {
+      return ownClass;
+    }
+    return this.classes.find(matches) || null;
+  }
+
+  /**
+   * Run a class's extra content checks
+   * @param {object} fileClass - File class
+   * @param {object} file - Multer file object
+   * @param {Buffer} head - First bytes of the file
+   * @returns {Array<string>} Errors
+   */
+  runChecks(fileClass, file, head) {
+    return fileClass.checks.map(check => CONTENT_CHECKS[check](file, head)).filter(Boolean);
+  }
+
+  /**
+   * Every allowed extension
+   * @returns {Array<string>} Extensions
+   */
+  getExtensions() {
+    return this.classes.flatMap(fileClass => fileClass.extensions);
+  }
+
+  /**
+   * Largest file any class accepts (the multipart and resumable upload limit)
+   * @returns {number} Bytes
+   */
+  getMaxFileSize() {
+    return Math.max(...this.classes.map(fileClass => fileClass.maxSize));
+  }
+
+  /**
+   * Read-only view for clients (GET /api/policy)
+   * @param {string} role - Caller's role, to mark the classes they may upload
+   * @returns {object} Policy without internals
+   */
+  describe(role) {
+    return {
+      version: this.version,
+      maxFileSize: this.getMaxFileSize(),
+      classes: this.classes.map(fileClass => ({
+        name: fileClass.name,
+        description: fileClass.description,
+        extensions: fileClass.extensions,
+        mimeTypes: fileClass.mimeTypes,
+        signatures: fileClass.signatures.map(({ offset, bytes }) => ({ offset, hex: bytes.toString('hex').toUpperCase() })),
+        maxSize: fileClass.maxSize,
+        roles: fileClass.roles,
+        checks: fileClass.checks,
+        ...(role !== undefined && { allowed: this.isAllowedForRole(fileClass, role) })
+      }))
+    };
+  }
+}
+
+module.exports = UploadPolicy;
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+
+/**
+ * SoftwareAuthenticator - In-memory WebAuthn authenticator for tests
+ * Produces the same JSON a browser returns from navigator.credentials.create()/get(),
+ * using "none" attestation and ES256 (P-256) credentials
+ */
+class SoftwareAuthenticator {
+  constructor({ origin = 'http://localhost:3000', userVerified = true } = {}) {
+    this.origin = origin;
+    this.userVerified = userVerified;
+    this.credentials = new Map(); // credentialId -> { privateKey, userHandle, counter }
+  }
+
+  /**
+   * Create a credential from registration options (navigator.credentials.create)
+   * @param {object} options - PublicKeyCredentialCreationOptionsJSON
+   * @returns {object} RegistrationResponseJSON
+   */
+  createCredential(options) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const credentialId = crypto.randomBytes(16);
+    const jwk = publicKey.export({ format: 'jwk' });
+
+    const cosePublicKey = isoCBOR.encode(new Map([
+      [1, 2], // kty: EC2
+      [3, -7], // alg: ES256
+      [-1, 1], // crv: P-256
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+
+    const credentialIdLength = Buffer.alloc(2);
+    credentialIdLength.writeUInt16BE(credentialId.length);
+
+    const authData = Buffer.concat([
+      this.rpIdHash(options.rp.id),
+      Buffer.from([this.flags() | 0x40]), // AT: attested credential data included
+      Buffer.alloc(4), // signCount
+      Buffer.alloc(16), // AAGUID
+      credentialIdLength,
+      credentialId,
+      Buffer.from(cosePublicKey)
+    ]);
+
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', authData]
+    ]));
+
+    const id = credentialId.toString('base64url');
+    this.credentials.set(id, {
+      privateKey,
+      rpId: options.rp.id,
+      userHandle: Buffer.from(options.user.id, 'utf8').toString('base64url'), // Browsers encode user.id as UTF-8
+      counter: 0
+    });
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON: this.clientData('webauthn.create', options.challenge),
+        attestationObject: Buffer.from(attestationObject).toString('base64url'),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * Sign an assertion from authentication options (navigator.credentials.get)
+   * @param {object} options - PublicKeyCredentialRequestOptionsJSON
+   * @param {string} credentialId - Credential to use (defaults to the first allowed one)
+   * @returns {object} AuthenticationResponseJSON
+   */
+  getAssertion(options, credentialId = null) {
+    const allowed = (options.allowCredentials || []).map(credential => credential.id);
+    const id = credentialId || allowed[0] || this.credentials.keys().next().value;
+    const credential = this.credentials.get(id);
+
+    if (!credential) {
+      throw new Error('No matching credential');
+    }
+
+    credential.counter += 1;
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(credential.counter);
+
+    const authData = Buffer.concat([
+      this.rpIdHash(options.rpId || credential.rpId),
+      Buffer.from([this.flags()]),
+      counter
+    ]);
+
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+    const clientDataHash = crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest();
+    const signature = crypto.sign('sha256', Buffer.concat([authData, clientDataHash]), credential.privateKey);
+
+    return {
+      id,
+      rawId: id,
+      type: 'public-key',
+      response: {
+        clientDataJSON,
+        authenticatorData: authData.toString('base64url'),
+        signature: signature.toString('base64url'),
+        userHandle: credential.userHandle
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  /**
+   * Build base64url clientDataJSON
+   */
+  clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({
+      type,
+      challenge,
+      origin: this.origin,
+      crossOrigin: false
+    })).toString('base64url');
+  }
+
+  /**
+   * Authenticator data flags: UP, plus UV when user verification is simulated
+   */
+  flags() {
+    return 0x01 | (this.userVerified ? 0x04 : 0);
+  }
+
+  /**
+   * SHA-256 of the relying party ID, as embedded in authenticator data
+   */
+  rpIdHash(rpId) {
+    return crypto.createHash('sha256').update(rpId).digest();
+  }
+}
+
+module.exports = SoftwareAuthenticator;
@@ -0,0 +1,87 @@
+const net = require('net');
+
+/**
+ * StubClamd - Minimal clamd for tests
+ * Speaks the INSTREAM part of the clamd protocol on a local TCP port: reassembles the
+ * length-prefixed chunks and answers like clamd, reporting files that contain `signature`
+ * as infected. With `hang` set it accepts the stream but never answers (scanner timeouts)
+ */
+class StubClamd {
+  constructor({ signature = 'EICAR-STUB', hang = false } = {}) {
+    this.signature = signature;
+    this.hang = hang;
+    this.scanned = []; // Buffers received
+    this.sockets = new Set();
+    this.server = net.createServer(socket => this.handle(socket));
+  }
+
+  /**
+   * Listen on a free local port
+   * @returns {Promise<number>} Port
+   */
+  listen() {
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * Stop listening and drop open connections
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => {
+      this.sockets.forEach(socket => socket.destroy());
+      this.server.close(() => resolve());
+    });
+  }
+
+  /**
+   * Answer one connection
+   * @param {net.Socket} socket - Client connection
+   */
+  handle(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    let commandRead = false;
+    const chunks = [];
+
+    socket.on('data', data => {
+      buffer = Buffer.concat([buffer, data]);
+
+      if (!commandRead) {
+        const end = buffer.indexOf(0);
+        if (end === -1) {
+          return;
+        }
+        if (buffer.subarray(0, end).toString() !== 'zINSTREAM') {
+          socket.end('UNKNOWN COMMAND\0');
+          return;
+        }
+        commandRead = true;
+        buffer = buffer.subarray(end + 1);
+      }
+
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          const content = Buffer.concat(chunks);
+          this.scanned.push(content);
+          if (!this.hang) {
+            socket.end(content.includes(this.signature) ? `stream: ${this.signature} FOUND\0` : 'stream: OK\0');
+          }
+          return;
+        }
+        if (buffer.length < 4 + length) {
+          return;
+        }
+        chunks.push(buffer.subarray(4, 4 + length));
+        buffer = buffer.subarray(4 + length);
+      }
+    });
+  }
+}
+
+module.exports = StubClamd;
@@ -0,0 +1,91 @@
+const ApiKeyService = require('../../src/main/services/ApiKeyService');
+
+describe('ApiKeyService', () => {
+  let apiKeyService;
+  const user = { role: 'user' };
+  const admin = { role: 'admin' };
+
+  beforeEach(() => {
+    apiKeyService = new ApiKeyService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('generateKey', () => {
+    it('should generate a parseable key and store only its hash', () => {
+      const { id, key, hash } = apiKeyService.generateKey();
+
+      expect(apiKeyService.isApiKey(key)).toBe(true);
+      expect(apiKeyService.parseKey(key)).toEqual({ id });
+      expect(hash).not.toContain(key.split('_').pop());
+      expect(apiKeyService.matchesHash(key, hash)).toBe(true);
+    });
+
+    it('should generate unique keys', () => {
+      const first = apiKeyService.generateKey();
+      const second = apiKeyService.generateKey();
+
+      expect(first.id).not.toBe(second.id);
+      expect(first.key).not.toBe(second.key);
+    });
+  });
+
+  describe('parseKey', () => {
+    it('should reject malformed keys', () => {
+      expect(apiKeyService.parseKey('sfu_short_key')).toBeNull();
+      expect(apiKeyService.parseKey('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBeNull();
+      expect(apiKeyService.isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig')).toBe(false);
+    });
+  });
+
+  describe('matchesHash', () => {
+    it('should reject a different key with the same ID', () => {
+      const { key, hash } = apiKeyService.generateKey();
+      const forged = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+
+      expect(apiKeyService.matchesHash(forged, hash)).toBe(false);
+    });
+  });
+
+  describe('validateScopes', () => {
+    it('should require at least one known scope', () => {
+      expect(apiKeyService.validateScopes([], user).isValid).toBe(false);
+      expect(apiKeyService.validateScopes(['files:everything'], user).error).toContain('Unknown scopes');
+    });
+
+    it('should only let admins grant admin scopes', () => {
+      expect(apiKeyService.validateScopes(['admin:users'], user).isValid).toBe(false);
+      expect(apiKeyService.validateScopes(['admin:users'], admin).isValid).toBe(true);
+    });
+
+    it('should limit keys to the scopes covered by the owner\'s role', () => {
+      expect(apiKeyService.getGrantableScopes({ role: 'uploader' })).toEqual(['files:write']);
+      expect(apiKeyService.validateScopes(['files:read'], { role: 'uploader' }).isValid).toBe(false);
+      expect(apiKeyService.getGrantableScopes({ role: 'auditor' })).toEqual(['files:read', 'admin:users']);
+    });
+
+    it('should remove duplicate scopes', () => {
+      const result = apiKeyService.validateScopes(['files:read', 'files:read', 'files:write'], user);
+
+      expect(result.scopes).toEqual(['files:read', 'files:write']);
+    });
+  });
+
+  describe('getExpiry', () => {
+    it('should cap the lifetime at the configured maximum', () => {
+      const now = Date.UTC(2024, 0, 1);
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      const expiresAt = new Date(apiKeyService.getExpiry(10000)).getTime();
+
+      expect(expiresAt).toBe(now + apiKeyService.maxExpiryDays * 24 * 60 * 60 * 1000);
+    });
+
+    it('should report expired keys', () => {
+      expect(apiKeyService.isExpired({ expiresAt: new Date(Date.now() - 1000).toISOString() })).toBe(true);
+      expect(apiKeyService.isExpired({ expiresAt: apiKeyService.getExpiry(1) })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+const express = require('express');
+const request = require('supertest');
+const AuthController = require('../../src/main/controllers/AuthController');
+const UserService = require('../../src/main/services/UserService');
+const TokenService = require('../../src/main/services/TokenService');
+const UploadService = require('../../src/main/services/UploadService');
+const InviteService = require('../../src/main/services/InviteService');
+const RefreshTokenStore = require('../../src/main/storage/RefreshTokenStore');
+
+// Mock the logger to keep auth events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logAuthEvent: jest.fn(),
+  logSecurityEvent: jest.fn(),
+  logValidationFailure: jest.fn(),
+  logError: jest.fn(),
+  getLogger: () => ({ info: jest.fn() })
+}));
+
+describe('AuthController', () => {
+  let app;
+  let controller;
+
+  beforeEach(() => {
+    // Keep the services off disk
+    jest.spyOn(UserService.prototype, 'loadUsers').mockResolvedValue();
+    jest.spyOn(UserService.prototype, 'initializeDefaultAdmin').mockResolvedValue();
+    jest.spyOn(UserService.prototype, 'saveUsers').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'loadUploadHistory').mockResolvedValue();
+    jest.spyOn(InviteService.prototype, 'loadInvites').mockResolvedValue();
+    jest.spyOn(RefreshTokenStore.prototype, 'load').mockResolvedValue();
+
+    UserService.instance = null;
+    TokenService.instance = null;
+    UploadService.instance = null;
+
+    // Every request comes from a signed-in admin
+    jest.spyOn(AuthController.prototype, 'authenticateUser').mockImplementation((req, res, next) => {
+      req.user = { id: 'admin-1', role: 'admin' };
+      req.userId = 'admin-1';
+      next();
+    });
+
+    controller = new AuthController();
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', controller.router);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('account decisions', () => {
+    const decisions = [
+      ['approve', 'approveUser'],
+      ['reject', 'rejectUser'],
+      ['suspend', 'suspendUser']
+    ];
+
+    it.each(decisions)('should answer 400 when %s has no reason', async (action, method) => {
+      const serviceCall = jest.spyOn(controller.userService, method);
+
+      const response = await request(app).post(`/api/auth/admin/users/user-1/${action}`).send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+      expect(serviceCall).not.toHaveBeenCalled();
+    });
+
+    it.each(decisions)('should answer 400 when the %s reason is blank, too long or not a string', async (action, method) => {
+      const serviceCall = jest.spyOn(controller.userService, method);
+
+      for (const reason of ['   ', 'x'.repeat(501), { text: 'nested' }]) {
+        const response = await request(app).post(`/api/auth/admin/users/user-1/${action}`).send({ reason });
+        expect(response.status).toBe(400);
+      }
+      expect(serviceCall).not.toHaveBeenCalled();
+    });
+
+    it.each(decisions)('should pass the trimmed reason to %s', async (action, method) => {
+      const serviceCall = jest.spyOn(controller.userService, method)
+        .mockResolvedValue({ success: true, message: 'Done', user: { id: 'user-1' } });
+
+      const response = await request(app).post(`/api/auth/admin/users/user-1/${action}`).send({ reason: '  Verified by phone  ' });
+
+      expect(response.status).toBe(200);
+      expect(serviceCall).toHaveBeenCalledWith('user-1', 'admin-1', 'Verified by phone');
+    });
+  });
+});
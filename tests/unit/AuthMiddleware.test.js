@@ -0,0 +1,146 @@
+const AuthMiddleware = require('../../src/main/middleware/AuthMiddleware');
+const Logger = require('../../src/main/config/Logger');
+
+// Mock the logger to keep auth events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logAuthEvent: jest.fn(),
+  logError: jest.fn()
+}));
+
+describe('AuthMiddleware', () => {
+  let userService;
+  let tokenService;
+  let browserSessionService;
+  let middleware;
+
+  const user = { id: 'user-1', getSafeData: () => ({ id: 'user-1', role: 'user' }) };
+
+  const createResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  const createRequest = (authorization) => ({
+    headers: authorization ? { authorization } : {},
+    ip: '10.0.0.1'
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    userService = {
+      apiKeyService: { isApiKey: (token) => token.startsWith('key_') },
+      authenticateApiKey: jest.fn(),
+      getUserById: jest.fn(() => user)
+    };
+    tokenService = {
+      verifyAccessToken: jest.fn(() => ({ sub: 'user-1' })),
+      assertClaimsMatchUser: jest.fn()
+    };
+    browserSessionService = {
+      hasSession: jest.fn(() => false),
+      authenticate: jest.fn()
+    };
+
+    middleware = new AuthMiddleware({ userService, tokenService, browserSessionService });
+  });
+
+  it('should answer 401 without an authorization header', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware.authenticateUser(createRequest(), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'AUTH_REQUIRED' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should hand cookie requests to the browser session service', () => {
+    browserSessionService.hasSession.mockReturnValue(true);
+    const req = createRequest();
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware.authenticateUser(req, res, next);
+
+    expect(browserSessionService.authenticate).toHaveBeenCalledWith(req, res, next);
+  });
+
+  it('should accept a valid bearer token', () => {
+    const req = createRequest('Bearer access-token');
+    const next = jest.fn();
+
+    middleware.authenticateUser(req, createResponse(), next);
+
+    expect(tokenService.verifyAccessToken).toHaveBeenCalledWith('access-token');
+    expect(req).toMatchObject({ userId: 'user-1', apiKey: null, authMethod: 'bearer' });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should answer 401 for an invalid bearer token', () => {
+    tokenService.verifyAccessToken.mockImplementation(() => {
+      throw new Error('jwt expired');
+    });
+    const res = createResponse();
+    const next = jest.fn();
+
+    middleware.authenticateUser(createRequest('Bearer access-token'), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should accept a valid API key with its scopes', async () => {
+    userService.authenticateApiKey.mockResolvedValue({
+      success: true,
+      user,
+      apiKey: { id: 'key-1', scopes: ['files:read'] }
+    });
+    const req = createRequest('Bearer key_abc');
+    const next = jest.fn();
+
+    await middleware.authenticateUser(req, createResponse(), next);
+
+    expect(userService.authenticateApiKey).toHaveBeenCalledWith('key_abc', '10.0.0.1');
+    expect(req).toMatchObject({
+      userId: 'user-1',
+      tokenClaims: null,
+      apiKey: { id: 'key-1', scopes: ['files:read'] },
+      authMethod: 'api_key'
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should answer 401 with the lookup code for a rejected API key', async () => {
+    userService.authenticateApiKey.mockResolvedValue({
+      success: false,
+      error: 'Invalid API key',
+      code: 'INVALID_API_KEY'
+    });
+    const res = createResponse();
+    const next = jest.fn();
+
+    await middleware.authenticateUser(createRequest('Bearer key_abc'), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_API_KEY' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should answer 500 when the API key lookup throws', async () => {
+    userService.authenticateApiKey.mockRejectedValue(new Error('database unavailable'));
+    const res = createResponse();
+    const next = jest.fn();
+
+    await middleware.authenticateUser(createRequest('Bearer key_abc'), res, next);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'AUTH_ERROR' }));
+    expect(Logger.logError).toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+const AuthorizationService = require('../../src/main/services/AuthorizationService');
+
+// Mock the logger to keep denied requests out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+describe('AuthorizationService', () => {
+  let authorizationService;
+
+  beforeEach(() => {
+    authorizationService = new AuthorizationService();
+  });
+
+  describe('getPermissions', () => {
+    it('should expand wildcards from the permission matrix', () => {
+      expect(authorizationService.getPermissions('admin')).toEqual(authorizationService.permissions);
+      expect(authorizationService.getPermissions('user')).toEqual(['files:read', 'files:write', 'files:delete', 'stats:read']);
+    });
+
+    it('should grant nothing to unknown roles', () => {
+      expect(authorizationService.getPermissions('superuser')).toEqual([]);
+      expect(authorizationService.getPermissions('constructor')).toEqual([]);
+      expect(authorizationService.hasPermission({ role: 'superuser' }, 'files:read')).toBe(false);
+      expect(authorizationService.hasPermission(null, 'files:read')).toBe(false);
+    });
+
+    it('should keep uploaders write-only', () => {
+      const uploader = { role: 'uploader' };
+
+      expect(authorizationService.hasPermission(uploader, 'files:write')).toBe(true);
+      expect(authorizationService.hasPermission(uploader, 'files:read')).toBe(false);
+      expect(authorizationService.hasPermission(uploader, 'files:delete')).toBe(false);
+    });
+  });
+
+  describe('canAssignRole', () => {
+    it('should not hand out permissions the assigner lacks', () => {
+      const custom = new AuthorizationService();
+      custom.roles = { ...custom.roles, 'role-manager': { permissions: ['users:read', 'users:roles'] } };
+      const assigner = { role: 'role-manager' };
+
+      expect(custom.canAssignRole(assigner, 'role-manager')).toBe(true);
+      expect(custom.canAssignRole(assigner, 'user')).toBe(false);
+      expect(custom.canAssignRole(assigner, 'admin')).toBe(false);
+      expect(authorizationService.canAssignRole({ role: 'admin' }, 'viewer')).toBe(true);
+    });
+  });
+
+  describe('requirePermission', () => {
+    const run = (middleware, req) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      middleware({ originalUrl: '/api/files?limit=5', ip: '127.0.0.1', apiKey: null, ...req }, res, next);
+      return { res, next };
+    };
+
+    it('should call next when the role grants the permission', () => {
+      const { next } = run(authorizationService.requirePermission('files:read'), { user: { role: 'viewer' } });
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should answer 403 when the role lacks the permission', () => {
+      const { res, next } = run(authorizationService.requirePermission('files:read'), { user: { role: 'uploader' } });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].code).toBe('UNAUTHORIZED');
+    });
+
+    it('should also require the matching scope on API keys', () => {
+      const middleware = authorizationService.requirePermission('users:read');
+      const req = { user: { role: 'admin' }, apiKey: { id: 'abc', scopes: ['files:read'] } };
+
+      expect(run(middleware, req).res.json.mock.calls[0][0].code).toBe('INSUFFICIENT_SCOPE');
+
+      req.apiKey.scopes.push('admin:users');
+      expect(run(middleware, req).next).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const BrowserSessionService = require('../../src/main/services/BrowserSessionService');
+const UserService = require('../../src/main/services/UserService');
+const TokenService = require('../../src/main/services/TokenService');
+const UploadService = require('../../src/main/services/UploadService');
+const InviteService = require('../../src/main/services/InviteService');
+const User = require('../../src/main/models/User');
+
+// Mock the logger to keep auth events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logAuthEvent: jest.fn(),
+  logSecurityEvent: jest.fn(),
+  logError: jest.fn(),
+  getLogger: () => ({ info: jest.fn() })
+}));
+
+describe('BrowserSessionService', () => {
+  let browserSessionService;
+  let user;
+
+  const createSession = (data = {}) => ({
+    ...data,
+    regenerate: jest.fn(callback => callback()),
+    save: jest.fn(callback => callback()),
+    destroy: jest.fn(callback => callback())
+  });
+
+  const run = (overrides) => {
+    const req = {
+      method: 'GET',
+      originalUrl: '/api/files',
+      ip: '127.0.0.1',
+      get: name => (overrides.headers || {})[name.toLowerCase()],
+      ...overrides
+    };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+    browserSessionService.authenticate(req, res, next);
+    return { req, res, next };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(UserService.prototype, 'loadUsers').mockResolvedValue();
+    jest.spyOn(UserService.prototype, 'initializeDefaultAdmin').mockResolvedValue();
+    jest.spyOn(UserService.prototype, 'saveUsers').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'loadUploadHistory').mockResolvedValue();
+    jest.spyOn(InviteService.prototype, 'loadInvites').mockResolvedValue();
+
+    UserService.instance = null;
+    TokenService.instance = null;
+    UploadService.instance = null;
+    browserSessionService = new BrowserSessionService();
+    browserSessionService.enabled = true;
+
+    user = new User({ username: 'alice', email: 'alice@example.com', role: 'user', status: 'active' });
+    browserSessionService.userService.users.set(user.id, user);
+  });
+
+  describe('establish', () => {
+    it('should regenerate the session and issue a CSRF token', async () => {
+      const req = { session: createSession({ auth: { stale: true } }) };
+
+      const result = await browserSessionService.establish(req, user);
+
+      expect(req.session.regenerate).toHaveBeenCalled();
+      expect(req.session.auth).toEqual(expect.objectContaining({ typ: 'session', sub: user.id }));
+      expect(result).toEqual({ session: true, csrfToken: req.session.csrfToken, expiresIn: browserSessionService.timeoutMs / 1000 });
+      expect(result.csrfToken).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    });
+
+    it('should only be used when enabled and requested', () => {
+      expect(browserSessionService.isRequested({ body: { session: true } })).toBe(true);
+      expect(browserSessionService.isRequested({ body: {}, authMethod: 'session' })).toBe(true);
+      expect(browserSessionService.isRequested({ body: {} })).toBe(false);
+
+      browserSessionService.enabled = false;
+      expect(browserSessionService.isRequested({ body: { session: true } })).toBe(false);
+    });
+  });
+
+  describe('authenticate', () => {
+    let session;
+
+    beforeEach(async () => {
+      session = createSession();
+      await browserSessionService.establish({ session }, user);
+    });
+
+    it('should authenticate safe requests without a CSRF token', () => {
+      const { req, next } = run({ session });
+
+      expect(next).toHaveBeenCalled();
+      expect(req.userId).toBe(user.id);
+      expect(req.authMethod).toBe('session');
+    });
+
+    it('should require the CSRF token on state-changing requests', () => {
+      expect(run({ session, method: 'DELETE' }).res.json.mock.calls[0][0].code).toBe('CSRF_TOKEN_INVALID');
+      expect(run({ session, method: 'POST', headers: { 'x-csrf-token': 'wrong' } }).res.status).toHaveBeenCalledWith(403);
+      expect(run({ session, method: 'POST', headers: { 'x-csrf-token': session.csrfToken } }).next).toHaveBeenCalled();
+    });
+
+    it('should drop sessions whose role no longer matches the user', () => {
+      user.role = 'viewer';
+      const { res, next } = run({ session });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].code).toBe('INVALID_SESSION');
+      expect(session.auth).toBeUndefined();
+      expect(browserSessionService.hasSession({ session })).toBe(false);
+    });
+  });
+});
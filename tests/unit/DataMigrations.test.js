@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const User = require('../../src/main/models/User');
+const FileMetadata = require('../../src/main/models/FileMetadata');
+const SqliteDatabase = require('../../src/main/repositories/SqliteDatabase');
+const SqlRepository = require('../../src/main/repositories/SqlRepository');
+const { USERS_TABLE } = require('../../src/main/repositories/schema');
+const { decodeMetadata } = require('../../src/main/repositories/migrations');
+const { migrateJsonDocument, JSON_SCHEMA_VERSION } = require('../../src/main/repositories/jsonMigrations');
+const { createUserRepository, createFileMetadataRepository } = require('../../src/main/repositories');
+const { migrateStores } = require('../../src/main/repositories/migrate');
+const { dedupeStoredFiles } = require('../../src/main/repositories/dedupeFiles');
+const FileStorageManager = require('../../src/main/storage/FileStorageManager');
+
+// Mock the logger to keep migration and recovery events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn(),
+  getLogger: () => ({ info: jest.fn() })
+}));
+
+// Metadata as the old JSON path left it: stringified once more on every save
+const encodeTimes = (value, times) => {
+  let encoded = value;
+  for (let i = 0; i < times; i++) {
+    encoded = JSON.stringify(encoded);
+  }
+  return encoded;
+};
+
+describe('Data migrations', () => {
+  const metadata = { registrationIp: '127.0.0.1', approvedBy: 'admin', note: 'quotes " and \\ backslashes' };
+
+  describe('model round trips', () => {
+    it('should keep user metadata stable over repeated toObject/fromDatabase cycles', () => {
+      let user = new User({ username: 'alice', email: 'alice@example.com', metadata });
+
+      for (let i = 0; i < 5; i++) {
+        user = User.fromDatabase(user.toObject());
+      }
+
+      expect(user.metadata).toEqual(metadata);
+    });
+
+    it('should keep file metadata stable over repeated toObject/fromDatabase cycles', () => {
+      let file = new FileMetadata({ userId: 'user-1', metadata });
+
+      for (let i = 0; i < 5; i++) {
+        file = FileMetadata.fromDatabase(file.toObject());
+      }
+
+      expect(file.metadata).toEqual(metadata);
+    });
+  });
+
+  describe('decodeMetadata', () => {
+    it('should unwrap any number of encodings', () => {
+      expect(decodeMetadata(metadata)).toEqual(metadata);
+      expect(decodeMetadata(encodeTimes(metadata, 1))).toEqual(metadata);
+      expect(decodeMetadata(encodeTimes(metadata, 12))).toEqual(metadata);
+    });
+
+    it('should fall back to an empty object for values that are not metadata', () => {
+      expect(decodeMetadata('{"cut off')).toEqual({});
+      expect(decodeMetadata(encodeTimes([1, 2], 3))).toEqual({});
+      expect(decodeMetadata(null)).toEqual({});
+    });
+  });
+
+  describe('migrateJsonDocument', () => {
+    it('should treat an unversioned file as version 1 and repair its metadata', () => {
+      const { records, applied } = migrateJsonDocument({
+        'user-1': { id: 'user-1', metadata: encodeTimes(metadata, 7) },
+        'user-2': { id: 'user-2' }
+      });
+
+      expect(applied).toEqual([2]);
+      expect(records['user-1'].metadata).toEqual(metadata);
+      expect(records['user-2']).toEqual({ id: 'user-2' });
+    });
+
+    it('should leave current files alone and refuse newer ones', () => {
+      const document = { schemaVersion: JSON_SCHEMA_VERSION, records: { 'user-1': { id: 'user-1', metadata } } };
+
+      expect(migrateJsonDocument(document)).toEqual({ records: document.records, applied: [] });
+      expect(() => migrateJsonDocument({ schemaVersion: JSON_SCHEMA_VERSION + 1, records: {} })).toThrow('newer');
+    });
+  });
+
+  describe('JSON repositories', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sfu-migrate-'));
+      jest.spyOn(process, 'cwd').mockReturnValue(dataDir);
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('should repair a legacy users.json on load and stamp the schema version', async () => {
+      const admin = new User({ username: 'admin', email: 'admin@example.com', metadata });
+      await fs.mkdir(path.join(dataDir, 'data'));
+      await fs.writeFile(path.join(dataDir, 'data', 'users.json'), JSON.stringify({
+        [admin.id]: { ...admin.toObject(), metadata: encodeTimes(metadata, 9) }
+      }));
+
+      const users = await createUserRepository({ type: 'json' }).loadAll();
+      const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'data', 'users.json'), 'utf8'));
+
+      expect(users.get(admin.id).metadata).toEqual(metadata);
+      expect(stored.schemaVersion).toBe(JSON_SCHEMA_VERSION);
+      expect(stored.records[admin.id].metadata).toEqual(metadata);
+    });
+
+    it('should keep metadata stable over repeated saves and loads', async () => {
+      const repository = createUserRepository({ type: 'json' });
+      const user = new User({ username: 'alice', email: 'alice@example.com', metadata });
+
+      let users = new Map([[user.id, user]]);
+      for (let i = 0; i < 5; i++) {
+        await repository.saveAll(users.values());
+        users = await createUserRepository({ type: 'json' }).loadAll();
+      }
+
+      expect(users.get(user.id).metadata).toEqual(metadata);
+    });
+
+    it('should migrate both files from the CLI entry point', async () => {
+      await fs.mkdir(path.join(dataDir, 'data'));
+      await fs.writeFile(path.join(dataDir, 'data', 'users.json'), '{}');
+
+      expect(await migrateStores({ type: 'json' })).toEqual({ users: [2], files: [] });
+      expect(await migrateStores({ type: 'json' })).toEqual({ users: [], files: [] });
+      expect((await createFileMetadataRepository({ type: 'json' }).loadAll()).size).toBe(0);
+    });
+  });
+
+  describe('SQL migration', () => {
+    let database;
+
+    beforeEach(() => {
+      database = new SqliteDatabase(':memory:');
+    });
+
+    afterEach(async () => {
+      await database.close();
+    });
+
+    it('should repair metadata rows imported with nested encodings', async () => {
+      const users = new SqlRepository(database, USERS_TABLE, User);
+      const user = new User({ username: 'alice', email: 'alice@example.com', metadata });
+      await users.saveAll([user]);
+
+      // As if imported before the repair existed
+      await database.run('UPDATE users SET metadata = ? WHERE id = ?', [encodeTimes(metadata, 6), user.id]);
+      await database.run('DELETE FROM schema_migrations WHERE version = 3');
+      database.migrated = null;
+
+      expect(await database.migrate()).toEqual([3]);
+      expect((await users.findById(user.id)).metadata).toEqual(metadata);
+    });
+  });
+
+  describe('dedupeStoredFiles', () => {
+    let dataDir;
+    let repository;
+    let storageManager;
+
+    // Files as stored before content addressing: one random name per upload
+    const legacyFile = async (name, content, status = 'active') => {
+      await fs.writeFile(path.join(dataDir, name), content);
+      return new FileMetadata({
+        userId: 'user-1',
+        originalFilename: name,
+        storedFilename: name,
+        filePath: path.join(dataDir, name),
+        fileSize: Buffer.byteLength(content),
+        checksum: crypto.createHash('sha256').update(content).digest('hex'),
+        status
+      });
+    };
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sfu-dedupe-'));
+      storageManager = new FileStorageManager();
+      storageManager.storagePath = dataDir;
+
+      const saved = new Map();
+      repository = {
+        loadAll: async () => new Map(Array.from(saved.values()).map(record => [record.id, FileMetadata.fromDatabase(record)])),
+        saveAll: async entities => {
+          saved.clear();
+          for (const entity of entities) {
+            saved.set(entity.id, entity.toObject());
+          }
+        }
+      };
+    });
+
+    afterEach(async () => {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('should point identical uploads at one blob and remove the copies', async () => {
+      const first = await legacyFile('a1.txt', 'same content');
+      const second = await legacyFile('b2.txt', 'same content');
+      const other = await legacyFile('c3.txt', 'other content');
+      await repository.saveAll([first, second, other]);
+
+      const preview = await dedupeStoredFiles({ repository, storageManager, dryRun: true });
+      expect(preview).toMatchObject({ moved: 3, removedFiles: 3, reclaimedBytes: 12 });
+      expect((await fs.readdir(dataDir)).sort()).toEqual(['a1.txt', 'b2.txt', 'c3.txt']);
+
+      const result = await dedupeStoredFiles({ repository, storageManager });
+      const records = await repository.loadAll();
+      const blob = storageManager.blobFilename(first.checksum, 'a1.txt');
+
+      expect(result).toMatchObject({ moved: 3, removedFiles: 3, reclaimedBytes: 12, skipped: [] });
+      expect(records.get(first.id).storedFilename).toBe(blob);
+      expect(records.get(second.id).storedFilename).toBe(blob);
+      expect(records.get(first.id).fileSize).toBe(12);
+      expect((await fs.readdir(dataDir)).sort())
+        .toEqual([blob, storageManager.blobFilename(other.checksum, 'c3.txt')].sort());
+
+      // Nothing left to do on a second run
+      expect(await dedupeStoredFiles({ repository, storageManager })).toMatchObject({ moved: 0, removedFiles: 0 });
+    });
+
+    it('should skip files that are missing or no longer match their checksum', async () => {
+      const missing = await legacyFile('gone.txt', 'content');
+      const tampered = await legacyFile('tampered.txt', 'original');
+      await fs.unlink(path.join(dataDir, 'gone.txt'));
+      await fs.writeFile(path.join(dataDir, 'tampered.txt'), 'changed');
+      await repository.saveAll([missing, tampered]);
+
+      const result = await dedupeStoredFiles({ repository, storageManager });
+
+      expect(result.skipped).toEqual([
+        { id: missing.id, reason: 'File is missing' },
+        { id: tampered.id, reason: 'Checksum mismatch' }
+      ]);
+      expect(await fs.readdir(dataDir)).toEqual(['tampered.txt']);
+    });
+  });
+});
@@ -49,32 +49,30 @@ describe('FileStorageManager', () => {
       expect(result.checksum).toBeDefined();
     });
 
-    it('should generate secure filename', async () => {
+    it('should name the stored file after its content', async () => {
       const fileBuffer = Buffer.from('test content');
-      const originalFilename = 'test.txt';
+      const originalFilename = '../Test.TXT';
       const mimeType = 'text/plain';
       const userId = 'user123';
 
       const result = await storageManager.storeFile(fileBuffer, originalFilename, mimeType, userId);
 
       expect(result.success).toBe(true);
-      expect(result.storedFilename).toMatch(/^[a-f0-9-]{36}\.txt$/); // UUID + extension
+      expect(result.storedFilename).toBe(`${result.checksum}.txt`); // SHA-256 + extension
     });
 
-    it('should handle filename collision', async () => {
+    it('should store identical content once', async () => {
       const fileBuffer = Buffer.from('test content');
-      const originalFilename = 'test.txt';
       const mimeType = 'text/plain';
       const userId = 'user123';
 
-      // Store first file
-      const result1 = await storageManager.storeFile(fileBuffer, originalFilename, mimeType, userId);
-      expect(result1.success).toBe(true);
+      const result1 = await storageManager.storeFile(fileBuffer, 'first.txt', mimeType, userId);
+      const result2 = await storageManager.storeFile(fileBuffer, 'second.txt', mimeType, 'user456');
+      const result3 = await storageManager.storeFile(Buffer.from('other content'), 'first.txt', mimeType, userId);
 
-      // Store second file with same name (should get different stored filename)
-      const result2 = await storageManager.storeFile(fileBuffer, originalFilename, mimeType, userId);
-      expect(result2.success).toBe(true);
-      expect(result2.storedFilename).not.toBe(result1.storedFilename);
+      expect(result2.storedFilename).toBe(result1.storedFilename);
+      expect(result3.storedFilename).not.toBe(result1.storedFilename);
+      expect(await fs.readdir(testDir)).toHaveLength(2);
     });
   });
 
@@ -1,4 +1,5 @@
 const FileValidator = require('../../src/main/validation/FileValidator');
+const UploadPolicy = require('../../src/main/validation/UploadPolicy');
 const path = require('path');
 
 describe('FileValidator', () => {
@@ -12,7 +13,7 @@ describe('FileValidator', () => {
     it('should validate a valid PNG file', async () => {
       const mockFile = {
         originalname: 'test.png',
-        buffer: Buffer.from('fake-png-content'),
+        buffer: Buffer.concat([Buffer.from('89504E470D0A1A0A', 'hex'), Buffer.from('png-content')]),
         size: 1024,
         mimetype: 'image/png'
       };
@@ -25,6 +26,99 @@ describe('FileValidator', () => {
       expect(result.sanitizedData.originalFilename).toBe('test.png');
     });
 
+    it('should reject a file whose content lacks the signature its extension requires', async () => {
+      const mislabelled = name => ({
+        originalname: name,
+        buffer: Buffer.from('arbitrary bytes, not a real document'),
+        size: 36,
+        mimetype: 'application/octet-stream'
+      });
+
+      for (const name of ['photo.png', 'report.docx', 'budget.xlsx']) {
+        const result = await fileValidator.validateFile(mislabelled(name), 'user123');
+
+        expect(result.isValid).toBe(false);
+        expect(result.errors).toEqual(expect.arrayContaining([expect.stringMatching(/signature found/)]));
+      }
+
+      // Text classes declare no signatures and only get a warning
+      const text = await fileValidator.validateFile({ ...mislabelled('notes.txt'), mimetype: 'text/plain' }, 'user123');
+      expect(text.isValid).toBe(true);
+      expect(text.warnings).toContain('Unable to detect file type from content');
+    });
+
+    it('should validate a streamed upload from its head and checksum', async () => {
+      const streamedFile = {
+        originalname: 'report.pdf',
+        path: '/tmp/quarantine/upload',
+        head: Buffer.from('%PDF-1.7 streamed'),
+        checksum: 'a'.repeat(64),
+        containsNullByte: true,
+        size: 4096,
+        mimetype: 'application/pdf'
+      };
+
+      const result = await fileValidator.validateFile(streamedFile, 'user123');
+
+      expect(result.isValid).toBe(true);
+      expect(result.sanitizedData.mimeType).toBe('application/pdf');
+      expect(result.sanitizedData.checksum).toBe('a'.repeat(64));
+    });
+
+    it('should reject a streamed upload whose head is executable', async () => {
+      const streamedFile = {
+        originalname: 'notes.txt',
+        path: '/tmp/quarantine/upload',
+        head: Buffer.from([0x7F, 0x45, 0x4C, 0x46, 0x02, 0x01]),
+        checksum: 'b'.repeat(64),
+        containsNullByte: true,
+        size: 4096,
+        mimetype: 'text/plain'
+      };
+
+      const result = await fileValidator.validateFile(streamedFile, 'user123');
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain('File appears to be an executable, which is not allowed');
+    });
+
+    it('should reject a file class the uploader\'s role may not upload', async () => {
+      const policy = new UploadPolicy({
+        version: 1,
+        classes: {
+          text: { extensions: ['.txt'], mime_types: ['text/plain'] },
+          csv: { extensions: ['.csv'], mime_types: ['text/csv'], roles: ['admin'] }
+        }
+      }, { maxFileSizeMb: 10 });
+      const mockFile = {
+        originalname: 'export.csv',
+        buffer: Buffer.from('a,b\n1,2\n'),
+        size: 8,
+        mimetype: 'text/csv'
+      };
+
+      const userResult = await new FileValidator(policy).validateFile(mockFile, 'user123', { role: 'user' });
+      const adminResult = await new FileValidator(policy).validateFile(mockFile, 'user123', { role: 'admin' });
+
+      expect(userResult.isValid).toBe(false);
+      expect(userResult.errors).toEqual(["File extension '.csv' is not allowed for your role"]);
+      expect(adminResult.isValid).toBe(true);
+    });
+
+    it('should accept an Office document by its ZIP signature', async () => {
+      const mockFile = {
+        originalname: 'report.docx',
+        buffer: Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00, 0x06, 0x00]),
+        size: 8,
+        mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+      };
+
+      const result = await fileValidator.validateFile(mockFile, 'user123');
+
+      expect(result.isValid).toBe(true);
+      expect(result.warnings).toEqual([]);
+    });
+
     it('should reject file with dangerous extension', async () => {
       const mockFile = {
         originalname: 'malicious.exe',
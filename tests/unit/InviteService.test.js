@@ -0,0 +1,81 @@
+const InviteService = require('../../src/main/services/InviteService');
+
+describe('InviteService', () => {
+  let inviteService;
+  const redeemer = n => ({ id: `user-${n}`, username: `user${n}`, email: `user${n}@example.com` });
+
+  beforeEach(() => {
+    // Keep invites off disk
+    jest.spyOn(InviteService.prototype, 'loadInvites').mockResolvedValue();
+    jest.spyOn(InviteService.prototype, 'saveInvites').mockResolvedValue();
+    inviteService = new InviteService();
+  });
+
+  describe('createInvite', () => {
+    it('should return a readable code and store only its hash', () => {
+      const { invite, code } = inviteService.createInvite({ createdBy: 'admin', role: 'user' });
+
+      expect(code).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+      expect(invite.prefix).toBe(code.slice(0, 4));
+      expect(JSON.stringify(invite)).not.toContain(code);
+      expect(inviteService.getSafeInvite(invite)).not.toHaveProperty('codeHash');
+    });
+
+    it('should clamp uses and lifetime to the configured limits', () => {
+      const { invite } = inviteService.createInvite({ createdBy: 'admin', role: 'user', maxUses: 100000, expiresInDays: 100000 });
+      const lifetimeDays = (new Date(invite.expiresAt) - new Date(invite.createdAt)) / (24 * 60 * 60 * 1000);
+
+      expect(invite.maxUses).toBe(inviteService.maxUsesLimit);
+      expect(Math.round(lifetimeDays)).toBe(inviteService.maxExpiryDays);
+    });
+  });
+
+  describe('redeem', () => {
+    it('should accept codes regardless of case, spaces and dashes', () => {
+      const { code } = inviteService.createInvite({ createdBy: 'admin', role: 'user' });
+
+      const result = inviteService.redeem(` ${code.toLowerCase().replace(/-/g, ' ')} `, redeemer(1));
+
+      expect(result.success).toBe(true);
+      expect(result.invite.redemptions).toEqual([
+        expect.objectContaining({ userId: 'user-1', username: 'user1', email: 'user1@example.com' })
+      ]);
+    });
+
+    it('should stop accepting a code once its uses are spent', () => {
+      const { invite, code } = inviteService.createInvite({ createdBy: 'admin', role: 'user', maxUses: 2 });
+
+      expect(inviteService.redeem(code, redeemer(1)).success).toBe(true);
+      expect(inviteService.redeem(code, redeemer(2)).success).toBe(true);
+      expect(inviteService.redeem(code, redeemer(3))).toEqual({ success: false, reason: 'Invite is exhausted' });
+      expect(invite.uses).toBe(2);
+      expect(inviteService.getStatus(invite)).toBe('exhausted');
+    });
+
+    it('should refuse unknown, expired and revoked codes', () => {
+      const expired = inviteService.createInvite({ createdBy: 'admin', role: 'user' });
+      expired.invite.expiresAt = new Date(Date.now() - 1000).toISOString();
+      const revoked = inviteService.createInvite({ createdBy: 'admin', role: 'user' });
+      inviteService.revokeInvite(revoked.invite.id, 'admin');
+
+      expect(inviteService.redeem('AAAA-BBBB-CCCC', redeemer(1)).reason).toBe('Unknown invite code');
+      expect(inviteService.redeem(expired.code, redeemer(1)).reason).toBe('Invite is expired');
+      expect(inviteService.redeem(revoked.code, redeemer(1)).reason).toBe('Invite is revoked');
+      expect(revoked.invite.revokedBy).toBe('admin');
+    });
+  });
+
+  describe('listInvites', () => {
+    it('should list invites newest first with their status', () => {
+      const first = inviteService.createInvite({ createdBy: 'admin', role: 'user' });
+      first.invite.createdAt = new Date(Date.now() - 60000).toISOString();
+      const second = inviteService.createInvite({ createdBy: 'admin', role: 'viewer', note: 'Contractors' });
+
+      const invites = inviteService.listInvites();
+
+      expect(invites.map(invite => invite.id)).toEqual([second.invite.id, first.invite.id]);
+      expect(invites[0]).toEqual(expect.objectContaining({ role: 'viewer', note: 'Contractors', status: 'active' }));
+      expect(inviteService.revokeInvite('0000000000000000', 'admin')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../../src/main/services/JobQueue');
+
+// Mock the logger to keep job_failed events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn(),
+  logError: jest.fn()
+}));
+
+describe('JobQueue', () => {
+  let tempDir;
+  let queues;
+
+  const createQueue = (options = {}) => {
+    const queue = new JobQueue({
+      path: path.join(tempDir, 'jobs.json'),
+      max_concurrent: 4,
+      defaults: { concurrency: 2, max_attempts: 3, backoff_seconds: 0.01, timeout_seconds: 5 },
+      types: {},
+      ...options
+    });
+    queues.push(queue);
+    return queue;
+  };
+
+  // Resolves once every job has completed or failed and its outcome has been recorded
+  const settled = queue => new Promise(resolve => {
+    const check = () => (
+      queue.running === 0 && queue.list().every(job => job.status === 'completed' || job.status === 'failed')
+        ? resolve()
+        : setTimeout(check, 5)
+    );
+    check();
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    queues = [];
+  });
+
+  afterEach(() => {
+    queues.forEach(queue => queue.stop());
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should run jobs and report each state change', async () => {
+    const updates = [];
+    const queue = createQueue({ onUpdate: job => updates.push(job.status) });
+    queue.register('echo', payload => ({ echoed: payload.value }));
+    await queue.start();
+
+    const job = await queue.enqueue('echo', { value: 42 });
+    await settled(queue);
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'completed', attempts: 1, result: { echoed: 42 } });
+    expect(updates).toEqual(['queued', 'running', 'completed']);
+  });
+
+  it('should not run more jobs of a type than its concurrency', async () => {
+    const queue = createQueue({ types: { slow: { concurrency: 1 } } });
+    let running = 0;
+    let peak = 0;
+    queue.register('slow', async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+    });
+    await queue.start();
+
+    await Promise.all([1, 2, 3].map(n => queue.enqueue('slow', { n })));
+    await settled(queue);
+
+    expect(peak).toBe(1);
+    expect(queue.getCounts()).toMatchObject({ completed: 3, failed: 0 });
+  });
+
+  it('should return the existing job for a key that is still queued', async () => {
+    const queue = createQueue();
+    queue.register('scan', () => null);
+
+    const first = await queue.enqueue('scan', { fileId: 'a' }, { key: 'scan:a' });
+    const second = await queue.enqueue('scan', { fileId: 'a' }, { key: 'scan:a' });
+
+    expect(second.id).toBe(first.id);
+    expect(queue.list()).toHaveLength(1);
+  });
+
+  it('should retry with backoff, dead-letter the job, and run it again once requeued', async () => {
+    const queue = createQueue();
+    let calls = 0;
+    queue.register('flaky', () => {
+      calls++;
+      if (calls <= 3) {
+        throw new Error(`Attempt ${calls} failed`);
+      }
+      return 'done';
+    });
+    await queue.start();
+
+    const job = await queue.enqueue('flaky', {});
+    await settled(queue);
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'failed', attempts: 3, lastError: 'Attempt 3 failed' });
+    expect(queue.getRetryDelay({ type: 'flaky', attempts: 2 })).toBe(20);
+    expect(queue.list({ status: 'failed' }).map(failed => failed.id)).toEqual([job.id]);
+
+    expect(await queue.requeue(job.id)).toMatchObject({ success: true });
+    await settled(queue);
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'completed', attempts: 1, requeueCount: 1, result: 'done' });
+    expect(await queue.requeue(job.id)).toMatchObject({ success: false, code: 'JOB_NOT_FAILED' });
+  });
+
+  it('should skip the remaining attempts for a permanent error', async () => {
+    const queue = createQueue();
+    queue.register('broken', () => {
+      throw Object.assign(new Error('File is gone'), { permanent: true });
+    });
+    await queue.start();
+
+    const job = await queue.enqueue('broken', {});
+    await settled(queue);
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  it('should abort a timed-out attempt so it cannot run alongside its retry', async () => {
+    const queue = createQueue({ defaults: { concurrency: 2, max_attempts: 2, backoff_seconds: 0.01, timeout_seconds: 0.05 } });
+    const signals = [];
+    let running = 0;
+    let peak = 0;
+    queue.register('hang', (payload, job, signal) => new Promise((resolve, reject) => {
+      signals.push(signal);
+      running++;
+      peak = Math.max(peak, running);
+      signal.addEventListener('abort', () => {
+        running--;
+        reject(signal.reason);
+      });
+    }));
+    await queue.start();
+
+    const job = await queue.enqueue('hang', {});
+    await settled(queue);
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'failed', attempts: 2, lastError: 'Job timed out after 0.05s' });
+    expect(signals.map(signal => signal.aborted)).toEqual([true, true]);
+    expect(peak).toBe(1);
+  });
+
+  it('should persist jobs and queue interrupted ones again after a restart', async () => {
+    const before = createQueue();
+    before.register('work', () => 'ok');
+    const job = await before.enqueue('work', { n: 1 }); // Not started, so it stays queued
+
+    // Simulate a crash in the middle of an attempt
+    const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'jobs.json'), 'utf8'));
+    Object.assign(saved[job.id], { status: 'running', attempts: 1 });
+    fs.writeFileSync(path.join(tempDir, 'jobs.json'), JSON.stringify(saved));
+
+    const after = createQueue();
+    after.register('work', () => 'ok');
+    await after.start();
+    await settled(after);
+
+    expect(after.get(job.id)).toMatchObject({ status: 'completed', attempts: 2, result: 'ok' });
+  });
+});
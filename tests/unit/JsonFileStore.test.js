@@ -0,0 +1,98 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const JsonFileStore = require('../../src/main/storage/JsonFileStore');
+
+// Mock the logger to keep security events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+const Logger = require('../../src/main/config/Logger');
+
+describe('JsonFileStore', () => {
+  let directory;
+  let file;
+  let store;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'json-store-'));
+    file = path.join(directory, 'users.json');
+    store = new JsonFileStore(file, { generations: 2 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should return null before anything has been saved', async () => {
+    expect(await store.read()).toBeNull();
+  });
+
+  it('should write atomically and keep previous generations', async () => {
+    await store.write({ version: 1 });
+    await store.write({ version: 2 });
+    await store.write({ version: 3 });
+
+    expect(await store.read()).toEqual({ version: 3 });
+    expect(JSON.parse(await fs.readFile(`${file}.1`, 'utf8'))).toEqual({ version: 2 });
+    expect(JSON.parse(await fs.readFile(`${file}.2`, 'utf8'))).toEqual({ version: 1 });
+    expect((await fs.readdir(directory)).sort()).toEqual(['users.json', 'users.json.1', 'users.json.2']);
+    expect((await fs.stat(file)).mode & 0o777).toBe(0o600);
+  });
+
+  it('should serialize concurrent saves and coalesce the queued ones', async () => {
+    const writeNow = jest.spyOn(store, 'writeNow');
+
+    const first = store.write({ version: 1 });
+    await new Promise(resolve => setImmediate(resolve)); // Let the first save start
+    await Promise.all([first, ...[2, 3, 4, 5].map(version => store.write({ version }))]);
+
+    // The saves made while the first was running are merged into one write of the newest data
+    expect(writeNow).toHaveBeenCalledTimes(2);
+    expect(writeNow.mock.calls[1][0]).toEqual({ version: 5 });
+    expect(await store.read()).toEqual({ version: 5 });
+  });
+
+  it('should keep the queue working after a failed write', async () => {
+    jest.spyOn(store, 'writeNow').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(store.write({ version: 1 })).rejects.toThrow('disk full');
+    await store.write({ version: 2 });
+
+    expect(await store.read()).toEqual({ version: 2 });
+  });
+
+  it('should restore a truncated file from the last good generation', async () => {
+    await store.write({ version: 1 });
+    await store.write({ version: 2 });
+    await fs.writeFile(file, '{"version": 3, "users": {"ali');
+
+    const recovered = new JsonFileStore(file, { generations: 2 });
+
+    expect(await recovered.read()).toEqual({ version: 1 });
+    expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({ version: 1 });
+    expect((await fs.readdir(directory)).some(name => name.startsWith('users.json.corrupt-'))).toBe(true);
+    expect(Logger.logSecurityEvent).toHaveBeenCalledWith('data_file_recovered', expect.objectContaining({
+      file,
+      generation: 1
+    }), 'warn');
+  });
+
+  it('should restore a data file lost between rotation and rename', async () => {
+    await store.write({ version: 1 });
+    await store.write({ version: 2 });
+    await fs.rm(file);
+
+    expect(await store.read()).toEqual({ version: 1 });
+  });
+
+  it('should refuse to start from a corrupt file without a readable generation', async () => {
+    await fs.writeFile(file, '');
+
+    await expect(store.read()).rejects.toMatchObject({ code: 'DATA_FILE_CORRUPT' });
+    expect(await fs.readdir(directory)).toEqual([expect.stringMatching(/^users\.json\.corrupt-\d+$/)]);
+    expect(Logger.logSecurityEvent).toHaveBeenCalledWith('data_file_unrecoverable', expect.any(Object), 'error');
+  });
+});
@@ -0,0 +1,83 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const MailService = require('../../src/main/services/MailService');
+const OutboxTransport = require('../../src/main/mail/OutboxTransport');
+
+describe('MailService', () => {
+  const outboxPath = path.join(os.tmpdir(), `outbox-${process.pid}`);
+  let mailService;
+
+  beforeEach(async () => {
+    await fs.rm(outboxPath, { recursive: true, force: true });
+    mailService = new MailService(new OutboxTransport(outboxPath));
+  });
+
+  afterAll(async () => {
+    await fs.rm(outboxPath, { recursive: true, force: true });
+  });
+
+  describe('OutboxTransport', () => {
+    it('should write messages to the outbox in order', async () => {
+      await mailService.send({ to: 'first@example.com', subject: 'One', text: '1' });
+      await mailService.send({ to: 'second@example.com', subject: 'Two', text: '2' });
+
+      const messages = await mailService.transport.list();
+
+      expect(messages.map(message => message.to)).toEqual(['first@example.com', 'second@example.com']);
+      expect(messages[0].from).toBe(mailService.from);
+      expect(messages[0].messageId).toBeDefined();
+    });
+
+    it('should return an empty list before anything was sent', async () => {
+      await expect(mailService.transport.list()).resolves.toEqual([]);
+    });
+  });
+
+  describe('sendEmailVerification', () => {
+    const user = {
+      email: 'alice@example.com',
+      username: 'alice',
+      firstName: '<b>Alice</b>'
+    };
+
+    it('should send a verification link containing the token', async () => {
+      await mailService.sendEmailVerification(user, 'header.payload.signature', 24);
+
+      const [message] = await mailService.transport.list();
+
+      expect(message.to).toBe('alice@example.com');
+      expect(message.text).toContain(`${mailService.baseUrl}/api/auth/verify-email?token=header.payload.signature`);
+      expect(message.text).toContain('24 hours');
+    });
+
+    it('should escape user-controlled text in the HTML body', async () => {
+      await mailService.sendEmailVerification(user, 'header.payload.signature', 24);
+
+      const [message] = await mailService.transport.list();
+
+      expect(message.html).not.toContain('<b>Alice</b>');
+      expect(message.html).toContain('&lt;b&gt;Alice&lt;/b&gt;');
+    });
+  });
+
+  describe('sendPasswordReset', () => {
+    it('should put the reset token in the URL fragment', async () => {
+      await mailService.sendPasswordReset({ email: 'alice@example.com', username: 'alice' }, 'reset-token', 30);
+
+      const [message] = await mailService.transport.list();
+
+      expect(message.text).toContain(`${mailService.baseUrl}/#password-reset=reset-token`);
+      expect(message.text).not.toContain('?');
+      expect(message.text).toContain('30 minutes');
+    });
+  });
+
+  describe('createTransport', () => {
+    it('should reject unknown transports', () => {
+      mailService.config = { transport: 'carrier-pigeon' };
+
+      expect(() => mailService.createTransport()).toThrow('Unknown mail transport');
+    });
+  });
+});
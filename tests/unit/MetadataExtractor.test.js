@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MetadataExtractor = require('../../src/main/services/MetadataExtractor');
+
+describe('MetadataExtractor', () => {
+  const extractor = new MetadataExtractor();
+  let tempDir;
+
+  const extract = (content, mimeType) => {
+    const filePath = path.join(tempDir, 'file');
+    fs.writeFileSync(filePath, content);
+    return extractor.extract(filePath, mimeType);
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should read PNG dimensions from the IHDR chunk', async () => {
+    const png = Buffer.alloc(33);
+    Buffer.from('89504E470D0A1A0A0000000D49484452', 'hex').copy(png);
+    png.writeUInt32BE(640, 16);
+    png.writeUInt32BE(480, 20);
+
+    expect(await extract(png, 'image/png')).toEqual({ width: 640, height: 480 });
+  });
+
+  it('should read GIF dimensions from the logical screen descriptor', async () => {
+    const gif = Buffer.concat([Buffer.from('GIF89a'), Buffer.from([0x20, 0x00, 0x10, 0x00, 0x00])]);
+
+    expect(await extract(gif, 'image/gif')).toEqual({ width: 32, height: 16 });
+  });
+
+  it('should skip JPEG segments up to the start-of-frame', async () => {
+    const jpeg = Buffer.from([
+      0xFF, 0xD8,
+      0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00, // APP0 with two bytes of data
+      0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x78, 0x00, 0xA0, 0x03, 0x01, 0x22, 0x00 // SOF0: 160x120
+    ]);
+
+    expect(await extract(jpeg, 'image/jpeg')).toEqual({ width: 160, height: 120 });
+  });
+
+  it('should read the PDF version and return nothing for other types', async () => {
+    expect(await extract('%PDF-1.7\n%âãÏÓ', 'application/pdf')).toEqual({ pdfVersion: '1.7' });
+    expect(await extract('plain text', 'text/plain')).toEqual({});
+  });
+});
@@ -0,0 +1,74 @@
+const EventEmitter = require('events');
+const PostgresDatabase = require('../../src/main/repositories/PostgresDatabase');
+
+describe('PostgresDatabase', () => {
+  let pool;
+  let client;
+  let database;
+
+  beforeEach(() => {
+    // Stand-in for a pg Pool so statement handling can be checked without a server
+    client = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }), release: jest.fn() };
+    pool = Object.assign(new EventEmitter(), {
+      query: jest.fn().mockResolvedValue({ rows: [{ total: '3' }], rowCount: 1 }),
+      connect: jest.fn().mockResolvedValue(client),
+      end: jest.fn().mockResolvedValue()
+    });
+    database = new PostgresDatabase({}, pool);
+  });
+
+  it('should send repository SQL with numbered placeholders', async () => {
+    const row = await database.get('SELECT COUNT(*) AS total FROM users WHERE "status" = ? AND "role" = ?', ['active', 'user']);
+
+    expect(pool.query).toHaveBeenCalledWith('SELECT COUNT(*) AS total FROM users WHERE "status" = $1 AND "role" = $2', ['active', 'user']);
+    expect(row).toEqual({ total: '3' });
+    expect(database.shared).toBe(true);
+  });
+
+  it('should commit a transaction on one client and release it', async () => {
+    const result = await database.transaction(async tx => {
+      await tx.run('DELETE FROM users WHERE id = ?', ['user-1']);
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'DELETE FROM users WHERE id = $1', 'COMMIT']);
+    expect(client.release).toHaveBeenCalled();
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  it('should roll back and release the client when the work fails', async () => {
+    await expect(database.transaction(() => Promise.reject(new Error('boom')))).rejects.toThrow('boom');
+
+    expect(client.query.mock.calls.map(call => call[0])).toEqual(['BEGIN', 'ROLLBACK']);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('should hold a named advisory lock on its own connection until released', async () => {
+    const release = await database.acquireLock('blob:abc');
+
+    const [[lockSql, [key]]] = client.query.mock.calls;
+    expect(lockSql).toBe('SELECT pg_advisory_lock($1)');
+    expect(key).toMatch(/^-?\d+$/);
+    expect(client.release).not.toHaveBeenCalled();
+
+    await release();
+    expect(client.query).toHaveBeenLastCalledWith('SELECT pg_advisory_unlock($1)', [key]);
+    expect(client.release).toHaveBeenCalledWith();
+
+    await (await database.acquireLock('blob:abc'))();
+    expect(client.query.mock.calls[2][1]).toEqual([key]);
+  });
+
+  it('should migrate under an advisory lock once per process', async () => {
+    await database.migrate();
+    await database.migrate();
+
+    const statements = client.query.mock.calls.map(call => call[0]);
+    expect(pool.connect).toHaveBeenCalledTimes(1);
+    expect(statements[1]).toMatch(/^SELECT pg_advisory_xact_lock\(\d+\)$/);
+    expect(statements.some(sql => sql.includes('"twoFactorEnabled" BOOLEAN'))).toBe(true);
+    expect(statements.some(sql => sql.includes('"apiKeys" JSONB'))).toBe(true);
+    expect(statements.filter(sql => sql.startsWith('INSERT INTO schema_migrations'))).toHaveLength(3);
+  });
+});
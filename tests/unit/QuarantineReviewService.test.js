@@ -0,0 +1,154 @@
+const UploadService = require('../../src/main/services/UploadService');
+const JobQueue = require('../../src/main/services/JobQueue');
+const QuarantineReviewService = require('../../src/main/services/QuarantineReviewService');
+const Logger = require('../../src/main/config/Logger');
+
+describe('QuarantineReviewService', () => {
+  let uploadService;
+  let reviewService;
+  const alice = { id: 'admin-1', username: 'alice' };
+  const bob = { id: 'admin-2', username: 'bob' };
+
+  const upload = async (name, userId = 'user-1') => {
+    const result = await uploadService.uploadFile({
+      fieldname: 'files',
+      originalname: name,
+      mimetype: 'text/plain',
+      size: 5,
+      buffer: Buffer.from('hello')
+    }, userId);
+    return uploadService.uploadHistory.get(result.fileId);
+  };
+
+  const quarantine = async (name, userId) => {
+    const fileMetadata = await upload(name, userId);
+    fileMetadata.updateVirusScan('infected', 'Eicar-Test-Signature FOUND');
+    fileMetadata.markQuarantined('Virus detected: Eicar-Test-Signature');
+    return fileMetadata;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(UploadService.prototype, 'loadUploadHistory').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'saveUploadHistory').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'logSecurityEvent').mockResolvedValue();
+    jest.spyOn(JobQueue.prototype, 'save').mockResolvedValue();
+    jest.spyOn(Logger, 'logSecurityEvent').mockImplementation(() => {});
+
+    UploadService.instance = null;
+    uploadService = new UploadService();
+    reviewService = new QuarantineReviewService(uploadService);
+
+    jest.spyOn(uploadService.fileValidator, 'validateFile').mockImplementation(async file => ({
+      isValid: true,
+      errors: [],
+      warnings: [],
+      sanitizedData: {
+        originalFilename: file.originalname,
+        mimeType: file.mimetype,
+        fileExtension: '.txt',
+        checksum: 'checksum'
+      }
+    }));
+    jest.spyOn(uploadService.fileStorageManager, 'storeFile').mockImplementation(async (buffer, name, mimeType) => ({
+      success: true,
+      storedFilename: 'stored-blob',
+      filePath: '/tmp/stored-blob',
+      fileSize: buffer.length,
+      mimeType,
+      checksum: 'checksum'
+    }));
+    jest.spyOn(uploadService.fileStorageManager, 'deleteFile').mockResolvedValue({ success: true });
+    jest.spyOn(uploadService, 'checkRateLimit').mockResolvedValue({ allowed: true });
+    jest.spyOn(uploadService, 'updateRateLimit').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    UploadService.instance = null;
+  });
+
+  it('should list only quarantined files, with their reason', async () => {
+    await upload('clean.txt');
+    const infected = await quarantine('eicar.txt');
+
+    const result = await reviewService.listFiles();
+
+    expect(result.total).toBe(1);
+    expect(result.files).toEqual([expect.objectContaining({
+      id: infected.id,
+      virusScanStatus: 'infected',
+      quarantineReason: 'Virus detected: Eicar-Test-Signature',
+      releaseRequest: null
+    })]);
+  });
+
+  it('should require a second admin to approve a release', async () => {
+    const infected = await quarantine('eicar.txt');
+
+    expect(await reviewService.requestRelease(infected.id, alice, 'False positive on our own build'))
+      .toMatchObject({ success: true });
+    expect(await reviewService.requestRelease(infected.id, bob, 'Also a false positive'))
+      .toMatchObject({ success: false, code: 'RELEASE_ALREADY_REQUESTED' });
+
+    expect(await reviewService.approveRelease(infected.id, alice))
+      .toMatchObject({ success: false, code: 'FOUR_EYES_REQUIRED' });
+    expect(infected.status).toBe('quarantined');
+
+    expect(await reviewService.approveRelease(infected.id, bob)).toMatchObject({
+      success: true,
+      file: { status: 'active', virusScanStatus: 'clean' }
+    });
+    expect(infected.metadata.releaseRequest).toBeUndefined();
+    expect(infected.metadata.releaseHistory).toEqual([expect.objectContaining({
+      requestedBy: 'admin-1',
+      approvedBy: 'admin-2',
+      justification: 'False positive on our own build',
+      virusScanStatus: 'infected',
+      virusScanDetails: 'Eicar-Test-Signature FOUND'
+    })]);
+
+    expect(Logger.logSecurityEvent.mock.calls.map(([event]) => event)).toEqual([
+      'quarantine_release_requested',
+      'quarantine_release_self_approval_denied',
+      'quarantine_released'
+    ]);
+    expect(Logger.logSecurityEvent).toHaveBeenLastCalledWith('quarantine_released', expect.objectContaining({
+      fileId: infected.id,
+      adminUserId: 'admin-2',
+      requestedBy: 'admin-1'
+    }), 'warn');
+  });
+
+  it('should keep a purged file\'s blob while another file shares it', async () => {
+    const shared = await upload('same.txt', 'user-2');
+    const infected = await quarantine('same.txt');
+
+    expect((await reviewService.getFile(infected.id)).file.sharedWith).toEqual([
+      { id: shared.id, userId: 'user-2', status: 'active' }
+    ]);
+
+    expect(await reviewService.purgeFile(infected.id, alice, 'Confirmed malware'))
+      .toMatchObject({ success: true, blobRetained: true });
+    expect(uploadService.fileStorageManager.deleteFile).not.toHaveBeenCalled();
+    expect(infected.status).toBe('deleted');
+    expect(infected.metadata.purge).toMatchObject({ purgedBy: 'admin-1', reason: 'Confirmed malware' });
+
+    // The last reference goes too once the other file is quarantined and purged
+    shared.markQuarantined('Same content as a purged file');
+    expect(await reviewService.purgeFile(shared.id, alice, 'Confirmed malware'))
+      .toMatchObject({ success: true, blobRetained: false });
+    expect(uploadService.fileStorageManager.deleteFile).toHaveBeenCalledWith('stored-blob', 'admin-1');
+  });
+
+  it('should refuse decisions on files that are not quarantined', async () => {
+    const clean = await upload('clean.txt');
+
+    expect(await reviewService.purgeFile(clean.id, alice, 'Mistake'))
+      .toMatchObject({ success: false, code: 'NOT_QUARANTINED' });
+    expect(await reviewService.getFile('missing'))
+      .toMatchObject({ success: false, code: 'FILE_NOT_FOUND' });
+    expect(await reviewService.withdrawRelease((await quarantine('eicar.txt')).id, alice, 'Nothing to withdraw'))
+      .toMatchObject({ success: false, code: 'NO_RELEASE_REQUEST' });
+    expect(uploadService.fileStorageManager.deleteFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,70 @@
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+const QuarantineStorage = require('../../src/main/storage/QuarantineStorage');
+const ContentInspector = require('../../src/main/validation/ContentInspector');
+
+describe('QuarantineStorage', () => {
+  let directory;
+  let storage;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'quarantine-'));
+    storage = new QuarantineStorage({ quarantinePath: directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should stream to a private temp file while hashing and keeping the head', async () => {
+    const chunks = [Buffer.alloc(3000, 'a'), Buffer.alloc(3000, 'b'), Buffer.from([0, 1, 2])];
+    const content = Buffer.concat(chunks);
+
+    const info = await storage.receive(Readable.from(chunks));
+
+    expect(path.dirname(info.path)).toBe(directory);
+    expect(await fs.readFile(info.path)).toEqual(content);
+    expect((await fs.stat(info.path)).mode & 0o777).toBe(0o600);
+    expect(info).toMatchObject({
+      size: content.length,
+      checksum: crypto.createHash('sha256').update(content).digest('hex'),
+      containsNullByte: true
+    });
+    expect(info.head).toEqual(content.subarray(0, ContentInspector.HEAD_BYTES));
+  });
+
+  it('should remove the temp file when the stream fails', async () => {
+    const source = Readable.from((async function * () {
+      yield Buffer.from('partial');
+      throw new Error('client went away');
+    })());
+
+    await expect(storage.receive(source)).rejects.toThrow('client went away');
+    expect(await fs.readdir(directory)).toEqual([]);
+  });
+
+  it('should work as a multer storage engine', async () => {
+    const info = await new Promise((resolve, reject) => {
+      storage._handleFile({}, { stream: Readable.from([Buffer.from('hello')]) }, (error, result) => (
+        error ? reject(error) : resolve(result)
+      ));
+    });
+    expect(info.size).toBe(5);
+
+    await new Promise(resolve => storage._removeFile({}, info, resolve));
+    expect(await fs.readdir(directory)).toEqual([]);
+  });
+
+  it('should remove only stale temp files', async () => {
+    const stale = await storage.receive(Readable.from([Buffer.from('old')]));
+    const fresh = await storage.receive(Readable.from([Buffer.from('new')]));
+    const anHourAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(stale.path, anHourAgo, anHourAgo);
+
+    expect(await storage.removeStale()).toBe(1);
+    expect(await fs.readdir(directory)).toEqual([path.basename(fresh.path)]);
+  });
+});
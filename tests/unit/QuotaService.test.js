@@ -0,0 +1,81 @@
+const QuotaService = require('../../src/main/services/QuotaService');
+
+describe('QuotaService', () => {
+  let quotaService;
+  const MB = 1024 * 1024;
+
+  beforeEach(() => {
+    quotaService = new QuotaService();
+    quotaService.defaultQuota = { max_storage_mb: 100, max_files: 200 };
+    quotaService.warnPercent = 80;
+    quotaService.roles = {
+      admin: { quota: { max_storage_mb: 0, max_files: 0 } },
+      user: { quota: { max_storage_mb: 500, max_files: 1000 } },
+      guest: {}
+    };
+  });
+
+  describe('getLimits', () => {
+    it('should use the quota of the role', () => {
+      expect(quotaService.getLimits({ role: 'user', metadata: {} }))
+        .toEqual({ maxBytes: 500 * MB, maxFiles: 1000, source: 'role' });
+    });
+
+    it('should treat a zero quota as unlimited', () => {
+      expect(quotaService.getLimits({ role: 'admin', metadata: {} }))
+        .toEqual({ maxBytes: null, maxFiles: null, source: 'role' });
+    });
+
+    it('should fall back to the default quota for roles without one', () => {
+      expect(quotaService.getLimits({ role: 'guest', metadata: {} }))
+        .toEqual({ maxBytes: 100 * MB, maxFiles: 200, source: 'default' });
+    });
+
+    it('should apply only the limits a user override sets', () => {
+      const user = { role: 'user', metadata: { quotaOverride: { maxStorageMb: 2048 } } };
+
+      expect(quotaService.getLimits(user)).toEqual({ maxBytes: 2048 * MB, maxFiles: 1000, source: 'user' });
+    });
+
+    it('should lift a limit overridden with null', () => {
+      const user = { role: 'user', metadata: { quotaOverride: { maxFiles: null } } };
+
+      expect(quotaService.getLimits(user)).toMatchObject({ maxBytes: 500 * MB, maxFiles: null });
+    });
+  });
+
+  describe('check', () => {
+    const limits = { maxBytes: 10 * MB, maxFiles: 5 };
+
+    it('should allow uploads that fit', () => {
+      expect(quotaService.check(limits, { bytes: 9 * MB, files: 4 }, { bytes: MB, files: 1 }))
+        .toEqual({ allowed: true, exceeded: [] });
+    });
+
+    it('should report every limit an upload exceeds', () => {
+      expect(quotaService.check(limits, { bytes: 9 * MB, files: 5 }, { bytes: 2 * MB, files: 1 }))
+        .toEqual({ allowed: false, exceeded: ['storage', 'files'] });
+    });
+
+    it('should allow anything without limits', () => {
+      expect(quotaService.check({ maxBytes: null, maxFiles: null }, { bytes: 9 * MB, files: 5 }, { bytes: MB, files: 1 }).allowed)
+        .toBe(true);
+    });
+  });
+
+  describe('getReport', () => {
+    it('should warn once usage reaches the soft limit', () => {
+      const report = quotaService.getReport({ maxBytes: 10 * MB, maxFiles: 100, source: 'role' }, { bytes: 8.5 * MB, files: 10 });
+
+      expect(report).toMatchObject({ storagePercent: 85, filesPercent: 10, warning: true });
+      expect(quotaService.getWarnings(report)).toEqual(['You have used 85% of your storage quota']);
+    });
+
+    it('should not warn without limits', () => {
+      const report = quotaService.getReport({ maxBytes: null, maxFiles: null, source: 'role' }, { bytes: 8 * MB, files: 10 });
+
+      expect(report).toMatchObject({ storagePercent: null, filesPercent: null, warning: false });
+      expect(quotaService.getWarnings(report)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const RateLimitStore = require('../../src/main/storage/RateLimitStore');
+
+// Mock the logger to keep security events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+const Logger = require('../../src/main/config/Logger');
+
+/**
+ * Stand-in for the few node-redis commands the store uses, sharing one keyspace
+ * between stores the way two app instances share a Redis server
+ */
+function createFakeRedis() {
+  const values = new Map();
+  const expiries = new Map();
+
+  return {
+    async eval(script, { keys, arguments: args }) {
+      const [key] = keys;
+      values.set(key, (values.get(key) || 0) + 1);
+      if (!expiries.has(key)) {
+        expiries.set(key, Date.now() + Number(args[0]));
+      }
+      return [values.get(key), expiries.get(key) - Date.now()];
+    },
+    async get(key) {
+      return values.has(key) ? String(values.get(key)) : null;
+    },
+    async pTTL(key) {
+      return expiries.has(key) ? expiries.get(key) - Date.now() : -2;
+    },
+    async decr(key) {
+      values.set(key, (values.get(key) || 0) - 1);
+      return values.get(key);
+    },
+    async del(key) {
+      values.delete(key);
+      expiries.delete(key);
+      return 1;
+    }
+  };
+}
+
+describe('RateLimitStore', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should count hits in memory without a Redis client', async () => {
+    const store = new RateLimitStore({ windowMs: 60000 });
+
+    await store.increment('1.2.3.4');
+    const result = await store.increment('1.2.3.4');
+
+    expect(store.localKeys).toBe(true);
+    expect(result.totalHits).toBe(2);
+    expect(result.resetTime.getTime()).toBeGreaterThan(Date.now());
+    expect((await store.get('5.6.7.8')).totalHits).toBe(0);
+  });
+
+  it('should start a new window once the old one has ended', async () => {
+    const store = new RateLimitStore({ windowMs: 60000 });
+    await store.increment('user-1');
+
+    store.hits.get('user-1').resetTime = new Date(Date.now() - 1);
+
+    expect((await store.increment('user-1')).totalHits).toBe(1);
+  });
+
+  it('should decrement and reset a key', async () => {
+    const store = new RateLimitStore();
+    store.init({ windowMs: 1000 });
+    await store.increment('user-1');
+    await store.increment('user-1');
+
+    await store.decrement('user-1');
+    expect((await store.get('user-1')).totalHits).toBe(1);
+
+    await store.resetKey('user-1');
+    expect((await store.get('user-1')).totalHits).toBe(0);
+  });
+
+  it('should share counters between stores using the same Redis', async () => {
+    const redis = createFakeRedis();
+    const instanceA = new RateLimitStore({ client: redis, prefix: 'sfu:rl:api:' });
+    const instanceB = new RateLimitStore({ client: redis, prefix: 'sfu:rl:api:' });
+    const otherLimiter = new RateLimitStore({ client: redis, prefix: 'sfu:rl:upload:' });
+
+    await instanceA.increment('1.2.3.4');
+    const result = await instanceB.increment('1.2.3.4');
+
+    expect(instanceA.localKeys).toBe(false);
+    expect(result.totalHits).toBe(2);
+    expect((await instanceA.get('1.2.3.4')).totalHits).toBe(2);
+    expect((await otherLimiter.get('1.2.3.4')).totalHits).toBe(0);
+    expect(instanceA.hits.size).toBe(0);
+  });
+
+  it('should keep limiting in memory while Redis is unreachable', async () => {
+    const redis = createFakeRedis();
+    redis.eval = jest.fn().mockRejectedValue(new Error('The client is closed'));
+    const store = new RateLimitStore({ client: redis, prefix: 'sfu:rl:api:' });
+
+    await store.increment('1.2.3.4');
+    const result = await store.increment('1.2.3.4');
+
+    expect(result.totalHits).toBe(2);
+    expect(Logger.logSecurityEvent).toHaveBeenCalledTimes(1);
+    expect(Logger.logSecurityEvent).toHaveBeenCalledWith('rate_limit_store_degraded', expect.objectContaining({
+      prefix: 'sfu:rl:api:',
+      reason: 'The client is closed'
+    }), 'warn');
+  });
+});
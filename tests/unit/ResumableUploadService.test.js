@@ -0,0 +1,149 @@
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+const ResumableUploadService = require('../../src/main/services/ResumableUploadService');
+
+describe('ResumableUploadService', () => {
+  let directory;
+  let service;
+  const metadata = { filename: 'notes.txt', filetype: 'text/plain' };
+  const body = text => Readable.from([Buffer.from(text)]);
+  const append = (upload, offset, text, userId = 'user-1') =>
+    service.withLock(upload.id, () => service.appendChunk(upload.id, userId, offset, body(text)));
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'resumable-'));
+    service = new ResumableUploadService({ staging_path: directory, max_active_per_user: 2 });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('parseMetadata', () => {
+    it('should decode base64 values and keys without values', () => {
+      const header = `filename ${Buffer.from('résumé.pdf').toString('base64')},is_confidential`;
+
+      expect(service.parseMetadata(header)).toEqual({ filename: 'résumé.pdf', is_confidential: '' });
+      expect(service.parseMetadata(service.formatMetadata({ filename: 'a b.txt' }))).toEqual({ filename: 'a b.txt' });
+    });
+
+    it('should reject malformed headers', () => {
+      expect(service.parseMetadata('filename not*base64')).toBeNull();
+      expect(service.parseMetadata('filename YQ==,filename Yg==')).toBeNull();
+      expect(service.parseMetadata('filename YQ== extra')).toBeNull();
+    });
+  });
+
+  describe('createUpload', () => {
+    it('should refuse invalid lengths, oversized uploads and missing filenames', async () => {
+      await expect(service.createUpload({ userId: 'user-1', uploadLength: 0, metadata }))
+        .rejects.toMatchObject({ code: 'INVALID_UPLOAD_LENGTH', status: 400 });
+      await expect(service.createUpload({ userId: 'user-1', uploadLength: service.maxSize + 1, metadata }))
+        .rejects.toMatchObject({ code: 'UPLOAD_TOO_LARGE', status: 413 });
+      await expect(service.createUpload({ userId: 'user-1', uploadLength: 10, metadata: {} }))
+        .rejects.toMatchObject({ code: 'INVALID_UPLOAD_METADATA', status: 400 });
+    });
+
+    it('should limit the number of unfinished uploads per user', async () => {
+      await service.createUpload({ userId: 'user-1', uploadLength: 10, metadata });
+      await service.createUpload({ userId: 'user-1', uploadLength: 10, metadata });
+
+      await expect(service.createUpload({ userId: 'user-1', uploadLength: 10, metadata }))
+        .rejects.toMatchObject({ code: 'TOO_MANY_UPLOADS', status: 429 });
+      await expect(service.createUpload({ userId: 'user-2', uploadLength: 10, metadata })).resolves.toHaveProperty('id');
+    });
+  });
+
+  describe('appendChunk', () => {
+    it('should assemble chunks and survive a new service instance', async () => {
+      const upload = await service.createUpload({ userId: 'user-1', uploadLength: 11, metadata });
+
+      const partial = await append(upload, 0, 'hello ');
+      expect(partial.offset).toBe(6);
+      expect(service.isComplete(partial)).toBe(false);
+
+      // A restart only needs the staging directory
+      service = new ResumableUploadService({ staging_path: directory });
+      expect((await service.getUpload(upload.id, 'user-1')).offset).toBe(6);
+
+      const complete = await append(upload, 6, 'world');
+      expect(service.isComplete(complete)).toBe(true);
+
+      const file = await service.readAssembledFile(complete);
+      expect(file).toMatchObject({
+        originalname: 'notes.txt',
+        mimetype: 'text/plain',
+        size: 11,
+        path: service.dataPath(upload.id),
+        checksum: crypto.createHash('sha256').update('hello world').digest('hex'),
+        containsNullByte: false
+      });
+      expect(file.head.toString()).toBe('hello world');
+    });
+
+    it('should refuse a chunk at the wrong offset', async () => {
+      const upload = await service.createUpload({ userId: 'user-1', uploadLength: 11, metadata });
+      await append(upload, 0, 'hello ');
+
+      await expect(append(upload, 0, 'hello ')).rejects.toMatchObject({ code: 'OFFSET_MISMATCH', status: 409 });
+      expect((await service.getUpload(upload.id, 'user-1')).offset).toBe(6);
+    });
+
+    it('should refuse bytes past Upload-Length and keep the previous offset', async () => {
+      const upload = await service.createUpload({ userId: 'user-1', uploadLength: 4, metadata });
+
+      await expect(append(upload, 0, 'too long')).rejects.toMatchObject({ code: 'UPLOAD_LENGTH_EXCEEDED', status: 413 });
+      expect((await service.getUpload(upload.id, 'user-1')).offset).toBe(0);
+    });
+
+    it('should keep the bytes that arrived before the client went away', async () => {
+      const upload = await service.createUpload({ userId: 'user-1', uploadLength: 11, metadata });
+      const source = Readable.from((async function * () {
+        yield Buffer.from('hello');
+        throw new Error('aborted');
+      })());
+
+      const result = await service.withLock(upload.id, () => service.appendChunk(upload.id, 'user-1', 0, source));
+
+      expect(result.offset).toBe(5);
+    });
+
+    it('should hide other users\' uploads and refuse concurrent writers', async () => {
+      const upload = await service.createUpload({ userId: 'user-1', uploadLength: 11, metadata });
+
+      expect(await service.getUpload(upload.id, 'user-2')).toBeNull();
+      await expect(append(upload, 0, 'hello', 'user-2')).rejects.toMatchObject({ code: 'UPLOAD_NOT_FOUND', status: 404 });
+
+      let release;
+      const held = service.withLock(upload.id, () => new Promise(resolve => { release = resolve; }));
+      await expect(append(upload, 0, 'hello')).rejects.toMatchObject({ code: 'UPLOAD_LOCKED', status: 423 });
+      release();
+      await held;
+    });
+  });
+
+  describe('expiry and termination', () => {
+    it('should remove expired uploads', async () => {
+      const expired = await service.createUpload({ userId: 'user-1', uploadLength: 10, metadata });
+      const active = await service.createUpload({ userId: 'user-1', uploadLength: 10, metadata });
+      const info = JSON.parse(await fs.readFile(service.infoPath(expired.id), 'utf8'));
+      info.expiresAt = new Date(Date.now() - 1000).toISOString();
+      await fs.writeFile(service.infoPath(expired.id), JSON.stringify(info));
+
+      expect(await service.removeExpiredUploads()).toBe(1);
+      expect((await fs.readdir(directory)).sort()).toEqual([`${active.id}.json`, `${active.id}.part`].sort());
+    });
+
+    it('should terminate only the owner\'s upload', async () => {
+      const upload = await service.createUpload({ userId: 'user-1', uploadLength: 10, metadata });
+
+      expect(await service.terminateUpload(upload.id, 'user-2')).toBe(false);
+      expect(await service.terminateUpload(upload.id, 'user-1')).toBe(true);
+      expect(await service.getUpload(upload.id, 'user-1')).toBeNull();
+      expect(await fs.readdir(directory)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const SqliteDatabase = require('../../src/main/repositories/SqliteDatabase');
+const SqlRepository = require('../../src/main/repositories/SqlRepository');
+const { USERS_TABLE, FILE_METADATA_TABLE } = require('../../src/main/repositories/schema');
+const { importJsonFiles } = require('../../src/main/repositories/importJson');
+const { importLegacyData, getSqlDatabase } = require('../../src/main/repositories');
+const User = require('../../src/main/models/User');
+const FileMetadata = require('../../src/main/models/FileMetadata');
+
+describe('SqlRepository', () => {
+  let database;
+  let users;
+  let files;
+
+  const createUser = (username, data = {}) => new User({ username, email: `${username}@example.com`, ...data });
+
+  beforeEach(() => {
+    database = new SqliteDatabase(':memory:');
+    users = new SqlRepository(database, USERS_TABLE, User);
+    files = new SqlRepository(database, FILE_METADATA_TABLE, FileMetadata);
+  });
+
+  afterEach(async () => {
+    await database.close();
+  });
+
+  describe('saveAll and loadAll', () => {
+    it('should round-trip models through their fromDatabase hooks', async () => {
+      const user = createUser('alice', {
+        emailVerified: true,
+        apiKeys: [{ id: 'key-1', scopes: ['files:read'] }],
+        metadata: { registrationIp: '127.0.0.1' }
+      });
+      const file = new FileMetadata({ userId: user.id, originalFilename: 'report.pdf', fileSize: 2048, checksum: 'abc' });
+
+      await users.saveAll([user]);
+      await files.saveAll([file]);
+
+      const loadedUser = (await users.loadAll()).get(user.id);
+      const loadedFile = (await files.loadAll()).get(file.id);
+
+      expect(loadedUser).toBeInstanceOf(User);
+      expect(loadedUser.toObject()).toEqual(user.toObject());
+      expect(loadedUser.metadata).toEqual({ registrationIp: '127.0.0.1' });
+      expect(loadedUser.emailVerified).toBe(true);
+      expect(loadedFile).toBeInstanceOf(FileMetadata);
+      expect(loadedFile.toObject()).toEqual(file.toObject());
+    });
+
+    it('should write only changed rows and delete removed ones', async () => {
+      const alice = createUser('alice');
+      const bob = createUser('bob');
+      const carol = createUser('carol');
+
+      expect(await users.saveAll([alice, bob, carol])).toEqual({ written: 3, deleted: 0 });
+      expect(await users.saveAll([alice, bob, carol])).toEqual({ written: 0, deleted: 0 });
+
+      alice.role = 'viewer';
+      expect(await users.saveAll([alice, bob])).toEqual({ written: 1, deleted: 1 });
+
+      const stored = await users.loadAll();
+      expect(Array.from(stored.keys()).sort()).toEqual([alice.id, bob.id].sort());
+      expect(stored.get(alice.id).role).toBe('viewer');
+    });
+
+    it('should roll back the whole save when a statement fails', async () => {
+      const alice = createUser('alice');
+      await users.saveAll([alice]);
+
+      alice.role = 'viewer';
+      const impostor = createUser('alice');
+
+      await expect(users.saveAll([alice, impostor])).rejects.toThrow(/UNIQUE/);
+
+      const stored = await users.loadAll();
+      expect(stored.size).toBe(1);
+      expect(stored.get(alice.id).role).toBe('user');
+    });
+  });
+
+  describe('reload', () => {
+    it('should pick up rows written and deleted by another instance', async () => {
+      const otherInstance = new SqlRepository(database, USERS_TABLE, User);
+      const alice = createUser('alice');
+      const bob = createUser('bob');
+      await users.saveAll([alice, bob]);
+      await otherInstance.loadAll();
+
+      const carol = createUser('carol');
+      alice.status = 'active';
+      await users.saveAll([alice, carol]);
+
+      const { entities, removed } = await otherInstance.reload();
+      expect(Array.from(entities.keys()).sort()).toEqual([alice.id, carol.id].sort());
+      expect(entities.get(alice.id).status).toBe('active');
+      expect(removed).toEqual([bob.id]);
+      expect(await otherInstance.saveAll(entities.values())).toEqual({ written: 0, deleted: 0 });
+    });
+  });
+
+  describe('migrations', () => {
+    it('should record applied versions and run each one once', async () => {
+      await users.initialize();
+      database.migrated = null; // As after a restart
+
+      const versions = await database.migrate();
+      const applied = await database.all('SELECT version, name FROM schema_migrations ORDER BY version');
+
+      expect(versions).toEqual([]);
+      expect(applied).toEqual([
+        { version: 1, name: 'create_users' },
+        { version: 2, name: 'create_file_metadata' },
+        { version: 3, name: 'repair_nested_metadata' }
+      ]);
+    });
+  });
+
+  describe('queries', () => {
+    it('should find and count rows by indexed columns', async () => {
+      const owner = 'user-1';
+      await files.saveAll([
+        new FileMetadata({ userId: owner, checksum: 'aaa' }),
+        new FileMetadata({ userId: owner, checksum: 'bbb', status: 'deleted' }),
+        new FileMetadata({ userId: 'user-2', checksum: 'aaa' })
+      ]);
+
+      expect(await files.count({ userId: owner })).toBe(2);
+      expect(await files.count({ userId: owner, status: 'active' })).toBe(1);
+      expect((await files.findBy({ checksum: 'aaa' })).map(file => file.userId).sort()).toEqual([owner, 'user-2']);
+      await expect(files.findBy({ 'status" OR 1=1 --': 'x' })).rejects.toThrow('Unknown column');
+    });
+  });
+
+  describe('importJsonFiles', () => {
+    let dataDir;
+
+    beforeEach(async () => {
+      dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sfu-import-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(dataDir, { recursive: true, force: true });
+    });
+
+    it('should import the legacy JSON files once', async () => {
+      const user = createUser('alice', { metadata: { source: 'json' } });
+      const file = new FileMetadata({ userId: user.id, originalFilename: 'a.txt' });
+      const usersFile = path.join(dataDir, 'users.json');
+      const historyFile = path.join(dataDir, 'upload_history.json');
+      await fs.writeFile(usersFile, JSON.stringify({ [user.id]: user.toObject() }));
+      await fs.writeFile(historyFile, JSON.stringify({ [file.id]: file }));
+
+      const result = await importJsonFiles({ database, usersFile, historyFile });
+
+      expect(result).toEqual({ users: 1, files: 1 });
+      expect((await users.findById(user.id)).metadata).toEqual({ source: 'json' });
+      expect((await files.findById(file.id)).originalFilename).toBe('a.txt');
+      await expect(importJsonFiles({ database, usersFile, historyFile })).rejects.toThrow('--overwrite');
+      await expect(importJsonFiles({ database, usersFile, historyFile, overwrite: true })).resolves.toEqual(result);
+    });
+
+    it('should import the legacy JSON files before the first read of an empty database', async () => {
+      const user = createUser('alice');
+      await fs.writeFile(path.join(dataDir, 'users.json'), JSON.stringify({ [user.id]: user.toObject() }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const upgraded = new SqlRepository(database, USERS_TABLE, User, { prepare: () => importLegacyData(database, dataDir) });
+
+      expect([...(await upgraded.loadAll()).keys()]).toEqual([user.id]);
+      expect(await importLegacyData(database, dataDir)).toEqual({ users: 1, files: 0 });
+      console.log.mockRestore();
+    });
+
+    it('should leave a database that already holds data alone', async () => {
+      await users.saveAll([createUser('bob')]);
+      await fs.writeFile(path.join(dataDir, 'users.json'), JSON.stringify({ x: createUser('alice').toObject() }));
+
+      expect(await importLegacyData(database, dataDir)).toBeNull();
+      expect(await users.count()).toBe(1);
+    });
+
+    it('should refuse to start from a legacy file it cannot read', async () => {
+      await fs.writeFile(path.join(dataDir, 'upload_history.json'), '{ not json');
+
+      await expect(importLegacyData(database, dataDir)).rejects.toThrow('npm run db:import');
+    });
+  });
+
+  describe('getSqlDatabase', () => {
+    it('should reject an unknown database type instead of falling back to SQLite', () => {
+      expect(() => getSqlDatabase({ type: 'sqllite' })).toThrow('Unknown database.type "sqllite"');
+    });
+  });
+});
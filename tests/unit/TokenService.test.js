@@ -0,0 +1,380 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const jwt = require('jsonwebtoken');
+const TokenService = require('../../src/main/services/TokenService');
+const TokenRevocationStore = require('../../src/main/storage/TokenRevocationStore');
+const RefreshTokenStore = require('../../src/main/storage/RefreshTokenStore');
+
+// Mock the logger to keep security events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn(),
+  logAuthEvent: jest.fn()
+}));
+
+describe('TokenService', () => {
+  const revocationFile = path.join(os.tmpdir(), `token-revocations-${process.pid}.json`);
+  const refreshFile = path.join(os.tmpdir(), `refresh-tokens-${process.pid}.json`);
+  let tokenService;
+  let user;
+
+  beforeEach(async () => {
+    await fs.rm(revocationFile, { force: true });
+    await fs.rm(refreshFile, { force: true });
+
+    // Reset singleton so each test gets a fresh refresh token store
+    TokenService.instance = null;
+    tokenService = new TokenService();
+    tokenService.revocationStore = new TokenRevocationStore(revocationFile);
+    await tokenService.revocationStore.loaded;
+    tokenService.refreshTokens = new RefreshTokenStore(refreshFile, null);
+
+    user = {
+      id: '11111111-2222-3333-4444-555555555555',
+      role: 'user',
+      status: 'active',
+      isActive() {
+        return this.status === 'active';
+      }
+    };
+  });
+
+  afterAll(async () => {
+    await fs.rm(revocationFile, { force: true });
+    await fs.rm(refreshFile, { force: true });
+  });
+
+  describe('issueTokenPair', () => {
+    it('should issue signed access and refresh tokens', async () => {
+      const tokens = await tokenService.issueTokenPair(user);
+
+      expect(tokens.tokenType).toBe('Bearer');
+      expect(tokens.expiresIn).toBeGreaterThan(0);
+
+      const claims = tokenService.verifyAccessToken(tokens.accessToken);
+      expect(claims.sub).toBe(user.id);
+      expect(claims.role).toBe('user');
+      expect(claims.status).toBe('active');
+      expect(claims.jti).toBeDefined();
+    });
+
+    it('should not accept a refresh token as an access token', async () => {
+      const tokens = await tokenService.issueTokenPair(user);
+
+      expect(() => tokenService.verifyAccessToken(tokens.refreshToken)).toThrow('Invalid token type');
+    });
+  });
+
+  describe('verifyAccessToken', () => {
+    it('should reject the legacy userId:timestamp format', () => {
+      expect(() => tokenService.verifyAccessToken(`${user.id}:${Date.now()}`)).toThrow();
+    });
+
+    it('should reject a token signed with another secret', () => {
+      const forged = jwt.sign({ typ: 'access', role: 'admin', status: 'active' }, 'not-the-secret', {
+        subject: user.id,
+        jwtid: 'forged',
+        issuer: tokenService.issuer,
+        audience: tokenService.audience
+      });
+
+      expect(() => tokenService.verifyAccessToken(forged)).toThrow('invalid signature');
+    });
+
+    it('should reject an unsigned token', () => {
+      const unsigned = jwt.sign({ typ: 'access', role: 'admin', status: 'active' }, null, {
+        algorithm: 'none',
+        subject: user.id,
+        jwtid: 'unsigned',
+        issuer: tokenService.issuer,
+        audience: tokenService.audience
+      });
+
+      expect(() => tokenService.verifyAccessToken(unsigned)).toThrow();
+    });
+
+    it('should reject an expired token', () => {
+      const expired = jwt.sign({ typ: 'access', role: 'user', status: 'active' }, tokenService.secret, {
+        expiresIn: -10,
+        subject: user.id,
+        jwtid: 'expired',
+        issuer: tokenService.issuer,
+        audience: tokenService.audience
+      });
+
+      expect(() => tokenService.verifyAccessToken(expired)).toThrow('jwt expired');
+    });
+  });
+
+  describe('assertClaimsMatchUser', () => {
+    it('should reject tokens issued before a role change', async () => {
+      const claims = tokenService.verifyAccessToken((await tokenService.issueTokenPair(user)).accessToken);
+      user.role = 'admin';
+
+      expect(() => tokenService.assertClaimsMatchUser(claims, user)).toThrow('role claim');
+    });
+
+    it('should reject tokens for inactive users', async () => {
+      const claims = tokenService.verifyAccessToken((await tokenService.issueTokenPair(user)).accessToken);
+      user.status = 'suspended';
+
+      expect(() => tokenService.assertClaimsMatchUser(claims, user)).toThrow('inactive');
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    it('should issue a new pair and keep the token family', async () => {
+      const tokens = await tokenService.issueTokenPair(user);
+      const claims = tokenService.verifyRefreshToken(tokens.refreshToken);
+
+      const result = await tokenService.rotateRefreshToken(claims, user);
+
+      expect(result.success).toBe(true);
+      expect(result.tokens.refreshToken).not.toBe(tokens.refreshToken);
+      expect(tokenService.verifyRefreshToken(result.tokens.refreshToken).sid).toBe(claims.sid);
+    });
+
+    it('should revoke the whole family when a refresh token is reused', async () => {
+      const tokens = await tokenService.issueTokenPair(user);
+      const claims = tokenService.verifyRefreshToken(tokens.refreshToken);
+
+      const first = await tokenService.rotateRefreshToken(claims, user);
+      const replay = await tokenService.rotateRefreshToken(claims, user);
+
+      expect(replay.success).toBe(false);
+      expect(replay.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The token issued by the legitimate rotation is revoked as well
+      const nextClaims = tokenService.verifyRefreshToken(first.tokens.refreshToken);
+      const afterReuse = await tokenService.rotateRefreshToken(nextClaims, user);
+      expect(afterReuse.success).toBe(false);
+      expect(afterReuse.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    it('should accept a refresh token issued before a restart, once', async () => {
+      const tokens = await tokenService.issueTokenPair(user);
+      const claims = tokenService.verifyRefreshToken(tokens.refreshToken);
+
+      const restarted = new RefreshTokenStore(refreshFile, null);
+      tokenService.refreshTokens = restarted;
+      expect(await tokenService.rotateRefreshToken(claims, user)).toMatchObject({ success: true });
+
+      tokenService.refreshTokens = new RefreshTokenStore(refreshFile, null);
+      expect(await tokenService.rotateRefreshToken(claims, user)).toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+    });
+
+    it('should share refresh tokens between instances through Redis', async () => {
+      // Stand-in for one Redis server: strings, sets and the consume script
+      const strings = new Map();
+      const sets = new Map();
+      const redis = {
+        set: jest.fn(async (key, value) => strings.set(key, value)),
+        sAdd: jest.fn(async (key, member) => sets.set(key, new Set([...(sets.get(key) || []), member]))),
+        pExpire: jest.fn().mockResolvedValue(true),
+        sMembers: jest.fn(async key => [...(sets.get(key) || [])]),
+        del: jest.fn(async keys => keys.forEach(key => strings.delete(key) || sets.delete(key))),
+        eval: jest.fn(async (script, { keys: [key], arguments: [now] }) => {
+          const value = strings.get(key);
+          if (value && !JSON.parse(value).usedAt) {
+            strings.set(key, JSON.stringify({ ...JSON.parse(value), usedAt: Number(now) }));
+          }
+          return value || null;
+        })
+      };
+      const instanceA = new RefreshTokenStore(`${refreshFile}-a`, redis);
+      const instanceB = new RefreshTokenStore(`${refreshFile}-b`, redis);
+
+      tokenService.refreshTokens = instanceA;
+      const tokens = await tokenService.issueTokenPair(user);
+      const claims = tokenService.verifyRefreshToken(tokens.refreshToken);
+
+      tokenService.refreshTokens = instanceB;
+      const rotated = await tokenService.rotateRefreshToken(claims, user);
+      expect(rotated.success).toBe(true);
+
+      // Replaying on the first instance is caught and ends the family on both
+      tokenService.refreshTokens = instanceA;
+      expect(await tokenService.rotateRefreshToken(claims, user)).toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+      tokenService.refreshTokens = instanceB;
+      const next = tokenService.verifyRefreshToken(rotated.tokens.refreshToken);
+      expect(await tokenService.rotateRefreshToken(next, user)).toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    });
+  });
+
+  describe('challenge tokens', () => {
+    it('should verify a challenge token for its purpose only', () => {
+      const challenge = tokenService.issueChallengeToken(user, '2fa_verify');
+
+      expect(tokenService.verifyChallengeToken(challenge, '2fa_verify').sub).toBe(user.id);
+      expect(() => tokenService.verifyChallengeToken(challenge, '2fa_enroll')).toThrow('Invalid token type');
+    });
+
+    it('should not accept a challenge token as an access token', () => {
+      const challenge = tokenService.issueChallengeToken(user, '2fa_verify');
+
+      expect(() => tokenService.verifyAccessToken(challenge)).toThrow('Invalid token type');
+    });
+
+    it('should reject challenge tokens after all sessions are revoked', async () => {
+      const challenge = tokenService.issueChallengeToken(user, '2fa_verify');
+      await tokenService.revokeAllUserTokens(user.id);
+
+      expect(() => tokenService.verifyChallengeToken(challenge, '2fa_verify')).toThrow('revoked');
+    });
+  });
+
+  describe('email verification tokens', () => {
+    it('should carry the address the link was sent to', () => {
+      user.email = 'alice@example.com';
+      const token = tokenService.issueEmailVerificationToken(user);
+
+      const claims = tokenService.verifyEmailVerificationToken(token);
+
+      expect(claims.sub).toBe(user.id);
+      expect(claims.email).toBe('alice@example.com');
+    });
+
+    it('should not be interchangeable with other token types', async () => {
+      user.email = 'alice@example.com';
+      const token = tokenService.issueEmailVerificationToken(user);
+      const { accessToken } = await tokenService.issueTokenPair(user);
+
+      expect(() => tokenService.verifyAccessToken(token)).toThrow('Invalid token type');
+      expect(() => tokenService.verifyEmailVerificationToken(accessToken)).toThrow('Invalid token type');
+    });
+  });
+
+  describe('browser session claims', () => {
+    it('should verify fresh session claims', () => {
+      const claims = tokenService.issueSessionClaims(user);
+
+      expect(tokenService.verifySessionClaims(claims)).toEqual(expect.objectContaining({ sub: user.id, role: 'user' }));
+      expect(() => tokenService.verifySessionClaims({ ...claims, typ: 'access' })).toThrow('Invalid session');
+      expect(() => tokenService.verifySessionClaims(undefined)).toThrow('Invalid session');
+    });
+
+    it('should end sessions on logout, logout-all and after the refresh lifetime', async () => {
+      const loggedOut = tokenService.issueSessionClaims(user);
+      const old = { ...tokenService.issueSessionClaims(user), iat: Math.floor(Date.now() / 1000) - tokenService.refreshTokenTtl };
+
+      await tokenService.revokeSession(loggedOut);
+      const other = tokenService.issueSessionClaims(user);
+
+      expect(() => tokenService.verifySessionClaims(loggedOut)).toThrow('revoked');
+      expect(() => tokenService.verifySessionClaims(old)).toThrow('expired');
+      expect(tokenService.verifySessionClaims(other).sid).toBe(other.sid);
+
+      await tokenService.revokeAllUserTokens(user.id);
+      expect(() => tokenService.verifySessionClaims(other)).toThrow('revoked');
+    });
+  });
+
+  describe('revocation', () => {
+    it('should reject both tokens of a logged out session', async () => {
+      const tokens = await tokenService.issueTokenPair(user);
+      const claims = tokenService.verifyAccessToken(tokens.accessToken);
+
+      await tokenService.revokeSession(claims);
+
+      expect(() => tokenService.verifyAccessToken(tokens.accessToken)).toThrow('revoked');
+      expect(() => tokenService.verifyRefreshToken(tokens.refreshToken)).toThrow('revoked');
+    });
+
+    it('should leave other sessions valid on single logout', async () => {
+      const first = await tokenService.issueTokenPair(user);
+      const second = await tokenService.issueTokenPair(user);
+
+      await tokenService.revokeSession(tokenService.verifyAccessToken(first.accessToken));
+
+      expect(tokenService.verifyAccessToken(second.accessToken).sub).toBe(user.id);
+    });
+
+    it('should reject every existing session after revoking all, but accept new logins', async () => {
+      const first = await tokenService.issueTokenPair(user);
+      const second = await tokenService.issueTokenPair(user);
+
+      await tokenService.revokeAllUserTokens(user.id);
+
+      expect(() => tokenService.verifyAccessToken(first.accessToken)).toThrow('revoked');
+      expect(() => tokenService.verifyAccessToken(second.accessToken)).toThrow('revoked');
+
+      const fresh = await tokenService.issueTokenPair(user);
+      expect(tokenService.verifyAccessToken(fresh.accessToken).sub).toBe(user.id);
+    });
+
+    it('should persist revocations across restarts', async () => {
+      const tokens = await tokenService.issueTokenPair(user);
+      await tokenService.revokeAllUserTokens(user.id);
+
+      const reloaded = new TokenRevocationStore(revocationFile);
+      await reloaded.loaded;
+
+      expect(reloaded.isRevoked(jwt.decode(tokens.accessToken))).toBe(true);
+    });
+
+    it('should not issue or accept tokens against an empty state right after a restart', async () => {
+      const revoked = await tokenService.issueTokenPair(user);
+      await tokenService.revokeAllUserTokens(user.id);
+
+      TokenService.instance = null;
+      const restarted = new TokenService();
+      restarted.revocationStore = new TokenRevocationStore(revocationFile);
+      restarted.refreshTokens = new RefreshTokenStore(refreshFile, null);
+
+      // Issued before the saved generation was read, this token would carry gen 0
+      const fresh = await restarted.issueTokenPair(user);
+      expect(jwt.decode(fresh.accessToken).gen).toBe(1);
+
+      await restarted.ready();
+      expect(() => restarted.verifyAccessToken(revoked.accessToken)).toThrow('Token has been revoked');
+      expect(restarted.verifyAccessToken(fresh.accessToken).sub).toBe(user.id);
+    });
+
+    it('should share revocations between instances through Redis', async () => {
+      // Stand-in for one Redis server: a sorted set, a hash and a pub/sub channel
+      const sessions = new Map();
+      const generations = new Map();
+      const listeners = [];
+      const redis = {
+        isReady: true,
+        duplicate: () => ({
+          on: jest.fn(),
+          connect: jest.fn().mockResolvedValue(),
+          subscribe: jest.fn(async (channel, listener) => listeners.push(listener))
+        }),
+        zAdd: jest.fn(async (key, { score, value }) => sessions.set(value, score)),
+        zRemRangeByScore: jest.fn().mockResolvedValue(0),
+        zRangeByScoreWithScores: jest.fn(async () => [...sessions].map(([value, score]) => ({ value, score }))),
+        hIncrBy: jest.fn(async (key, field, by) => {
+          generations.set(field, (generations.get(field) || 0) + by);
+          return generations.get(field);
+        }),
+        hSet: jest.fn(async (key, field, value) => generations.set(field, Number(value))),
+        hGetAll: jest.fn(async () => Object.fromEntries([...generations].map(([key, value]) => [key, String(value)]))),
+        publish: jest.fn(async (channel, message) => listeners.forEach(listener => listener(message)))
+      };
+
+      const instanceA = new TokenRevocationStore(`${revocationFile}-a`, redis);
+      const instanceB = new TokenRevocationStore(`${revocationFile}-b`, redis);
+      await Promise.all([instanceA.loaded, instanceB.loaded]);
+      tokenService.revocationStore = instanceA;
+
+      const loggedOut = await tokenService.issueTokenPair(user);
+      await tokenService.revokeSession(tokenService.verifyAccessToken(loggedOut.accessToken));
+      expect(instanceB.isRevoked(jwt.decode(loggedOut.accessToken))).toBe(true);
+
+      const other = { ...user, id: '66666666-7777-8888-9999-000000000000' };
+      const before = await tokenService.issueTokenPair(other);
+      await instanceB.revokeAllForUser(other.id);
+      expect(instanceA.isRevoked(jwt.decode(before.accessToken))).toBe(true);
+
+      // A third instance starting later reads the state that was already shared
+      const instanceC = new TokenRevocationStore(`${revocationFile}-c`, redis);
+      await instanceC.loaded;
+      expect(instanceC.isRevoked(jwt.decode(loggedOut.accessToken))).toBe(true);
+      expect(instanceC.getUserGeneration(other.id)).toBe(1);
+
+      await Promise.all(['a', 'b', 'c'].map(suffix => fs.rm(`${revocationFile}-${suffix}`, { force: true })));
+    });
+  });
+});
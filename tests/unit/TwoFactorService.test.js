@@ -0,0 +1,121 @@
+const TwoFactorService = require('../../src/main/services/TwoFactorService');
+
+describe('TwoFactorService', () => {
+  // RFC 6238 Appendix B shared secret "12345678901234567890"
+  const rfcSecret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+  let twoFactorService;
+
+  beforeEach(() => {
+    twoFactorService = new TwoFactorService();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from('12345678901234567890');
+
+      expect(twoFactorService.base32Encode(bytes)).toBe(rfcSecret);
+      expect(twoFactorService.base32Decode(rfcSecret).equals(bytes)).toBe(true);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => twoFactorService.base32Decode('NOT-BASE32!')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(twoFactorService.generateCode(rfcSecret, 59 * 1000)).toBe('287082');
+      expect(twoFactorService.generateCode(rfcSecret, 1111111109 * 1000)).toBe('081804');
+      expect(twoFactorService.generateCode(rfcSecret, 1234567890 * 1000)).toBe('005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1234567890 * 1000;
+
+    beforeEach(() => {
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+    });
+
+    it('should accept the current code and return its time step', () => {
+      const step = twoFactorService.verifyCode(rfcSecret, '005924');
+
+      expect(step).toBe(twoFactorService.getTimeStep(now));
+    });
+
+    it('should accept a code from the previous time step', () => {
+      const previous = twoFactorService.generateCode(rfcSecret, now - 30 * 1000);
+
+      expect(twoFactorService.verifyCode(rfcSecret, previous)).not.toBeNull();
+    });
+
+    it('should reject codes outside the drift window', () => {
+      const stale = twoFactorService.generateCode(rfcSecret, now - 120 * 1000);
+
+      expect(twoFactorService.verifyCode(rfcSecret, stale)).toBeNull();
+    });
+
+    it('should reject a code that was already used', () => {
+      const step = twoFactorService.verifyCode(rfcSecret, '005924');
+
+      expect(twoFactorService.verifyCode(rfcSecret, '005924', step)).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(twoFactorService.verifyCode(rfcSecret, '5924')).toBeNull();
+      expect(twoFactorService.verifyCode(rfcSecret, 'abcdef')).toBeNull();
+      expect(twoFactorService.verifyCode(rfcSecret, undefined)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build an otpauth URI for authenticator apps', () => {
+      const uri = twoFactorService.buildOtpauthUri(rfcSecret, 'alice');
+
+      expect(uri.startsWith('otpauth://totp/')).toBe(true);
+      expect(uri).toContain(`secret=${rfcSecret}`);
+      expect(uri).toContain('alice');
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should generate unique codes', () => {
+      const codes = twoFactorService.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(twoFactorService.recoveryCodeCount);
+      expect(new Set(codes).size).toBe(codes.length);
+      codes.forEach(code => expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/));
+    });
+
+    it('should hash codes independent of case and separators', () => {
+      const hash = twoFactorService.hashRecoveryCode('abcde-12345');
+
+      expect(hash).not.toContain('abcde');
+      expect(twoFactorService.hashRecoveryCode('ABCDE12345')).toBe(hash);
+      expect(twoFactorService.hashRecoveryCode(' abcde 12345 ')).toBe(hash);
+    });
+  });
+
+  describe('secret encryption', () => {
+    it('should round-trip a secret without storing it in plain text', () => {
+      const secret = twoFactorService.generateSecret();
+      const encrypted = twoFactorService.encryptSecret(secret);
+
+      expect(encrypted).not.toContain(secret);
+      expect(twoFactorService.decryptSecret(encrypted)).toBe(secret);
+    });
+
+    it('should detect tampering', () => {
+      const [iv, authTag, ciphertext] = twoFactorService.encryptSecret(rfcSecret).split(':');
+      const bytes = Buffer.from(ciphertext, 'hex');
+      bytes[bytes.length - 1] ^= 0xff;
+      const tampered = [iv, authTag, bytes.toString('hex')].join(':');
+
+      expect(() => twoFactorService.decryptSecret(tampered)).toThrow();
+    });
+  });
+});
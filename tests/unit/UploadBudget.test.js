@@ -0,0 +1,87 @@
+const EventEmitter = require('events');
+const UploadBudget = require('../../src/main/services/UploadBudget');
+
+// Mock the logger to keep security events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn()
+}));
+
+const Logger = require('../../src/main/config/Logger');
+
+describe('UploadBudget', () => {
+  const MB = 1024 * 1024;
+  let budget;
+
+  const request = contentLength => ({
+    get: name => (name === 'Content-Length' ? contentLength : undefined),
+    ip: '127.0.0.1'
+  });
+
+  const response = () => {
+    const res = new EventEmitter();
+    res.set = jest.fn();
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(() => {
+    budget = new UploadBudget({ max_concurrent: 2, max_inflight_mb: 10, max_request_mb: 8 });
+  });
+
+  it('should limit concurrent uploads and release each reservation once', () => {
+    const first = budget.tryAcquire(MB);
+    const second = budget.tryAcquire(MB);
+
+    expect(budget.tryAcquire(MB)).toBeNull();
+
+    first();
+    first();
+    expect(budget.active).toBe(1);
+    expect(budget.tryAcquire(MB)).not.toBeNull();
+    second();
+  });
+
+  it('should limit the bytes in flight', () => {
+    expect(budget.tryAcquire(6 * MB)).not.toBeNull();
+    expect(budget.tryAcquire(5 * MB)).toBeNull();
+    expect(budget.tryAcquire(4 * MB)).not.toBeNull();
+  });
+
+  it('should refuse uploads while the heap is over its limit', () => {
+    budget = new UploadBudget({ max_heap_used_mb: 1 });
+
+    expect(budget.tryAcquire(MB)).toBeNull();
+  });
+
+  it('should answer 503 with Retry-After when over budget', () => {
+    const middleware = budget.middleware();
+    const next = jest.fn();
+
+    // Without a Content-Length the largest request allowed is charged
+    middleware(request(undefined), response(), next);
+    expect(budget.inflightBytes).toBe(8 * MB);
+
+    const res = response();
+    middleware(request(String(3 * MB)), res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.set).toHaveBeenCalledWith('Retry-After', '5');
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SERVER_BUSY' }));
+    expect(Logger.logSecurityEvent).toHaveBeenCalledWith('upload_budget_exceeded', expect.any(Object), 'warn');
+  });
+
+  it('should hold the reservation until the response ends', () => {
+    const middleware = budget.middleware();
+    const res = response();
+
+    middleware(request(String(MB)), res, jest.fn());
+    expect(budget.active).toBe(1);
+
+    res.emit('finish');
+    res.emit('close');
+    expect(budget.active).toBe(0);
+    expect(budget.inflightBytes).toBe(0);
+  });
+});
@@ -0,0 +1,81 @@
+const UploadPolicy = require('../../src/main/validation/UploadPolicy');
+
+describe('UploadPolicy', () => {
+  const definition = (classes, defaults = {}) => ({ version: 1, defaults, classes });
+  const options = { maxFileSizeMb: 10, roles: ['admin', 'user'] };
+
+  describe('load', () => {
+    it('should load and validate the shipped policy', () => {
+      const policy = UploadPolicy.load();
+
+      expect(policy.getExtensions()).toEqual(expect.arrayContaining(['.png', '.pdf', '.txt', '.docx']));
+      expect(policy.getClass('report.PDF').mimeTypes).toEqual(['application/pdf']);
+      expect(policy.getClass('.exe')).toBeNull();
+      expect(policy.getMaxFileSize()).toBe(10 * 1024 * 1024);
+    });
+  });
+
+  describe('validate', () => {
+    it('should reject dangerous and duplicate extensions', () => {
+      expect(() => new UploadPolicy(definition({
+        scripts: { extensions: ['.js'], mime_types: ['text/javascript'] },
+        text: { extensions: ['.txt'], mime_types: ['text/plain'] },
+        notes: { extensions: ['.txt'], mime_types: ['text/plain'] }
+      }), options)).toThrow(/dangerous extension \.js.*Extension \.txt is in both text and notes/);
+    });
+
+    it('should reject unknown roles and checks, bad signatures and oversized classes', () => {
+      expect(() => new UploadPolicy(definition({
+        text: {
+          extensions: ['.txt'],
+          mime_types: ['text/plain'],
+          signatures: ['XYZ'],
+          max_size_mb: 50,
+          roles: ['auditor'],
+          checks: ['virus_scan']
+        }
+      }), options)).toThrow(
+        /invalid signature.*more than security.max_file_size_mb.*undefined role auditor.*unknown check virus_scan/
+      );
+    });
+
+    it('should require at least one class', () => {
+      expect(() => new UploadPolicy({ version: 1, classes: {} }, options)).toThrow(/at least one file class/);
+    });
+  });
+
+  describe('classes', () => {
+    const policy = new UploadPolicy(definition({
+      docx: { extensions: ['.docx'], mime_types: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], signatures: ['504B0304'] },
+      xlsx: { extensions: ['.xlsx'], mime_types: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'], signatures: ['504B0304'] },
+      archive: { extensions: ['.zip'], mime_types: ['application/zip'], signatures: ['504B0304'], roles: ['admin'], max_size_mb: 5 }
+    }, { max_size_mb: 2 }), options);
+    const zipHead = Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x14, 0x00]);
+
+    it('should prefer the class of the file\'s own extension when signatures are shared', () => {
+      expect(policy.detectClass(zipHead, 'sheet.xlsx').name).toBe('xlsx');
+      expect(policy.detectClass(zipHead, 'notes.txt').name).toBe('docx');
+      expect(policy.detectClass(Buffer.from('plain'), 'sheet.xlsx')).toBeNull();
+    });
+
+    it('should apply defaults and restrict classes to their roles', () => {
+      expect(policy.getClass('a.docx').maxSize).toBe(2 * 1024 * 1024);
+      expect(policy.getMaxFileSize()).toBe(5 * 1024 * 1024);
+      expect(policy.isAllowedForRole(policy.getClass('a.zip'), 'admin')).toBe(true);
+      expect(policy.isAllowedForRole(policy.getClass('a.zip'), 'user')).toBe(false);
+      expect(policy.isAllowedForRole(policy.getClass('a.zip'), undefined)).toBe(false);
+      expect(policy.isMimeTypeAllowed('application/zip', 'user')).toBe(false);
+    });
+
+    it('should describe the classes a role may upload', () => {
+      const described = policy.describe('user');
+
+      expect(described.maxFileSize).toBe(5 * 1024 * 1024);
+      expect(described.classes.find(fileClass => fileClass.name === 'archive')).toMatchObject({
+        allowed: false,
+        roles: ['admin'],
+        signatures: [{ offset: 0, hex: '504B0304' }]
+      });
+    });
+  });
+});
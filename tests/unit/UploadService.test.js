@@ -0,0 +1,337 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UploadService = require('../../src/main/services/UploadService');
+const SqliteDatabase = require('../../src/main/repositories/SqliteDatabase');
+const SqlRepository = require('../../src/main/repositories/SqlRepository');
+const { FILE_METADATA_TABLE } = require('../../src/main/repositories/schema');
+const FileMetadata = require('../../src/main/models/FileMetadata');
+const JsonFileStore = require('../../src/main/storage/JsonFileStore');
+
+// Mock the logger to keep job_failed events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logSecurityEvent: jest.fn(),
+  logError: jest.fn()
+}));
+
+describe('UploadService', () => {
+  let uploadService;
+  let tempDir;
+  const file = (name, content = 'hello') => ({
+    fieldname: 'files',
+    originalname: name,
+    mimetype: 'text/plain',
+    size: content.length,
+    buffer: Buffer.from(content)
+  });
+
+  beforeEach(() => {
+    jest.spyOn(UploadService.prototype, 'loadUploadHistory').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'saveUploadHistory').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'logSecurityEvent').mockResolvedValue();
+
+    UploadService.instance = null;
+    uploadService = new UploadService();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-service-'));
+    uploadService.jobQueue.file = new JsonFileStore(path.join(tempDir, 'jobs.json'));
+
+    // Files named bad-* fail validation; everything else is accepted and "stored"
+    jest.spyOn(uploadService.fileValidator, 'validateFile').mockImplementation(async upload => (
+      upload.originalname.startsWith('bad-')
+        ? { isValid: false, errors: ['Suspicious content'], warnings: [] }
+        : {
+          isValid: true,
+          errors: [],
+          warnings: [],
+          sanitizedData: {
+            originalFilename: upload.originalname,
+            mimeType: upload.mimetype,
+            fileExtension: '.txt',
+            checksum: 'checksum'
+          }
+        }
+    ));
+    jest.spyOn(uploadService.fileStorageManager, 'storeFile').mockImplementation(async (buffer, name, mimeType) => ({
+      success: true,
+      storedFilename: `stored-${name}`,
+      filePath: `/tmp/stored-${name}`,
+      fileSize: buffer.length,
+      mimeType,
+      checksum: 'checksum'
+    }));
+    jest.spyOn(uploadService.fileStorageManager, 'deleteFile').mockResolvedValue({ success: true });
+    jest.spyOn(uploadService, 'checkRateLimit').mockResolvedValue({ allowed: true });
+    jest.spyOn(uploadService, 'updateRateLimit').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    UploadService.instance = null;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('deleteFile', () => {
+    it('should keep a stored blob until its last reference is deleted', async () => {
+      const first = await uploadService.uploadFile(file('same.txt'), 'user-1');
+      const second = await uploadService.uploadFile(file('same.txt'), 'user-2');
+
+      expect(await uploadService.deleteFile(first.fileId, 'user-1')).toMatchObject({ success: true });
+      expect(uploadService.fileStorageManager.deleteFile).not.toHaveBeenCalled();
+
+      expect(await uploadService.deleteFile(second.fileId, 'user-2')).toMatchObject({ success: true });
+      expect(uploadService.fileStorageManager.deleteFile).toHaveBeenCalledWith('stored-same.txt', 'user-2');
+    });
+
+    it('should not unlink a blob that a concurrent upload of the same content reuses', async () => {
+      // A small blob store: storing reuses or writes the blob, deleting unlinks it after a delay
+      const blobs = new Set();
+      uploadService.fileStorageManager.storeFile.mockImplementation(async (buffer, name, mimeType) => {
+        blobs.add(`stored-${name}`);
+        return { success: true, storedFilename: `stored-${name}`, filePath: `/tmp/stored-${name}`, fileSize: buffer.length, mimeType, checksum: 'checksum' };
+      });
+      uploadService.fileStorageManager.deleteFile.mockImplementation(async storedFilename => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        blobs.delete(storedFilename);
+        return { success: true };
+      });
+
+      const first = await uploadService.uploadFile(file('same.txt'), 'user-1');
+      const [deleted, second] = await Promise.all([
+        uploadService.deleteFile(first.fileId, 'user-1'),
+        uploadService.uploadFile(file('same.txt'), 'user-2')
+      ]);
+
+      expect(deleted.success).toBe(true);
+      expect(second.success).toBe(true);
+      expect(blobs.has(uploadService.uploadHistory.get(second.fileId).storedFilename)).toBe(true);
+      expect(uploadService.blobLocks.size).toBe(0);
+    });
+  });
+
+  describe('shared database', () => {
+    let database;
+    let otherInstance;
+
+    beforeEach(() => {
+      // Stands in for PostgreSQL: one set of tables written by two app instances
+      database = new SqliteDatabase(':memory:');
+      database.shared = true;
+      database.acquireLock = jest.fn(async () => jest.fn().mockResolvedValue());
+      UploadService.prototype.saveUploadHistory.mockRestore();
+
+      uploadService.repository = new SqlRepository(database, FILE_METADATA_TABLE, FileMetadata);
+      uploadService.virusScanService.enabled = false;
+      uploadService.extractMetadata = false;
+
+      UploadService.instance = null;
+      otherInstance = new UploadService();
+      otherInstance.repository = new SqlRepository(database, FILE_METADATA_TABLE, FileMetadata);
+      jest.spyOn(otherInstance.fileStorageManager, 'retrieveFile').mockResolvedValue({
+        success: true,
+        fileBuffer: Buffer.from('hello'),
+        mimeType: 'text/plain',
+        fileSize: 5
+      });
+    });
+
+    afterEach(async () => {
+      await database.close();
+    });
+
+    it('should serve and describe a file uploaded on another instance', async () => {
+      const upload = await uploadService.uploadFile(file('a.txt'), 'user-1');
+
+      expect(await otherInstance.getFileMetadata(upload.fileId, 'user-1'))
+        .toMatchObject({ success: true, metadata: { id: upload.fileId, status: 'active' } });
+      expect(await otherInstance.retrieveFile(upload.fileId, 'user-1'))
+        .toMatchObject({ success: true, filename: 'a.txt' });
+    });
+
+    it('should stop serving a file once another instance quarantines it', async () => {
+      const upload = await uploadService.uploadFile(file('a.txt'), 'user-1');
+      expect(await otherInstance.retrieveFile(upload.fileId, 'user-1')).toMatchObject({ success: true });
+
+      const fileMetadata = uploadService.uploadHistory.get(upload.fileId);
+      fileMetadata.updateVirusScan('infected', 'Eicar FOUND');
+      fileMetadata.markQuarantined('Virus detected: Eicar');
+      await uploadService.saveUploadHistory();
+
+      expect(await otherInstance.retrieveFile(upload.fileId, 'user-1'))
+        .toMatchObject({ success: false, error: 'File is not accessible' });
+      expect(await otherInstance.getFileMetadata(upload.fileId, 'user-1'))
+        .toMatchObject({ metadata: { status: 'quarantined', virusScanStatus: 'infected' } });
+    });
+
+    it('should hold the database-wide blob lock while storing and while deleting', async () => {
+      const upload = await uploadService.uploadFile(file('a.txt'), 'user-1');
+      await uploadService.deleteFile(upload.fileId, 'user-1');
+
+      expect(database.acquireLock.mock.calls).toEqual([['blob:checksum'], ['blob:checksum']]);
+      for (const { value: releaseLock } of database.acquireLock.mock.results) {
+        expect(await releaseLock).toHaveBeenCalledTimes(1);
+      }
+      expect(uploadService.blobLocks.size).toBe(0);
+    });
+
+    it('should fail the upload without storing it when the blob lock cannot be taken', async () => {
+      database.acquireLock.mockRejectedValue(new Error('connection refused'));
+
+      const result = await uploadService.uploadFile(file('a.txt'), 'user-1');
+
+      expect(result).toMatchObject({ success: false, error: 'Upload processing failed', details: 'connection refused' });
+      expect(uploadService.fileStorageManager.storeFile).not.toHaveBeenCalled();
+      expect(uploadService.blobLocks.size).toBe(0);
+    });
+  });
+
+  describe('quota', () => {
+    const limits = { maxBytes: 10, maxFiles: 3, source: 'role' };
+
+    it('should reject an upload that exceeds the storage quota before storing it', async () => {
+      await uploadService.uploadFile(file('a.txt', 'abcdef'), 'user-1', {}, { quota: limits });
+      const result = await uploadService.uploadFile(file('b.txt', 'abcdef'), 'user-1', {}, { quota: limits });
+
+      expect(result).toMatchObject({ success: false, code: 'QUOTA_EXCEEDED' });
+      expect(result.quota).toMatchObject({ usedBytes: 6, maxBytes: 10, exceeded: ['storage'] });
+      expect(uploadService.fileStorageManager.storeFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only count the uploader\'s own files that are not deleted', async () => {
+      const first = await uploadService.uploadFile(file('a.txt', 'abcdef'), 'user-1', {}, { quota: limits });
+      await uploadService.uploadFile(file('b.txt', 'abcdef'), 'user-2', {}, { quota: limits });
+      await uploadService.deleteFile(first.fileId, 'user-1');
+
+      expect(uploadService.getStorageUsage('user-1')).toEqual({ bytes: 0, files: 0 });
+      expect(uploadService.getStorageUsage('user-2')).toEqual({ bytes: 6, files: 1 });
+    });
+
+    it('should warn when an upload reaches the soft limit', async () => {
+      const result = await uploadService.uploadFile(file('a.txt', 'abcdefghi'), 'user-1', {}, { quota: limits });
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toContain('You have used 90% of your storage quota');
+    });
+  });
+
+  describe('background jobs', () => {
+    beforeEach(() => {
+      uploadService.virusScanService.enabled = true;
+    });
+
+    it('should keep a new upload unreadable and queue its processing', async () => {
+      const upload = await uploadService.uploadFile(file('a.txt'), 'user-1');
+
+      expect(upload).toMatchObject({ success: true, virusScanStatus: 'pending' });
+      expect(uploadService.jobQueue.list().map(job => job.type).sort()).toEqual(['extract_metadata', 'virus_scan']);
+      expect(uploadService.uploadHistory.get(upload.fileId).metadata.jobs.virus_scan).toMatchObject({ status: 'queued', attempts: 0 });
+      expect(await uploadService.retrieveFile(upload.fileId, 'user-1')).toMatchObject({ success: false, code: 'SCAN_PENDING' });
+    });
+
+    it('should quarantine every file sharing the infected content', async () => {
+      const first = await uploadService.uploadFile(file('same.txt'), 'user-1');
+      const second = await uploadService.uploadFile(file('same.txt'), 'user-2');
+      jest.spyOn(uploadService.virusScanService, 'scanFile')
+        .mockResolvedValue({ status: 'infected', engine: 'clamd', details: 'stream: Eicar FOUND', signature: 'Eicar' });
+
+      await uploadService.scanStoredFile(first.fileId);
+
+      for (const fileId of [first.fileId, second.fileId]) {
+        expect(uploadService.uploadHistory.get(fileId)).toMatchObject({ status: 'quarantined', virusScanStatus: 'infected' });
+      }
+      expect(uploadService.logSecurityEvent).toHaveBeenCalledWith('virus_detected', expect.objectContaining({
+        signature: 'Eicar',
+        quarantinedFiles: [first.fileId, second.fileId]
+      }));
+    });
+
+    it('should not record a verdict that arrives after its attempt timed out', async () => {
+      const upload = await uploadService.uploadFile(file('a.txt'), 'user-1');
+      const controller = new AbortController();
+      jest.spyOn(uploadService.virusScanService, 'scanFile').mockImplementation(async () => {
+        controller.abort(new Error('Job timed out after 300s'));
+        return { status: 'infected', engine: 'clamd', details: 'stream: Eicar FOUND', signature: 'Eicar' };
+      });
+
+      await expect(uploadService.scanStoredFile(upload.fileId, { signal: controller.signal }))
+        .rejects.toThrow('Job timed out after 300s');
+
+      expect(uploadService.uploadHistory.get(upload.fileId)).toMatchObject({ status: 'active', virusScanStatus: 'pending' });
+      expect(uploadService.logSecurityEvent).not.toHaveBeenCalledWith('virus_detected', expect.anything());
+    });
+
+    it('should mark the file "error" once its scan job is dead-lettered, and pending again when requeued', async () => {
+      const upload = await uploadService.uploadFile(file('a.txt'), 'user-1');
+      const job = uploadService.jobQueue.list({ type: 'virus_scan' })[0];
+      jest.spyOn(uploadService.virusScanService, 'scanFile')
+        .mockResolvedValue({ status: 'error', engine: 'clamd', details: 'connect ECONNREFUSED', signature: null });
+
+      await expect(uploadService.scanStoredFile(upload.fileId)).rejects.toThrow('connect ECONNREFUSED');
+
+      job.attempts = job.maxAttempts;
+      await uploadService.jobQueue.execute(job);
+      const fileMetadata = uploadService.uploadHistory.get(upload.fileId);
+      expect(fileMetadata.virusScanStatus).toBe('error');
+      expect(fileMetadata.metadata.jobs.virus_scan).toMatchObject({ jobId: job.id, status: 'failed' });
+      expect(uploadService.logSecurityEvent).toHaveBeenCalledWith('virus_scan_failed', expect.objectContaining({ jobId: job.id }));
+
+      expect(await uploadService.requeueJob(job.id, { id: 'admin-1' })).toMatchObject({ success: true });
+      expect(fileMetadata.virusScanStatus).toBe('pending');
+      expect(fileMetadata.metadata.jobs.virus_scan).toMatchObject({ status: 'queued', attempts: 0 });
+    });
+  });
+
+  describe('uploadBatch', () => {
+    it('should store the accepted files and report the rejected ones', async () => {
+      const result = await uploadService.uploadBatch([file('a.txt'), file('bad-b.txt'), file('c.txt')], 'user-1');
+
+      expect(result).toMatchObject({ success: false, atomic: false, succeeded: 2, failed: 1 });
+      expect(result.results.map(entry => entry.success)).toEqual([true, false, true]);
+      expect(result.results[1]).toMatchObject({ index: 1, filename: 'bad-b.txt', error: 'File validation failed' });
+      expect(uploadService.uploadHistory.size).toBe(2);
+
+      const stored = [...uploadService.uploadHistory.values()];
+      expect(stored.every(fileMetadata => fileMetadata.metadata.batchId === result.batchId)).toBe(true);
+    });
+
+    it('should store nothing in atomic mode when a file is rejected', async () => {
+      const result = await uploadService.uploadBatch([file('a.txt'), file('bad-b.txt')], 'user-1', {}, { atomic: true });
+
+      expect(result).toMatchObject({ success: false, atomic: true, succeeded: 0, failed: 2 });
+      expect(result.results[0].error).toMatch(/another file/);
+      expect(uploadService.fileStorageManager.storeFile).not.toHaveBeenCalled();
+      expect(uploadService.uploadHistory.size).toBe(0);
+    });
+
+    it('should roll back stored files when a later file fails in atomic mode', async () => {
+      uploadService.fileStorageManager.storeFile
+        .mockImplementationOnce(async (buffer, name, mimeType) => ({
+          success: true,
+          storedFilename: `stored-${name}`,
+          filePath: `/tmp/stored-${name}`,
+          fileSize: buffer.length,
+          mimeType,
+          checksum: 'checksum'
+        }))
+        .mockResolvedValueOnce({ success: false, error: 'Disk full' });
+
+      const result = await uploadService.uploadBatch([file('a.txt'), file('b.txt')], 'user-1', {}, { atomic: true });
+
+      expect(result).toMatchObject({ success: false, succeeded: 0, failed: 2 });
+      expect(result.results[0]).toMatchObject({ success: false, rolledBack: true });
+      expect(result.results[0].fileId).toBeUndefined();
+      expect(result.results[1]).toMatchObject({ error: 'File storage failed', details: 'Disk full' });
+      expect(uploadService.fileStorageManager.deleteFile).toHaveBeenCalledWith('stored-a.txt', 'user-1');
+      expect(uploadService.uploadHistory.size).toBe(0);
+    });
+
+    it('should check the rate limit for the whole batch in atomic mode', async () => {
+      uploadService.checkRateLimit.mockResolvedValue({ allowed: false, retryAfter: 60 });
+
+      const result = await uploadService.uploadBatch([file('a.txt'), file('b.txt')], 'user-1', {}, { atomic: true });
+
+      expect(uploadService.checkRateLimit).toHaveBeenCalledWith('user-1', 2);
+      expect(result.results.every(entry => entry.error === 'Rate limit exceeded' && entry.retryAfter === 60)).toBe(true);
+      expect(uploadService.fileStorageManager.storeFile).not.toHaveBeenCalled();
+    });
+  });
+});
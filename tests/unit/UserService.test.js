@@ -0,0 +1,706 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const bcrypt = require('bcryptjs');
+const UserService = require('../../src/main/services/UserService');
+const TokenService = require('../../src/main/services/TokenService');
+const UploadService = require('../../src/main/services/UploadService');
+const InviteService = require('../../src/main/services/InviteService');
+const AdminAuditStore = require('../../src/main/storage/AdminAuditStore');
+const RefreshTokenStore = require('../../src/main/storage/RefreshTokenStore');
+const User = require('../../src/main/models/User');
+const FileMetadata = require('../../src/main/models/FileMetadata');
+const SoftwareAuthenticator = require('../helpers/SoftwareAuthenticator');
+
+// Mock the logger to keep auth events out of the log files
+jest.mock('../../src/main/config/Logger', () => ({
+  logAuthEvent: jest.fn(),
+  logSecurityEvent: jest.fn(),
+  logError: jest.fn(),
+  getLogger: () => ({ info: jest.fn() })
+}));
+
+describe('UserService', () => {
+  const auditFile = path.join(os.tmpdir(), `admin-audit-${process.pid}.jsonl`);
+  let userService;
+  let authenticator;
+  let user;
+
+  const registerPasskey = async () => {
+    const { options } = await userService.beginPasskeyRegistration(user.id);
+    return userService.finishPasskeyRegistration(user.id, authenticator.createCredential(options), 'Laptop');
+  };
+
+  const passkeyLogin = async (mutate = response => response) => {
+    const { options } = await userService.beginPasskeyLogin(user.username);
+    return userService.finishPasskeyLogin(mutate(authenticator.getAssertion(options)), '127.0.0.1');
+  };
+
+  const tamperSignature = response => {
+    const signature = Buffer.from(response.response.signature, 'base64url');
+    signature[signature.length - 1] ^= 0xff;
+    response.response.signature = signature.toString('base64url');
+    return response;
+  };
+
+  beforeEach(() => {
+    // Keep the singleton off disk: no users.json load/save and no default admin
+    jest.spyOn(UserService.prototype, 'loadUsers').mockResolvedValue();
+    jest.spyOn(UserService.prototype, 'initializeDefaultAdmin').mockResolvedValue();
+    jest.spyOn(UserService.prototype, 'saveUsers').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'loadUploadHistory').mockResolvedValue();
+    jest.spyOn(UploadService.prototype, 'saveUploadHistory').mockResolvedValue();
+    jest.spyOn(InviteService.prototype, 'loadInvites').mockResolvedValue();
+    jest.spyOn(InviteService.prototype, 'saveInvites').mockResolvedValue();
+    jest.spyOn(RefreshTokenStore.prototype, 'load').mockResolvedValue();
+    jest.spyOn(RefreshTokenStore.prototype, 'save').mockResolvedValue();
+
+    UserService.instance = null;
+    TokenService.instance = null;
+    UploadService.instance = null;
+    userService = new UserService();
+    userService.mailService.transport = { send: jest.fn().mockResolvedValue({ messageId: 'test' }) };
+    userService.auditStore = new AdminAuditStore(auditFile);
+    authenticator = new SoftwareAuthenticator({ origin: userService.webAuthnService.origins[0] });
+
+    user = new User({
+      username: 'alice',
+      email: 'alice@example.com',
+      passwordHash: bcrypt.hashSync('Passw0rdX', 4),
+      firstName: 'Alice',
+      lastName: 'Admin',
+      role: 'admin',
+      status: 'active'
+    });
+    userService.users.set(user.id, user);
+  });
+
+  afterEach(async () => {
+    await fs.rm(auditFile, { force: true });
+  });
+
+  describe('email verification', () => {
+    const sentToken = () => {
+      const [[message]] = userService.mailService.transport.send.mock.calls;
+      return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    };
+
+    it('should email a verification link on registration', async () => {
+      const result = await userService.registerUser({
+        username: 'bob',
+        email: 'Bob@Example.com',
+        password: 'Passw0rdX',
+        firstName: 'Bob',
+        lastName: 'Builder'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.verificationEmailSent).toBe(true);
+      expect(userService.mailService.transport.send).toHaveBeenCalledWith(
+        expect.objectContaining({ to: 'bob@example.com' })
+      );
+    });
+
+    it('should still register the user when the mail cannot be sent', async () => {
+      userService.mailService.transport.send.mockRejectedValue(new Error('SMTP unavailable'));
+
+      const result = await userService.registerUser({
+        username: 'bob',
+        email: 'bob@example.com',
+        password: 'Passw0rdX',
+        firstName: 'Bob',
+        lastName: 'Builder'
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.verificationEmailSent).toBe(false);
+    });
+
+    it('should verify the address from the emailed token', async () => {
+      await userService.sendVerificationEmail(user);
+
+      const result = await userService.verifyEmail(sentToken());
+
+      expect(result.success).toBe(true);
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).not.toBeNull();
+      expect(userService.getAllUsers(user.id).users[0].emailVerified).toBe(true);
+    });
+
+    it('should reject a token sent to a previous address', async () => {
+      await userService.sendVerificationEmail(user);
+      user.email = 'alice@elsewhere.example';
+
+      const result = await userService.verifyEmail(sentToken());
+
+      expect(result.code).toBe('INVALID_TOKEN');
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('should reject an expired token', async () => {
+      await userService.sendVerificationEmail(user);
+      const token = sentToken();
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (userService.tokenService.emailVerificationTokenTtl + 1) * 1000);
+
+      const result = await userService.verifyEmail(token);
+
+      expect(result.code).toBe('TOKEN_EXPIRED');
+      expect(user.emailVerified).toBe(false);
+    });
+
+    it('should answer resend requests the same way for unknown addresses', async () => {
+      const unknown = await userService.resendVerificationEmail('nobody@example.com');
+      const known = await userService.resendVerificationEmail('alice@example.com');
+
+      expect(unknown).toEqual(known);
+      expect(userService.mailService.transport.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throttle repeated resend requests', async () => {
+      await userService.resendVerificationEmail('alice@example.com');
+      await userService.resendVerificationEmail('alice@example.com');
+
+      expect(userService.mailService.transport.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should require the current password and count failures towards the lockout', async () => {
+      const result = await userService.changePassword(user.id, 'wrong-password', 'NewPassw0rd');
+
+      expect(result.code).toBe('INVALID_PASSWORD');
+      expect(user.loginAttempts).toBe(1);
+      expect(await user.verifyPassword('Passw0rdX')).toBe(true);
+    });
+
+    it('should reject reusing the current password', async () => {
+      const result = await userService.changePassword(user.id, 'Passw0rdX', 'Passw0rdX');
+
+      expect(result.code).toBe('PASSWORD_UNCHANGED');
+    });
+
+    it('should update the password and revoke existing sessions', async () => {
+      const { accessToken } = await userService.tokenService.issueTokenPair(user);
+      jest.spyOn(userService.tokenService.revocationStore, 'save').mockResolvedValue();
+
+      const result = await userService.changePassword(user.id, 'Passw0rdX', 'NewPassw0rd');
+
+      expect(result.success).toBe(true);
+      expect(await user.verifyPassword('NewPassw0rd')).toBe(true);
+      expect(user.passwordChangedAt).not.toBeNull();
+      expect(() => userService.tokenService.verifyAccessToken(accessToken)).toThrow('revoked');
+      expect(userService.mailService.transport.send).toHaveBeenCalledWith(
+        expect.objectContaining({ subject: 'Your password was changed' })
+      );
+    });
+  });
+
+  describe('password reset', () => {
+    const sentResetToken = () => {
+      const [[message]] = userService.mailService.transport.send.mock.calls;
+      return message.text.match(/#password-reset=([A-Za-z0-9_-]+)/)[1];
+    };
+
+    beforeEach(() => {
+      jest.spyOn(userService.tokenService.revocationStore, 'save').mockResolvedValue();
+    });
+
+    it('should store only a hash of the emailed token', async () => {
+      await userService.requestPasswordReset('alice@example.com');
+
+      const token = sentResetToken();
+
+      expect(user.passwordResetTokenHash).toBe(userService.tokenService.hashPasswordResetToken(token));
+      expect(JSON.stringify(user.toObject())).not.toContain(token);
+    });
+
+    it('should answer the same way for unknown addresses', async () => {
+      const unknown = await userService.requestPasswordReset('nobody@example.com');
+      const known = await userService.requestPasswordReset('alice@example.com');
+
+      expect(unknown).toEqual(known);
+      expect(userService.mailService.transport.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reset the password, unlock the account and revoke sessions', async () => {
+      for (let i = 0; i < 5; i++) {
+        user.incrementLoginAttempts();
+      }
+      const { accessToken } = await userService.tokenService.issueTokenPair(user);
+      await userService.requestPasswordReset('alice@example.com');
+
+      const result = await userService.resetPassword(sentResetToken(), 'NewPassw0rd');
+
+      expect(result.success).toBe(true);
+      expect(user.isLocked()).toBe(false);
+      expect(user.loginAttempts).toBe(0);
+      expect(() => userService.tokenService.verifyAccessToken(accessToken)).toThrow('revoked');
+      const login = await userService.authenticateUser('alice', 'NewPassw0rd');
+      expect(login.success).toBe(true);
+    });
+
+    it('should accept a reset token only once', async () => {
+      await userService.requestPasswordReset('alice@example.com');
+      const token = sentResetToken();
+
+      await userService.resetPassword(token, 'NewPassw0rd');
+      const replay = await userService.resetPassword(token, 'Attack3rPass');
+
+      expect(replay.code).toBe('INVALID_TOKEN');
+      expect(await user.verifyPassword('NewPassw0rd')).toBe(true);
+    });
+
+    it('should reject an expired reset token', async () => {
+      await userService.requestPasswordReset('alice@example.com');
+      const token = sentResetToken();
+      jest.spyOn(Date, 'now').mockReturnValue(user.passwordResetExpiresAt + 1);
+
+      const result = await userService.resetPassword(token, 'NewPassw0rd');
+
+      expect(result.code).toBe('TOKEN_EXPIRED');
+      expect(user.passwordResetTokenHash).toBeNull();
+    });
+
+    it('should invalidate an earlier link when a new one is requested', async () => {
+      await userService.requestPasswordReset('alice@example.com');
+      const firstToken = sentResetToken();
+      user.metadata.passwordResetRequestedAt = null;
+      await userService.requestPasswordReset('alice@example.com');
+
+      const result = await userService.resetPassword(firstToken, 'NewPassw0rd');
+
+      expect(result.code).toBe('INVALID_TOKEN');
+    });
+  });
+
+  describe('API keys', () => {
+    it('should return the key once and store only its hash', async () => {
+      const result = await userService.createApiKey(user.id, { name: 'CI', scopes: ['files:write'] });
+
+      expect(result.success).toBe(true);
+      expect(result.apiKey.hash).toBeUndefined();
+      expect(JSON.stringify(user.toObject())).not.toContain(result.key);
+      expect(userService.listApiKeys(user.id).apiKeys[0].scopes).toEqual(['files:write']);
+    });
+
+    it('should authenticate a valid key and record its use', async () => {
+      const { key } = await userService.createApiKey(user.id, { name: 'CI', scopes: ['files:write'] });
+
+      const result = await userService.authenticateApiKey(key, '10.0.0.1');
+
+      expect(result.success).toBe(true);
+      expect(result.user.id).toBe(user.id);
+      expect(result.apiKey.scopes).toEqual(['files:write']);
+      expect(user.apiKeys[0].lastUsedAt).not.toBeNull();
+      expect(user.apiKeys[0].lastUsedIp).toBe('10.0.0.1');
+    });
+
+    it('should reject expired, revoked and tampered keys', async () => {
+      const { key, apiKey } = await userService.createApiKey(user.id, { name: 'CI', scopes: ['files:read'] });
+      const tampered = `${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`;
+
+      expect((await userService.authenticateApiKey(tampered)).code).toBe('INVALID_API_KEY');
+
+      user.apiKeys[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+      expect((await userService.authenticateApiKey(key)).code).toBe('INVALID_API_KEY');
+
+      await userService.revokeApiKey(user.id, apiKey.id);
+      expect((await userService.authenticateApiKey(key)).code).toBe('INVALID_API_KEY');
+    });
+
+    it('should reject keys of inactive users', async () => {
+      const { key } = await userService.createApiKey(user.id, { name: 'CI', scopes: ['files:read'] });
+      user.status = 'suspended';
+
+      const result = await userService.authenticateApiKey(key);
+
+      expect(result.success).toBe(false);
+    });
+
+    it('should not let regular users grant admin scopes', async () => {
+      user.role = 'user';
+
+      const result = await userService.createApiKey(user.id, { name: 'CI', scopes: ['admin:users'] });
+
+      expect(result.code).toBe('INVALID_SCOPES');
+    });
+  });
+
+  describe('role-based access control', () => {
+    const addUser = (username, role) => {
+      const other = new User({
+        username,
+        email: `${username}@example.com`,
+        firstName: username,
+        lastName: 'User',
+        role,
+        status: 'active'
+      });
+      userService.users.set(other.id, other);
+      return other;
+    };
+
+    it('should give auditors read-only access to admin views', async () => {
+      const auditor = addUser('carol', 'auditor');
+      const pending = addUser('dave', 'user');
+      pending.status = 'pending';
+
+      expect(userService.getAllUsers(auditor.id).success).toBe(true);
+      expect(userService.getUserStats(auditor.id).stats.roles).toEqual({ admin: 1, auditor: 1, user: 1 });
+      expect((await userService.approveUser(pending.id, auditor.id)).code).toBe('UNAUTHORIZED');
+    });
+
+    it('should not let user managers act on accounts with more permissions', async () => {
+      const manager = addUser('erin', 'user-manager');
+      const regular = addUser('frank', 'user');
+
+      expect((await userService.suspendUser(regular.id, manager.id, 'Abuse')).success).toBe(true);
+      expect((await userService.suspendUser(user.id, manager.id, 'Abuse')).code).toBe('UNAUTHORIZED');
+      expect(user.status).toBe('active');
+    });
+
+    it('should assign a role and revoke the user\'s tokens', async () => {
+      const regular = addUser('grace', 'user');
+      const revoke = jest.spyOn(userService.tokenService, 'revokeAllUserTokens').mockResolvedValue();
+
+      const result = await userService.assignRole(regular.id, user.id, 'auditor');
+
+      expect(result.success).toBe(true);
+      expect(regular.role).toBe('auditor');
+      expect(regular.metadata.previousRole).toBe('user');
+      expect(revoke).toHaveBeenCalledWith(regular.id);
+    });
+
+    it('should reject unknown roles, unchanged roles and changes to your own role', async () => {
+      const regular = addUser('heidi', 'user');
+
+      expect((await userService.assignRole(regular.id, user.id, 'superuser')).code).toBe('INVALID_ROLE');
+      expect((await userService.assignRole(regular.id, user.id, 'user')).code).toBe('ROLE_UNCHANGED');
+      expect((await userService.assignRole(user.id, user.id, 'user')).code).toBe('CANNOT_CHANGE_OWN_ROLE');
+    });
+
+    it('should only let holders of users:roles assign roles', async () => {
+      const manager = addUser('ivan', 'user-manager');
+      const regular = addUser('judy', 'user');
+
+      expect((await userService.assignRole(regular.id, manager.id, 'viewer')).code).toBe('UNAUTHORIZED');
+      expect(regular.role).toBe('user');
+    });
+  });
+
+  describe('admin user lifecycle', () => {
+    let bob;
+
+    const addFile = (userId, status = 'active') => {
+      const file = new FileMetadata({
+        userId,
+        originalFilename: 'report.pdf',
+        storedFilename: `${Math.random().toString(36).slice(2)}.pdf`,
+        status
+      });
+      userService.uploadService.uploadHistory.set(file.id, file);
+      return file;
+    };
+
+    beforeEach(() => {
+      bob = new User({
+        username: 'bob',
+        email: 'bob@example.com',
+        firstName: 'Bob',
+        lastName: 'User',
+        role: 'user',
+        status: 'active'
+      });
+      userService.users.set(bob.id, bob);
+      jest.spyOn(userService.tokenService, 'revokeAllUserTokens').mockResolvedValue();
+    });
+
+    it('should reactivate suspended users and record the reason', async () => {
+      await userService.suspendUser(bob.id, user.id, 'Spam');
+
+      const result = await userService.reactivateUser(bob.id, user.id, 'Appeal accepted');
+
+      expect(result.success).toBe(true);
+      expect(bob.status).toBe('active');
+
+      const { entries } = await userService.getAdminAuditTrail(user.id, { userId: bob.id });
+      expect(entries.map(entry => entry.action)).toEqual(['user_reactivated', 'user_suspended']);
+      expect(entries[0]).toMatchObject({ actorUserId: user.id, reason: 'Appeal accepted', details: { previousStatus: 'suspended' } });
+    });
+
+    it('should only reactivate suspended or rejected users', async () => {
+      const result = await userService.reactivateUser(bob.id, user.id, 'No reason');
+
+      expect(result.code).toBe('INVALID_STATUS');
+    });
+
+    it('should unlock locked accounts', async () => {
+      for (let i = 0; i < 5; i++) {
+        bob.incrementLoginAttempts();
+      }
+      expect(bob.getSafeData().lockedUntil).not.toBeNull();
+
+      const result = await userService.unlockUser(bob.id, user.id, 'Identity confirmed');
+
+      expect(result.success).toBe(true);
+      expect(bob.isLocked()).toBe(false);
+      expect(bob.loginAttempts).toBe(0);
+      expect((await userService.unlockUser(bob.id, user.id, 'Again')).code).toBe('NOT_LOCKED');
+    });
+
+    it('should delete a user, archive their files and keep the audit trail', async () => {
+      const active = addFile(bob.id);
+      const deleted = addFile(bob.id, 'deleted');
+
+      const result = await userService.deleteUser(bob.id, user.id, { reason: 'Erasure request', files: 'archive' });
+
+      expect(result.success).toBe(true);
+      expect(result.files).toEqual({ mode: 'archive', affected: 1 });
+      expect(userService.getUserById(bob.id)).toBeNull();
+      expect(active.status).toBe('archived');
+      expect(deleted.status).toBe('deleted');
+      expect(userService.tokenService.revokeAllUserTokens).toHaveBeenCalledWith(bob.id);
+
+      const { entries } = await userService.getAdminAuditTrail(user.id, { userId: bob.id });
+      expect(entries[0]).toMatchObject({ action: 'user_deleted', targetUsername: 'bob', reason: 'Erasure request' });
+    });
+
+    it('should reassign files to another user', async () => {
+      const file = addFile(bob.id);
+
+      const result = await userService.deleteUser(bob.id, user.id, { reason: 'Left company', files: 'reassign', reassignTo: user.id });
+
+      expect(result.success).toBe(true);
+      expect(file.userId).toBe(user.id);
+      expect(file.metadata.previousOwnerId).toBe(bob.id);
+    });
+
+    it('should purge files from storage and history', async () => {
+      const file = addFile(bob.id);
+      const deleteFile = jest.spyOn(userService.uploadService.fileStorageManager, 'deleteFile').mockResolvedValue({ success: true });
+
+      const result = await userService.deleteUser(bob.id, user.id, { reason: 'Abuse', files: 'purge' });
+
+      expect(result.success).toBe(true);
+      expect(deleteFile).toHaveBeenCalledWith(file.storedFilename, bob.id);
+      expect(userService.uploadService.uploadHistory.has(file.id)).toBe(false);
+    });
+
+    it('should keep the account when files cannot be purged', async () => {
+      addFile(bob.id);
+      jest.spyOn(userService.uploadService.fileStorageManager, 'deleteFile').mockResolvedValue({ success: false, error: 'EACCES' });
+
+      const result = await userService.deleteUser(bob.id, user.id, { reason: 'Abuse', files: 'purge' });
+
+      expect(result.code).toBe('FILE_DISPOSAL_ERROR');
+      expect(userService.getUserById(bob.id)).not.toBeNull();
+    });
+
+    it('should reject invalid deletions', async () => {
+      expect((await userService.deleteUser(user.id, user.id, { reason: 'x', files: 'archive' })).code).toBe('CANNOT_DELETE_SELF');
+      expect((await userService.deleteUser(bob.id, user.id, { reason: 'x', files: 'reassign', reassignTo: bob.id })).code).toBe('INVALID_REASSIGN_TARGET');
+      expect((await userService.deleteUser(bob.id, bob.id, { reason: 'x', files: 'archive' })).code).toBe('UNAUTHORIZED');
+      expect(userService.getUserById(bob.id)).not.toBeNull();
+    });
+  });
+
+  describe('registration invites and auto-approval', () => {
+    const register = (overrides = {}) => userService.registerUser({
+      username: 'bob',
+      email: 'bob@example.com',
+      password: 'Passw0rdX',
+      firstName: 'Bob',
+      lastName: 'Builder',
+      ...overrides
+    });
+
+    const sentToken = () => {
+      const [[message]] = userService.mailService.transport.send.mock.calls;
+      return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+    };
+
+    it('should activate accounts registered with an invite code using its role', async () => {
+      const { code, invite } = await userService.createInvite(user.id, { role: 'viewer', note: 'Bob' });
+
+      const result = await register({ inviteCode: code });
+      const bob = userService.getUserById(result.userId);
+
+      expect(result.success).toBe(true);
+      expect(result.status).toBe('active');
+      expect(bob.role).toBe('viewer');
+      expect(bob.metadata).toEqual(expect.objectContaining({ inviteId: invite.id, approvedBy: user.id }));
+
+      const [listed] = userService.listInvites(user.id).invites;
+      expect(listed).toEqual(expect.objectContaining({ uses: 1, status: 'exhausted', createdByUsername: 'alice' }));
+      expect(listed.redemptions[0].username).toBe('bob');
+
+      const { entries } = await userService.getAdminAuditTrail(user.id, { userId: bob.id });
+      expect(entries[0]).toEqual(expect.objectContaining({ action: 'invite_redeemed', actorUsername: 'system' }));
+    });
+
+    it('should not create an account for an unusable invite code', async () => {
+      const { code, invite } = await userService.createInvite(user.id, {});
+      await userService.revokeInvite(user.id, invite.id);
+
+      const result = await register({ inviteCode: code });
+
+      expect(result).toEqual(expect.objectContaining({ success: false, code: 'INVALID_INVITE' }));
+      expect(userService.users.size).toBe(1);
+    });
+
+    it('should only let admins invite to roles within their own permissions', async () => {
+      const manager = new User({ username: 'carol', email: 'carol@example.com', role: 'user-manager', status: 'active' });
+      const regular = new User({ username: 'dave', email: 'dave@example.com', role: 'user', status: 'active' });
+      userService.users.set(manager.id, manager);
+      userService.users.set(regular.id, regular);
+
+      expect((await userService.createInvite(manager.id, { role: 'user' })).success).toBe(true);
+      expect((await userService.createInvite(manager.id, { role: 'admin' })).code).toBe('UNAUTHORIZED');
+      expect((await userService.createInvite(regular.id, { role: 'user' })).code).toBe('UNAUTHORIZED');
+      expect((await userService.createInvite(user.id, { role: 'superuser' })).code).toBe('INVALID_ROLE');
+      expect((await userService.revokeInvite(user.id, '0000000000000000')).code).toBe('INVITE_NOT_FOUND');
+    });
+
+    it('should auto-approve matching domains once the email is verified', async () => {
+      userService.registrationConfig = { auto_approve: [{ domain: 'Example.com', role: 'viewer' }] };
+
+      const result = await register();
+      expect(result.status).toBe('pending');
+
+      await userService.verifyEmail(sentToken(), '127.0.0.1');
+      const bob = userService.getUserById(result.userId);
+
+      expect(bob.status).toBe('active');
+      expect(bob.role).toBe('viewer');
+      expect(bob.metadata.approvedBy).toBe('auto:Example.com');
+    });
+
+    it('should auto-approve at registration when the rule does not require verification', async () => {
+      userService.registrationConfig = {
+        auto_approve: [
+          { domain: 'other.com', require_verified_email: false },
+          { domain: 'example.com', require_verified_email: false }
+        ]
+      };
+
+      expect((await register()).status).toBe('active');
+      expect((await register({ username: 'eve', email: 'eve@example.org' })).status).toBe('pending');
+    });
+  });
+
+  describe('passkey registration', () => {
+    it('should store the credential on the user', async () => {
+      const result = await registerPasskey();
+
+      expect(result.success).toBe(true);
+      expect(result.passkey.name).toBe('Laptop');
+      expect(result.passkey.publicKey).toBeUndefined();
+      expect(user.webauthnCredentials).toHaveLength(1);
+      expect(userService.listPasskeys(user.id).passkeys).toHaveLength(1);
+    });
+
+    it('should remove a passkey', async () => {
+      const { passkey } = await registerPasskey();
+
+      const result = await userService.removePasskey(user.id, passkey.id);
+
+      expect(result.success).toBe(true);
+      expect(user.webauthnCredentials).toHaveLength(0);
+    });
+  });
+
+  describe('passkey login', () => {
+    beforeEach(async () => {
+      await registerPasskey();
+    });
+
+    it('should log in with a valid assertion', async () => {
+      const result = await passkeyLogin();
+
+      expect(result.success).toBe(true);
+      expect(result.user.id).toBe(user.id);
+      expect(user.webauthnCredentials[0].counter).toBe(1);
+      expect(user.webauthnCredentials[0].lastUsedAt).not.toBeNull();
+    });
+
+    it('should not reveal whether a username exists', async () => {
+      const { options } = await userService.beginPasskeyLogin('nobody');
+
+      expect(options.allowCredentials).toEqual([]);
+    });
+
+    it('should reject an unknown credential without counting an attempt', async () => {
+      const result = await passkeyLogin(response => ({ ...response, id: 'unknown-credential' }));
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_CREDENTIALS');
+      expect(user.loginAttempts).toBe(0);
+    });
+
+    it('should reject an assertion whose user handle belongs to someone else', async () => {
+      const result = await passkeyLogin(response => {
+        response.response.userHandle = Buffer.from('someone-else').toString('base64url');
+        return response;
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    it('should count failed assertions towards the account lockout', async () => {
+      for (let i = 0; i < 5; i++) {
+        const result = await passkeyLogin(tamperSignature);
+        expect(result.code).toBe('INVALID_CREDENTIALS');
+      }
+
+      expect(user.isLocked()).toBe(true);
+
+      // A valid passkey cannot bypass the lock
+      const locked = await passkeyLogin();
+      expect(locked.success).toBe(false);
+      expect(locked.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('should share the lockout counter with password login', async () => {
+      for (let i = 0; i < 4; i++) {
+        await userService.authenticateUser('alice', 'wrong-password', '127.0.0.1');
+      }
+
+      await passkeyLogin(tamperSignature);
+
+      expect(user.isLocked()).toBe(true);
+      const result = await userService.authenticateUser('alice', 'Passw0rdX', '127.0.0.1');
+      expect(result.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    it('should reset failed attempts after a successful passkey login', async () => {
+      await passkeyLogin(tamperSignature);
+      expect(user.loginAttempts).toBe(1);
+
+      await passkeyLogin();
+
+      expect(user.loginAttempts).toBe(0);
+    });
+
+    it('should not let a password alone enroll a second factor on a passkey-only admin', async () => {
+      jest.spyOn(userService.twoFactorService, 'isRequiredFor').mockReturnValue(true);
+
+      const result = await userService.authenticateUser('alice', 'Passw0rdX', '127.0.0.1');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PASSKEY_REQUIRED');
+      expect(result.twoFactorEnrollmentRequired).toBeUndefined();
+      expect(userService.isTwoFactorEnrollmentRequired(user)).toBe(false);
+      expect((await passkeyLogin()).success).toBe(true);
+    });
+
+    it('should refuse inactive accounts', async () => {
+      user.status = 'suspended';
+
+      const result = await passkeyLogin();
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('ACCOUNT_INACTIVE');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const VirusScanService = require('../../src/main/services/VirusScanService');
+const StubClamd = require('../helpers/StubClamd');
+
+describe('VirusScanService', () => {
+  let tempDir;
+  let clamd;
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  // A port nothing listens on
+  const closedPort = () => new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'virus-scan-'));
+  });
+
+  afterEach(async () => {
+    if (clamd) {
+      await clamd.close();
+      clamd = null;
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('scanFile with clamd', () => {
+    it('should stream the file and report it clean', async () => {
+      clamd = new StubClamd();
+      const scanner = new VirusScanService({ clamd_port: await clamd.listen(), command: '' });
+      const content = Buffer.alloc(200 * 1024, 'a'); // Several INSTREAM chunks
+
+      const result = await scanner.scanFile(writeFile('clean.txt', content));
+
+      expect(result).toMatchObject({ status: 'clean', engine: 'clamd', signature: null });
+      expect(clamd.scanned[0].equals(content)).toBe(true);
+    });
+
+    it('should report the signature of an infected file', async () => {
+      clamd = new StubClamd({ signature: 'EICAR-STUB' });
+      const scanner = new VirusScanService({ clamd_port: await clamd.listen(), command: '' });
+
+      const result = await scanner.scanFile(writeFile('infected.txt', 'header EICAR-STUB trailer'));
+
+      expect(result).toMatchObject({ status: 'infected', engine: 'clamd', signature: 'EICAR-STUB' });
+    });
+
+    it('should give up on a scanner that does not answer in time', async () => {
+      clamd = new StubClamd({ hang: true });
+      const scanner = new VirusScanService({ clamd_port: await clamd.listen(), command: '', timeout_ms: 200 });
+
+      const result = await scanner.scanFile(writeFile('slow.txt', 'content'));
+
+      expect(result).toMatchObject({ status: 'error', details: 'Scanner timed out after 200ms' });
+    });
+
+    it('should close the clamd connection when the scan is aborted', async () => {
+      clamd = new StubClamd({ hang: true });
+      const scanner = new VirusScanService({ clamd_port: await clamd.listen(), command: '', timeout_ms: 5000 });
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 100);
+
+      const result = await scanner.scanFile(writeFile('slow.txt', 'content'), { signal: controller.signal });
+
+      expect(result).toMatchObject({ status: 'error', details: 'Scan aborted' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(clamd.sockets.size).toBe(0);
+    });
+  });
+
+  describe('scanFile with the command line fallback', () => {
+    it('should use the command when clamd cannot be reached', async () => {
+      // Behaves like clamscan: exit code 1 and "<path>: <signature> FOUND" for an infected file
+      const stub = writeFile('clamscan-stub.js', [
+        'const file = process.argv[process.argv.length - 1];',
+        'console.log(`${file}: Stub-Signature FOUND`);',
+        'process.exit(1);'
+      ].join('\n'));
+      const scanner = new VirusScanService({ clamd_port: await closedPort(), command: `${process.execPath} ${stub}` });
+
+      const result = await scanner.scanFile(writeFile('infected.txt', 'content'));
+
+      expect(result).toMatchObject({ status: 'infected', engine: 'command', signature: 'Stub-Signature' });
+    });
+
+    it('should report an error without clamd or a command', async () => {
+      const scanner = new VirusScanService({ clamd_port: await closedPort(), command: '' });
+
+      const result = await scanner.scanFile(writeFile('file.txt', 'content'));
+
+      expect(result).toMatchObject({ status: 'error', engine: 'clamd' });
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const WebAuthnService = require('../../src/main/services/WebAuthnService');
+const WebAuthnChallengeStore = require('../../src/main/storage/WebAuthnChallengeStore');
+const User = require('../../src/main/models/User');
+const SoftwareAuthenticator = require('../helpers/SoftwareAuthenticator');
+
+describe('WebAuthnService', () => {
+  let webAuthnService;
+  let authenticator;
+  let user;
+
+  const register = async () => {
+    const options = await webAuthnService.createRegistrationOptions(user);
+    const credential = await webAuthnService.verifyRegistration(user, authenticator.createCredential(options));
+    return user.addWebAuthnCredential(credential, 'Test key');
+  };
+
+  beforeEach(() => {
+    webAuthnService = new WebAuthnService();
+    authenticator = new SoftwareAuthenticator({ origin: webAuthnService.origins[0] });
+    user = new User({
+      username: 'alice',
+      firstName: 'Alice',
+      lastName: 'Admin',
+      role: 'admin',
+      status: 'active'
+    });
+  });
+
+  describe('registration', () => {
+    it('should register a credential from a software authenticator', async () => {
+      const stored = await register();
+
+      expect(stored.id).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(stored.publicKey).toBeDefined();
+      expect(stored.counter).toBe(0);
+      expect(user.webauthnCredentials).toHaveLength(1);
+    });
+
+    it('should exclude already registered credentials', async () => {
+      const stored = await register();
+
+      const options = await webAuthnService.createRegistrationOptions(user);
+
+      expect(options.excludeCredentials.map(credential => credential.id)).toEqual([stored.id]);
+    });
+
+    it('should reject a response from another origin', async () => {
+      const options = await webAuthnService.createRegistrationOptions(user);
+      const phishing = new SoftwareAuthenticator({ origin: 'https://evil.example' });
+
+      await expect(webAuthnService.verifyRegistration(user, phishing.createCredential(options))).rejects.toThrow();
+    });
+
+    it('should reject a challenge issued to another user', async () => {
+      const options = await webAuthnService.createRegistrationOptions(user);
+      const otherUser = new User({ username: 'mallory', status: 'active' });
+
+      await expect(webAuthnService.verifyRegistration(otherUser, authenticator.createCredential(options)))
+        .rejects.toThrow('Unknown or expired WebAuthn challenge');
+    });
+  });
+
+  describe('authentication', () => {
+    it('should verify an assertion and return the new counter', async () => {
+      const stored = await register();
+      const options = await webAuthnService.createAuthenticationOptions(user);
+
+      const counter = await webAuthnService.verifyAuthentication(stored, authenticator.getAssertion(options));
+
+      expect(counter).toBe(1);
+    });
+
+    it('should support discoverable credentials without a username', async () => {
+      const stored = await register();
+      const options = await webAuthnService.createAuthenticationOptions(null);
+
+      expect(options.allowCredentials).toEqual([]);
+      await expect(webAuthnService.verifyAuthentication(stored, authenticator.getAssertion(options, stored.id)))
+        .resolves.toBe(1);
+    });
+
+    it('should not accept the same challenge twice', async () => {
+      const stored = await register();
+      const options = await webAuthnService.createAuthenticationOptions(user);
+      const assertion = authenticator.getAssertion(options);
+
+      await webAuthnService.verifyAuthentication(stored, assertion);
+
+      await expect(webAuthnService.verifyAuthentication(stored, assertion))
+        .rejects.toThrow('Unknown or expired WebAuthn challenge');
+    });
+
+    it('should reject a tampered signature', async () => {
+      const stored = await register();
+      const options = await webAuthnService.createAuthenticationOptions(user);
+      const assertion = authenticator.getAssertion(options);
+      const signature = Buffer.from(assertion.response.signature, 'base64url');
+      signature[signature.length - 1] ^= 0xff;
+      assertion.response.signature = signature.toString('base64url');
+
+      await expect(webAuthnService.verifyAuthentication(stored, assertion)).rejects.toThrow();
+    });
+
+    it('should reject a signature counter that goes backwards', async () => {
+      const stored = await register();
+      stored.counter = 10;
+      const options = await webAuthnService.createAuthenticationOptions(user);
+
+      await expect(webAuthnService.verifyAuthentication(stored, authenticator.getAssertion(options))).rejects.toThrow();
+    });
+
+    it('should reject an expired challenge', async () => {
+      const stored = await register();
+      const options = await webAuthnService.createAuthenticationOptions(user);
+      webAuthnService.challenges.records.get(options.challenge).expiresAt = Date.now() - 1;
+
+      await expect(webAuthnService.verifyAuthentication(stored, authenticator.getAssertion(options)))
+        .rejects.toThrow('Unknown or expired WebAuthn challenge');
+    });
+
+    it('should share challenges between instances through Redis', async () => {
+      // Stand-in for one Redis server: strings and a GET + DEL transaction
+      const strings = new Map();
+      const redis = {
+        set: jest.fn(async (key, value) => strings.set(key, value)),
+        multi: () => {
+          const replies = [];
+          const transaction = {
+            get: key => replies.push(() => strings.get(key) || null) && transaction,
+            del: key => replies.push(() => Number(strings.delete(key))) && transaction,
+            exec: async () => replies.map(reply => reply())
+          };
+          return transaction;
+        }
+      };
+      const stored = await register();
+      const otherInstance = new WebAuthnService();
+      webAuthnService.challenges = new WebAuthnChallengeStore(redis);
+      otherInstance.challenges = new WebAuthnChallengeStore(redis);
+
+      const options = await webAuthnService.createAuthenticationOptions(user);
+      expect(redis.set).toHaveBeenCalledWith(expect.stringContaining(`webauthn:challenge:${options.challenge}`), expect.any(String), { PX: expect.any(Number) });
+      const assertion = authenticator.getAssertion(options);
+
+      expect(await otherInstance.verifyAuthentication(stored, assertion)).toBe(1);
+      await expect(webAuthnService.verifyAuthentication(stored, assertion))
+        .rejects.toThrow('Unknown or expired WebAuthn challenge');
+    });
+  });
+});